@@ -0,0 +1,14 @@
+/**
+ * Custom error class for conversions that were cancelled before they finished.
+ *
+ * @param { String } message Description of the error.
+ */
+'use strict';
+
+export default function FluxCancelError(message) {
+    this.name = 'FluxCancelError';
+    this.message = message || 'Conversion was cancelled.';
+    this.stack = (new Error()).stack;
+}
+FluxCancelError.prototype = Object.create(Error.prototype);
+FluxCancelError.prototype.constructor = FluxCancelError;
@@ -28,13 +28,66 @@ export function fluxFetch(url, options) {
 }
 
 /**
- * Create a canvas element if possible
+ * Create a canvas element if possible.
+ * There is no canvas without a document, such as in workers and in node.
  * @return {DOMElement} The canvas or null
  */
 export function createCanvas() {
     var canvas = null;
-    if ('${ENVIRONMENT}' === 'BROWSER') {
+    if (typeof document !== 'undefined') {
         canvas = document.createElement( 'canvas' );
     }
     return canvas;
 }
+
+/**
+ * Get the IndexedDB factory if the environment has one
+ * @return {IDBFactory} The factory or null
+ */
+export function getIndexedDB() {
+    var factory = null;
+    if ('${ENVIRONMENT}' === 'BROWSER') {
+        factory = window.indexedDB || null;
+    }
+    return factory;
+}
+
+/**
+ * Encode binary data as a base64 string
+ * @param  {Uint8Array} bytes The data
+ * @return {String}           Base64 text
+ */
+export function encodeBase64(bytes) {
+    var text = '';
+    if ('${ENVIRONMENT}' === 'BROWSER') {
+        var binary = '';
+        for (var i=0;i<bytes.length;i++) {
+            binary += String.fromCharCode(bytes[i]);
+        }
+        text = window.btoa(binary);
+    }
+    if ('${ENVIRONMENT}' === 'TEST') {
+        text = Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength).toString('base64'); // eslint-disable-line no-undef
+    }
+    return text;
+}
+
+/**
+ * Decode a base64 string to binary data
+ * @param  {String} text Base64 text
+ * @return {Uint8Array}  The data
+ */
+export function decodeBase64(text) {
+    var bytes = new Uint8Array(0);
+    if ('${ENVIRONMENT}' === 'BROWSER') {
+        var binary = window.atob(text);
+        bytes = new Uint8Array(binary.length);
+        for (var i=0;i<binary.length;i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+    }
+    if ('${ENVIRONMENT}' === 'TEST') {
+        bytes = new Uint8Array(Buffer.from(text, 'base64')); // eslint-disable-line no-undef
+    }
+    return bytes;
+}
@@ -5,6 +5,9 @@ import * as THREE from 'three';
 export var HALF_PI = Math.PI * 0.5;
 export var TOLERANCE = 0.000001;
 export var DEFAULT_ROTATION = new THREE.Vector3( HALF_PI, HALF_PI, 0 );
+// Flux is Z up and right handed, and scenes can be converted to other coordinate frames
+export var FLUX_UP_AXIS = 'z';
+export var HANDEDNESS = ['right', 'left'];
 export var PLANE_DEFAULTS = {
         WIDTH: 10000,
         HEIGHT: 10000,
@@ -36,6 +39,33 @@ export var NORMALS_SMOOTH_LIMIT = Math.cos(degreesSmoothLimit * DEG_2_RAD);
 
 export var POINT_PIXEL_SIZE = 2.0;
 
+// Shapes that points can be drawn with, set by the pointShape material property
+export var POINT_SHAPES = ['square', 'circle', 'sprite'];
+
+// Levels of detail of point clouds
+export var POINT_CLOUD_DEFAULTS = {
+    // Height in pixels of the viewport assumed until updatePointClouds is called
+    VIEWPORT_HEIGHT: 1000,
+    // Maximum number of points in a node of the octree
+    NODE_SIZE: 16384,
+    // Maximum number of points drawn for all clouds
+    POINT_BUDGET: 1000000,
+    // Maximum level of the octree
+    MAX_DEPTH: 16
+};
+
+// Units of the lineWidthUnits material property of wide lines
+export var LINE_WIDTH_UNITS = ['pixels', 'world'];
+
+// Lines drawn as strips of triangles to be wider than a pixel
+export var WIDE_LINE_DEFAULTS = {
+    // Size in pixels of the viewport assumed until updateWideLines is called
+    VIEWPORT_WIDTH: 1000,
+    VIEWPORT_HEIGHT: 1000,
+    // Longest miter at a joint, as a multiple of the line width
+    MITER_LIMIT: 4
+};
+
 // These properties cause image based lighting maps to be loaded
 export var IBL_PROPERTIES = ['glossiness', 'roughness', 'reflectivity'];
 
@@ -48,6 +78,159 @@ export var THREE_INVERSE_PROPERTIES = {
 // Name of special text primitive
 export var TEXT_PRIMITIVE = "TextHelper";
 
+// Text drawn from a signed distance field atlas of the glyphs of a font
+export var TEXT_DEFAULTS = {
+    // Height of a line of text in world units
+    SIZE: 4,
+    // Height in pixels of a line of text in the atlas
+    GLYPH_SIZE: 32,
+    // Distance in pixels around the glyphs that is stored in the atlas
+    SPREAD: 4,
+    // Width in pixels of the atlas
+    ATLAS_WIDTH: 1024,
+    // Number of segments that approximate each curve of a glyph outline
+    CURVE_DIVISIONS: 6,
+    // Rows of the atlas kept for characters that are not in the font
+    ATLAS_SPARE_ROWS: 8,
+    // CSS font family of characters that are not in the font, which are drawn with a canvas
+    FALLBACK_FONT: 'Helvetica, Arial, sans-serif'
+};
+
+// Ways to align text horizontally and vertically to its origin
+export var TEXT_ALIGN = ['left', 'center', 'right'];
+export var TEXT_VERTICAL_ALIGN = ['top', 'middle', 'baseline', 'bottom'];
+
+// Annotations are dimensions and leaders, made of lines, arrowheads and text
+export var ANNOTATION_PRIMITIVES = ['linearDimension', 'alignedDimension', 'radialDimension',
+    'angularDimension', 'leader'];
+
+// Layer of annotations, so they can be shown or hidden by the layers of a camera
+export var ANNOTATION_LAYER = 1;
+
+// Sizes of the parts of annotations
+export var ANNOTATION_DEFAULTS = {
+    // Height of the text as a fraction of the size of the annotation, when not given
+    TEXT_SCALE: 0.1,
+    // Length of an arrowhead as a multiple of the text height, when not given
+    ARROW_SCALE: 0.8,
+    // Half width of an arrowhead as a fraction of its length
+    ARROW_WIDTH: 0.3,
+    // Distances as multiples of the text height, from the dimension line to the text,
+    // from the measured point to its extension line and past the dimension line
+    TEXT_GAP: 0.3,
+    EXTENSION_GAP: 0.3,
+    EXTENSION: 0.5,
+    // Offset of the dimension line from the measured points as a multiple of the text height
+    OFFSET: 2,
+    // Number of decimals of measurements
+    PRECISION: 2
+};
+
+// Units of lengths, with the number of meters in each, the symbol shown after
+// measurements and other names that are accepted
+export var DEFAULT_UNITS = 'meters';
+export var LENGTH_UNITS = {
+    millimeters: {scale: 0.001, symbol: 'mm', aliases: ['millimeter']},
+    centimeters: {scale: 0.01, symbol: 'cm', aliases: ['centimeter']},
+    meters: {scale: 1, symbol: 'm', aliases: ['meter']},
+    kilometers: {scale: 1000, symbol: 'km', aliases: ['kilometer']},
+    inches: {scale: 0.0254, symbol: 'in', aliases: ['inch']},
+    feet: {scale: 0.3048, symbol: 'ft', aliases: ['foot']},
+    yards: {scale: 0.9144, symbol: 'yd', aliases: ['yard']},
+    miles: {scale: 1609.344, symbol: 'mi', aliases: ['mile']}
+};
+
+// Properties of each primitive that are lengths, converted to the units of a scene.
+// Matrices are row major and only their translation is converted.
+export var LENGTH_PROPERTIES = {
+    point: ['point'],
+    plane: ['origin'],
+    line: ['start', 'end'],
+    polyline: ['points'],
+    circle: ['origin', 'radius'],
+    ellipse: ['origin', 'majorRadius', 'minorRadius'],
+    curve: ['controlPoints'],
+    arc: ['start', 'middle', 'end'],
+    rectangle: ['origin', 'dimensions'],
+    surface: ['controlPoints'],
+    block: ['origin', 'dimensions'],
+    sphere: ['origin', 'radius'],
+    cylinder: ['origin', 'radius', 'height'],
+    cone: ['origin', 'radius', 'topRadius', 'height'],
+    torus: ['origin', 'majorRadius', 'minorRadius'],
+    capsule: ['origin', 'radius', 'height'],
+    mesh: ['vertices'],
+    text: ['origin', 'size'],
+    instance: ['matrix'],
+    group: ['matrix'],
+    camera: ['nearClip', 'farClip'],
+    linearDimension: ['start', 'end', 'offset', 'textSize', 'arrowSize'],
+    alignedDimension: ['start', 'end', 'offset', 'textSize', 'arrowSize'],
+    radialDimension: ['center', 'point', 'textSize', 'arrowSize'],
+    angularDimension: ['center', 'start', 'end', 'radius', 'textSize', 'arrowSize'],
+    leader: ['points', 'textSize', 'arrowSize']
+};
+
+// Properties of each primitive that are positions, or lists of positions. Primitives
+// that are not listed, like breps and embedded files, have positions that can not be moved.
+export var POSITION_PROPERTIES = {
+    point: ['point'],
+    plane: ['origin'],
+    line: ['start', 'end'],
+    polyline: ['points'],
+    circle: ['origin'],
+    ellipse: ['origin'],
+    curve: ['controlPoints'],
+    arc: ['start', 'middle', 'end'],
+    rectangle: ['origin'],
+    surface: ['controlPoints'],
+    block: ['origin'],
+    sphere: ['origin'],
+    cylinder: ['origin'],
+    cone: ['origin'],
+    torus: ['origin'],
+    capsule: ['origin'],
+    mesh: ['vertices'],
+    text: ['origin'],
+    polycurve: [],
+    polysurface: [],
+    geometryList: [],
+    linearDimension: ['start', 'end'],
+    alignedDimension: ['start', 'end'],
+    radialDimension: ['center', 'point'],
+    angularDimension: ['center', 'start', 'end'],
+    leader: ['points']
+};
+
+// Material properties that are lengths. The linewidth is also a length when
+// lineWidthUnits is world.
+export var LENGTH_MATERIAL_PROPERTIES = ['size', 'pointSize', 'dashSize', 'gapSize'];
+
+// Properties of primitives that contain other entities, which have their own units
+export var CHILD_ENTITY_PROPERTIES = ['curves', 'surfaces', 'entities'];
+
+// Primitives whose vertices are inside their data, in a brep or an embedded file, so their
+// lengths are converted by scaling the vertices as they are read
+export var EMBEDDED_GEOMETRY_PRIMITIVES = ['brep', 'stl', 'obj', 'ply', 'off'];
+
+// Property of those entities with the transform of their vertices, see vertexTransform.js
+export var VERTEX_TRANSFORM_PROPERTY = '_vertexTransform';
+
+// Units of angles, with the number of radians in each
+export var ANGLE_UNITS = {
+    degrees: {scale: DEG_2_RAD, symbol: '°', aliases: ['degree', 'deg']},
+    radians: {scale: 1, symbol: 'rad', aliases: ['radian']}
+};
+
+// Primitives that are not created in a geometry worker, because text shares the texture of
+// the font atlas, which characters that are not in the font are added to with a canvas
+export var MAIN_THREAD_PRIMITIVES = ['text'].concat(ANNOTATION_PRIMITIVES);
+
+// Primitives that are created here but are not in the Flux entity schema, which prep would
+// remove. They are cleaned up, checked and converted to meters on their own, see nonSchemaPrep.js
+export var NON_SCHEMA_PRIMITIVES = ['cylinder', 'cone', 'torus', 'capsule', 'ply', 'off']
+    .concat(ANNOTATION_PRIMITIVES);
+
 // These are properties defined on three.js materials that are used to differentiate
 // them by the viewer's merging logic
 export var THREE_MATERIAL_PROPERTIES = [
@@ -116,3 +299,29 @@ export var CAMERA_DEFAULTS = {
         FAR: 1000
     }
 };
+
+// Values used for lights when the Flux JSON does not specify them
+export var LIGHT_DEFAULTS = {
+    COLOR: [1, 1, 1],
+    INTENSITY: 1.0,
+    CONE_ANGLE: 45 // degrees
+};
+
+// Minimum number of instances with the same geometry and material drawn by one instanced mesh
+export var MIN_INSTANCED_COUNT = 2;
+
+// Maximum number of tessellated breps kept by the default tessellation cache
+export var TESSELLATION_CACHE_SIZE = 200;
+
+// Milliseconds after a hit in the tessellation cache before the order of use is stored
+export var TESSELLATION_CACHE_SAVE_DELAY = 100;
+
+// Limits for splitting brep tessellation into separate requests
+export var TESSELLATION_BATCH_DEFAULTS = {
+    // Maximum number of breps per request
+    MAX_BREPS: 20,
+    // Maximum approximate size in bytes of the breps in one request
+    MAX_BYTES: 4000000,
+    // Maximum number of requests in progress at once
+    CONCURRENCY: 4
+};
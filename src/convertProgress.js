@@ -0,0 +1,63 @@
+/**
+ * Report partial results while a conversion is still waiting on asynchronous work.
+ */
+'use strict';
+
+/**
+ * Track how much of each asynchronous task in a conversion is complete.
+ * A task is anything that streams into the results after they are first reported,
+ * such as the breps of a geometry element, or a texture image.
+ * @param {Function} onProgress Callback with a SceneResults and the fraction complete, or null
+ * @constructor
+ */
+export default function ConvertProgress(onProgress) {
+    this._onProgress = onProgress;
+
+    // Map from task id to the fraction of it that is complete
+    this._fractions = {};
+}
+
+/**
+ * Set how much of a task is complete
+ * @param {String} task     Unique id of the task
+ * @param {Number} fraction Number from 0 to 1
+ */
+ConvertProgress.prototype.setFraction = function (task, fraction) {
+    this._fractions[task] = fraction;
+};
+
+/**
+ * Get how much of all the tasks is complete
+ * @return {Number} Number from 0 to 1
+ */
+ConvertProgress.prototype.getFraction = function () {
+    var tasks = Object.keys(this._fractions);
+    if (tasks.length === 0) return 1;
+    var sum = 0;
+    for (var i=0;i<tasks.length;i++) {
+        sum += this._fractions[tasks[i]];
+    }
+    return sum / tasks.length;
+};
+
+/**
+ * Call the progress callback with partial results.
+ * Nothing is reported once all the tasks are done, since the final results follow.
+ * @param  {SceneBuilderData} sceneBuilderData The results so far
+ */
+ConvertProgress.prototype.report = function (sceneBuilderData) {
+    var fraction = this.getFraction();
+    if (this._onProgress && fraction < 1) {
+        this._onProgress(sceneBuilderData.getResults(), fraction);
+    }
+};
+
+/**
+ * Call the progress callback with the final results
+ * @param  {SceneResults} results The completed conversion
+ */
+ConvertProgress.prototype.finish = function (results) {
+    if (this._onProgress) {
+        this._onProgress(results, 1);
+    }
+};
@@ -0,0 +1,159 @@
+/**
+ * Conversion of geometry from the coordinate frame of Flux to another axis convention.
+ */
+
+'use strict';
+
+import * as THREE from 'three';
+import * as constants from './constants.js';
+import FluxGeometryError from './geometryError.js';
+import * as wideLines from './lines/wideLines.js';
+
+// Axes that can be up, with an optional sign
+var AXIS_PATTERN = /^([+-]?)([xyz])$/;
+
+/**
+ * A coordinate frame that geometry is converted to from the frame of Flux.
+ *
+ * Flux is Z up and right handed. Another frame is given by the axis that is up, such as
+ * 'y' or '-z', and whether it is right or left handed. The x axis of Flux stays the
+ * x axis, or becomes the y axis when x is up, and the third axis is chosen for the
+ * handedness. For example Y up and right handed, like three.js and glTF, maps Flux
+ * x, y and z to x, -z and y.
+ *
+ * @param {String} up           The axis that is up, z by default
+ * @param {String} handedness   Whether the frame is right or left handed, right by default
+ * @throws FluxGeometryError if the axis or handedness are not known
+ */
+export default function CoordinateFrame(up, handedness) {
+    var match = AXIS_PATTERN.exec(String(up || constants.FLUX_UP_AXIS).toLowerCase());
+    if (!match) {
+        throw new FluxGeometryError('Unknown up axis "' + up + '"');
+    }
+    handedness = handedness || constants.HANDEDNESS[0];
+    if (constants.HANDEDNESS.indexOf(handedness) === -1) {
+        throw new FluxGeometryError('Unknown handedness "' + handedness + '"');
+    }
+    this.up = new THREE.Vector3();
+    this.up[match[2]] = match[1] === '-' ? -1 : 1;
+    var right = match[2] === 'x' ? new THREE.Vector3(0, 1, 0) : new THREE.Vector3(1, 0, 0);
+    var forward = new THREE.Vector3().crossVectors(this.up, right);
+    if (handedness !== constants.HANDEDNESS[0]) {
+        forward.negate();
+    }
+    // The columns are where the axes of Flux go
+    this.matrix = new THREE.Matrix4().makeBasis(right, forward, this.up);
+    this.inverse = new THREE.Matrix4().getInverse(this.matrix);
+    this.isIdentity = this.matrix.equals(new THREE.Matrix4());
+    // A mirrored frame turns triangles over, so their vertices are put back in order
+    this.flipsWinding = this.matrix.determinant() < 0;
+}
+
+/**
+ * Convert a transform of Flux to this frame
+ * @param  {THREE.Matrix4} matrix   The transform (modified)
+ * @return {THREE.Matrix4}          The transform
+ */
+CoordinateFrame.prototype.convertMatrix = function (matrix) {
+    if (this.isIdentity) return matrix;
+    return matrix.premultiply(this.matrix).multiply(this.inverse);
+};
+
+/**
+ * Convert an object built in the frame of Flux and all its descendants to this frame.
+ * The geometry is transformed, including positions, normals and the neighbors of wide
+ * lines, and the transforms are converted so the objects keep their relative places.
+ * @param  {THREE.Object3D} object  The object (modified)
+ */
+CoordinateFrame.prototype.convertObject = function (object) {
+    if (this.isIdentity) return;
+    var geometries = [];
+    var _this = this;
+    object.traverse(function (child) {
+        if (child.matrixAutoUpdate) {
+            child.updateMatrix();
+            _this.convertMatrix(child.matrix);
+            child.matrix.decompose(child.position, child.quaternion, child.scale);
+        } else {
+            _this.convertMatrix(child.matrix);
+        }
+        // Shared geometry is only converted once
+        if (child.geometry && geometries.indexOf(child.geometry) === -1) {
+            geometries.push(child.geometry);
+            _this._convertGeometry(child);
+        }
+    });
+};
+
+/**
+ * Convert the geometry of an object to this frame
+ * @param  {THREE.Object3D} object  The object with geometry (modified)
+ */
+CoordinateFrame.prototype._convertGeometry = function (object) {
+    var geometry = object.geometry;
+    geometry.applyMatrix(this.matrix);
+    wideLines.applyMatrix(geometry, this.matrix);
+    var octree = object.userData.octree;
+    if (octree) {
+        octree.center = new THREE.Vector3().fromArray(octree.center).applyMatrix4(this.matrix).toArray();
+    }
+    if (this.flipsWinding && object instanceof THREE.Mesh) {
+        _flipWinding(geometry);
+    }
+};
+
+/**
+ * Turn a camera or light of Flux to this frame.
+ * Cameras and lights look down their own negative z axis and have no geometry, so they
+ * are rotated into the frame instead.
+ * @param  {THREE.Object3D} object  The camera or light (modified)
+ */
+CoordinateFrame.prototype.placeObject = function (object) {
+    if (this.isIdentity) return;
+    object.matrix.copy(this.matrix);
+    object.matrix.decompose(object.position, object.quaternion, object.scale);
+};
+
+/**
+ * Reverse the order of the vertices of the triangles of a geometry
+ * @param  {THREE.Geometry|THREE.BufferGeometry} geometry   The geometry (modified)
+ */
+function _flipWinding(geometry) {
+    var i;
+    if (geometry instanceof THREE.Geometry) {
+        for (i=0;i<geometry.faces.length;i++) {
+            var face = geometry.faces[i];
+            var b = face.b;
+            face.b = face.c;
+            face.c = b;
+        }
+        geometry.elementsNeedUpdate = true;
+        return;
+    }
+    if (geometry.index) {
+        _swapItems(geometry.index.array, 1);
+        geometry.index.needsUpdate = true;
+        return;
+    }
+    for (var name in geometry.attributes) {
+        var attribute = geometry.attributes[name];
+        _swapItems(attribute.array, attribute.itemSize);
+        attribute.needsUpdate = true;
+    }
+}
+
+/**
+ * Swap the second and third items of each triangle in an array
+ * @param  {TypedArray} array   The items (modified)
+ * @param  {Number} itemSize    The number of values in an item
+ */
+function _swapItems(array, itemSize) {
+    var triangleSize = itemSize * 3;
+    for (var i=0;i+triangleSize<=array.length;i+=triangleSize) {
+        for (var k=0;k<itemSize;k++) {
+            var value = array[i + itemSize + k];
+            array[i + itemSize + k] = array[i + 2 * itemSize + k];
+            array[i + 2 * itemSize + k] = value;
+        }
+    }
+}
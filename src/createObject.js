@@ -10,6 +10,8 @@ import * as constants from './constants.js';
 import GeometryResults from './geometryResults.js';
 import FluxGeometryError from './geometryError.js';
 import * as bufferUtils from './utils/bufferGeometryUtils.js';
+import * as wideLines from './lines/wideLines.js';
+import * as curveTolerance from './utils/curveTolerance.js';
 import {scene} from 'flux-modelingjs';
 var StatusMap = scene.StatusMap;
 
@@ -23,8 +25,10 @@ var StatusMap = scene.StatusMap;
  * @param {Object}  data        Parasolid Data from the flux json representation
  * @param {Object}  geomResult  Object containing properties for categorizing primitives
  * @param {Boolean} allowMerge  Whether to allow merging meshes
+ * @param {Object}  tolerance   Settings for tessellating curves from curveTolerance.resolveTolerance,
+ *                              defaults to settings resolved for the data
  */
-export function createObject (data, geomResult, allowMerge) {
+export function createObject (data, geomResult, allowMerge, tolerance) {
     if (!geomResult || geomResult.constructor !== GeometryResults) {
         throw new Error('Second argument must have class GeometryResults');
     }
@@ -35,7 +39,7 @@ export function createObject (data, geomResult, allowMerge) {
 
     if (data && Object.keys(data).length > 0) {
         _flattenData(data, geomResult);
-        _createObject(geomResult, allowMerge);
+        _createObject(geomResult, allowMerge, tolerance || curveTolerance.resolveTolerance(null, data));
     }
 }
 
@@ -81,12 +85,13 @@ function _flattenData(data, geomResult) {
  * Create the objects for each geometry type.
  * @param {GeometryResult} geomResult The results container
  * @param {Boolean} allowMerge  Whether to allow merging meshes
+ * @param {Object} tolerance    Settings for tessellating curves
  * @private
  */
-function _createObject (geomResult, allowMerge) {
+function _createObject (geomResult, allowMerge, tolerance) {
     _handlePoints(geomResult);
-    _handleLines(geomResult);
-    _handleSurfaces(geomResult, allowMerge);
+    _handleLines(geomResult, allowMerge, tolerance);
+    _handleSurfaces(geomResult, allowMerge, tolerance);
 }
 
 /**
@@ -102,25 +107,29 @@ function _handlePoints(geomResult) {
 
 /**
  * Create all the lines primitives.
+ * Only wide lines can merge, since they are meshes.
  * @param {GeometryResult} geomResult The results container
+ * @param {Boolean} allowMerge  Whether to allow merging wide lines
+ * @param {Object} tolerance    Settings for tessellating curves
  * @private
  */
-function _handleLines(geomResult) {
+function _handleLines(geomResult, allowMerge, tolerance) {
     var prims = geomResult.linePrims;
     if (prims.length === 0) return;
-    _handlePrimitives(prims, geomResult);
+    _handlePrimitives(prims, geomResult, allowMerge, tolerance);
 }
 
 /**
  * Create all geometry that will be surface shaded.
  * @param {GeometryResult} geomResult The results container
  * @param {Boolean} allowMerge  Whether to allow merging meshes
+ * @param {Object} tolerance    Settings for tessellating curves
  * @private
  */
-function _handleSurfaces(geomResult, allowMerge) {
+function _handleSurfaces(geomResult, allowMerge, tolerance) {
     var prims = geomResult.surfacePrims;
     if (prims.length === 0) return;
-    _handlePrimitives(prims, geomResult, allowMerge);
+    _handlePrimitives(prims, geomResult, allowMerge, tolerance);
 }
 
 /**
@@ -137,15 +146,16 @@ function _handleSurfaces(geomResult, allowMerge) {
  * @param {Array.<Object>} prims Array of Flux JSON primitive data
  * @param {GeometryResult} geomResult The results container
  * @param {Boolean} allowMerge  Whether to allow merging meshes
+ * @param {Object} tolerance    Settings for tessellating curves
  */
-function _handlePrimitives(prims, geomResult, allowMerge) {
+function _handlePrimitives(prims, geomResult, allowMerge, tolerance) {
     var primMeshes = [];
     var i;
     var mesh;
 
     // create
     for (i=0;i<prims.length;i++) {
-        mesh = _tryCreatePrimitive( prims[i], geomResult);
+        mesh = _tryCreatePrimitive( prims[i], geomResult, tolerance);
         if (mesh) {
             primMeshes.push(mesh);
         }
@@ -178,14 +188,20 @@ function _handlePrimitives(prims, geomResult, allowMerge) {
  * Call create primitive and handle errors due to bad inputs
  * @param {Object} data Primitive properties
  * @param {GeometryResults} geomResult The results object for shared data
+ * @param {Object} tolerance Settings for tessellating curves
  * @returns {THREE.Object3D} The created primitive or falsey
  * @private
  */
-function _tryCreatePrimitive(data, geomResult) {
+function _tryCreatePrimitive(data, geomResult, tolerance) {
     var mesh;
     var errorMessage = StatusMap.NO_ERROR;
     try {
-        mesh = createPrimitive.createPrimitive(data);
+        mesh = createPrimitive.createPrimitive(data, tolerance);
+        // Primitives can report problems with parts of the input they skipped
+        if (mesh && mesh.userData.error) {
+            errorMessage = mesh.userData.error;
+            delete mesh.userData.error;
+        }
     }
     catch(err) {
         if (err.name !== 'FluxGeometryError' && err.name !== 'FluxModelingError') {
@@ -273,8 +289,21 @@ function _maybeMergeModels ( meshes, geomResult ) {
         // Apply the mesh transform to get verts from mesh in world space
         matXform.multiply(mesh.matrixWorld);
         mesh.geometry.applyMatrix(matXform);
+        wideLines.applyMatrix(mesh.geometry, matXform);
     }
     var mergedMesh = bufferUtils.mergeBufferGeom(meshes);
+    // Keep where each merged mesh is, so its primitive can still be picked, hidden and colored
+    var start = 0;
+    baseMesh.userData.mergedRanges = meshes.map(function (mesh) {
+        var count = mesh.geometry.attributes.position.count;
+        var range = {id: mesh.userData.id, start: start, count: count};
+        start += count;
+        return range;
+    });
     baseMesh.geometry = mergedMesh;
+    // Keep the data of every merged mesh, since userData.data only describes the first
+    baseMesh.userData.mergedData = meshes.map(function (mesh) {
+        return mesh.userData.data;
+    });
     geomResult.object.add(baseMesh);
 }
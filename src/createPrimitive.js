@@ -9,8 +9,11 @@ import * as wirePrimitives from './primitives/wirePrimitives.js';
 import * as sheetPrimitives from './primitives/sheetPrimitives.js';
 import * as solidPrimitives from './primitives/solidPrimitives.js';
 import * as otherPrimitives from './primitives/primitives.js';
+import * as annotationPrimitives from './primitives/annotationPrimitives.js';
 import * as constants from './constants.js';
 import * as materials from './utils/materials.js';
+import * as pointCloud from './points/pointCloud.js';
+import * as wideLines from './lines/wideLines.js';
 import FluxGeometryError from './geometryError.js';
 
 // Map from primitive name to material type
@@ -45,6 +48,10 @@ function _makePrimMaps() {
         _primToMaterial[key] = constants.MATERIAL_TYPES.SURFACE;
         _primToFunc[key] = otherPrimitives[key];
     }
+    for (key in annotationPrimitives) {
+        _primToMaterial[key] = constants.MATERIAL_TYPES.LINE;
+        _primToFunc[key] = annotationPrimitives[key];
+    }
 }
 
 /**
@@ -72,36 +79,34 @@ var IN    = new THREE.Vector3(0, 1, 0);
 var UP    = new THREE.Vector3(0, 0, 1);
 
 /**
- * Get the point size from a given entity
- * @param {Array} prims Array of point data
- * @returns {Number} Point size
- * @private
+ * Create the point cloud mesh for all the input primitives
+ * @param {Object}          prims       List of point primitive objects
+ * @param {GeometryResults} geomResult  Results object for errors and geometry
  */
-function _getPointSize(prims) {
-    var size = constants.DEFAULT_MATERIAL_PROPERTIES.point.pointSize;
-    // Just use the first point for now, can't set size per point.
-    var prim = prims[0];
-    if (!prim) return;
-    var materialProperties = prim.materialProperties || (prim.attributes && prim.attributes.materialProperties);
-    var legacyName = constants.LEGACY_POINT_PROPERTIES.pointSize;
-    if (materialProperties && (materialProperties[legacyName] != null || materialProperties.pointSize != null)) {
-        if (materialProperties.pointSize != null) {
-            size = materialProperties.pointSize;
-        } else {
-            size = materialProperties[legacyName];
-        }
+export function createPoints (prims, geomResult) {
+    // Points with different shapes need different materials
+    var shapes = {};
+    for (var i=0;i<prims.length;i++) {
+        var shape = pointCloud.getPointShape(prims[i]);
+        (shapes[shape] = shapes[shape] || []).push(prims[i]);
     }
-    return size;
+    for (shape in shapes) {
+        geomResult.object.add(_createPointCloud(shapes[shape], shape));
+    }
+    geomResult.primStatus.appendValid('point');
 }
 
 /**
- * Create the point cloud mesh for all the input primitives
- * @param {Object}          prims       List of point primitive objects
- * @param {GeometryResults} geomResult  Results object for errors and geometry
+ * Create a point cloud for point entities with the same shape
+ * @param {Array} prims The point entities
+ * @param {String} shape The shape of the points
+ * @returns {THREE.Object3D} The point cloud
  */
-export function createPoints (prims, geomResult) {
+function _createPointCloud(prims, shape) {
     var positions = new Float32Array(prims.length*3);
     var colors = new Float32Array(prims.length*3);
+    var sizes = new Float32Array(prims.length);
+    var ids = [];
     for (var i=0;i<prims.length;i++) {
         var prim = prims[i];
         positions[i*3] = prim.point[0];
@@ -112,36 +117,16 @@ export function createPoints (prims, geomResult) {
         colors[i*3] = color.r;
         colors[i*3+1] = color.g;
         colors[i*3+2] = color.b;
+        sizes[i] = pointCloud.getPointSize(prim);
+        ids.push(prim.id);
     }
     var geometry = new THREE.BufferGeometry();
 
     geometry.addAttribute( 'position', new THREE.BufferAttribute( positions, 3 ) );
     geometry.addAttribute( 'color', new THREE.BufferAttribute( colors, 3 ) );
+    geometry.addAttribute( 'size', new THREE.BufferAttribute( sizes, 1 ) );
 
-    // First create a point cloud with world space size
-    var materialProperties = {
-        size: _getPointSize(prims),// user can set world space size
-        sizeAttenuation: true,
-        vertexColors: THREE.VertexColors
-    };
-    var material = new THREE.PointsMaterial(materialProperties);
-    var mesh = new THREE.Points( geometry, material );
-
-    // Second create a point cloud with pixel size, to ensure they always render at least a few pixels
-    var materialProperties2 = {
-        size: constants.POINT_PIXEL_SIZE, //pixels
-        sizeAttenuation: false,
-        vertexColors: THREE.VertexColors
-    };
-    var material2 = new THREE.PointsMaterial(materialProperties2);
-    var mesh2 = new THREE.Points( geometry, material2 );
-
-    var obj = new THREE.Object3D();
-    obj.add(mesh);
-    obj.add(mesh2);
-
-    geomResult.primStatus.appendValid('point');
-    geomResult.object.add(obj);
+    return pointCloud.createPointCloud(geometry, {shape: shape, ids: ids});
 }
 
 /**
@@ -152,8 +137,9 @@ export function createPoints (prims, geomResult) {
  * @throws FluxGeometryError if unsupported geometry is found
  *
  * @param { Object } data The data to create the object with
+ * @param { Object } tolerance Settings for tessellating curves from curveTolerance.resolveTolerance
  */
-export function createPrimitive (data) {
+export function createPrimitive (data, tolerance) {
     var materialType = resolveMaterialType(data.primitive);
     var materialProperties = _findMaterialProperties(data);
     var material = materials.create(materialType, materialProperties);
@@ -161,10 +147,14 @@ export function createPrimitive (data) {
     var primFunction = _resolvePrimFunc(data.primitive);
     if (!primFunction) return;
 
-    var mesh = primFunction(data, material);
+    var mesh = primFunction(data, material, tolerance);
 
     if ( mesh ) {
-        return cleanupMesh(mesh, data, materialProperties);
+        mesh = cleanupMesh(mesh, data, materialProperties);
+        if (materialType === constants.MATERIAL_TYPES.LINE && wideLines.isWideLine(materialProperties)) {
+            mesh = wideLines.createWideLines(mesh, materialProperties);
+        }
+        return mesh;
     }
 
     throw new FluxGeometryError('Unsupported geometry type: ' + data.primitive);
@@ -235,16 +225,15 @@ function _moveMaterialColorToGeom(mesh) {
  * @returns {THREE.Mesh} The processed mesh
  */
 export function cleanupMesh(mesh, data) {
-    // Text helper is ignored, due to it's own special materials.
-    if (mesh.type !== constants.TEXT_PRIMITIVE) {
-        // Convert all geometry in the object tree
-        mesh.traverse(function (child) {
-            // Only convert the color for objects with material and no per vertex color
-            if (child.material && !data.color) {
-                _moveMaterialColorToGeom(child);
-            }
-        });
-    }
+    // Convert all geometry in the object tree
+    mesh.traverse(function (child) {
+        // Text helpers are ignored, due to their own special materials.
+        if (child.type === constants.TEXT_PRIMITIVE) return;
+        // Only convert the color for objects with material and no per vertex color
+        if (child.material && !data.color && !(child.geometry && child.geometry.hasColors)) {
+            _moveMaterialColorToGeom(child);
+        }
+    });
 
     if (!data) {
         return;
@@ -0,0 +1,779 @@
+/**
+ * Write the three.js objects produced by SceneBuilder as glTF 2.0.
+ */
+'use strict';
+
+import * as THREE from 'three';
+import {scene} from 'flux-modelingjs';
+import * as constants from '../constants.js';
+import * as compatibility from '../compatibility.js';
+import { getLineSegments } from '../lines/wideLines.js';
+import { isLineMaterial } from '../lines/lineMaterial.js';
+import { isInstancedMesh, getInstanceMeshes } from '../instances/instancedMesh.js';
+
+// WebGL enums used by glTF
+var GL = {
+    POINTS: 0,
+    LINES: 1,
+    LINE_STRIP: 3,
+    TRIANGLES: 4,
+    UNSIGNED_SHORT: 5123,
+    UNSIGNED_INT: 5125,
+    FLOAT: 5126,
+    ARRAY_BUFFER: 34962,
+    ELEMENT_ARRAY_BUFFER: 34963,
+    REPEAT: 10497,
+    CLAMP_TO_EDGE: 33071,
+    MIRRORED_REPEAT: 33648
+};
+
+// Accessor type for each number of components
+var ACCESSOR_TYPES = {
+    1: 'SCALAR',
+    2: 'VEC2',
+    3: 'VEC3',
+    4: 'VEC4'
+};
+
+// glTF attribute names for three.js buffer attributes
+var ATTRIBUTE_NAMES = {
+    position: 'POSITION',
+    normal: 'NORMAL',
+    color: 'COLOR_0',
+    uv: 'TEXCOORD_0'
+};
+
+// GLB container constants
+var GLB_MAGIC = 0x46546C67;
+var GLB_VERSION = 2;
+var GLB_CHUNK_JSON = 0x4E4F534A;
+var GLB_CHUNK_BIN = 0x004E4942;
+
+/**
+ * Export the results of a conversion to glTF.
+ *
+ * The node hierarchy of layers, groups and instances is kept, and each node stores
+ * the id and primitive of its scene element in extras. glTF node matrices can not have
+ * shear, so a node whose matrix has shear only keeps its translation, and the rest of the
+ * matrix is baked into copies of the geometry below it. Meshes, lines and points share accessors
+ * when they share geometry, and cameras and lights are exported as well. Copies drawn
+ * by instanced meshes are written as meshes of the nodes of their instances.
+ * Text is written as a quad per glyph in the color of the text, without the texture of
+ * the font atlas, since the atlas stores distances to the outlines of the glyphs rather
+ * than colors. To keep the text itself, export the scene with ThreeToFlux instead.
+ *
+ * Options:
+ * binary - When true the result is a GLB file in an ArrayBuffer.
+ * bufferUri - Name of the binary buffer file referenced by the JSON, default 'scene.bin'.
+ * embedBuffer - When true the binary buffer is written into the JSON as a data uri.
+ *
+ * @param  {SceneResults} sceneResults  The converted scene
+ * @param  {Object} options             Optional settings for the export
+ * @return {Object}                     The glTF JSON and buffer as {json, buffer},
+ *                                      or an ArrayBuffer for binary export
+ */
+export function toGLTF(sceneResults, options) {
+    var opts = options || {};
+    var writer = new GLTFWriter(!!opts.binary);
+    var root = sceneResults.getObject();
+    var sceneNodes = [];
+    if (root) {
+        root.updateMatrixWorld(true);
+        writer.instanceMeshes = getInstanceMeshes(root);
+        sceneNodes.push(writer.addNode(root));
+    }
+    writer.json.scenes = [{nodes: sceneNodes}];
+    var buffer = writer.getBuffer();
+    if (buffer.byteLength > 0) {
+        var bufferJson = {byteLength: buffer.byteLength};
+        if (!opts.binary) {
+            bufferJson.uri = opts.embedBuffer ?
+                'data:application/octet-stream;base64,' + compatibility.encodeBase64(new Uint8Array(buffer)) :
+                opts.bufferUri || 'scene.bin';
+        }
+        writer.json.buffers = [bufferJson];
+    }
+    writer.removeEmpty();
+    if (opts.binary) {
+        return _writeGLB(writer.json, buffer);
+    }
+    return {
+        json: writer.json,
+        buffer: buffer
+    };
+}
+
+/**
+ * State of a single export
+ * @param {Boolean} binary Whether images can be stored in the binary buffer
+ * @constructor
+ */
+function GLTFWriter(binary) {
+    this.json = {
+        asset: {
+            version: '2.0',
+            generator: 'flux-json-to-three'
+        },
+        scene: 0,
+        scenes: [],
+        nodes: [],
+        meshes: [],
+        materials: [],
+        accessors: [],
+        bufferViews: [],
+        textures: [],
+        images: [],
+        samplers: [],
+        cameras: [],
+        extensionsUsed: []
+    };
+    this._binary = binary;
+
+    // Binary data for each buffer view, and the total length so far
+    this._chunks = [];
+    this._byteLength = 0;
+
+    // Maps from three.js uuid to glTF index, so shared objects are written once
+    this._accessorCache = {};
+    this._materialCache = {};
+    this._meshCache = {};
+    this._textureCache = {};
+
+    // Lights for the KHR_lights_punctual extension
+    this._lights = [];
+
+    // Map from instance id to the meshes of the copies that instanced meshes draw
+    this.instanceMeshes = {};
+}
+
+/**
+ * Add a node for an object and its descendants
+ * @param  {THREE.Object3D} object  The object to add
+ * @param  {THREE.Matrix4} baked    Optional transform of its ancestors that was not written
+ *                                  to their nodes, which is applied before its own
+ * @return {Number}                 Index of the node
+ */
+GLTFWriter.prototype.addNode = function (object, baked) {
+    var node = {};
+    if (object.name) {
+        node.name = object.name;
+    }
+    if (object.matrixAutoUpdate) {
+        object.updateMatrix();
+    }
+    var matrix = baked ? new THREE.Matrix4().multiplyMatrices(baked, object.matrix) : object.matrix;
+    var childBaked = null;
+    if (!_isDecomposable(matrix)) {
+        if (object instanceof THREE.Camera || object instanceof THREE.Light) {
+            // There is no geometry to bake into, so the shear is dropped
+            var position = new THREE.Vector3();
+            var quaternion = new THREE.Quaternion();
+            var scale = new THREE.Vector3();
+            matrix.decompose(position, quaternion, scale);
+            matrix = new THREE.Matrix4().compose(position, quaternion, scale);
+        } else {
+            childBaked = matrix.clone().setPosition(new THREE.Vector3());
+            matrix = new THREE.Matrix4().copyPosition(matrix);
+        }
+    }
+    if (!_isIdentity(matrix)) {
+        node.matrix = Array.prototype.slice.call(matrix.elements);
+    }
+    if (object.userData.id != null) {
+        node.extras = {
+            id: object.userData.id,
+            primitive: object.userData.primitive
+        };
+    }
+    if (object.visible === false) {
+        node.extras = node.extras || {};
+        node.extras.visible = false;
+    }
+    var mesh = this._addMesh(object, childBaked);
+    if (mesh != null) {
+        node.mesh = mesh;
+    }
+    if (object instanceof THREE.Camera) {
+        node.camera = this._addCamera(object);
+    }
+    if (object instanceof THREE.Light) {
+        var light = this._addLight(object);
+        if (light != null) {
+            node.extensions = {KHR_lights_punctual: {light: light}};
+        }
+    }
+    var index = this.json.nodes.length;
+    this.json.nodes.push(node);
+    var children = [];
+    var objects = object.children;
+    if (object.userData.primitive === scene.SCENE_PRIMITIVES.instance &&
+        this.instanceMeshes[object.userData.id]) {
+        objects = objects.concat(this.instanceMeshes[object.userData.id]);
+    }
+    for (var i=0;i<objects.length;i++) {
+        var child = objects[i];
+        // Light targets only store a direction, which glTF lights have built in,
+        // and the copies of instanced meshes are written with their instances
+        if (object.target === child || isInstancedMesh(child)) continue;
+        children.push(this.addNode(child, childBaked));
+    }
+    if (children.length > 0) {
+        node.children = children;
+    }
+    return index;
+};
+
+/**
+ * Add the geometry and material of a renderable object
+ * @param  {THREE.Object3D} object The object
+ * @param  {THREE.Matrix4} baked   Optional transform to apply to a copy of the geometry
+ * @return {Number}                Index of the mesh, or null when it does not render
+ */
+GLTFWriter.prototype._addMesh = function (object, baked) {
+    var mode = _getMode(object);
+    if (mode == null || object.geometry == null) {
+        return null;
+    }
+    var material = object.material;
+    var key = object.geometry.uuid + ':' + (material ? material.uuid : '') + ':' + mode +
+        (baked ? ':' + baked.elements.join(',') : '');
+    if (this._meshCache[key] != null) {
+        return this._meshCache[key];
+    }
+    var geometry = object.geometry;
+    var keyPrefix = object.geometry.uuid;
+    var useColors = material != null && material.vertexColors !== THREE.NoColors;
+    if (!(geometry instanceof THREE.BufferGeometry)) {
+        geometry = new THREE.BufferGeometry().setFromObject(object);
+    } else if (mode === GL.LINES && isLineMaterial(material)) {
+        // Wide lines are written as the lines they were made from, which have their colors
+        geometry = getLineSegments(geometry);
+        keyPrefix += 'lines';
+        useColors = true;
+    }
+    if (baked) {
+        geometry = _bakeGeometry(geometry, baked, mode);
+        keyPrefix = geometry.uuid;
+    }
+    var attributes = {};
+    for (var name in ATTRIBUTE_NAMES) {
+        var attribute = geometry.attributes[name];
+        if (attribute == null || attribute.count === 0) continue;
+        if (name === 'color' && !useColors) continue;
+        attributes[ATTRIBUTE_NAMES[name]] = this._addAttribute(keyPrefix + name, attribute,
+            name === 'position', name === 'uv');
+    }
+    if (attributes.POSITION == null) {
+        return null;
+    }
+    var primitive = {
+        attributes: attributes,
+        mode: mode
+    };
+    if (geometry.index) {
+        primitive.indices = this._addIndices(keyPrefix + 'index', geometry.index);
+    }
+    if (material) {
+        primitive.material = this._addMaterial(material);
+    }
+    var index = this.json.meshes.length;
+    this.json.meshes.push({primitives: [primitive]});
+    this._meshCache[key] = index;
+    return index;
+};
+
+/**
+ * Write a vertex attribute to the buffer
+ * @param  {String} key                     Unique key for caching
+ * @param  {THREE.BufferAttribute} attribute The data
+ * @param  {Boolean} bounds                 Whether to write the min and max, required for positions
+ * @param  {Boolean} flipV                  Whether to convert texture coordinates to a top left origin
+ * @return {Number}                         Index of the accessor
+ */
+GLTFWriter.prototype._addAttribute = function (key, attribute, bounds, flipV) {
+    if (this._accessorCache[key] != null) {
+        return this._accessorCache[key];
+    }
+    var itemSize = attribute.itemSize;
+    var count = attribute.count;
+    var array = new Float32Array(count * itemSize);
+    var min = [];
+    var max = [];
+    for (var c=0;c<itemSize;c++) {
+        min.push(Infinity);
+        max.push(-Infinity);
+    }
+    for (var i=0;i<count;i++) {
+        for (c=0;c<itemSize;c++) {
+            var value = attribute.array[i * itemSize + c];
+            if (flipV && c === 1) {
+                value = 1 - value;
+            }
+            array[i * itemSize + c] = value;
+            min[c] = Math.min(min[c], value);
+            max[c] = Math.max(max[c], value);
+        }
+    }
+    var accessor = {
+        bufferView: this._addBufferView(array.buffer, GL.ARRAY_BUFFER),
+        componentType: GL.FLOAT,
+        count: count,
+        type: ACCESSOR_TYPES[itemSize]
+    };
+    if (bounds) {
+        accessor.min = min;
+        accessor.max = max;
+    }
+    var index = this.json.accessors.length;
+    this.json.accessors.push(accessor);
+    this._accessorCache[key] = index;
+    return index;
+};
+
+/**
+ * Write triangle or line indices to the buffer
+ * @param  {String} key                     Unique key for caching
+ * @param  {THREE.BufferAttribute} attribute The index data
+ * @return {Number}                         Index of the accessor
+ */
+GLTFWriter.prototype._addIndices = function (key, attribute) {
+    if (this._accessorCache[key] != null) {
+        return this._accessorCache[key];
+    }
+    var large = false;
+    for (var i=0;i<attribute.count;i++) {
+        large = large || attribute.array[i] > 65535;
+    }
+    var array = large ? new Uint32Array(attribute.array) : new Uint16Array(attribute.array);
+    var index = this.json.accessors.length;
+    this.json.accessors.push({
+        bufferView: this._addBufferView(array.buffer, GL.ELEMENT_ARRAY_BUFFER),
+        componentType: large ? GL.UNSIGNED_INT : GL.UNSIGNED_SHORT,
+        count: attribute.count,
+        type: 'SCALAR'
+    });
+    this._accessorCache[key] = index;
+    return index;
+};
+
+/**
+ * Append data to the binary buffer, aligned to 4 bytes
+ * @param  {ArrayBuffer} data The data
+ * @param  {Number} target    The type of data for vertex attributes and indices, otherwise null
+ * @return {Number}           Index of the buffer view
+ */
+GLTFWriter.prototype._addBufferView = function (data, target) {
+    var view = {
+        buffer: 0,
+        byteOffset: this._byteLength,
+        byteLength: data.byteLength
+    };
+    if (target != null) {
+        view.target = target;
+    }
+    var padding = (4 - data.byteLength % 4) % 4;
+    this._chunks.push(data);
+    if (padding > 0) {
+        this._chunks.push(new ArrayBuffer(padding));
+    }
+    this._byteLength += data.byteLength + padding;
+    var index = this.json.bufferViews.length;
+    this.json.bufferViews.push(view);
+    return index;
+};
+
+/**
+ * Join all the data into a single buffer
+ * @return {ArrayBuffer} The binary buffer
+ */
+GLTFWriter.prototype.getBuffer = function () {
+    var bytes = new Uint8Array(this._byteLength);
+    var offset = 0;
+    for (var i=0;i<this._chunks.length;i++) {
+        bytes.set(new Uint8Array(this._chunks[i]), offset);
+        offset += this._chunks[i].byteLength;
+    }
+    return bytes.buffer;
+};
+
+/**
+ * Add a material using the metallic roughness model
+ * @param  {THREE.Material} material The material
+ * @return {Number}                  Index of the material
+ */
+GLTFWriter.prototype._addMaterial = function (material) {
+    if (this._materialCache[material.uuid] != null) {
+        return this._materialCache[material.uuid];
+    }
+    var color = material.color || new THREE.Color(1, 1, 1);
+    // Wide lines have their opacity in a uniform
+    var opacity = isLineMaterial(material) ? material.uniforms.opacity.value : material.opacity;
+    var pbr = {
+        baseColorFactor: [color.r, color.g, color.b, opacity]
+    };
+    if (material instanceof THREE.MeshStandardMaterial) {
+        pbr.metallicFactor = material.metalness;
+        pbr.roughnessFactor = material.roughness;
+    } else {
+        // Lines and points are not lit
+        pbr.metallicFactor = 0;
+        pbr.roughnessFactor = 1;
+    }
+    if (material.map) {
+        var texture = this._addTexture(material.map);
+        if (texture != null) {
+            pbr.baseColorTexture = texture;
+        }
+    }
+    var materialJson = {
+        pbrMetallicRoughness: pbr
+    };
+    if (material.name) {
+        materialJson.name = material.name;
+    }
+    if (material.emissive && (material.emissive.r > 0 || material.emissive.g > 0 || material.emissive.b > 0)) {
+        materialJson.emissiveFactor = [material.emissive.r, material.emissive.g, material.emissive.b];
+    }
+    if (material.transparent) {
+        materialJson.alphaMode = 'BLEND';
+    }
+    if (material.side === THREE.DoubleSide) {
+        materialJson.doubleSided = true;
+    }
+    var index = this.json.materials.length;
+    this.json.materials.push(materialJson);
+    this._materialCache[material.uuid] = index;
+    return index;
+};
+
+/**
+ * Add a texture with its image and sampler
+ * @param  {THREE.Texture} texture The texture
+ * @return {Object}                Texture info for a material, or null if the image is not available
+ */
+GLTFWriter.prototype._addTexture = function (texture) {
+    var index = this._textureCache[texture.uuid];
+    if (index == null) {
+        var image = this._addImage(texture.image);
+        if (image == null) {
+            return null;
+        }
+        var sampler = this.json.samplers.length;
+        this.json.samplers.push({
+            wrapS: _getWrapping(texture.wrapS),
+            wrapT: _getWrapping(texture.wrapT)
+        });
+        index = this.json.textures.length;
+        this.json.textures.push({
+            sampler: sampler,
+            source: image
+        });
+        this._textureCache[texture.uuid] = index;
+    }
+    var info = {index: index};
+    var isDefault = texture.offset.x === 0 && texture.offset.y === 0 &&
+        texture.repeat.x === 1 && texture.repeat.y === 1;
+    if (!isDefault) {
+        this._useExtension('KHR_texture_transform');
+        info.extensions = {
+            KHR_texture_transform: {
+                offset: [texture.offset.x, texture.offset.y],
+                scale: [texture.repeat.x, texture.repeat.y]
+            }
+        };
+    }
+    return info;
+};
+
+/**
+ * Add an image, embedding it in the binary buffer when possible
+ * @param  {Object} image Image, canvas or similar
+ * @return {Number}       Index of the image, or null if it can not be written
+ */
+GLTFWriter.prototype._addImage = function (image) {
+    var uri = _getImageUri(image);
+    if (uri == null) {
+        return null;
+    }
+    var imageJson = {};
+    var match = uri.match(/^data:(image\/[a-z]+);base64,(.*)$/);
+    if (this._binary && match) {
+        imageJson.mimeType = match[1];
+        imageJson.bufferView = this._addBufferView(compatibility.decodeBase64(match[2]).buffer, null);
+    } else {
+        imageJson.uri = uri;
+    }
+    var index = this.json.images.length;
+    this.json.images.push(imageJson);
+    return index;
+};
+
+/**
+ * Add a camera
+ * @param  {THREE.Camera} camera The camera
+ * @return {Number}              Index of the camera
+ */
+GLTFWriter.prototype._addCamera = function (camera) {
+    var cameraJson;
+    if (camera instanceof THREE.OrthographicCamera) {
+        cameraJson = {
+            type: 'orthographic',
+            orthographic: {
+                xmag: (camera.right - camera.left) * 0.5,
+                ymag: (camera.top - camera.bottom) * 0.5,
+                znear: camera.near,
+                zfar: camera.far
+            }
+        };
+    } else {
+        cameraJson = {
+            type: 'perspective',
+            perspective: {
+                yfov: camera.fov * constants.DEG_2_RAD,
+                aspectRatio: camera.aspect,
+                znear: camera.near,
+                zfar: camera.far
+            }
+        };
+    }
+    var index = this.json.cameras.length;
+    this.json.cameras.push(cameraJson);
+    return index;
+};
+
+/**
+ * Add a light using the KHR_lights_punctual extension
+ * @param  {THREE.Light} light The light
+ * @return {Number}            Index of the light, or null for lights that glTF does not have
+ */
+GLTFWriter.prototype._addLight = function (light) {
+    var lightJson = {
+        color: [light.color.r, light.color.g, light.color.b],
+        intensity: light.intensity
+    };
+    if (light instanceof THREE.SpotLight) {
+        lightJson.type = 'spot';
+        lightJson.spot = {
+            innerConeAngle: light.angle * (1 - light.penumbra),
+            outerConeAngle: light.angle
+        };
+    } else if (light instanceof THREE.DirectionalLight) {
+        lightJson.type = 'directional';
+    } else if (light instanceof THREE.PointLight) {
+        lightJson.type = 'point';
+    } else {
+        return null;
+    }
+    this._useExtension('KHR_lights_punctual');
+    var index = this._lights.length;
+    this._lights.push(lightJson);
+    this.json.extensions = {KHR_lights_punctual: {lights: this._lights}};
+    return index;
+};
+
+/**
+ * Record that an extension is used
+ * @param  {String} name The extension name
+ */
+GLTFWriter.prototype._useExtension = function (name) {
+    if (this.json.extensionsUsed.indexOf(name) === -1) {
+        this.json.extensionsUsed.push(name);
+    }
+};
+
+/**
+ * Remove the top level lists that have no items, since glTF requires them to be non empty
+ */
+GLTFWriter.prototype.removeEmpty = function () {
+    for (var key in this.json) {
+        var value = this.json[key];
+        if (value != null && value.constructor === Array && value.length === 0 && key !== 'scenes') {
+            delete this.json[key];
+        }
+    }
+};
+
+/**
+ * Get the glTF primitive mode for an object
+ * @param  {THREE.Object3D} object The object
+ * @return {Number}                The mode, or null when the object does not render geometry
+ */
+function _getMode(object) {
+    if (object instanceof THREE.Points) {
+        return GL.POINTS;
+    }
+    if (object instanceof THREE.LineSegments) {
+        return GL.LINES;
+    }
+    if (object instanceof THREE.Line) {
+        return GL.LINE_STRIP;
+    }
+    if (object instanceof THREE.Mesh) {
+        return object.material && isLineMaterial(object.material) ? GL.LINES : GL.TRIANGLES;
+    }
+    return null;
+}
+
+/**
+ * Get the glTF wrapping mode for a three.js wrapping mode
+ * @param  {Number} wrapping The three.js constant
+ * @return {Number}          The WebGL constant
+ */
+function _getWrapping(wrapping) {
+    if (wrapping === THREE.RepeatWrapping) {
+        return GL.REPEAT;
+    }
+    if (wrapping === THREE.MirroredRepeatWrapping) {
+        return GL.MIRRORED_REPEAT;
+    }
+    return GL.CLAMP_TO_EDGE;
+}
+
+/**
+ * Determine whether a matrix can be written as a glTF node matrix, which requires it to be
+ * a translation, rotation and scale without shear
+ * @param  {THREE.Matrix4} matrix The matrix
+ * @return {Boolean}              True when it has no shear or projection
+ */
+function _isDecomposable(matrix) {
+    var e = matrix.elements;
+    if (Math.abs(e[3]) > constants.TOLERANCE || Math.abs(e[7]) > constants.TOLERANCE ||
+        Math.abs(e[11]) > constants.TOLERANCE || Math.abs(e[15] - 1) > constants.TOLERANCE) {
+        return false;
+    }
+    var axes = [0, 4, 8].map(function (offset) {
+        return new THREE.Vector3(e[offset], e[offset + 1], e[offset + 2]);
+    });
+    // The axes of a rotation and scale stay perpendicular
+    for (var i=0;i<3;i++) {
+        var a = axes[i];
+        var b = axes[(i + 1) % 3];
+        if (Math.abs(a.dot(b)) > constants.TOLERANCE * Math.max(a.length() * b.length(), 1)) {
+            return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * Copy a geometry with a transform applied to its positions and normals
+ * @param  {THREE.BufferGeometry} geometry  The geometry
+ * @param  {THREE.Matrix4} matrix           The transform
+ * @param  {Number} mode                    The glTF primitive mode
+ * @return {THREE.BufferGeometry}           The transformed copy
+ */
+function _bakeGeometry(geometry, matrix, mode) {
+    var result = geometry.clone();
+    result.applyMatrix(matrix);
+    var normal = result.attributes.normal;
+    if (normal) {
+        var vector = new THREE.Vector3();
+        for (var i=0;i<normal.count;i++) {
+            vector.fromArray(normal.array, i * 3).normalize().toArray(normal.array, i * 3);
+        }
+    }
+    if (mode === GL.TRIANGLES && matrix.determinant() < 0) {
+        // Mirroring turns the triangles inside out, so their winding is reversed
+        var count = result.index ? result.index.count : result.attributes.position.count;
+        var indices = new Uint32Array(count);
+        for (var t=0;t<count;t+=3) {
+            for (var k=0;k<3;k++) {
+                var from = t + (3 - k) % 3;
+                indices[t + k] = result.index ? result.index.array[from] : from;
+            }
+        }
+        result.setIndex(new THREE.BufferAttribute(indices, 1));
+    }
+    return result;
+}
+
+/**
+ * Determine whether a matrix is the identity
+ * @param  {THREE.Matrix4} matrix The matrix
+ * @return {Boolean}              True for identity
+ */
+function _isIdentity(matrix) {
+    var e = matrix.elements;
+    for (var i=0;i<16;i++) {
+        var expected = i % 5 === 0 ? 1 : 0;
+        if (Math.abs(e[i] - expected) > constants.TOLERANCE) {
+            return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * Get a uri for the contents of an image
+ * Images loaded from urls are drawn to a canvas, since their source is a temporary blob.
+ * @param  {Object} image Image, canvas or similar
+ * @return {String}       Data uri, or url, or null when not available
+ */
+function _getImageUri(image) {
+    if (image == null) {
+        return null;
+    }
+    if (typeof image.src === 'string' && image.src.indexOf('data:') === 0) {
+        return image.src;
+    }
+    if (typeof image.toDataURL === 'function') {
+        return image.toDataURL('image/png');
+    }
+    var canvas = compatibility.createCanvas();
+    if (canvas && image.width > 0 && image.height > 0) {
+        canvas.width = image.width;
+        canvas.height = image.height;
+        canvas.getContext('2d').drawImage(image, 0, 0);
+        return canvas.toDataURL('image/png');
+    }
+    return typeof image.src === 'string' && image.src ? image.src : null;
+}
+
+/**
+ * Pack the JSON and binary buffer in a GLB container
+ * @param  {Object} json        The glTF JSON
+ * @param  {ArrayBuffer} buffer The binary buffer
+ * @return {ArrayBuffer}        The GLB file
+ */
+function _writeGLB(json, buffer) {
+    var jsonBytes = _encodeUTF8(JSON.stringify(json));
+    var jsonPadding = (4 - jsonBytes.length % 4) % 4;
+    var jsonLength = jsonBytes.length + jsonPadding;
+    var binPadding = (4 - buffer.byteLength % 4) % 4;
+    var binLength = buffer.byteLength + binPadding;
+    var totalLength = 12 + 8 + jsonLength + (binLength > 0 ? 8 + binLength : 0);
+    var glb = new ArrayBuffer(totalLength);
+    var view = new DataView(glb);
+    var bytes = new Uint8Array(glb);
+    view.setUint32(0, GLB_MAGIC, true);
+    view.setUint32(4, GLB_VERSION, true);
+    view.setUint32(8, totalLength, true);
+    view.setUint32(12, jsonLength, true);
+    view.setUint32(16, GLB_CHUNK_JSON, true);
+    bytes.set(jsonBytes, 20);
+    // The JSON chunk is padded with spaces
+    for (var i=0;i<jsonPadding;i++) {
+        bytes[20 + jsonBytes.length + i] = 0x20;
+    }
+    if (binLength > 0) {
+        var binOffset = 20 + jsonLength;
+        view.setUint32(binOffset, binLength, true);
+        view.setUint32(binOffset + 4, GLB_CHUNK_BIN, true);
+        bytes.set(new Uint8Array(buffer), binOffset + 8);
+    }
+    return glb;
+}
+
+/**
+ * Encode a string as UTF-8
+ * @param  {String} text The string
+ * @return {Uint8Array}  The bytes
+ */
+function _encodeUTF8(text) {
+    var binary = unescape(encodeURIComponent(text));
+    var bytes = new Uint8Array(binary.length);
+    for (var i=0;i<binary.length;i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
@@ -2,14 +2,16 @@
 
 import * as Create from './createObject.js';
 import GeometryResults from './geometryResults.js';
-import * as compatibility from './compatibility.js';
 import * as print from './utils/debugPrint.js';
-import {Query, Operation} from 'flux-modelingjs';
-
-/**
-* Stand in for the finished status on an xhr
-*/
-var READY_STATE_FINISHED = 4;
+import ParasolidProvider from './tessellation/ParasolidProvider.js';
+import TessellationCache from './tessellation/TessellationCache.js';
+import {tessellateInBatches} from './tessellation/batchTessellation.js';
+import FluxCancelError from './cancelError.js';
+import * as cancel from './utils/cancel.js';
+import * as sceneEdit from './sceneEdit.js';
+import WorkerClient from './worker/WorkerClient.js';
+import * as curveTolerance from './utils/curveTolerance.js';
+import * as vertexTransform from './utils/vertexTransform.js';
 
 /**
 * Flux geometry class converts parameter objects to geometry
@@ -18,35 +20,77 @@ var READY_STATE_FINISHED = 4;
 * @constructor
 */
 export default function GeometryBuilder(tessUrl, token) {
-    // String path to tessellation API endpoint
-    this._parasolidUrl = tessUrl;
-    this._fluxToken = token;
+    // Backend that converts breps to meshes, by default the Flux Parasolid service
+    this._tessellationProvider = new ParasolidProvider(tessUrl, token);
+
+    // Previously tessellated breps, or null to always call the provider
+    this._tessellationCache = new TessellationCache();
 
     // quality - tesselation quality, ranges 0-4; the bigger, the better
     this.tessellateQuality = 2.0;
+
+    // Limits on the size and number of simultaneous tessellation requests
+    this._batchOptions = null;
+
+    // Connection to the worker that creates geometry, or null to create it on this thread
+    this._workerClient = null;
+
+    // Settings for tessellating curves, or null for the defaults
+    this._curveTolerance = null;
 }
 
 /**
 * Create a new model for the given entities.
 *
+* Options can contain:
+* onProgress - Called with the geometry that was built synchronously before this function
+*              returns, and again each time tessellated breps are added. It receives the
+*              GeometryResults, the list of objects that were just added to its object,
+*              and the fraction of the work that is complete.
+* signal - An AbortSignal. When it aborts, pending tessellation requests are aborted,
+*          the geometry built so far is disposed and the promise rejects with a FluxCancelError.
+*
 * @param {Object} entities Array of entities or arrays
 * @param  {Boolean} allowMerge  Whether to allow merging meshes
+* @param  {Object} options      Optional settings for this conversion
 * @return {Promise} A promise object that sets the model when it completes
 */
-GeometryBuilder.prototype.convert = function(entities, allowMerge) {
+GeometryBuilder.prototype.convert = function(entities, allowMerge, options) {
     var geometryResults = new GeometryResults();
+    var onProgress = options ? options.onProgress : null;
+    var signal = options ? options.signal : null;
 
+    if (cancel.isAborted(signal)) {
+        return Promise.reject(new FluxCancelError());
+    }
     if (entities == null || typeof entities != 'object') {
         return Promise.resolve(geometryResults);
     }
 
-    // sync - process geometric primitives
-    this._parasolidCreateObject(entities, geometryResults, allowMerge);
+    var _this = this;
+    var asyncPromise;
+    if (this._workerClient) {
+        // async - process geometric primitives in the worker, then tessellate breps on the server
+        asyncPromise = this._workerCreateObject(entities, geometryResults, allowMerge, signal).then(function () {
+            _reportCreated(geometryResults, onProgress);
+            return _this._handleAsyncGeom(geometryResults, onProgress, signal);
+        });
+    } else {
+        // sync - process geometric primitives
+        this._parasolidCreateObject(entities, geometryResults, allowMerge);
+        _reportCreated(geometryResults, onProgress);
 
-    // async - tessellate breps on the server
-    return Promise.resolve(this._handleAsyncGeom(geometryResults).then(function (results) { // resolve
+        // async - tessellate breps on the server
+        asyncPromise = this._handleAsyncGeom(geometryResults, onProgress, signal);
+    }
+    asyncPromise = cancel.whenNotAborted(asyncPromise, signal);
+    return Promise.resolve(asyncPromise.then(function (results) { // resolve
         return results;
     }).catch(function (results) { // reject
+        if (results instanceof FluxCancelError) {
+            sceneEdit.disposeObject(geometryResults.object);
+            throw results;
+        }
         if (results instanceof Error) {
             print.warn(results.stack);
         }
@@ -56,6 +100,18 @@ GeometryBuilder.prototype.convert = function(entities, allowMerge) {
     });
 };
 
+/**
+ * Call the progress callback with the geometry that did not need tessellation
+ * @param  {GeometryResults} geometryResults The results so far
+ * @param  {Function} onProgress            The callback or null
+ */
+function _reportCreated(geometryResults, onProgress) {
+    if (onProgress) {
+        onProgress(geometryResults, geometryResults.object.children.slice(),
+            geometryResults.asyncPrims.length === 0 ? 1 : 0);
+    }
+}
+
 /**
  * Create THREE.js objects from data in the Flux JSON format.
  * The data defines Parasolid Entities.
@@ -69,13 +125,42 @@ GeometryBuilder.prototype.convert = function(entities, allowMerge) {
  */
 GeometryBuilder.prototype._parasolidCreateObject = function(data, geometryResults, allowMerge) {
     try {
-        Create.createObject(data, geometryResults, allowMerge);
+        Create.createObject(data, geometryResults, allowMerge,
+            curveTolerance.resolveTolerance(this._curveTolerance, data));
     }
     catch(err) {
         this._handleInvalidPrims(data, err, geometryResults);
     }
 };
 
+/**
+ * Create THREE.js objects from data in the Flux JSON format in the geometry worker.
+ * @param    {Object}    data    The geometry data as objects
+ * @param    {GeometryResults}    geometryResults    Geometry and errors object, which receives the results
+ * @param    {Boolean} allowMerge  Whether to allow merging meshes
+ * @param    {AbortSignal} signal  Optional signal to stop waiting for the worker
+ * @return   {Promise}             Promise that resolves when the results are added
+ */
+GeometryBuilder.prototype._workerCreateObject = function(data, geometryResults, allowMerge, signal) {
+    var _this = this;
+    var client = this._workerClient;
+    return Promise.resolve().then(function () {
+        return client.createObject(data, allowMerge, signal,
+            curveTolerance.resolveTolerance(_this._curveTolerance, data));
+    }).then(function (results) {
+        while (results.object.children.length > 0) {
+            geometryResults.object.add(results.object.children[0]);
+        }
+        geometryResults.primStatus.merge(results.primStatus);
+        geometryResults.asyncPrims = geometryResults.asyncPrims.concat(results.asyncPrims);
+    }).catch(function (err) {
+        if (err instanceof FluxCancelError) {
+            throw err;
+        }
+        _this._handleInvalidPrims(data, err, geometryResults);
+    });
+};
+
 /**
  * Provide error handling to determine invalid prims user message
  * @param    {Object} data    The geometry that was attempted to parse
@@ -98,234 +183,236 @@ GeometryBuilder.prototype._handleInvalidPrims = function(data, err, geometryResu
     }
 };
 
-/**
- * Make sure the appropriate environment was passed in to enable tessellation
- * @param  {GeometryResults} geometryResults    Container for errors
- * @return {Boolean}                            True when vars are set.
- */
-GeometryBuilder.prototype._canTessellate = function(geometryResults) {
-    if (!this._parasolidUrl) {
-        geometryResults.primStatus.appendError('brep', 'Tessellation url was not set');
-        return false;
-    }
-    if (!this._fluxToken) {
-        geometryResults.primStatus.appendError('brep', 'Flux token was not set');
-        return false;
-    }
-    return true;
-};
-
 /**
  * Send a request to tessellate breps, and add them to the scene.
  *
- * This server currently aborts when there is an error in the tessellation operation, but in the
- * future it could respond with status 200, but contain a mix of successful and failed
- * tesselations. In those mixed cases resolve is called, but the error status is still
- * available on the returned geometryResults object.
+ * Breps that fail are reported in the status map of geometryResults,
+ * while the others are still added to the results as they arrive.
  *
  * @param {Object} geometryResults The container for meshes, errors, and entities
+ * @param {Function} onProgress Optional callback for partial results
+ * @param {AbortSignal} signal Optional signal to cancel tessellation
  * @return {Promise}     A promise that resolves when the geometry is loaded
  */
-GeometryBuilder.prototype._handleAsyncGeom = function(geometryResults) {
+GeometryBuilder.prototype._handleAsyncGeom = function(geometryResults, onProgress, signal) {
+    var breps = geometryResults.asyncPrims;
+    if (breps.length === 0) {
+        return Promise.resolve(geometryResults);
+    }
     var _this = this;
-    // Create a promise for the operation to tessellate all entities
-    return new Promise(function(resolve, reject) {
-        if (geometryResults.asyncPrims.length > 0) {
-            if (!_this._canTessellate(geometryResults)) {
-                resolve(geometryResults);
+    var completed = 0;
+    // Results from the worker are added one batch at a time, in order
+    var added = Promise.resolve();
+    var addError = null;
+    var addBatch = function (batchBreps, meshes) {
+        if (cancel.isAborted(signal)) return;
+        var object = geometryResults.object;
+        var start = object.children.length;
+        completed += batchBreps.length;
+        var fraction = completed / breps.length;
+        var report = function () {
+            if (onProgress && !cancel.isAborted(signal)) {
+                onProgress(geometryResults, object.children.slice(start), fraction);
             }
-            _this._tessellateValues(geometryResults).then(function (tessResponse) { // resolve
-                var resultObj = JSON.parse(tessResponse.result);
-                var errors = resultObj.Errors;
-                _handleBrepErrors(errors, geometryResults, tessResponse);
-                _handleBrepResults(resultObj, geometryResults, tessResponse);
-                resolve(geometryResults);
-            }).catch(function (response) { // reject
-                if (response instanceof Error) {
-                    print.warn(response.stack);
-                    geometryResults.primStatus.appendError('brep', response.message);
-                    reject(geometryResults);
-                } else {
-                    if (response.readyState >= READY_STATE_FINISHED) {
-                        geometryResults.primStatus.appendError('brep', _interpretServerErrorCode(response.status, response.responseText));
-                    } else {
-                        geometryResults.primStatus.appendError('brep', 'Duplicate request was aborted.');
-                    }
-                }
-                reject(geometryResults);
+        };
+        var dataArray = _getBrepMeshes(batchBreps, meshes, geometryResults);
+        if (_this._workerClient) {
+            return _this._workerCreateObject(dataArray, geometryResults, false, signal).then(report);
+        }
+        // This function adds the results as children of geometryResults.object
+        Create.createObject(dataArray, geometryResults);
+        report();
+    };
+    // The transform of the vertices is applied to the results, so it does not change the request
+    var requests = breps.map(vertexTransform.withoutVertexTransform);
+    return this._tessellateCached(requests, function (indices, meshes) {
+        var batchBreps = indices.map(function (index) {
+            return breps[index];
+        });
+        if (_this._workerClient) {
+            added = added.then(function () {
+                return addBatch(batchBreps, meshes);
+            }).catch(function (err) {
+                // Keep the chain going, and report the error once tessellation is done
+                addError = addError || err;
             });
         } else {
-            resolve(geometryResults);
+            addBatch(batchBreps, meshes);
+        }
+    }, signal).then(function () {
+        return added;
+    }).then(function () {
+        if (addError) {
+            throw addError;
+        }
+        return geometryResults;
+    }).catch(function (err) {
+        if (err instanceof FluxCancelError) {
+            throw err;
         }
-    }).catch(function(err) {
-        if (err.constructor===Error) {
-            print.warn(err);
+        if (err.name !== 'FluxGeometryError') {
+            print.warn(err.stack);
         }
-        return err;
+        geometryResults.primStatus.appendError('brep', err.message);
+        return geometryResults;
     });
 };
 
 /**
- * Parse errors and update status map
- * @param  {Object} errors          Parasolid errors map
- * @param  {GeometryResults} geometryResults   Results container
- * @param  {Object} tessResponse    Server response
+ * Tessellate breps, using cached results for those that were tessellated before.
+ * Identical breps are only sent to the provider once.
+ * @param  {Array} breps        The entities to tessellate
+ * @param  {Function} onResults Called with a list of brep indices and their meshes,
+ *                              errors or nulls each time some of the breps are done
+ * @param  {AbortSignal} signal Optional signal to cancel tessellation
+ * @return {Promise}            Promise that resolves when all breps are done
  */
-function _handleBrepErrors(errors, geometryResults, tessResponse) {
-    // There were invalid breps or other server errors
-    if (errors && Object.keys(errors).length > 0) {
-        var fullErrorMessage = errors[Object.keys(errors)[0]].Message;
-        // Set the server error as the invalid prim message
-        geometryResults.primStatus.appendError(
-            tessResponse.primitives[_findErroredPrim(fullErrorMessage)],
-            _interpretServerError(fullErrorMessage));
+GeometryBuilder.prototype._tessellateCached = function(breps, onResults, signal) {
+    var cache = this._tessellationCache;
+    var quality = this.tessellateQuality;
+    var _this = this;
+    if (!cache) {
+        return this._tessellate(breps, onResults, signal);
     }
-}
+    var keys = breps.map(function (brep) {
+        return cache.getKey(brep, quality);
+    });
+    return Promise.all(keys.map(function (key) {
+        return cache.get(key);
+    })).then(function (cached) {
+        // Report the cached breps, and collect the unique breps that are not in the cache
+        var hits = [];
+        var missingKeys = [];
+        var missingBreps = [];
+        for (var i=0;i<breps.length;i++) {
+            if (cached[i] !== undefined) {
+                hits.push(i);
+            } else if (missingKeys.indexOf(keys[i]) === -1) {
+                missingKeys.push(keys[i]);
+                missingBreps.push(breps[i]);
+            }
+        }
+        if (hits.length > 0) {
+            onResults(hits, hits.map(function (index) {
+                return cached[index];
+            }));
+        }
+        if (missingBreps.length === 0) {
+            return;
+        }
+        return _this._tessellate(missingBreps, function (indices, meshes) {
+            var found = [];
+            var foundMeshes = [];
+            for (var m=0;m<indices.length;m++) {
+                var key = missingKeys[indices[m]];
+                var mesh = meshes[m];
+                if (mesh != null && !(mesh instanceof Error)) {
+                    cache.set(key, mesh);
+                }
+                // Identical breps share the result
+                for (var k=0;k<keys.length;k++) {
+                    if (cached[k] === undefined && keys[k] === key) {
+                        found.push(k);
+                        foundMeshes.push(mesh);
+                    }
+                }
+            }
+            onResults(found, foundMeshes);
+        }, signal);
+    });
+};
 
 /**
- * Take meshes as data objects from Parasolid and convert them to renderable geometry
- * @param  {Object} resultObj       Container for meshes data
- * @param  {GeometryResults} geometryResults   Results container
- * @param  {Object} tessResponse    Server response
+ * Send breps to the tessellation provider in batches
+ * @param  {Array} breps        The entities to tessellate
+ * @param  {Function} onResults Called with the brep indices and results of each batch
+ * @param  {AbortSignal} signal Optional signal to cancel tessellation
+ * @return {Promise}            Promise for one mesh, Error or null per brep
  */
-function _handleBrepResults(resultObj, geometryResults, tessResponse) {
-    // There were valid breps that tessellated
-    if (resultObj.Output.Results) {
-        var data = resultObj.Output.Results.value;
-        var dataArray = [];
-        for (var key in data) {
-            var primitive = tessResponse.primitives[key];
-            geometryResults.primStatus.appendValid(primitive);
-            var jsonData = data[key];
-            // This function adds the results as children of geometryResults.object
-            dataArray.push(jsonData);
+GeometryBuilder.prototype._tessellate = function(breps, onResults, signal) {
+    return tessellateInBatches(this._tessellationProvider, breps, this.tessellateQuality,
+        this._batchOptions, onResults, signal);
+};
+
+/**
+ * Record the status of tessellated breps and get the meshes that succeeded
+ * @param  {Array} breps                      The entities that were tessellated
+ * @param  {Array} meshes                     One mesh, Error or null per brep
+ * @param  {GeometryResults} geometryResults  Results container
+ * @return {Array}                            Flux JSON meshes to convert to renderable geometry,
+ *                                            with the vertex transforms of their breps
+ */
+function _getBrepMeshes(breps, meshes, geometryResults) {
+    var dataArray = [];
+    for (var i=0;i<breps.length;i++) {
+        var mesh = meshes ? meshes[i] : null;
+        if (mesh == null) continue;
+        if (mesh instanceof Error) {
+            geometryResults.primStatus.appendError(breps[i].primitive, mesh.message);
+        } else {
+            geometryResults.primStatus.appendValid(breps[i].primitive);
+            dataArray.push(vertexTransform.transformMesh(mesh, vertexTransform.getVertexTransform(breps[i])));
         }
-        Create.createObject(dataArray, geometryResults);
     }
+    return dataArray;
 }
 
 /**
- * Asynchronously request a tessellated model from the back end service.
- * @precondition Each value is a brep entity with a primitive property
- * @param    {GeometryResults} geometryResults Results container with async primitives unhandled from previous call
- * @return {Promise}     A promise that resolves when the geometry is loaded
+ * Set the url of the tessellation service.
+ * This is required for rendering of breps with the default Parasolid provider.
+ * @param {String} newUrl The url of the tessellation server
  */
-GeometryBuilder.prototype._tessellateValues = function (geometryResults) {
-    // Flat array of Flux entity objects
-    var values = geometryResults.asyncPrims;
-    if (!values || values.constructor !== Array) {
-        return Promise.resolve(geometryResults);
+GeometryBuilder.prototype.setTessUrl = function(newUrl) {
+    if (this._tessellationProvider.setUrl) {
+        this._tessellationProvider.setUrl(newUrl);
     }
-    // Keep track of the primitive names in the values array
-    var primitives = {};
-    var sceneJSON = this._constructScene(geometryResults, values, primitives);
-
-    var fetchOptions = {
-        fluxToken: this._fluxToken,
-        method: 'POST',
-        body: sceneJSON
-    };
-
-    var xhrPromise = compatibility.fluxFetch(this._parasolidUrl, fetchOptions);
-
-    // unwrap the extra promise generated by fetch
-    return new Promise(function (resolve, reject) {
-        var resultObj = {'result': '', 'primitives': primitives};
-        xhrPromise.then(function (tessHeaderResponse) {
-            if (tessHeaderResponse.status === 200) {
-                tessHeaderResponse.body.then(function(tessResult) {
-                    resultObj.result = tessResult;
-                    resolve(resultObj);
-                });
-            } else {
-                reject(new Error('Server error '+tessHeaderResponse.status+' '+tessHeaderResponse.body ));
-            }
-        }).catch(function (err) {
-            reject(new Error('Server error '+err ));
-        });
-    });
 };
 
 /**
- * Construct a scene object to format the request for brep tessellation
- * @param  {GeometryResults} geometryResults Results container
- * @param  {Array}  values List of primitives to tessellate
- * @param  {Object} primitives Keep track of the primitive names in the values array.
- *                             This is a map so that in the case of a server error the primitives
- *                             can be looked up based on server message which contains their
- *                             resultId string, which is a unique identifier
- * @return {Object}     JSON object with parameters describing the operations to be sent to parasolid
+ * Replace the backend used to tessellate breps.
+ * @param {TessellationProvider} provider Object with a tessellate function
  */
-GeometryBuilder.prototype._constructScene = function (geometryResults, values, primitives) {
-    var scene = new Query();
-    for (var i=0; i<values.length; i++) {
-        var value = values[i];
-        if (!value || !value.primitive) continue;
-        var resultId = 'result'+i;
-        scene.add(resultId, value);
-        var tessOp = Operation.tessellateJson(resultId, this.tessellateQuality, 1.0);
-        // The first argument must be a unique id. It is an integer
-        // so it can be used to look up the primitive later.
-        scene.add(resultId, tessOp);
-        primitives[resultId] = value.primitive;
-    }
-    return {'Scene':scene.toJSON()};
+GeometryBuilder.prototype.setTessellationProvider = function(provider) {
+    this._tessellationProvider = provider;
 };
 
 /**
- * Parse server error message and interpret to be human readable.
- * Eventually the sever might have better messages:
- * https://vannevar.atlassian.net/browse/GI-1933
- * @param    {String} text The full error text
- * @return {String}            The improved error message
+ * Replace the cache of tessellated breps.
+ * @param {TessellationCache} cache The cache to use, or null to disable caching
  */
-function _interpretServerError (text) {
-    var errorMessage = text.slice(0, text.indexOf('\n'));
-    // Add a more clear explanation for this specific error
-    if (errorMessage === 'PK_ERROR_wrong_transf') {
-        errorMessage = 'Flux is currently unable to model objects '+
-                'that are outside of a bounding box that is 1000 units '+
-                'wide centered at the origin. Please scale down your '+
-                'models or change units.';
-    } else if (errorMessage === 'Translator loader error') {
-        errorMessage = 'The brep translator could not be initialized. '+
-                'Perhaps the license has expired. Please contact Flux to get '+
-                'this resolved.';
-    }
-    return 'Server error: '+errorMessage;
-}
+GeometryBuilder.prototype.setTessellationCache = function(cache) {
+    this._tessellationCache = cache;
+};
 
 /**
- * Workaround for finding the prim associated with the error.
- * The backend does not have a good API for this yet.
- * https://vannevar.atlassian.net/browse/PLT-4228
- * @param    {String} text The full error text
- * @return {String}            The primitive name
+ * Change how breps are split into tessellation requests.
+ * Options that are not specified use TESSELLATION_BATCH_DEFAULTS.
+ * @param {Object} options Object with maxBreps, maxBytes and concurrency
  */
-function _findErroredPrim(text) {
-    var match = text.match(/\/result.*\n/);
-    return match ? match[0].slice(1, match[0].length-1) : '';
-}
+GeometryBuilder.prototype.setTessellationBatching = function(options) {
+    this._batchOptions = options;
+};
 
 /**
- * Create a user error message based on status codes
- * @param    {String} status The error html status code
- * @param    {String} text The full error text
- * @return {String}            The error message
+ * Create geometry in a worker instead of on the calling thread.
+ * The worker script must call initGeometryWorker. Typed arrays are transferred back,
+ * so only the assembly of the buffer geometry and materials happens on this thread.
+ * Text is still created on this thread, since it needs a canvas.
+ * @param {Object} worker A browser Worker or a node worker_threads Worker, or null to stop using it
  */
-function _interpretServerErrorCode(status, text) {
-    if (status === 504) {
-        return "Server error: Your request exceeded the maximum time limit for execution.";
-    }
-    print.warn("Server error in tessellation. Status:",status,":",text);
-    return "Server error: The brep tessellation service is unavailable.";
-}
+GeometryBuilder.prototype.setGeometryWorker = function(worker) {
+    this._workerClient = worker ? new WorkerClient(worker) : null;
+};
 
 /**
- * Set the url of the tessellation service.
- * This is required for rendering of breps.
- * @param {String} newUrl The url of the tessellation server
+ * Change how finely curves are tessellated.
+ * Curves are split so that each segment stays within a chord deviation of the curve,
+ * either absolute in the units of the entities (chordDeviation) or as a fraction of the
+ * bounding box size of all the entities converted together (relativeChordDeviation), and
+ * turns by at most maxAngle radians. When both deviations are set the smaller one is used,
+ * and maxSegments limits the points on each curve. The settings only apply to this builder.
+ * @param {Object} options The settings, or null to use the defaults
  */
-GeometryBuilder.prototype.setTessUrl = function(newUrl) {
-    this._parasolidUrl = newUrl;
+GeometryBuilder.prototype.setCurveTolerance = function(options) {
+    this._curveTolerance = options;
 };
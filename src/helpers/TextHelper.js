@@ -1,88 +1,113 @@
 /**
  * @author arodic / http://akirodic.com/
- * @param label text to be displayed
- * @param options.size height of text quad in world usnits
- * @param options.resolution height of text texture in pixels
+ * @param label text to be displayed, with a line break between lines
+ * @param options.size height of a line of text in world units
  * @param options.color text color
- * @param options.align text alignment ('left' | 'right' | 'center')
+ * @param options.align text alignment ('left' | 'center' | 'right')
+ * @param options.verticalAlign alignment of the lines ('top' | 'middle' | 'baseline' | 'bottom')
+ * @param options.billboard whether the text turns to face the camera
+ * Characters that are not in the bundled font are drawn as '?' when there is no canvas.
  */
 'use strict';
 import * as THREE from 'three';
-import * as compatibility from '../compatibility.js';
 import * as constants from '../constants.js';
+import { getFontAtlas, getGlyph } from '../text/fontAtlas.js';
+import TextMaterial from '../text/TextMaterial.js';
 
 export default function TextHelper ( label, options ) {
 
     options = options || {};
-    options.size = options.size || 4;
-    options.resolution = options.resolution || 128;
+    options.size = options.size || constants.TEXT_DEFAULTS.SIZE;
     options.color = options.color || 'white';
-    options.align = options.align || 'center';
+    options.align = constants.TEXT_ALIGN.indexOf( options.align ) !== - 1 ? options.align : 'center';
+    options.verticalAlign = constants.TEXT_VERTICAL_ALIGN.indexOf( options.verticalAlign ) !== - 1 ?
+        options.verticalAlign : 'middle';
 
-    var canvas = compatibility.createCanvas();
-    var aspect = 1;
-    if (canvas) {
-        var ctx = canvas.getContext( '2d' );
-        ctx.font = options.resolution + 'px sans-serif';
+    var atlas = getFontAtlas();
+    var lines = String( label ).split( '\n' );
 
-        aspect = ctx.measureText(label).width / options.resolution;
+    // Each line is one unit tall until the text is scaled to its size
+    var top = atlas.ascender;
+    var bottom = atlas.descender - ( lines.length - 1 );
+    var offsetY = {
+        top: - top,
+        middle: - ( top + bottom ) / 2,
+        baseline: 0,
+        bottom: - bottom
+    }[ options.verticalAlign ];
 
-        canvas.width = options.resolution * aspect;
-        canvas.height = options.resolution;
+    var positions = [];
+    var uvs = [];
+    var indices = [];
+    for ( var i = 0; i < lines.length; i ++ ) {
 
-        ctx.font = options.resolution + 'px sans-serif';
-        ctx.fillStyle = 'white';
-        ctx.textAlign = 'center';
-        ctx.textBaseline = 'middle';
-        ctx.fillText( label, options.resolution * aspect / 2, options.resolution / 2 );
-    }
+        // Characters outside the basic plane are pairs of code units
+        var chars = lines[ i ].match( /[\uD800-\uDBFF][\uDC00-\uDFFF]|[\s\S]/g ) || [];
+        var width = 0;
+        for ( var c = 0; c < chars.length; c ++ ) {
 
-    var texture = new THREE.Texture(canvas);
-    texture.needsUpdate = true;
-    texture.premultiplyAlpha = true;
-    texture.generateMipmaps = false;
-    texture.minFilter = THREE.LinearFilter;
-    texture.magFilter = THREE.LinearFilter;
+            width += getGlyph( atlas, chars[ c ] ).advance;
 
-    var material = new THREE.MeshBasicMaterial( { map: texture, transparent: true, color: options.color, side: THREE.DoubleSide } );
-    material.blendSrc = THREE.OneFactor;
-    material.blending = THREE.CustomBlending;
-    material.depthWrite = false;
+        }
+        var x = { left: 0, center: - width / 2, right: - width }[ options.align ];
+        var y = offsetY - i;
+        for ( c = 0; c < chars.length; c ++ ) {
 
-    var indices = new Uint16Array( [ 0, 1, 2,  0, 2, 3 ] );
-    var vertices = new Float32Array( [ - 0.5, - 0.5, 0,   0.5, - 0.5, 0,   0.5, 0.5, 0,   - 0.5, 0.5, 0 ] );
-    var colors = new Float32Array( [ 1,1,1,   1,1,1,   1,1,1,   1,1,1 ] );
-    var uvs = new Float32Array( [ 0, 0,   1, 0,   1, 1,   0, 1 ] );
+            var glyph = getGlyph( atlas, chars[ c ] );
+            if ( glyph.box ) {
 
-    var geometry = new THREE.BufferGeometry();
-    geometry.setIndex( new THREE.BufferAttribute( indices, 1 ) );
-    geometry.addAttribute( 'position', new THREE.BufferAttribute( vertices, 3 ) );
-    geometry.addAttribute( 'uv', new THREE.BufferAttribute( uvs, 2 ) );
-    geometry.addAttribute( 'color', new THREE.BufferAttribute( colors, 3 ) );
+                _addQuad( glyph, x, y, options.size, positions, uvs, indices );
 
-    THREE.Mesh.call( this, geometry, material );
+            }
+            x += glyph.advance;
 
-    this.type = constants.TEXT_PRIMITIVE;
+        }
 
-    if (options.align == 'left') {
+    }
 
-        this.position.x = - options.size * aspect / 2;
+    var colors = new Float32Array( positions.length );
+    colors.fill( 1 );
 
-    } else if (options.align == 'right') {
+    var geometry = new THREE.BufferGeometry();
+    var IndexArray = positions.length / 3 > 65535 ? Uint32Array : Uint16Array;
+    geometry.setIndex( new THREE.BufferAttribute( new IndexArray( indices ), 1 ) );
+    geometry.addAttribute( 'position', new THREE.BufferAttribute( new Float32Array( positions ), 3 ) );
+    geometry.addAttribute( 'uv', new THREE.BufferAttribute( new Float32Array( uvs ), 2 ) );
+    geometry.addAttribute( 'color', new THREE.BufferAttribute( colors, 3 ) );
 
-        this.position.x = options.size * aspect / 2;
+    var material = new TextMaterial( { color: options.color, billboard: options.billboard } );
 
-    }
-
-    this.scale.set( options.size * aspect, options.size, 1 );
-    this.updateMatrix();
-    this.geometry.applyMatrix(this.matrix);
+    THREE.Mesh.call( this, geometry, material );
 
-    this.scale.set( 1, 1, 1 );
-    this.position.set( 0, 0, 0 );
-    this.updateMatrix();
+    this.type = constants.TEXT_PRIMITIVE;
 
 }
 
 TextHelper.prototype = Object.create( THREE.Mesh.prototype );
 TextHelper.prototype.constructor = TextHelper;
+
+/**
+ * Add the quad of a glyph to the geometry of some text
+ * @param  {Object} glyph               The glyph
+ * @param  {Number} x                   Position of the glyph in lines
+ * @param  {Number} y                   Position of the baseline in lines
+ * @param  {Number} size                Height of a line in world units
+ * @param  {Array.<Number>} positions   The positions (modified)
+ * @param  {Array.<Number>} uvs         The texture coordinates (modified)
+ * @param  {Array.<Number>} indices     The indices (modified)
+ */
+function _addQuad( glyph, x, y, size, positions, uvs, indices ) {
+
+    var start = positions.length / 3;
+    var box = glyph.box;
+    var uv = glyph.uv;
+    positions.push(
+        ( x + box[ 0 ] ) * size, ( y + box[ 1 ] ) * size, 0,
+        ( x + box[ 2 ] ) * size, ( y + box[ 1 ] ) * size, 0,
+        ( x + box[ 2 ] ) * size, ( y + box[ 3 ] ) * size, 0,
+        ( x + box[ 0 ] ) * size, ( y + box[ 3 ] ) * size, 0
+    );
+    uvs.push( uv[ 0 ], uv[ 1 ],   uv[ 2 ], uv[ 1 ],   uv[ 2 ], uv[ 3 ],   uv[ 0 ], uv[ 3 ] );
+    indices.push( start, start + 1, start + 2,   start, start + 2, start + 3 );
+
+}
@@ -2,4 +2,15 @@
 
 export { default as SceneBuilder } from './sceneBuilder.js';
 export { create as createMaterial } from './utils/materials.js';
-export { MATERIAL_TYPES } from './constants.js';
+export { MATERIAL_TYPES, ANNOTATION_LAYER } from './constants.js';
+export { updatePointClouds, getPickedPoint } from './points/pointCloud.js';
+export { updateWideLines } from './lines/wideLines.js';
+export { default as FluxCancelError } from './cancelError.js';
+export { default as ThreeToFlux } from './threeToFlux.js';
+export { initGeometryWorker } from './worker/geometryWorker.js';
+export { toGLTF } from './exporters/gltfExporter.js';
+export { default as TessellationProvider } from './tessellation/TessellationProvider.js';
+export { default as ParasolidProvider } from './tessellation/ParasolidProvider.js';
+export { default as TessellationCache } from './tessellation/TessellationCache.js';
+export { default as MemoryStorage } from './tessellation/MemoryStorage.js';
+export { default as IndexedDBStorage } from './tessellation/IndexedDBStorage.js';
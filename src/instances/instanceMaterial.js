@@ -0,0 +1,121 @@
+/**
+ * Shader material for meshes drawn once per instance of a scene element
+ */
+
+'use strict';
+
+import * as THREE from 'three';
+
+// Prefix of the names of instance materials
+var MATERIAL_PREFIX = 'instances:';
+
+// Declarations added to the physical vertex shader. Each instance has the first three
+// rows of its transform, a color with an alpha of 1 when it overrides the material,
+// and a visible flag that collapses hidden instances to a point.
+var VERTEX_DECLARATIONS = [
+    '#include <common>',
+    'attribute vec4 instanceRow0;',
+    'attribute vec4 instanceRow1;',
+    'attribute vec4 instanceRow2;',
+    'attribute vec4 instanceColor;',
+    'attribute float instanceVisible;',
+    'varying vec4 vInstanceColor;',
+    'vec3 instanceTransform( vec4 point ) {',
+    '    return vec3( dot( instanceRow0, point ), dot( instanceRow1, point ), dot( instanceRow2, point ) );',
+    '}'
+].join('\n');
+
+// Replacements of the chunks of the physical shaders, by the text of their include
+var VERTEX_CHUNKS = {
+    '#include <common>': VERTEX_DECLARATIONS,
+    '#include <color_vertex>': '#include <color_vertex>\n\tvInstanceColor = instanceColor;',
+    '#include <beginnormal_vertex>': 'vec3 objectNormal = instanceTransform( vec4( normal, 0.0 ) );',
+    '#include <begin_vertex>': 'vec3 transformed = instanceTransform( vec4( position, 1.0 ) ) * instanceVisible;'
+};
+
+var FRAGMENT_CHUNKS = {
+    '#include <common>': '#include <common>\nvarying vec4 vInstanceColor;',
+    '#include <color_fragment>': '#include <color_fragment>\n\t' +
+        'diffuseColor.rgb = mix( diffuseColor.rgb, vInstanceColor.rgb, vInstanceColor.a );'
+};
+
+/**
+ * Create the material that draws instanced copies of a mesh like another material.
+ * The material is a physical shader that reads the transform, color and visibility of
+ * each instance from instanced attributes, see createInstancedMesh.
+ * @param  {THREE.MeshPhysicalMaterial} source  The material of the instanced mesh
+ * @return {THREE.ShaderMaterial}               The material
+ */
+export function createInstanceMaterial(source) {
+    var shader = THREE.ShaderLib.physical;
+    var uniforms = THREE.UniformsUtils.clone(shader.uniforms);
+    var material = new THREE.ShaderMaterial({
+        uniforms: uniforms,
+        vertexShader: _replaceChunks(shader.vertexShader, VERTEX_CHUNKS),
+        fragmentShader: _replaceChunks(shader.fragmentShader, FRAGMENT_CHUNKS),
+        lights: true,
+        side: source.side,
+        transparent: source.transparent,
+        wireframe: !!source.wireframe
+    });
+    // The renderer only sets these uniforms for built in materials
+    uniforms.diffuse.value.copy(source.color || new THREE.Color(1, 1, 1));
+    uniforms.opacity.value = source.opacity;
+    _setUniform(uniforms.emissive, source.emissive);
+    _setUniform(uniforms.roughness, source.roughness);
+    _setUniform(uniforms.metalness, source.metalness);
+    _setUniform(uniforms.envMapIntensity, source.envMapIntensity);
+    _setUniform(uniforms.reflectivity, source.reflectivity);
+    _setUniform(uniforms.refractionRatio, source.refractionRatio);
+    if (source.map) {
+        uniforms.map.value = source.map;
+        uniforms.offsetRepeat.value.set(source.map.offset.x, source.map.offset.y,
+            source.map.repeat.x, source.map.repeat.y);
+    }
+    if (source.envMap) {
+        uniforms.envMap.value = source.envMap;
+        uniforms.flipEnvMap.value = source.envMap.isCubeTexture ? -1 : 1;
+    }
+    // The renderer chooses the shader features from these, as for built in materials
+    material.map = source.map || null;
+    material.envMap = source.envMap || null;
+    material.vertexColors = THREE.VertexColors;
+    material.name = MATERIAL_PREFIX + source.name;
+    return material;
+}
+
+/**
+ * Determine whether a material was made by createInstanceMaterial
+ * @param  {THREE.Material} material    The material
+ * @return {Boolean}                    Whether it is for instanced meshes
+ */
+export function isInstanceMaterial(material) {
+    return material.name.indexOf(MATERIAL_PREFIX) === 0;
+}
+
+/**
+ * Set the value of a uniform when the material has the property
+ * @param {Object} uniform  The uniform
+ * @param {Object} value    The value of the property, a number or a color
+ */
+function _setUniform(uniform, value) {
+    if (value == null) return;
+    if (value instanceof THREE.Color) {
+        uniform.value.copy(value);
+    } else {
+        uniform.value = value;
+    }
+}
+
+/**
+ * Replace the includes of shader chunks in a shader
+ * @param  {String} shader  The shader
+ * @param  {Object} chunks  Map from include to the text that replaces it
+ * @return {String}         The modified shader
+ */
+function _replaceChunks(shader, chunks) {
+    for (var include in chunks) {
+        shader = shader.split(include).join(chunks[include]);
+    }
+    return shader;
+}
@@ -0,0 +1,293 @@
+/**
+ * Meshes that draw the instances of a scene element in one draw call
+ */
+
+'use strict';
+
+import * as THREE from 'three';
+import * as constants from '../constants.js';
+import {scene} from 'flux-modelingjs';
+import { createInstanceMaterial } from './instanceMaterial.js';
+
+/**
+ * Replace the meshes of instances that share geometry, material and parent by instanced meshes.
+ *
+ * Each instance keeps its container in the scene, but its meshes are drawn by an
+ * instanced mesh added to the parent of the instances. The userData.instanceIds of an
+ * instanced mesh has the id of the instance drawn by each copy, and the location of each
+ * copy is recorded in the SceneBuilderData so instances can be hidden, colored and picked.
+ * Meshes of instances that are unique, and lines, points and text, are kept as they are.
+ * Exporters draw the copies as separate meshes again, see getInstanceMeshes.
+ *
+ * @param  {THREE.Object3D} root                The scene
+ * @param  {SceneBuilderData} sceneBuilderData  Container for result and per query storage
+ * @return {Array.<THREE.Mesh>}                 The instanced meshes
+ */
+export function instanceObjects(root, sceneBuilderData) {
+    var batches = {};
+    var keys = [];
+    root.traverse(function (instance) {
+        if (instance.userData.primitive !== scene.SCENE_PRIMITIVES.instance || !instance.parent) return;
+        var data = instance.userData.data || {};
+        for (var i=0;i<instance.children.length;i++) {
+            var child = instance.children[i];
+            if (!_canInstance(child)) continue;
+            var key = [instance.parent.uuid, child.geometry.uuid, data.material, _materialKey(child.material)].join('|');
+            if (!batches[key]) {
+                batches[key] = [];
+                keys.push(key);
+            }
+            batches[key].push(child);
+        }
+    });
+    var meshes = [];
+    for (var k=0;k<keys.length;k++) {
+        var children = batches[keys[k]];
+        if (children.length < constants.MIN_INSTANCED_COUNT) continue;
+        var mesh = _createInstancedMesh(children);
+        var parent = children[0].parent.parent;
+        for (var i=0;i<children.length;i++) {
+            var instanceId = children[i].parent.userData.id;
+            sceneBuilderData.cacheInstance(instanceId, mesh, i);
+            children[i].parent.remove(children[i]);
+        }
+        parent.add(mesh);
+        meshes.push(mesh);
+    }
+    return meshes;
+}
+
+/**
+ * Determine whether an object is an instanced mesh made by instanceObjects
+ * @param  {THREE.Object3D} object  The object
+ * @return {Boolean}                Whether it draws instances
+ */
+export function isInstancedMesh(object) {
+    return object.userData.instanceIds != null;
+}
+
+/**
+ * Show or hide one instance of an instanced mesh
+ * @param {THREE.Mesh} mesh         The instanced mesh
+ * @param {Number} index            The index of the instance
+ * @param {Boolean} visible         Whether to render it
+ */
+export function setInstanceVisible(mesh, index, visible) {
+    var attribute = mesh.geometry.attributes.instanceVisible;
+    attribute.array[index] = visible ? 1 : 0;
+    attribute.needsUpdate = true;
+}
+
+/**
+ * Override the color of one instance of an instanced mesh
+ * @param {THREE.Mesh} mesh         The instanced mesh
+ * @param {Number} index            The index of the instance
+ * @param {THREE.Color} color       The color, or null to use the color of the material
+ */
+export function setInstanceColor(mesh, index, color) {
+    var attribute = mesh.geometry.attributes.instanceColor;
+    var offset = index * 4;
+    attribute.array[offset] = color ? color.r : 0;
+    attribute.array[offset + 1] = color ? color.g : 0;
+    attribute.array[offset + 2] = color ? color.b : 0;
+    attribute.array[offset + 3] = color ? 1 : 0;
+    attribute.needsUpdate = true;
+}
+
+/**
+ * Get a mesh for each copy drawn by the instanced meshes in a scene, such as to export them.
+ * The meshes are not added to the scene. Each one is a clone of the mesh that was instanced,
+ * with its transform relative to the container of its instance, and with the visibility
+ * and color of the copy.
+ * @param  {THREE.Object3D} root    The scene
+ * @return {Object}                 Map from instance id to the list of its meshes
+ */
+export function getInstanceMeshes(root) {
+    var meshes = {};
+    var matrix = new THREE.Matrix4();
+    var inverse = new THREE.Matrix4();
+    root.traverse(function (object) {
+        if (!isInstancedMesh(object) || !object.parent) return;
+        var containers = {};
+        for (var c=0;c<object.parent.children.length;c++) {
+            var child = object.parent.children[c];
+            if (child.userData.primitive === scene.SCENE_PRIMITIVES.instance) {
+                containers[child.userData.id] = child;
+            }
+        }
+        var attributes = object.geometry.attributes;
+        var ids = object.userData.instanceIds;
+        for (var i=0;i<ids.length;i++) {
+            var container = containers[ids[i]];
+            if (!container) continue;
+            if (container.matrixAutoUpdate) container.updateMatrix();
+            var copy = object.instanceSource.clone();
+            // The transform of a copy can have shear, so it is not decomposed
+            copy.matrixAutoUpdate = false;
+            copy.matrix.multiplyMatrices(inverse.getInverse(container.matrix),
+                _getInstanceMatrix(object.geometry, i, matrix));
+            copy.visible = attributes.instanceVisible.array[i] === 1;
+            var color = attributes.instanceColor.array;
+            if (color[i * 4 + 3] === 1) {
+                copy.material = copy.material.clone();
+                copy.material.color.fromArray(color, i * 4);
+            }
+            if (!meshes[ids[i]]) meshes[ids[i]] = [];
+            meshes[ids[i]].push(copy);
+        }
+    });
+    return meshes;
+}
+
+/**
+ * Remove the instanced meshes from a scene and free their geometry.
+ * The containers of the instances are left empty, so they are built again.
+ * @param  {THREE.Object3D} root    The scene
+ */
+export function removeInstancedMeshes(root) {
+    var meshes = [];
+    root.traverse(function (child) {
+        if (isInstancedMesh(child)) {
+            meshes.push(child);
+        }
+    });
+    for (var i=0;i<meshes.length;i++) {
+        meshes[i].parent.remove(meshes[i]);
+        meshes[i].geometry.dispose();
+    }
+}
+
+/**
+ * Determine whether a mesh of an instance can be drawn by an instanced mesh
+ * @param  {THREE.Object3D} object  The child of an instance
+ * @return {Boolean}                Whether it can be instanced
+ */
+function _canInstance(object) {
+    return object.type === 'Mesh' && object.geometry != null && object.children.length === 0 &&
+        object.material != null && object.material.color != null && object.visible &&
+        !(object.material instanceof THREE.ShaderMaterial) && !object.userData.octree;
+}
+
+/**
+ * Get a string that is the same for materials that look the same
+ * @param  {THREE.Material} material    The material
+ * @return {String}                     The key
+ */
+function _materialKey(material) {
+    return [material.type, material.name, material.color.getHex(), material.opacity,
+        material.map ? material.map.uuid : ''].join('|');
+}
+
+/**
+ * Create a mesh that draws copies of the meshes of some instances
+ * @param  {Array.<THREE.Mesh>} children    The meshes, which share geometry and material
+ * @return {THREE.Mesh}                     The instanced mesh
+ */
+function _createInstancedMesh(children) {
+    var source = children[0].geometry;
+    if (!(source instanceof THREE.BufferGeometry)) {
+        source = new THREE.BufferGeometry().fromGeometry(source);
+    }
+    var geometry = new THREE.InstancedBufferGeometry();
+    if (source.index) {
+        geometry.setIndex(source.index);
+    }
+    for (var name in source.attributes) {
+        geometry.addAttribute(name, source.attributes[name]);
+    }
+    for (var g=0;g<source.groups.length;g++) {
+        var group = source.groups[g];
+        geometry.addGroup(group.start, group.count, group.materialIndex);
+    }
+    var count = children.length;
+    if (!source.attributes.color) {
+        var white = new Float32Array(source.attributes.position.count * 3);
+        white.fill(1);
+        geometry.addAttribute('color', new THREE.BufferAttribute(white, 3));
+    }
+    var rows = [new Float32Array(count * 4), new Float32Array(count * 4), new Float32Array(count * 4)];
+    var visible = new Float32Array(count);
+    var matrix = new THREE.Matrix4();
+    var ids = [];
+    for (var i=0;i<count;i++) {
+        var child = children[i];
+        var instance = child.parent;
+        if (instance.matrixAutoUpdate) instance.updateMatrix();
+        child.updateMatrix();
+        matrix.multiplyMatrices(instance.matrix, child.matrix);
+        // Elements are column major
+        for (var r=0;r<3;r++) {
+            for (var c=0;c<4;c++) {
+                rows[r][i * 4 + c] = matrix.elements[c * 4 + r];
+            }
+        }
+        visible[i] = instance.visible ? 1 : 0;
+        ids.push(instance.userData.id);
+    }
+    for (r=0;r<3;r++) {
+        geometry.addAttribute('instanceRow' + r, new THREE.InstancedBufferAttribute(rows[r], 4, 1));
+    }
+    geometry.addAttribute('instanceColor',
+        new THREE.InstancedBufferAttribute(new Float32Array(count * 4), 4, 1).setDynamic(true));
+    geometry.addAttribute('instanceVisible', new THREE.InstancedBufferAttribute(visible, 1, 1).setDynamic(true));
+    geometry.maxInstancedCount = count;
+    var mesh = new THREE.Mesh(geometry, createInstanceMaterial(children[0].material));
+    // The bounds of the geometry are those of a single copy
+    mesh.frustumCulled = false;
+    mesh.name = 'instances:' + children[0].name;
+    mesh.userData.instanceIds = ids;
+    // The mesh that was instanced, which is not in the scene any more
+    mesh.instanceSource = children[0];
+    // Merged primitives are in the same place in the shared attributes
+    if (children[0].userData.mergedRanges) {
+        mesh.userData.mergedRanges = children[0].userData.mergedRanges;
+    }
+    mesh.userData.instanceMaterial = children[0].parent.userData.data ?
+        children[0].parent.userData.data.material : undefined;
+    mesh.raycast = _raycastInstances(source);
+    return mesh;
+}
+
+/**
+ * Get the transform of an instance of an instanced mesh
+ * @param  {THREE.InstancedBufferGeometry} geometry The geometry of the instanced mesh
+ * @param  {Number} index                           The index of the instance
+ * @param  {THREE.Matrix4} matrix                   The transform (modified)
+ * @return {THREE.Matrix4}                          The transform
+ */
+function _getInstanceMatrix(geometry, index, matrix) {
+    var a = geometry.attributes.instanceRow0.array;
+    var b = geometry.attributes.instanceRow1.array;
+    var c = geometry.attributes.instanceRow2.array;
+    var i = index * 4;
+    return matrix.set(a[i], a[i + 1], a[i + 2], a[i + 3],
+        b[i], b[i + 1], b[i + 2], b[i + 3],
+        c[i], c[i + 1], c[i + 2], c[i + 3],
+        0, 0, 0, 1);
+}
+
+/**
+ * Create a raycast function that hits each visible instance of an instanced mesh.
+ * Intersections have the instanced mesh as their object and the index of the
+ * instance that was hit as instanceIndex.
+ * @param  {THREE.BufferGeometry} source    The geometry of one instance
+ * @return {Function}                       The raycast function for the instanced mesh
+ */
+function _raycastInstances(source) {
+    var proxy = new THREE.Mesh(source);
+    var matrix = new THREE.Matrix4();
+    return function (raycaster, intersects) {
+        var visible = this.geometry.attributes.instanceVisible.array;
+        proxy.material = this.material;
+        for (var i=0;i<visible.length;i++) {
+            if (!visible[i]) continue;
+            proxy.matrixWorld.multiplyMatrices(this.matrixWorld, _getInstanceMatrix(this.geometry, i, matrix));
+            var start = intersects.length;
+            proxy.raycast(raycaster, intersects);
+            for (var k=start;k<intersects.length;k++) {
+                intersects[k].object = this;
+                intersects[k].instanceIndex = i;
+            }
+        }
+    };
+}
@@ -0,0 +1,107 @@
+/**
+ * Shader material for lines drawn as strips of triangles
+ */
+
+'use strict';
+
+import * as THREE from 'three';
+import * as constants from '../constants.js';
+
+// Prefix of the names of wide line materials
+var MATERIAL_PREFIX = 'lines:';
+
+var VERTEX_SHADER = [
+    'attribute vec3 previous;',
+    'attribute vec3 next;',
+    'attribute float side;',
+    'attribute float lineDistance;',
+    'attribute vec3 color;',
+    'uniform vec2 resolution;',
+    'uniform float linewidth;',
+    'uniform float worldUnits;',
+    'uniform float miterLimit;',
+    'varying vec3 vColor;',
+    'varying float vLineDistance;',
+    'vec2 toScreen( vec4 clip ) {',
+    '    return clip.xy / clip.w * resolution * 0.5;',
+    '}',
+    'void main() {',
+    '    vColor = color;',
+    '    vLineDistance = lineDistance;',
+    '    mat4 modelViewProjection = projectionMatrix * modelViewMatrix;',
+    '    vec4 clip = modelViewProjection * vec4( position, 1.0 );',
+    '    vec2 screen = toScreen( clip );',
+    '    vec2 toPrevious = screen - toScreen( modelViewProjection * vec4( previous, 1.0 ) );',
+    '    vec2 toNext = toScreen( modelViewProjection * vec4( next, 1.0 ) ) - screen;',
+    '    // The ends of a line have no previous or next point',
+    '    if ( length( toPrevious ) < 1e-6 ) toPrevious = toNext;',
+    '    if ( length( toNext ) < 1e-6 ) toNext = toPrevious;',
+    '    if ( length( toNext ) < 1e-6 ) {',
+    '        toPrevious = vec2( 1.0, 0.0 );',
+    '        toNext = toPrevious;',
+    '    }',
+    '    vec2 normal = normalize( vec2( -toPrevious.y, toPrevious.x ) );',
+    '    vec2 tangent = normalize( toPrevious ) + normalize( toNext );',
+    '    vec2 miter = length( tangent ) < 1e-6 ? normal : normalize( vec2( -tangent.y, tangent.x ) );',
+    '    float halfWidth = 0.5 * linewidth;',
+    '    if ( worldUnits > 0.5 ) halfWidth *= 0.5 * resolution.y * projectionMatrix[1][1] / clip.w;',
+    '    // Lengthen the offset at joints so the edges of the segments meet',
+    '    float miterLength = halfWidth / max( dot( miter, normal ), 1.0 / miterLimit );',
+    '    clip.xy += miter * miterLength * side / resolution * 2.0 * clip.w;',
+    '    gl_Position = clip;',
+    '}'
+].join('\n');
+
+var FRAGMENT_SHADER = [
+    'uniform float opacity;',
+    'uniform float dashSize;',
+    'uniform float gapSize;',
+    'varying vec3 vColor;',
+    'varying float vLineDistance;',
+    'void main() {',
+    '    if ( dashSize > 0.0 && mod( vLineDistance, dashSize + gapSize ) > dashSize ) discard;',
+    '    gl_FragColor = vec4( vColor, opacity );',
+    '}'
+].join('\n');
+
+/**
+ * Create the material for wide lines.
+ * The width is in pixels, or in world units when units is world. Dashes and gaps are in
+ * world units, and there are no dashes when dashSize is 0. The resolution uniform is the
+ * size of the viewport in pixels, and is set by updateWideLines.
+ * @param  {Object} options         The linewidth, units, dashSize, gapSize and opacity
+ * @return {THREE.ShaderMaterial}   The material
+ */
+export function createLineMaterial(options) {
+    var material = new THREE.ShaderMaterial({
+        uniforms: {
+            resolution: {value: new THREE.Vector2(constants.WIDE_LINE_DEFAULTS.VIEWPORT_WIDTH,
+                constants.WIDE_LINE_DEFAULTS.VIEWPORT_HEIGHT)},
+            linewidth: {value: options.linewidth},
+            worldUnits: {value: options.units === 'world' ? 1 : 0},
+            miterLimit: {value: constants.WIDE_LINE_DEFAULTS.MITER_LIMIT},
+            dashSize: {value: options.dashSize},
+            gapSize: {value: options.gapSize},
+            opacity: {value: options.opacity}
+        },
+        vertexShader: VERTEX_SHADER,
+        fragmentShader: FRAGMENT_SHADER,
+        side: THREE.DoubleSide,
+        transparent: options.opacity < 1
+    });
+    // Kept when sent from a worker, like the width of basic lines
+    material.linewidth = options.linewidth;
+    // Lines with the same name can be merged
+    material.name = MATERIAL_PREFIX + JSON.stringify([options.linewidth, options.units,
+        options.dashSize, options.gapSize, options.opacity]);
+    return material;
+}
+
+/**
+ * Determine whether a material was made by createLineMaterial
+ * @param  {THREE.Material} material    The material
+ * @return {Boolean}                    Whether it is for wide lines
+ */
+export function isLineMaterial(material) {
+    return material.name.indexOf(MATERIAL_PREFIX) === 0;
+}
@@ -0,0 +1,295 @@
+/**
+ * Lines drawn as strips of triangles, so they can be wider than a pixel
+ */
+
+'use strict';
+
+import * as THREE from 'three';
+import * as constants from '../constants.js';
+import { createLineMaterial, isLineMaterial } from './lineMaterial.js';
+
+// Number of components of each attribute of wide lines
+var ITEM_SIZES = {position: 3, previous: 3, next: 3, side: 1, lineDistance: 1, color: 3};
+
+// The end of its segment that each of the six vertices of a segment is at, 0 for the start
+var SEGMENT_CORNERS = [0, 0, 1, 1, 0, 1];
+
+/**
+ * Determine whether lines with the given material properties need to be wide lines.
+ * WebGL draws lines one pixel wide, so lines that are wider, have a width in world
+ * units or have dashes are drawn as triangles.
+ * @param  {Object} materialProperties  The Flux material properties
+ * @return {Boolean}                    Whether to draw wide lines
+ */
+export function isWideLine(materialProperties) {
+    if (!materialProperties) return false;
+    return materialProperties.linewidth > 1 ||
+        materialProperties.lineWidthUnits === constants.LINE_WIDTH_UNITS[1] ||
+        materialProperties.dashSize > 0;
+}
+
+/**
+ * Replace the lines in an object with wide lines.
+ *
+ * The Flux material properties are linewidth, lineWidthUnits, which is pixels or world,
+ * and dashSize and gapSize in world units. The colors of the lines are moved to their
+ * geometry, so wide lines with the same properties can be merged.
+ *
+ * @param  {THREE.Object3D} object      The lines, or an object containing lines
+ * @param  {Object} materialProperties  The Flux material properties
+ * @return {THREE.Object3D}             The object with wide lines
+ */
+export function createWideLines(object, materialProperties) {
+    var dashSize = materialProperties.dashSize || 0;
+    var options = {
+        linewidth: materialProperties.linewidth != null ? materialProperties.linewidth :
+            constants.DEFAULT_MATERIAL_PROPERTIES.line.linewidth,
+        units: materialProperties.lineWidthUnits === constants.LINE_WIDTH_UNITS[1] ?
+            constants.LINE_WIDTH_UNITS[1] : constants.LINE_WIDTH_UNITS[0],
+        dashSize: dashSize,
+        gapSize: materialProperties.gapSize != null ? materialProperties.gapSize : dashSize,
+        opacity: 1
+    };
+    if (object instanceof THREE.Line) {
+        return _createWideLine(object, options);
+    }
+    var lines = [];
+    object.traverse(function (child) {
+        if (child instanceof THREE.Line) {
+            lines.push(child);
+        }
+    });
+    for (var i=0;i<lines.length;i++) {
+        var parent = lines[i].parent;
+        parent.add(_createWideLine(lines[i], options));
+        parent.remove(lines[i]);
+    }
+    return object;
+}
+
+/**
+ * Create a wide line to replace a line
+ * @param  {THREE.Line} line    The line
+ * @param  {Object} options     The options for createLineMaterial, without opacity
+ * @return {THREE.Mesh}         The wide line with the transform and user data of the line
+ */
+function _createWideLine(line, options) {
+    options.opacity = line.material.opacity;
+    var mesh = new THREE.Mesh(_wideGeometry(line), createLineMaterial(options));
+    mesh.name = line.name;
+    mesh.up.copy(line.up);
+    mesh.position.copy(line.position);
+    mesh.quaternion.copy(line.quaternion);
+    mesh.scale.copy(line.scale);
+    mesh.layers.mask = line.layers.mask;
+    mesh.userData = line.userData;
+    while (line.children.length > 0) {
+        mesh.add(line.children[0]);
+    }
+    line.geometry.dispose();
+    return mesh;
+}
+
+/**
+ * Create the triangles of a wide line.
+ *
+ * Each segment is two triangles whose vertices are at the ends of the segment, and are
+ * moved to the sides by the shader. Every vertex has the previous and next points on the
+ * line, to find the direction of the joint, the side it moves to, and its distance
+ * along the line for dashes.
+ *
+ * @param  {THREE.Line} line            The line
+ * @return {THREE.BufferGeometry}       The geometry
+ */
+function _wideGeometry(line) {
+    var geometry = line.geometry;
+    if (!(geometry instanceof THREE.BufferGeometry)) {
+        geometry = new THREE.BufferGeometry().setFromObject(line);
+    } else if (geometry.index) {
+        geometry = geometry.toNonIndexed();
+    }
+    var positions = geometry.attributes.position.array;
+    var colors = geometry.attributes.color ? geometry.attributes.color.array : null;
+    var tint = line.material.color ? line.material.color.toArray() : [1, 1, 1];
+    var count = positions.length / 3;
+    var isSegments = line instanceof THREE.LineSegments;
+    var segments = isSegments ? Math.floor(count / 2) : Math.max(count - 1, 0);
+    // Closed lines have a joint where they start and end
+    var isClosed = !isSegments && count > 2 && _samePoint(positions, 0, count - 1);
+
+    var result = {};
+    for (var name in ITEM_SIZES) {
+        result[name] = new Float32Array(segments * 6 * ITEM_SIZES[name]);
+    }
+    var distance = 0;
+    var vertex = 0;
+    for (var s=0;s<segments;s++) {
+        var a = isSegments ? s * 2 : s;
+        var b = a + 1;
+        var before = a;
+        var after = b;
+        if (!isSegments) {
+            before = a > 0 ? a - 1 : (isClosed ? count - 2 : a);
+            after = b < count - 1 ? b + 1 : (isClosed ? 1 : b);
+        }
+        var length = _distance(positions, a, b);
+        // The corners of the two triangles as the point, the side and the neighbors
+        var corners = [[a, -1], [a, 1], [b, -1], [b, -1], [a, 1], [b, 1]];
+        for (var c=0;c<corners.length;c++) {
+            var point = corners[c][0];
+            var atStart = point === a;
+            _copyPoint(positions, point, result.position, vertex);
+            _copyPoint(positions, atStart ? before : a, result.previous, vertex);
+            _copyPoint(positions, atStart ? b : after, result.next, vertex);
+            result.side[vertex] = corners[c][1];
+            result.lineDistance[vertex] = atStart ? distance : distance + length;
+            for (var k=0;k<3;k++) {
+                var vertexColor = colors ? colors[point * 3 + k] : 1;
+                result.color[vertex * 3 + k] = vertexColor * tint[k];
+            }
+            vertex++;
+        }
+        distance = isSegments ? 0 : distance + length;
+    }
+    var wide = new THREE.BufferGeometry();
+    for (name in ITEM_SIZES) {
+        wide.addAttribute(name, new THREE.BufferAttribute(result[name], ITEM_SIZES[name]));
+    }
+    // The colors are in the geometry, so they are not replaced by the material color
+    wide.hasColors = true;
+    return wide;
+}
+
+/**
+ * Determine whether two points in a list of positions are the same
+ * @param  {Float32Array} positions The positions
+ * @param  {Number} a               The index of the first point
+ * @param  {Number} b               The index of the second point
+ * @return {Boolean}                Whether they are within tolerance
+ */
+function _samePoint(positions, a, b) {
+    return _distance(positions, a, b) < constants.TOLERANCE;
+}
+
+/**
+ * Get the distance between two points in a list of positions
+ * @param  {Float32Array} positions The positions
+ * @param  {Number} a               The index of the first point
+ * @param  {Number} b               The index of the second point
+ * @return {Number}                 The distance
+ */
+function _distance(positions, a, b) {
+    var dx = positions[b * 3] - positions[a * 3];
+    var dy = positions[b * 3 + 1] - positions[a * 3 + 1];
+    var dz = positions[b * 3 + 2] - positions[a * 3 + 2];
+    return Math.sqrt(dx * dx + dy * dy + dz * dz);
+}
+
+/**
+ * Copy a point from one list of positions to another
+ * @param  {Float32Array} from  The positions to copy from
+ * @param  {Number} a           The index of the point to copy
+ * @param  {Float32Array} to    The positions to copy to (modified)
+ * @param  {Number} b           The index to copy it to
+ */
+function _copyPoint(from, a, to, b) {
+    to[b * 3] = from[a * 3];
+    to[b * 3 + 1] = from[a * 3 + 1];
+    to[b * 3 + 2] = from[a * 3 + 2];
+}
+
+/**
+ * Transform the neighboring points of wide lines, as applyMatrix does for positions,
+ * and measure the distances along the lines again so dashes keep their size.
+ * Other geometry is not changed.
+ * @param  {THREE.BufferGeometry} geometry  The geometry (modified), whose positions are already transformed
+ * @param  {THREE.Matrix4} matrix           The transform
+ */
+export function applyMatrix(geometry, matrix) {
+    var names = ['previous', 'next'];
+    for (var i=0;i<names.length;i++) {
+        var attribute = geometry.attributes && geometry.attributes[names[i]];
+        if (attribute) {
+            matrix.applyToVector3Array(attribute.array);
+            attribute.needsUpdate = true;
+        }
+    }
+    var lineDistance = geometry.attributes && geometry.attributes.lineDistance;
+    if (!lineDistance) return;
+    var positions = geometry.attributes.position.array;
+    var distances = lineDistance.array;
+    var end = 0;
+    var newEnd = 0;
+    for (var v=0;v+5<distances.length;v+=6) {
+        // Segments that continue a line start where the previous segment ended
+        var start = distances[v] !== 0 && distances[v] === end ? newEnd : 0;
+        end = distances[v + 2];
+        newEnd = start + _distance(positions, v, v + 2);
+        for (var c=0;c<6;c++) {
+            distances[v + c] = SEGMENT_CORNERS[c] === 0 ? start : newEnd;
+        }
+    }
+    lineDistance.needsUpdate = true;
+}
+
+/**
+ * Get the lines that wide line geometry was made from, as pairs of points.
+ * @param  {THREE.BufferGeometry} geometry  The geometry of wide lines
+ * @return {THREE.BufferGeometry}           Geometry with the position and color of the ends of each segment
+ */
+export function getLineSegments(geometry) {
+    var attributes = geometry.attributes;
+    var segments = Math.floor(attributes.position.count / 6);
+    var result = new THREE.BufferGeometry();
+    var names = ['position', 'color'];
+    for (var i=0;i<names.length;i++) {
+        if (!attributes[names[i]]) continue;
+        var values = attributes[names[i]].array;
+        var array = new Float32Array(segments * 6);
+        for (var s=0;s<segments;s++) {
+            // The first and third corners are at the start and end of the segment
+            _copyPoint(values, s * 6, array, s * 2);
+            _copyPoint(values, s * 6 + 2, array, s * 2 + 1);
+        }
+        result.addAttribute(names[i], new THREE.BufferAttribute(array, 3));
+    }
+    return result;
+}
+
+/**
+ * Get the polylines that wide line geometry was made from.
+ * Segments are joined when they continue the same line.
+ * @param  {THREE.BufferGeometry} geometry  The geometry of wide lines
+ * @return {Array.<Array.<Number>>}         The index of each point of each polyline in the geometry
+ */
+export function getPolylines(geometry) {
+    var distances = geometry.attributes.lineDistance.array;
+    var polylines = [];
+    var line = null;
+    for (var v=0;v+5<distances.length;v+=6) {
+        if (line == null || distances[v] === 0 || distances[v] !== distances[v - 4]) {
+            line = [v];
+            polylines.push(line);
+        }
+        line.push(v + 2);
+    }
+    return polylines;
+}
+
+/**
+ * Set the size of the viewport of the wide lines in an object.
+ * Call this before rendering when the size of the viewport changes.
+ * @param  {THREE.Object3D} root    The scene or object containing wide lines
+ * @param  {Number} width           The width of the viewport in pixels
+ * @param  {Number} height          The height of the viewport in pixels
+ */
+export function updateWideLines(root, width, height) {
+    root.traverse(function (object) {
+        if (object.material && isLineMaterial(object.material)) {
+            // Materials sent from a worker have a plain object instead of a vector
+            var resolution = object.material.uniforms.resolution.value;
+            resolution.x = width;
+            resolution.y = height;
+        }
+    });
+}
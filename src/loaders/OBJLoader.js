@@ -30,7 +30,8 @@ OBJLoader.prototype = {
 
 	},
 
-	parse: function ( text ) {
+	// transformVertex optionally maps each [ x, y, z ] vertex before it is stored
+	parse: function ( text, transformVertex ) {
 
 		var object, objects = [];
 		var geometry, material;
@@ -153,9 +154,16 @@ OBJLoader.prototype = {
 
 		}
 
-		// create mesh if no objects in text
+		// Start a new part of the mesh, for each object, group or material.
+		// Parts without faces are replaced by the next part.
 
-		if ( /^o /gm.test( text ) === false ) {
+		function startObject( name, materialName ) {
+
+			if ( object !== undefined && object.geometry.vertices.length === 0 ) {
+
+				objects.pop();
+
+			}
 
 			geometry = {
 				vertices: [],
@@ -164,11 +172,11 @@ OBJLoader.prototype = {
 			};
 
 			material = {
-				name: ''
+				name: materialName
 			};
 
 			object = {
-				name: '',
+				name: name,
 				geometry: geometry,
 				material: material
 			};
@@ -177,6 +185,8 @@ OBJLoader.prototype = {
 
 		}
 
+		startObject( '', '' );
+
 		var vertices = [];
 		var normals = [];
 		var uvs = [];
@@ -229,11 +239,13 @@ OBJLoader.prototype = {
 
 				// ["v 1.0 2.0 3.0", "1.0", "2.0", "3.0"]
 
-				vertices.push(
+				var vertex = [
 					parseFloat( result[ 1 ] ),
 					parseFloat( result[ 2 ] ),
 					parseFloat( result[ 3 ] )
-				);
+				];
+				if ( transformVertex ) vertex = transformVertex( vertex );
+				vertices.push( vertex[ 0 ], vertex[ 1 ], vertex[ 2 ] );
 
 			} else if ( ( result = normal_pattern.exec( line ) ) !== null ) {
 
@@ -291,35 +303,17 @@ OBJLoader.prototype = {
 					result[ 3 ], result[ 6 ], result[ 9 ], result[ 12 ]
 				);
 
-			} else if ( /^o /.test( line ) ) {
-
-				geometry = {
-					vertices: [],
-					normals: [],
-					uvs: []
-				};
-
-				material = {
-					name: ''
-				};
+			} else if ( /^[og] /.test( line ) ) {
 
-				object = {
-					name: line.substring( 2 ).trim(),
-					geometry: geometry,
-					material: material
-				};
+				// object or group
 
-				objects.push( object );
-
-			} else if ( /^g /.test( line ) ) {
-
-				// group
+				startObject( line.substring( 2 ).trim(), material.name );
 
 			} else if ( /^usemtl /.test( line ) ) {
 
 				// material
 
-				material.name = line.substring( 7 ).trim();
+				startObject( object.name, line.substring( 7 ).trim() );
 
 			} else if ( /^mtllib /.test( line ) ) {
 
@@ -344,6 +338,12 @@ OBJLoader.prototype = {
 			object = objects[ i ];
 			geometry = object.geometry;
 
+			if ( geometry.vertices.length === 0 ) {
+
+				continue;
+
+			}
+
 			var buffergeometry = new THREE.BufferGeometry();
 
 			buffergeometry.addAttribute( 'position', new THREE.BufferAttribute( new Float32Array( geometry.vertices ), 3 ) );
@@ -0,0 +1,55 @@
+/**
+ * Parse the materials of OBJ files into Flux material properties
+ */
+
+'use strict';
+
+/**
+ * Parse the text of an MTL file.
+ * The diffuse color becomes the color, the emissive color the emission color,
+ * the dissolve the transparency, and the specular exponent the glossiness.
+ * Texture maps are ignored.
+ * @param  {String} text    The contents of the MTL file
+ * @return {Object}         Map from material name to Flux material properties
+ */
+export function parseMTL(text) {
+    var result = {};
+    var props = null;
+    var lines = text.split('\n');
+    for (var i=0;i<lines.length;i++) {
+        var line = lines[i].trim();
+        if (line.length === 0 || line.charAt(0) === '#') continue;
+        var parts = line.split(/\s+/);
+        var key = parts[0];
+        var values = parts.slice(1).map(parseFloat);
+        if (key === 'newmtl') {
+            props = {};
+            result[line.substring(key.length).trim()] = props;
+        } else if (props == null) {
+            continue;
+        } else if (key === 'Kd' && values.length >= 3) {
+            props.color = values.slice(0, 3);
+        } else if (key === 'Ke' && values.length >= 3) {
+            if (values[0] > 0 || values[1] > 0 || values[2] > 0) {
+                props.emissionColor = values.slice(0, 3);
+            }
+        } else if (key === 'd' && !isNaN(values[0])) {
+            props.transparency = 1 - values[0];
+        } else if (key === 'Tr' && !isNaN(values[0])) {
+            props.transparency = values[0];
+        } else if (key === 'Ns' && !isNaN(values[0])) {
+            props.glossiness = _glossiness(values[0]);
+        }
+    }
+    return result;
+}
+
+/**
+ * Convert a Phong specular exponent to glossiness
+ * @param  {Number} exponent    The exponent, usually from 0 to 1000
+ * @return {Number}             The glossiness from 0 to 1
+ */
+function _glossiness(exponent) {
+    // Common mapping between Blinn-Phong exponent and microfacet roughness
+    return 1 - Math.sqrt(2 / (Math.max(exponent, 0) + 2));
+}
@@ -0,0 +1,126 @@
+/**
+ * Parse OFF files into vertices, faces and their properties
+ */
+
+'use strict';
+
+import FluxGeometryError from '../geometryError.js';
+
+/**
+ * Parse an ASCII OFF file, including the COFF, NOFF and STOFF variants.
+ *
+ * The result has vertices and faces like a Flux mesh, and optionally per vertex normal,
+ * color and uv, and per face color as faceColor. Colors are from 0 to 1.
+ *
+ * @param  {String} text    The contents of the file
+ * @return {Object}         The parsed data
+ * @throws FluxGeometryError if the file is not valid
+ */
+export function parseOFF(text) {
+    var lines = _contentLines(text, Infinity);
+    var next = 0;
+    var keyword = /^[A-Z]*OFF$/.test(lines[0]) ? lines[next++] : 'OFF';
+    var prefix = keyword.substring(0, keyword.length - 3);
+    var hasUv = prefix.indexOf('ST') !== -1;
+    var hasColor = prefix.indexOf('C') !== -1;
+    var hasNormal = prefix.indexOf('N') !== -1;
+    var counts = _numbers(lines[next++]);
+    if (counts.length < 2 || lines.length < next + counts[0] + counts[1]) {
+        throw new FluxGeometryError('OFF data is missing vertices or faces.');
+    }
+    var result = {vertices: [], faces: []};
+    if (hasNormal) result.normal = [];
+    if (hasColor) result.color = [];
+    if (hasUv) result.uv = [];
+    var i, values;
+    for (i=0;i<counts[0];i++) {
+        values = _numbers(lines[next++]);
+        result.vertices.push(values.slice(0, 3));
+        var offset = 3;
+        if (hasNormal) {
+            result.normal.push(values.slice(offset, offset + 3));
+            offset += 3;
+        }
+        if (hasColor) {
+            result.color.push(_color(values.slice(offset, offset + 3)));
+            offset += 4;
+        }
+        if (hasUv) {
+            result.uv.push(values.slice(offset, offset + 2));
+        }
+    }
+    for (i=0;i<counts[1];i++) {
+        values = _numbers(lines[next++]);
+        var count = values[0];
+        result.faces.push(values.slice(1, count + 1));
+        // Faces can end with a color
+        if (values.length >= count + 4) {
+            if (!result.faceColor) {
+                result.faceColor = result.faces.slice(0, -1).map(function () {
+                    return [1, 1, 1];
+                });
+            }
+            result.faceColor.push(_color(values.slice(count + 1, count + 4)));
+        } else if (result.faceColor) {
+            result.faceColor.push([1, 1, 1]);
+        }
+    }
+    return result;
+}
+
+/**
+ * Read the first vertex of an ASCII OFF file, without reading the rest of the file
+ * @param  {String} text        The contents of the file
+ * @return {Array.<Number>}     The vertex, or null when the file has no vertices
+ */
+export function readFirstVertexOFF(text) {
+    var lines = _contentLines(text, 3);
+    var next = /^[A-Z]*OFF$/.test(lines[0]) ? 1 : 0;
+    if (lines.length < next + 2 || !(_numbers(lines[next])[0] > 0)) return null;
+    var vertex = _numbers(lines[next + 1]).slice(0, 3);
+    return vertex.length === 3 ? vertex : null;
+}
+
+/**
+ * Get the lines of a file that are not empty, without their comments
+ * @param  {String} text            The contents of the file
+ * @param  {Number} count           The number of lines to read
+ * @return {Array.<String>}         The lines
+ */
+function _contentLines(text, count) {
+    var lines = [];
+    var start = 0;
+    while (start < text.length && lines.length < count) {
+        var end = text.indexOf('\n', start);
+        if (end === -1) end = text.length;
+        var line = text.substring(start, end).replace(/#.*/, '').trim();
+        if (line.length > 0) {
+            lines.push(line);
+        }
+        start = end + 1;
+    }
+    return lines;
+}
+
+/**
+ * Parse the numbers on a line
+ * @param  {String} line        The line
+ * @return {Array.<Number>}     The numbers
+ */
+function _numbers(line) {
+    return line.split(/\s+/).map(parseFloat);
+}
+
+/**
+ * Convert an OFF color to the range from 0 to 1
+ * @param  {Array.<Number>} color   Color from 0 to 1, or integers from 0 to 255
+ * @return {Array.<Number>}         The color from 0 to 1
+ */
+function _color(color) {
+    var isInteger = color.some(function (value) {
+        return value > 1;
+    });
+    return isInteger ? color.map(function (value) {
+        return value / 255;
+    }) : color;
+}
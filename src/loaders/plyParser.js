@@ -0,0 +1,344 @@
+/**
+ * Parse PLY files into vertices, faces and their properties
+ */
+
+'use strict';
+
+import FluxGeometryError from '../geometryError.js';
+
+// Number of bytes and DataView getter for each PLY type
+var PLY_TYPES = {
+    char: [1, 'getInt8'],
+    int8: [1, 'getInt8'],
+    uchar: [1, 'getUint8'],
+    uint8: [1, 'getUint8'],
+    short: [2, 'getInt16'],
+    int16: [2, 'getInt16'],
+    ushort: [2, 'getUint16'],
+    uint16: [2, 'getUint16'],
+    int: [4, 'getInt32'],
+    int32: [4, 'getInt32'],
+    uint: [4, 'getUint32'],
+    uint32: [4, 'getUint32'],
+    float: [4, 'getFloat32'],
+    float32: [4, 'getFloat32'],
+    double: [8, 'getFloat64'],
+    float64: [8, 'getFloat64']
+};
+
+// Vertex properties that are read as standard attributes, with their attribute and component
+var VERTEX_PROPERTIES = {
+    x: ['vertices', 0], y: ['vertices', 1], z: ['vertices', 2],
+    nx: ['normal', 0], ny: ['normal', 1], nz: ['normal', 2],
+    red: ['color', 0], green: ['color', 1], blue: ['color', 2],
+    r: ['color', 0], g: ['color', 1], b: ['color', 2],
+    diffuse_red: ['color', 0], diffuse_green: ['color', 1], diffuse_blue: ['color', 2],
+    s: ['uv', 0], t: ['uv', 1],
+    u: ['uv', 0], v: ['uv', 1],
+    texture_u: ['uv', 0], texture_v: ['uv', 1]
+};
+
+// Number of components of each standard attribute
+var ATTRIBUTE_SIZES = {vertices: 3, normal: 3, color: 3, uv: 2};
+
+// Longest header that is read before the data is rejected, in bytes
+var MAX_HEADER_LENGTH = 65536;
+
+// Number of bytes of ASCII data that are read to find the first vertex
+var FIRST_VERTEX_LENGTH = 1024;
+
+/**
+ * Parse a PLY file in ASCII, binary little endian or binary big endian format.
+ *
+ * The result has vertices and faces like a Flux mesh, and optionally per vertex normal,
+ * color and uv, per face color as faceColor, and properties, which maps the name of
+ * each other scalar vertex property to its values. Colors are from 0 to 1.
+ *
+ * @param  {Uint8Array} bytes   The contents of the file
+ * @return {Object}             The parsed data
+ * @throws FluxGeometryError if the file is not valid
+ */
+export function parsePLY(bytes) {
+    var header = _parseHeader(bytes);
+    var reader = header.format === 'ascii' ?
+        _asciiReader(bytes, header.length) :
+        _binaryReader(bytes, header.length, header.format === 'binary_little_endian');
+    var result = {vertices: [], faces: [], properties: {}};
+    for (var i=0;i<header.elements.length;i++) {
+        var element = header.elements[i];
+        if (element.name === 'vertex') {
+            _readVertices(element, reader, result);
+        } else if (element.name === 'face') {
+            _readFaces(element, reader, result);
+        } else {
+            _skipElement(element, reader);
+        }
+    }
+    return result;
+}
+
+/**
+ * Read the first vertex of a PLY file, without reading the rest of the data.
+ * @param  {Uint8Array} bytes   The contents of the file
+ * @return {Array.<Number>}     The vertex, or null when the vertices are not the first element
+ * @throws FluxGeometryError if the file is not valid
+ */
+export function readFirstVertexPLY(bytes) {
+    var header = _parseHeader(bytes);
+    var element = header.elements[0];
+    var hasPosition = element != null && element.properties.some(function (prop) {
+        return VERTEX_PROPERTIES[prop.name] && VERTEX_PROPERTIES[prop.name][0] === 'vertices';
+    });
+    if (!hasPosition || element.name !== 'vertex' || !(element.count > 0)) return null;
+    var reader = header.format === 'ascii' ?
+        _asciiReader(bytes.subarray(0, header.length + FIRST_VERTEX_LENGTH), header.length) :
+        _binaryReader(bytes, header.length, header.format === 'binary_little_endian');
+    var result = {vertices: [], faces: [], properties: {}};
+    _readVertices({name: element.name, count: 1, properties: element.properties}, reader, result);
+    return result.vertices[0];
+}
+
+/**
+ * Parse the header of a PLY file
+ * @param  {Uint8Array} bytes   The contents of the file
+ * @return {Object}             The format, elements and length in bytes of the header
+ * @throws FluxGeometryError if the header is not valid
+ */
+function _parseHeader(bytes) {
+    var text = '';
+    var end = -1;
+    var lineStart = 0;
+    var length = Math.min(bytes.length, MAX_HEADER_LENGTH);
+    // The header is ASCII and ends with a line containing end_header
+    for (var i=0;i<length;i++) {
+        text += String.fromCharCode(bytes[i]);
+        if (bytes[i] !== 10) continue;
+        var line = text.substring(lineStart, i).trim();
+        if (lineStart === 0 && line !== 'ply') break;
+        if (line === 'end_header') {
+            end = i + 1;
+            break;
+        }
+        lineStart = i + 1;
+    }
+    if (end === -1) {
+        throw new FluxGeometryError('PLY data is missing its header.');
+    }
+    var header = {format: null, elements: [], length: end};
+    var element = null;
+    var lines = text.split('\n');
+    for (i=0;i<lines.length;i++) {
+        var parts = lines[i].trim().split(/\s+/);
+        if (parts[0] === 'format') {
+            header.format = parts[1];
+        } else if (parts[0] === 'element') {
+            element = {name: parts[1], count: parseInt(parts[2]), properties: []};
+            header.elements.push(element);
+        } else if (parts[0] === 'property' && element != null) {
+            element.properties.push(parts[1] === 'list' ?
+                {name: parts[4], countType: _plyType(parts[2]), type: _plyType(parts[3])} :
+                {name: parts[2], type: _plyType(parts[1])});
+        }
+    }
+    if (['ascii', 'binary_little_endian', 'binary_big_endian'].indexOf(header.format) === -1) {
+        throw new FluxGeometryError('Unsupported PLY format: ' + header.format);
+    }
+    return header;
+}
+
+/**
+ * Look up a PLY type
+ * @param  {String} name    The name of the type
+ * @return {Array}          The number of bytes and DataView getter
+ * @throws FluxGeometryError if the type is unknown
+ */
+function _plyType(name) {
+    var type = PLY_TYPES[name];
+    if (!type) {
+        throw new FluxGeometryError('Unsupported PLY property type: ' + name);
+    }
+    return type;
+}
+
+/**
+ * Create a function that reads the next number of ASCII data
+ * @param  {Uint8Array} bytes   The contents of the file
+ * @param  {Number} start       Offset of the data after the header
+ * @return {Function}           Reads the next number given its type
+ */
+function _asciiReader(bytes, start) {
+    var tokens = bytesToText(bytes, start).trim().split(/\s+/);
+    var next = 0;
+    return function () {
+        if (next >= tokens.length) {
+            throw new FluxGeometryError('PLY data ends before all elements are read.');
+        }
+        return parseFloat(tokens[next++]);
+    };
+}
+
+/**
+ * Create a function that reads the next number of binary data
+ * @param  {Uint8Array} bytes           The contents of the file
+ * @param  {Number} start               Offset of the data after the header
+ * @param  {Boolean} littleEndian       Whether the data is little endian
+ * @return {Function}                   Reads the next number given its type
+ */
+function _binaryReader(bytes, start, littleEndian) {
+    var view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    var offset = start;
+    return function (type) {
+        if (offset + type[0] > view.byteLength) {
+            throw new FluxGeometryError('PLY data ends before all elements are read.');
+        }
+        var value = view[type[1]](offset, littleEndian);
+        offset += type[0];
+        return value;
+    };
+}
+
+/**
+ * Read the vertex element
+ * @param  {Object} element     The element from the header
+ * @param  {Function} read      Reads the next number
+ * @param  {Object} result      The parsed data (return parameter)
+ */
+function _readVertices(element, read, result) {
+    var props = element.properties;
+    var i, j;
+    // Colors stored as integers are from 0 to 255
+    var colorScale = 1;
+    for (j=0;j<props.length;j++) {
+        var standard = VERTEX_PROPERTIES[props[j].name];
+        if (props[j].countType) continue;
+        if (standard) {
+            if (!result[standard[0]]) result[standard[0]] = [];
+            if (standard[0] === 'color' && props[j].type[1].indexOf('Float') === -1) {
+                colorScale = 1 / 255;
+            }
+        } else {
+            result.properties[props[j].name] = [];
+        }
+    }
+    for (i=0;i<element.count;i++) {
+        var values = {};
+        for (var attr in ATTRIBUTE_SIZES) {
+            if (result[attr]) values[attr] = _zeros(ATTRIBUTE_SIZES[attr]);
+        }
+        for (j=0;j<props.length;j++) {
+            var prop = props[j];
+            if (prop.countType) {
+                _readList(prop, read);
+                continue;
+            }
+            var value = read(prop.type);
+            var target = VERTEX_PROPERTIES[prop.name];
+            if (target) {
+                values[target[0]][target[1]] = target[0] === 'color' ? value * colorScale : value;
+            } else {
+                result.properties[prop.name].push(value);
+            }
+        }
+        for (attr in values) {
+            result[attr].push(values[attr]);
+        }
+    }
+}
+
+/**
+ * Read the face element
+ * @param  {Object} element     The element from the header
+ * @param  {Function} read      Reads the next number
+ * @param  {Object} result      The parsed data (return parameter)
+ */
+function _readFaces(element, read, result) {
+    var props = element.properties;
+    var hasColor = props.some(function (prop) {
+        return VERTEX_PROPERTIES[prop.name] && VERTEX_PROPERTIES[prop.name][0] === 'color';
+    });
+    if (hasColor) {
+        result.faceColor = [];
+    }
+    for (var i=0;i<element.count;i++) {
+        var color = [0, 0, 0];
+        for (var j=0;j<props.length;j++) {
+            var prop = props[j];
+            if (prop.countType) {
+                var list = _readList(prop, read);
+                if (prop.name === 'vertex_indices' || prop.name === 'vertex_index') {
+                    result.faces.push(list);
+                }
+                continue;
+            }
+            var value = read(prop.type);
+            var target = VERTEX_PROPERTIES[prop.name];
+            if (target && target[0] === 'color') {
+                color[target[1]] = prop.type[1].indexOf('Float') === -1 ? value / 255 : value;
+            }
+        }
+        if (hasColor) {
+            result.faceColor.push(color);
+        }
+    }
+}
+
+/**
+ * Read a list property
+ * @param  {Object} prop        The property from the header
+ * @param  {Function} read      Reads the next number
+ * @return {Array.<Number>}     The values
+ */
+function _readList(prop, read) {
+    var count = read(prop.countType);
+    var list = [];
+    for (var k=0;k<count;k++) {
+        list.push(read(prop.type));
+    }
+    return list;
+}
+
+/**
+ * Skip all the items of an element
+ * @param  {Object} element     The element from the header
+ * @param  {Function} read      Reads the next number
+ */
+function _skipElement(element, read) {
+    for (var i=0;i<element.count;i++) {
+        for (var j=0;j<element.properties.length;j++) {
+            var prop = element.properties[j];
+            if (prop.countType) {
+                _readList(prop, read);
+            } else {
+                read(prop.type);
+            }
+        }
+    }
+}
+
+/**
+ * Make a list of zeros
+ * @param  {Number} count       The length of the list
+ * @return {Array.<Number>}     The list
+ */
+function _zeros(count) {
+    var list = [];
+    for (var i=0;i<count;i++) {
+        list.push(0);
+    }
+    return list;
+}
+
+/**
+ * Decode bytes of ASCII text
+ * @param  {Uint8Array} bytes   The bytes
+ * @param  {Number} start       Offset of the first byte to decode
+ * @return {String}             The text
+ */
+export function bytesToText(bytes, start) {
+    var chunks = [];
+    // Decode in chunks to stay under the limit on the number of function arguments
+    for (var i=start;i<bytes.length;i+=8192) {
+        chunks.push(String.fromCharCode.apply(null, bytes.subarray(i, Math.min(i + 8192, bytes.length))));
+    }
+    return chunks.join('');
+}
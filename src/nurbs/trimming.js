@@ -0,0 +1,584 @@
+/**
+ * Helpers to tessellate the trimmed region of a NURBS surface.
+ *
+ * Trim loops are closed curves in the parameter space of the surface. They are
+ * converted to polygons in the normalized domain [0,1]x[0,1] of NURBSSurface.getPoint,
+ * and the trimmed region is cut out of each cell of the tessellation grid, so that
+ * the resolution of the surface is kept away from the trim curves.
+ */
+
+'use strict';
+
+import * as THREE from 'three';
+import * as constants from '../constants.js';
+import FluxGeometryError from '../geometryError.js';
+import NURBSCurve from './NURBSCurve.js';
+
+// Primitives that can be used as trim loops or segments of a trim loop
+var LOOP_PRIMITIVES = ['curve', 'polyline', 'line', 'polycurve'];
+
+// Positions of the corners of a cell on its perimeter, starting at the lower left
+var CORNERS = [[0, 0], [1, 0], [1, 1], [0, 1]];
+
+/**
+ * Convert the trim loops of a surface to polygons in the domain of the surface.
+ *
+ * The trims are an object with an outer loop and a list of inner loops.
+ * Each loop is a curve, polyline, line or polycurve entity, or an array of them
+ * joined end to end, with [u, v] points in the parameter space of the surface.
+ * The loops are oriented counter clockwise around the kept region, and clockwise
+ * around holes, no matter which direction they were given in.
+ *
+ * @param  {Object} trims               The trims from the surface data
+ * @param  {NURBSSurface} nurbsSurface  The surface the loops are on
+ * @return {Array.<Array.<Array.<Number>>>} Closed polygons of [t1, t2] points
+ */
+export function getTrimLoops(trims, nurbsSurface) {
+    if (typeof trims !== 'object') {
+        throw new FluxGeometryError('Surface trims must be an object with outer and inner loops');
+    }
+    var loops = [];
+    if (trims.outer != null) {
+        loops.push(_loopToPolygon(trims.outer, nurbsSurface));
+    } else {
+        // Without an outer loop the whole surface is kept
+        loops.push(CORNERS.map(function (corner) {
+            return [corner[0], corner[1]];
+        }));
+    }
+    var inner = trims.inner || [];
+    if (inner.constructor !== Array) {
+        throw new FluxGeometryError('Surface inner trims must be an array of loops');
+    }
+    for (var i=0;i<inner.length;i++) {
+        loops.push(_loopToPolygon(inner[i], nurbsSurface));
+    }
+    _orientLoops(loops);
+    return loops;
+}
+
+/**
+ * Triangulate the region inside trim loops on a grid of cells.
+ * Cells entirely inside the region are split into two triangles, the same way as
+ * THREE.ParametricGeometry does, and cells crossed by a loop are cut along it.
+ *
+ * @param  {Array.<Array.<Array.<Number>>>} loops Polygons from getTrimLoops
+ * @param  {Number} slices  Number of cells along t1
+ * @param  {Number} stacks  Number of cells along t2
+ * @return {Array.<Array.<Array.<Number>>>} Triangles of [t1, t2] points, counter clockwise
+ */
+export function triangulateTrimmed(loops, slices, stacks) {
+    var triangles = [];
+    for (var i=0;i<slices;i++) {
+        for (var j=0;j<stacks;j++) {
+            var rect = {
+                x0: i / slices,
+                x1: (i + 1) / slices,
+                y0: j / stacks,
+                y1: (j + 1) / stacks
+            };
+            _triangulateCell(loops, rect, triangles);
+        }
+    }
+    return triangles;
+}
+
+/**
+ * Convert one trim loop to a polygon in the normalized domain of the surface
+ * @param  {Object|Array} loop          Entity or array of entities
+ * @param  {NURBSSurface} nurbsSurface  The surface the loop is on
+ * @return {Array.<Array.<Number>>}     The polygon points
+ */
+function _loopToPolygon(loop, nurbsSurface) {
+    var points = [];
+    _appendLoopPoints(loop, points);
+    // Flux u runs along the rows of control points, which is the second surface direction
+    var uMin = nurbsSurface.knots2[nurbsSurface.iMin2];
+    var uRange = nurbsSurface.knots2[nurbsSurface.iMax2] - uMin;
+    var vMin = nurbsSurface.knots1[nurbsSurface.iMin1];
+    var vRange = nurbsSurface.knots1[nurbsSurface.iMax1] - vMin;
+    var polygon = [];
+    for (var i=0;i<points.length;i++) {
+        var point = [(points[i][1] - vMin) / vRange, (points[i][0] - uMin) / uRange];
+        var last = polygon[polygon.length-1];
+        if (!last || last[0] !== point[0] || last[1] !== point[1]) {
+            polygon.push(point);
+        }
+    }
+    // Loops are implicitly closed
+    if (polygon.length > 1 && _pointsEqual(polygon[0], polygon[polygon.length-1])) {
+        polygon.pop();
+    }
+    if (polygon.length < 3) {
+        throw new FluxGeometryError('Surface trim loops must have at least three points');
+    }
+    return polygon;
+}
+
+/**
+ * Add the points along a trim loop
+ * @param  {Object|Array} loop          Entity or array of entities
+ * @param  {Array.<Array.<Number>>} points  The points (return parameter)
+ */
+function _appendLoopPoints(loop, points) {
+    if (!loop) {
+        throw new FluxGeometryError('Surface trim loops must not be empty');
+    }
+    var i;
+    if (loop.constructor === Array) {
+        for (i=0;i<loop.length;i++) {
+            _appendLoopPoints(loop[i], points);
+        }
+        return;
+    }
+    if (LOOP_PRIMITIVES.indexOf(loop.primitive) === -1) {
+        throw new FluxGeometryError('Surface trim loops must be made of ' + LOOP_PRIMITIVES.join(', '));
+    }
+    switch (loop.primitive) {
+        case 'polycurve':
+            _appendLoopPoints(loop.curves, points);
+            break;
+        case 'line':
+            points.push(loop.start, loop.end);
+            break;
+        case 'polyline':
+            Array.prototype.push.apply(points, loop.points);
+            break;
+        case 'curve':
+            Array.prototype.push.apply(points, _curvePoints(loop));
+            break;
+    }
+}
+
+/**
+ * Tessellate a NURBS trim curve the same way as the curve primitive
+ * @param  {Object} data                The curve entity
+ * @return {Array.<Array.<Number>>}     The points
+ */
+function _curvePoints(data) {
+    if (!data.knots || !data.controlPoints) {
+        throw new FluxGeometryError('Trim curve is missing knots or control points.');
+    }
+    var controlPoints = data.controlPoints.map(function (point, i) {
+        return new THREE.Vector4(point[0], point[1], point[2] || 0, data.weights ? data.weights[i] : 1);
+    });
+    if (data.knots.length !== controlPoints.length + data.degree + 1) {
+        throw new FluxGeometryError('Number of knots in a NURBS trim curve should equal degree + N + 1, ' +
+            'where N is the number of control points');
+    }
+    if (data.degree <= 1) {
+        return data.controlPoints;
+    }
+    var numPoints = Math.max(Math.floor(controlPoints.length * data.degree * constants.NURBS_CURVE_QUALITY),
+        controlPoints.length-1);
+    return new NURBSCurve(data.degree, data.knots, controlPoints).getPoints(numPoints).map(function (p) {
+        return [p.x, p.y];
+    });
+}
+
+/**
+ * Make loops nested at an even depth counter clockwise, and the others clockwise
+ * @param  {Array.<Array.<Array.<Number>>>} loops The polygons (modified in place)
+ */
+function _orientLoops(loops) {
+    for (var i=0;i<loops.length;i++) {
+        var depth = 0;
+        for (var j=0;j<loops.length;j++) {
+            if (i !== j && _pointInPolygon(loops[i][0], loops[j])) {
+                depth++;
+            }
+        }
+        if ((_signedArea(loops[i]) > 0) !== (depth % 2 === 0)) {
+            loops[i].reverse();
+        }
+    }
+}
+
+/**
+ * Add the triangles covering the trimmed region within one cell of the grid
+ * @param  {Array.<Array.<Array.<Number>>>} loops The oriented trim polygons
+ * @param  {Object} rect        The cell bounds x0, x1, y0, y1
+ * @param  {Array} triangles    The triangles (return parameter)
+ */
+function _triangulateCell(loops, rect, triangles) {
+    var chains = [];
+    var closed = [];
+    for (var i=0;i<loops.length;i++) {
+        _clipLoop(loops[i], rect, chains, closed);
+    }
+    var a = [rect.x0, rect.y0];
+    var b = [rect.x1, rect.y0];
+    var c = [rect.x1, rect.y1];
+    var d = [rect.x0, rect.y1];
+    if (chains.length === 0 && closed.length === 0) {
+        // Nothing crosses the cell, so it is either all in or all out
+        var center = [(rect.x0 + rect.x1) * 0.5, (rect.y0 + rect.y1) * 0.5];
+        if (_inRegion(center, loops)) {
+            triangles.push([a, b, d], [b, c, d]);
+        }
+        return;
+    }
+
+    var pieces = _joinChains(chains, rect);
+    if (chains.length === 0) {
+        // Only whole loops in the cell, so check a point near the boundary instead
+        var nearEdge = [(rect.x0 + rect.x1) * 0.5, rect.y0 + (rect.y1 - rect.y0) * constants.TOLERANCE];
+        if (_inRegion(nearEdge, loops)) {
+            pieces.push([a, b, c, d]);
+        }
+    }
+    var holes = pieces.map(function () {
+        return [];
+    });
+    for (i=0;i<closed.length;i++) {
+        if (_signedArea(closed[i]) > 0) {
+            pieces.push(closed[i]);
+            holes.push([]);
+        }
+    }
+    for (i=0;i<closed.length;i++) {
+        if (_signedArea(closed[i]) < 0) {
+            var index = _findContainingPiece(closed[i][0], pieces);
+            if (index !== -1) {
+                holes[index].push(closed[i]);
+            }
+        }
+    }
+    for (i=0;i<pieces.length;i++) {
+        _triangulatePiece(pieces[i], holes[i], triangles);
+    }
+}
+
+/**
+ * Clip a trim polygon to a cell
+ * The parts of the loop that cross the cell are returned as chains, which start and end
+ * on the cell boundary. Parts running along the boundary are left out, since the boundary
+ * is added back where it is needed when the chains are joined.
+ * @param  {Array.<Array.<Number>>} loop    The polygon
+ * @param  {Object} rect                    The cell bounds
+ * @param  {Array} chains                   Open chains of points (return parameter)
+ * @param  {Array} closed                   Loops entirely inside the cell (return parameter)
+ */
+function _clipLoop(loop, rect, chains, closed) {
+    var n = loop.length;
+    var segments = [];
+    var i;
+    for (i=0;i<n;i++) {
+        segments.push(_clipSegment(loop[i], loop[(i+1)%n], rect));
+    }
+    // Find a segment that starts a chain
+    var start = -1;
+    var allInside = true;
+    for (i=0;i<n;i++) {
+        var prev = segments[(i+n-1)%n];
+        var curr = segments[i];
+        if (!curr) {
+            allInside = false;
+        } else if (!prev || !_pointsEqual(prev[1], curr[0])) {
+            start = i;
+            break;
+        }
+    }
+    if (start === -1) {
+        if (allInside) {
+            closed.push(loop.slice());
+        }
+        return;
+    }
+    var chain = null;
+    for (i=0;i<n;i++) {
+        var segment = segments[(start+i)%n];
+        if (!segment) {
+            chain = null;
+        } else if (chain && _pointsEqual(chain[chain.length-1], segment[0])) {
+            chain.push(segment[1]);
+        } else {
+            chain = [segment[0], segment[1]];
+            chains.push(chain);
+        }
+    }
+}
+
+/**
+ * Clip a segment to a cell with the Liang-Barsky algorithm.
+ * Points on the boundary are snapped to it, so neighboring cells share them exactly.
+ * @param  {Array.<Number>} p   Start point
+ * @param  {Array.<Number>} q   End point
+ * @param  {Object} rect        The cell bounds
+ * @return {Array}              The start and end of the clipped segment, or null when
+ *                              it is outside the cell or along its boundary
+ */
+function _clipSegment(p, q, rect) {
+    var dx = q[0] - p[0];
+    var dy = q[1] - p[1];
+    var tEnter = 0;
+    var tExit = 1;
+    var sideEnter = -1;
+    var sideExit = -1;
+    var bounds = [rect.x0, rect.x1, rect.y0, rect.y1];
+    for (var side=0;side<4;side++) {
+        var axis = side < 2 ? 0 : 1;
+        var delta = axis === 0 ? dx : dy;
+        var isMin = side % 2 === 0;
+        var offset = bounds[side] - p[axis];
+        if (delta === 0) {
+            if (isMin ? offset > 0 : offset < 0) return null;
+            continue;
+        }
+        var t = offset / delta;
+        // Moving towards the inside of this side
+        if (isMin === delta > 0) {
+            if (t > tEnter) {
+                tEnter = t;
+                sideEnter = side;
+            }
+        } else if (t < tExit) {
+            tExit = t;
+            sideExit = side;
+        }
+    }
+    if (tEnter >= tExit) return null;
+    var a = _pointOnSide(p, q, tEnter, sideEnter, bounds);
+    var b = _pointOnSide(p, q, tExit, sideExit, bounds);
+    var eps = constants.TOLERANCE * Math.max(rect.x1 - rect.x0, rect.y1 - rect.y0);
+    for (side=0;side<4;side++) {
+        axis = side < 2 ? 0 : 1;
+        if (Math.abs(a[axis] - bounds[side]) < eps && Math.abs(b[axis] - bounds[side]) < eps) {
+            return null;
+        }
+    }
+    return [a, b];
+}
+
+/**
+ * Get a point along a segment, snapped to the side of the cell it was clipped by
+ * @param  {Array.<Number>} p       Start point
+ * @param  {Array.<Number>} q       End point
+ * @param  {Number} t               Parameter along the segment
+ * @param  {Number} side            Index of the side or -1 when not clipped
+ * @param  {Array.<Number>} bounds  The cell bounds x0, x1, y0, y1
+ * @return {Array.<Number>}         The point
+ */
+function _pointOnSide(p, q, t, side, bounds) {
+    if (side === -1) {
+        return t === 0 ? p : q;
+    }
+    var point = [p[0] + t * (q[0] - p[0]), p[1] + t * (q[1] - p[1])];
+    point[side < 2 ? 0 : 1] = bounds[side];
+    return point;
+}
+
+/**
+ * Join the chains crossing a cell into closed polygons by walking counter clockwise
+ * along the boundary from the end of each chain to the next chain start.
+ * @param  {Array.<Array.<Array.<Number>>>} chains Open chains from _clipLoop
+ * @param  {Object} rect                    The cell bounds
+ * @return {Array.<Array.<Array.<Number>>>} Counter clockwise polygons
+ */
+function _joinChains(chains, rect) {
+    var starts = chains.map(function (chain) {
+        return _perimeterParam(chain[0], rect);
+    });
+    var used = chains.map(function () {
+        return false;
+    });
+    var pieces = [];
+    for (var i=0;i<chains.length;i++) {
+        if (used[i]) continue;
+        var piece = [];
+        var current = i;
+        // Each chain is visited once, so this always finishes
+        for (var count=0;count<=chains.length;count++) {
+            used[current] = true;
+            Array.prototype.push.apply(piece, chains[current]);
+            var end = _perimeterParam(chains[current][chains[current].length-1], rect);
+            var next = -1;
+            var minDistance = Infinity;
+            for (var j=0;j<chains.length;j++) {
+                if (used[j] && j !== i) continue;
+                var distance = (starts[j] - end + 4) % 4;
+                if (distance < minDistance) {
+                    minDistance = distance;
+                    next = j;
+                }
+            }
+            _appendCorners(end, end + minDistance, rect, piece);
+            if (next === i || next === -1) break;
+            current = next;
+        }
+        pieces.push(piece);
+    }
+    return pieces;
+}
+
+/**
+ * Get the position of a point on the boundary of a cell, from 0 to 4 going counter
+ * clockwise from the lower left corner, one unit for each side.
+ * @param  {Array.<Number>} point   The point on the boundary
+ * @param  {Object} rect            The cell bounds
+ * @return {Number}                 The position
+ */
+function _perimeterParam(point, rect) {
+    var w = rect.x1 - rect.x0;
+    var h = rect.y1 - rect.y0;
+    var distances = [
+        Math.abs(point[1] - rect.y0) / h,
+        Math.abs(point[0] - rect.x1) / w,
+        Math.abs(point[1] - rect.y1) / h,
+        Math.abs(point[0] - rect.x0) / w
+    ];
+    var side = distances.indexOf(Math.min.apply(null, distances));
+    var s;
+    switch (side) {
+        case 0:
+            s = (point[0] - rect.x0) / w;
+            break;
+        case 1:
+            s = 1 + (point[1] - rect.y0) / h;
+            break;
+        case 2:
+            s = 2 + (rect.x1 - point[0]) / w;
+            break;
+        default:
+            s = 3 + (rect.y1 - point[1]) / h;
+    }
+    return Math.min(Math.max(s, 0), 4) % 4;
+}
+
+/**
+ * Add the corners of a cell that are passed going counter clockwise between two positions
+ * @param  {Number} from        Start position on the perimeter
+ * @param  {Number} to          End position, not less than from
+ * @param  {Object} rect        The cell bounds
+ * @param  {Array} piece        The polygon (return parameter)
+ */
+function _appendCorners(from, to, rect, piece) {
+    for (var s=Math.floor(from)+1;s<to;s++) {
+        var corner = CORNERS[s % 4];
+        piece.push([corner[0] ? rect.x1 : rect.x0, corner[1] ? rect.y1 : rect.y0]);
+    }
+}
+
+/**
+ * Find the smallest polygon containing a point
+ * @param  {Array.<Number>} point   The point
+ * @param  {Array} pieces           The polygons
+ * @return {Number}                 The index of the polygon or -1
+ */
+function _findContainingPiece(point, pieces) {
+    var index = -1;
+    var minArea = Infinity;
+    for (var i=0;i<pieces.length;i++) {
+        var area = Math.abs(_signedArea(pieces[i]));
+        if (area < minArea && _pointInPolygon(point, pieces[i])) {
+            minArea = area;
+            index = i;
+        }
+    }
+    return index;
+}
+
+/**
+ * Triangulate a polygon with holes and add the counter clockwise triangles
+ * @param  {Array.<Array.<Number>>} contour The counter clockwise outline
+ * @param  {Array} holes                    Clockwise holes inside it
+ * @param  {Array} triangles                The triangles (return parameter)
+ */
+function _triangulatePiece(contour, holes, triangles) {
+    // ShapeUtils expects clockwise outlines with counter clockwise holes
+    var points = _toVectors(contour).reverse();
+    var holePoints = holes.map(function (hole) {
+        return _toVectors(hole).reverse();
+    });
+    if (points.length < 3) return;
+    var all = points.concat.apply(points, holePoints);
+    var faces = THREE.ShapeUtils.triangulateShape(points, holePoints);
+    for (var i=0;i<faces.length;i++) {
+        var p0 = all[faces[i][0]];
+        var p1 = all[faces[i][1]];
+        var p2 = all[faces[i][2]];
+        var area = (p1.x - p0.x) * (p2.y - p0.y) - (p2.x - p0.x) * (p1.y - p0.y);
+        if (area > 0) {
+            triangles.push([p0.point, p1.point, p2.point]);
+        } else if (area < 0) {
+            triangles.push([p0.point, p2.point, p1.point]);
+        }
+    }
+}
+
+/**
+ * Convert polygon points to vectors for ShapeUtils, skipping repeated points
+ * @param  {Array.<Array.<Number>>} polygon The polygon
+ * @return {Array.<THREE.Vector2>}          The vectors, with the original point attached
+ */
+function _toVectors(polygon) {
+    var vectors = [];
+    for (var i=0;i<polygon.length;i++) {
+        var point = polygon[i];
+        var prev = polygon[(i+polygon.length-1)%polygon.length];
+        if (i > 0 && _pointsEqual(point, prev)) continue;
+        if (i === polygon.length-1 && _pointsEqual(point, polygon[0])) continue;
+        var vector = new THREE.Vector2(point[0], point[1]);
+        vector.point = point;
+        vectors.push(vector);
+    }
+    return vectors;
+}
+
+/**
+ * Check whether a point is inside the region bounded by all the loops, using the even-odd rule
+ * @param  {Array.<Number>} point   The point
+ * @param  {Array} loops            The polygons
+ * @return {Boolean}                Whether it is inside
+ */
+function _inRegion(point, loops) {
+    var inside = false;
+    for (var i=0;i<loops.length;i++) {
+        if (_pointInPolygon(point, loops[i])) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+/**
+ * Check whether a point is inside a polygon
+ * @param  {Array.<Number>} point   The point
+ * @param  {Array} polygon          The polygon
+ * @return {Boolean}                Whether it is inside
+ */
+function _pointInPolygon(point, polygon) {
+    var inside = false;
+    for (var i=0, j=polygon.length-1;i<polygon.length;j=i++) {
+        var a = polygon[i];
+        var b = polygon[j];
+        if ((a[1] > point[1]) !== (b[1] > point[1]) &&
+            point[0] < (b[0] - a[0]) * (point[1] - a[1]) / (b[1] - a[1]) + a[0]) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+/**
+ * Twice the signed area of a polygon, positive when counter clockwise
+ * @param  {Array} polygon  The polygon
+ * @return {Number}         The area
+ */
+function _signedArea(polygon) {
+    var area = 0;
+    for (var i=0, j=polygon.length-1;i<polygon.length;j=i++) {
+        area += (polygon[j][0] - polygon[i][0]) * (polygon[j][1] + polygon[i][1]);
+    }
+    return area;
+}
+
+/**
+ * Check whether two points are identical
+ * @param  {Array.<Number>} a   First point
+ * @param  {Array.<Number>} b   Second point
+ * @return {Boolean}            Whether they are equal
+ */
+function _pointsEqual(a, b) {
+    return a[0] === b[0] && a[1] === b[1];
+}
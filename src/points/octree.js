@@ -0,0 +1,126 @@
+/**
+ * Octree to split a point cloud into levels of detail
+ */
+
+'use strict';
+
+import * as THREE from 'three';
+
+/**
+ * Split points into the nodes of an octree.
+ *
+ * Each node keeps up to nodeSize points spread evenly through its box, and passes the
+ * rest to its eight children. Drawing a node and its ancestors shows all the points in
+ * the node's box at the detail of the node's level. Nodes at the maximum depth keep all
+ * their points, which only happens when many points are very close together.
+ *
+ * @param  {Float32Array} positions Positions of the points as x, y, z
+ * @param  {Number} nodeSize        Maximum number of points in a node
+ * @param  {Number} maxDepth        Maximum level of a node, where the root is level 0
+ * @return {Array.<Object>}         Nodes with indices of their points, the index of
+ *                                  their parent (-1 for the root), level and box
+ */
+export function buildOctree(positions, nodeSize, maxDepth) {
+    var count = positions.length / 3;
+    var all = new Uint32Array(count);
+    var box = new THREE.Box3();
+    var point = new THREE.Vector3();
+    for (var i=0;i<count;i++) {
+        all[i] = i;
+        box.expandByPoint(point.fromArray(positions, i*3));
+    }
+    _makeCube(box);
+    var nodes = [];
+    var stack = [{indices: all, parent: -1, level: 0, box: box}];
+    while (stack.length > 0) {
+        var item = stack.pop();
+        var index = nodes.length;
+        var node = {indices: item.indices, parent: item.parent, level: item.level, box: item.box};
+        nodes.push(node);
+        if (item.indices.length <= nodeSize || item.level >= maxDepth) continue;
+        var split = _sample(positions, item.indices, item.box, nodeSize);
+        node.indices = split.sample;
+        for (var octant=0;octant<8;octant++) {
+            if (split.octants[octant].length === 0) continue;
+            stack.push({
+                indices: new Uint32Array(split.octants[octant]),
+                parent: index,
+                level: item.level + 1,
+                box: _octantBox(item.box, octant)
+            });
+        }
+    }
+    return nodes;
+}
+
+/**
+ * Choose the points that stay in a node, at most one per cell of a grid, and sort the
+ * others into the octants of the node
+ * @param  {Float32Array} positions Positions of all the points
+ * @param  {Uint32Array} indices    The points in the node
+ * @param  {THREE.Box3} box         The box of the node
+ * @param  {Number} nodeSize        Maximum number of points in the node
+ * @return {Object}                 The sample and the indices in each octant
+ */
+function _sample(positions, indices, box, nodeSize) {
+    var cells = Math.max(1, Math.floor(Math.cbrt(nodeSize)));
+    var size = box.max.x - box.min.x || 1;
+    var center = box.getCenter();
+    var occupied = {};
+    var sample = [];
+    var octants = [[], [], [], [], [], [], [], []];
+    for (var i=0;i<indices.length;i++) {
+        var start = indices[i] * 3;
+        var x = positions[start];
+        var y = positions[start+1];
+        var z = positions[start+2];
+        var cell = _cell(x, box.min.x, size, cells) + ',' +
+            _cell(y, box.min.y, size, cells) + ',' +
+            _cell(z, box.min.z, size, cells);
+        if (!occupied[cell] && sample.length < nodeSize) {
+            occupied[cell] = true;
+            sample.push(indices[i]);
+        } else {
+            octants[(x >= center.x ? 1 : 0) + (y >= center.y ? 2 : 0) + (z >= center.z ? 4 : 0)].push(indices[i]);
+        }
+    }
+    return {sample: new Uint32Array(sample), octants: octants};
+}
+
+/**
+ * Get the grid cell of a coordinate
+ * @param  {Number} value   The coordinate
+ * @param  {Number} min     The start of the box
+ * @param  {Number} size    The size of the box
+ * @param  {Number} cells   The number of cells along the box
+ * @return {Number}         The index of the cell
+ */
+function _cell(value, min, size, cells) {
+    return Math.min(Math.floor((value - min) / size * cells), cells - 1);
+}
+
+/**
+ * Grow a box into a cube with the same center
+ * @param  {THREE.Box3} box The box (modified)
+ */
+function _makeCube(box) {
+    var center = box.getCenter();
+    var half = Math.max(box.max.x - box.min.x, box.max.y - box.min.y, box.max.z - box.min.z) / 2;
+    box.min.set(center.x - half, center.y - half, center.z - half);
+    box.max.set(center.x + half, center.y + half, center.z + half);
+}
+
+/**
+ * Get the box of an octant of a cube
+ * @param  {THREE.Box3} box     The cube
+ * @param  {Number} octant      The octant, with a bit set for the upper half in x, y and z
+ * @return {THREE.Box3}         The box of the octant
+ */
+function _octantBox(box, octant) {
+    var center = box.getCenter();
+    var result = box.clone();
+    (octant & 1 ? result.min : result.max).x = center.x;
+    (octant & 2 ? result.min : result.max).y = center.y;
+    (octant & 4 ? result.min : result.max).z = center.z;
+    return result;
+}
@@ -0,0 +1,259 @@
+/**
+ * Point clouds split into an octree for level of detail
+ */
+
+'use strict';
+
+import * as THREE from 'three';
+import * as constants from '../constants.js';
+import { buildOctree } from './octree.js';
+import { createPointMaterial } from './pointMaterial.js';
+
+/**
+ * Get the point size from a given entity
+ * @param {Object} prim Point entity
+ * @returns {Number} Point size
+ */
+export function getPointSize(prim) {
+    var size = constants.DEFAULT_MATERIAL_PROPERTIES.point.pointSize;
+    if (!prim) return;
+    var materialProperties = _getMaterialProperties(prim);
+    var legacyName = constants.LEGACY_POINT_PROPERTIES.pointSize;
+    if (materialProperties && (materialProperties[legacyName] != null || materialProperties.pointSize != null)) {
+        if (materialProperties.pointSize != null) {
+            size = materialProperties.pointSize;
+        } else {
+            size = materialProperties[legacyName];
+        }
+    }
+    return size;
+}
+
+/**
+ * Get the point shape from a given entity
+ * @param {Object} prim Point entity
+ * @returns {String} One of constants.POINT_SHAPES, square when not set or not known
+ */
+export function getPointShape(prim) {
+    var materialProperties = _getMaterialProperties(prim);
+    var shape = materialProperties && materialProperties.pointShape;
+    return constants.POINT_SHAPES.indexOf(shape) !== -1 ? shape : constants.POINT_SHAPES[0];
+}
+
+/**
+ * Get the material properties of an entity
+ * @param {Object} prim The entity
+ * @returns {Object} The material properties or undefined
+ */
+function _getMaterialProperties(prim) {
+    return prim && (prim.materialProperties || (prim.attributes && prim.attributes.materialProperties));
+}
+
+/**
+ * Create a point cloud from geometry with positions and colors.
+ *
+ * The points are split into the nodes of an octree, and each node is a THREE.Points
+ * child of the returned object, so the cloud stays flat when the scene is flattened
+ * or sent from a worker. The userData.octree of a node has the uuid of the cloud, its
+ * index, the index of its parent (-1 for the root), its level and its bounding sphere.
+ * Use updatePointClouds to choose the nodes drawn for a camera.
+ *
+ * The geometry of a node has all the attributes of the given geometry for its points,
+ * a size attribute with the size of each point in world units, and a pointIndex
+ * attribute with the index of each point in the given geometry.
+ *
+ * @param {THREE.BufferGeometry} geometry   The points, optionally with a size attribute
+ * @param {Object} options                  The size used when there is no size attribute,
+ *                                          shape, opacity and ids, a list with an id per
+ *                                          point that is returned when picking
+ * @returns {THREE.Object3D}                The point cloud
+ */
+export function createPointCloud(geometry, options) {
+    var positions = geometry.attributes.position.array;
+    var count = positions.length / 3;
+    if (!geometry.attributes.size) {
+        var sizes = new Float32Array(count);
+        for (var i=0;i<count;i++) {
+            sizes[i] = options.size != null ? options.size : constants.DEFAULT_MATERIAL_PROPERTIES.point.pointSize;
+        }
+        geometry.addAttribute('size', new THREE.BufferAttribute(sizes, 1));
+    }
+    var opacity = options.opacity != null ? options.opacity : 1;
+    var material = createPointMaterial(options.shape, opacity);
+    var nodes = buildOctree(positions, constants.POINT_CLOUD_DEFAULTS.NODE_SIZE,
+        constants.POINT_CLOUD_DEFAULTS.MAX_DEPTH);
+    var cloud = new THREE.Object3D();
+    var shown = 0;
+    // Show the coarsest levels that fit in the budget until the first update
+    var order = nodes.map(function (node, index) {
+        return index;
+    }).sort(function (a, b) {
+        return nodes[a].level - nodes[b].level || a - b;
+    });
+    var objects = [];
+    for (i=0;i<nodes.length;i++) {
+        var node = nodes[i];
+        var points = new THREE.Points(_nodeGeometry(geometry, node.indices), material);
+        var sphere = node.box.getBoundingSphere();
+        points.userData.octree = {
+            cloud: cloud.uuid,
+            index: i,
+            parent: node.parent,
+            level: node.level,
+            center: sphere.center.toArray(),
+            radius: sphere.radius
+        };
+        if (options.ids) {
+            points.userData.pointIds = Array.prototype.map.call(node.indices, function (index) {
+                return options.ids[index];
+            });
+        }
+        objects.push(points);
+        cloud.add(points);
+    }
+    for (i=0;i<order.length;i++) {
+        var object = objects[order[i]];
+        var nodeCount = object.geometry.attributes.position.count;
+        object.visible = shown + nodeCount <= constants.POINT_CLOUD_DEFAULTS.POINT_BUDGET &&
+            (object.userData.octree.parent === -1 || objects[object.userData.octree.parent].visible);
+        if (object.visible) shown += nodeCount;
+    }
+    return cloud;
+}
+
+/**
+ * Create the geometry of a node with some of the points of a geometry
+ * @param {THREE.BufferGeometry} geometry   The geometry of all the points
+ * @param {Uint32Array} indices             The indices of the points in the node
+ * @returns {THREE.BufferGeometry}          The geometry of the node
+ */
+function _nodeGeometry(geometry, indices) {
+    var result = new THREE.BufferGeometry();
+    for (var name in geometry.attributes) {
+        var attribute = geometry.attributes[name];
+        var itemSize = attribute.itemSize;
+        var array = new attribute.array.constructor(indices.length * itemSize);
+        for (var i=0;i<indices.length;i++) {
+            for (var k=0;k<itemSize;k++) {
+                array[i*itemSize+k] = attribute.array[indices[i]*itemSize+k];
+            }
+        }
+        result.addAttribute(name, new THREE.BufferAttribute(array, itemSize));
+    }
+    result.addAttribute('pointIndex', new THREE.BufferAttribute(indices, 1));
+    // The point colors are in the geometry, so they are not replaced by the material color
+    result.hasColors = true;
+    return result;
+}
+
+/**
+ * Choose the nodes of point clouds to draw for a camera.
+ *
+ * Call this before rendering when the camera or the size of the viewport changes.
+ * Nodes are shown in order of their size on screen, when they are in the view of the
+ * camera and their parent is shown, until the number of points reaches the budget.
+ * The budget is shared by all the point clouds under the root.
+ *
+ * @param {THREE.Object3D} root         The scene or object containing point clouds
+ * @param {THREE.Camera} camera         The camera that will render the scene
+ * @param {Number} viewportHeight       The height of the viewport in pixels
+ * @param {Number} [pointBudget]        The maximum number of points to draw
+ * @returns {Number}                    The number of points drawn
+ */
+export function updatePointClouds(root, camera, viewportHeight, pointBudget) {
+    var budget = pointBudget != null ? pointBudget : constants.POINT_CLOUD_DEFAULTS.POINT_BUDGET;
+    root.updateMatrixWorld();
+    camera.updateMatrixWorld();
+    var frustum = new THREE.Frustum();
+    frustum.setFromMatrix(new THREE.Matrix4().multiplyMatrices(camera.projectionMatrix,
+        new THREE.Matrix4().getInverse(camera.matrixWorld)));
+    var cameraPosition = new THREE.Vector3().setFromMatrixPosition(camera.matrixWorld);
+
+    // Index the nodes of each cloud by their parent
+    var queue = [];
+    var children = {};
+    root.traverse(function (object) {
+        var octree = object.userData && object.userData.octree;
+        if (!octree) return;
+        object.visible = false;
+        object.material.uniforms.scale.value = viewportHeight / 2;
+        if (octree.parent === -1) {
+            queue.push(_nodeItem(object, frustum, cameraPosition, camera));
+        } else {
+            var key = octree.cloud + ':' + octree.parent;
+            (children[key] = children[key] || []).push(object);
+        }
+    });
+    var shown = 0;
+    while (queue.length > 0) {
+        var item = _popLargest(queue);
+        if (!item.inView || shown + item.count > budget) continue;
+        item.object.visible = true;
+        shown += item.count;
+        var octree = item.object.userData.octree;
+        var nodeChildren = children[octree.cloud + ':' + octree.index] || [];
+        for (var i=0;i<nodeChildren.length;i++) {
+            queue.push(_nodeItem(nodeChildren[i], frustum, cameraPosition, camera));
+        }
+    }
+    return shown;
+}
+
+/**
+ * Measure a node of a point cloud for the camera
+ * @param {THREE.Points} object         The node
+ * @param {THREE.Frustum} frustum       The view of the camera
+ * @param {THREE.Vector3} cameraPosition The position of the camera
+ * @param {THREE.Camera} camera         The camera
+ * @returns {Object}                    The node, its number of points, whether it is in
+ *                                      view and its priority from its size on screen
+ */
+function _nodeItem(object, frustum, cameraPosition, camera) {
+    var octree = object.userData.octree;
+    var sphere = new THREE.Sphere(new THREE.Vector3().fromArray(octree.center), octree.radius);
+    sphere.applyMatrix4(object.matrixWorld);
+    var priority = sphere.radius;
+    if (camera instanceof THREE.PerspectiveCamera) {
+        var distance = Math.max(sphere.center.distanceTo(cameraPosition) - sphere.radius, constants.TOLERANCE);
+        priority = sphere.radius / distance;
+    }
+    return {
+        object: object,
+        count: object.geometry.attributes.position.count,
+        inView: frustum.intersectsSphere(sphere),
+        priority: priority
+    };
+}
+
+/**
+ * Remove the node with the highest priority from a list
+ * @param {Array.<Object>} queue    The nodes (modified)
+ * @returns {Object}                The node removed
+ */
+function _popLargest(queue) {
+    var best = 0;
+    for (var i=1;i<queue.length;i++) {
+        if (queue[i].priority > queue[best].priority) best = i;
+    }
+    var item = queue[best];
+    queue[best] = queue[queue.length - 1];
+    queue.pop();
+    return item;
+}
+
+/**
+ * Get the point of a point cloud that was hit by a raycaster
+ * @param {Object} intersection     An intersection from THREE.Raycaster with a point cloud
+ * @returns {Object}                The index of the point in its cloud, and its id when
+ *                                  the cloud has ids, or null for other objects
+ */
+export function getPickedPoint(intersection) {
+    var object = intersection.object;
+    var pointIndex = object && object.geometry && object.geometry.attributes.pointIndex;
+    if (!pointIndex || intersection.index == null) return null;
+    var ids = object.userData.pointIds;
+    return {
+        index: pointIndex.array[intersection.index],
+        id: ids ? ids[intersection.index] : null
+    };
+}
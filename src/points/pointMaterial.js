@@ -0,0 +1,66 @@
+/**
+ * Shader material for point clouds with a size and color per point
+ */
+
+'use strict';
+
+import * as THREE from 'three';
+import * as constants from '../constants.js';
+
+var VERTEX_SHADER = [
+    'attribute float size;',
+    'attribute vec3 color;',
+    'uniform float scale;',
+    'uniform float minSize;',
+    'varying vec3 vColor;',
+    'void main() {',
+    '    vColor = color;',
+    '    vec4 mvPosition = modelViewMatrix * vec4( position, 1.0 );',
+    '    float pixels = size * scale * projectionMatrix[1][1];',
+    '    // Perspective projections make distant points smaller',
+    '    if ( projectionMatrix[3][3] == 0.0 ) pixels /= -mvPosition.z;',
+    '    gl_PointSize = max( pixels, minSize );',
+    '    gl_Position = projectionMatrix * mvPosition;',
+    '}'
+].join('\n');
+
+var FRAGMENT_SHADER = [
+    'uniform float shape;',
+    'uniform float opacity;',
+    'varying vec3 vColor;',
+    'void main() {',
+    '    vec2 offset = gl_PointCoord * 2.0 - 1.0;',
+    '    float distanceSq = dot( offset, offset );',
+    '    if ( shape > 0.5 && distanceSq > 1.0 ) discard;',
+    '    vec3 color = vColor;',
+    '    // Sprites are shaded like spheres lit from the viewer',
+    '    if ( shape > 1.5 ) color *= 0.5 + 0.5 * sqrt( 1.0 - distanceSq );',
+    '    gl_FragColor = vec4( color, opacity );',
+    '}'
+].join('\n');
+
+/**
+ * Create the material for a point cloud.
+ * Points have a size in world units from their size attribute, and are drawn at least
+ * minSize pixels wide. The scale uniform is half the height of the viewport in pixels,
+ * and is set by updatePointClouds.
+ * @param  {String} shape       One of constants.POINT_SHAPES
+ * @param  {Number} opacity     The opacity from 0 to 1
+ * @return {THREE.ShaderMaterial} The material
+ */
+export function createPointMaterial(shape, opacity) {
+    var shapeIndex = constants.POINT_SHAPES.indexOf(shape);
+    var material = new THREE.ShaderMaterial({
+        uniforms: {
+            scale: {value: constants.POINT_CLOUD_DEFAULTS.VIEWPORT_HEIGHT / 2},
+            minSize: {value: constants.POINT_PIXEL_SIZE},
+            shape: {value: Math.max(shapeIndex, 0)},
+            opacity: {value: opacity}
+        },
+        vertexShader: VERTEX_SHADER,
+        fragmentShader: FRAGMENT_SHADER,
+        transparent: opacity < 1
+    });
+    material.name = 'points:' + constants.POINT_SHAPES[Math.max(shapeIndex, 0)];
+    return material;
+}
@@ -0,0 +1,513 @@
+/**
+ * set of helpers to make annotation primitives
+ *
+ * Annotations are dimensions and leaders. They lie on a plane, given by its planeNormal,
+ * which is the z axis by default, and are made of lines, arrowheads and text. The text of
+ * a dimension is its measurement, or the text property with <> replaced by the measurement.
+ * Measurements are in the units of the measured points in the units property of the
+ * entity, or of the whole entity, shown in displayUnits with a number of decimals from precision.
+ * All the parts of an annotation are in the annotation layer.
+ */
+
+'use strict';
+
+import * as THREE from 'three';
+import * as constants from '../constants.js';
+import FluxGeometryError from '../geometryError.js';
+import TextHelper from '../helpers/TextHelper.js';
+import * as curveTolerance from '../utils/curveTolerance.js';
+import * as units from '../utils/units.js';
+
+var Y_AXIS = new THREE.Vector3(0, 1, 0);
+var Z_AXIS = new THREE.Vector3(0, 0, 1);
+
+// Placeholder for the measurement in the text of a dimension
+var MEASUREMENT = '<>';
+
+// Prefixes of the text of radial dimensions, the font has no diameter sign
+var RADIUS_PREFIX = 'R';
+var DIAMETER_PREFIX = 'Φ';
+
+/**
+ * Creates a dimension of the distance between two points along an axis
+ *
+ * The measured points are start and end, and the distance is measured along measureAxis,
+ * which is the x axis by default. The dimension line is offset from the start point by
+ * offset, to the left of the axis on the plane.
+ *
+ * @function linearDimension
+ *
+ * @return { THREE.Object3D } The dimension
+ *
+ * @throws FluxGeometryError if the axis is not on the plane
+ *
+ * @param { Object }           data     Flux entity data
+ * @param { THREE.Material } material The material to give the lines
+ */
+export function linearDimension ( data, material ) {
+    var normal = _planeNormal(data);
+    var direction = new THREE.Vector3(1, 0, 0);
+    if (data.measureAxis) {
+        direction = _vector(data, 'measureAxis');
+    }
+    direction.projectOnPlane(normal);
+    if (direction.lengthSq() < constants.TOLERANCE) {
+        throw new FluxGeometryError('Linear dimension measures along the normal of its plane');
+    }
+    return _lengthDimension(data, direction.normalize(), normal, material);
+}
+
+/**
+ * Creates a dimension of the distance between two points, parallel to the line between them
+ *
+ * The dimension line is offset from the measured points start and end by offset,
+ * to the left of the line from start to end on the plane.
+ *
+ * @function alignedDimension
+ *
+ * @return { THREE.Object3D } The dimension
+ *
+ * @throws FluxGeometryError if the points are the same
+ *
+ * @param { Object }           data     Flux entity data
+ * @param { THREE.Material } material The material to give the lines
+ */
+export function alignedDimension ( data, material ) {
+    var normal = _planeNormal(data);
+    var direction = _vector(data, 'end').sub(_vector(data, 'start')).projectOnPlane(normal);
+    if (direction.lengthSq() < constants.TOLERANCE) {
+        throw new FluxGeometryError('Aligned dimension has length zero');
+    }
+    return _lengthDimension(data, direction.normalize(), normal, material);
+}
+
+/**
+ * Creates a dimension of the radius, or the diameter when diameter is set, of a circle
+ *
+ * The circle has its center at center and passes through point. The dimension line goes
+ * from the center to the point, or across the circle for a diameter.
+ *
+ * @function radialDimension
+ *
+ * @return { THREE.Object3D } The dimension
+ *
+ * @throws FluxGeometryError if the radius is zero
+ *
+ * @param { Object }           data     Flux entity data
+ * @param { THREE.Material } material The material to give the lines
+ */
+export function radialDimension ( data, material ) {
+    var normal = _planeNormal(data);
+    var center = _vector(data, 'center');
+    var toPoint = _vector(data, 'point').sub(center).projectOnPlane(normal);
+    var radius = toPoint.length();
+    if (radius < constants.TOLERANCE) {
+        throw new FluxGeometryError('Radial dimension has radius zero');
+    }
+    var direction = toPoint.clone().divideScalar(radius);
+    var point = center.clone().add(toPoint);
+    var measured = data.diameter ? 2 * radius : radius;
+    var size = _textSize(data, measured);
+    var positions = [];
+    if (data.diameter) {
+        _addDimensionLine(positions, center.clone().sub(toPoint), point, normal, _arrowSize(data, size));
+    } else {
+        _addSegment(positions, center, point);
+        _addArrow(positions, point, direction, normal, _arrowSize(data, size));
+    }
+    var prefix = data.diameter ? DIAMETER_PREFIX : RADIUS_PREFIX;
+    var label = _label(data, prefix + units.formatLength(measured, _lengthUnits(data, 'center'),
+        data.displayUnits, data.precision));
+    var side = new THREE.Vector3().crossVectors(normal, direction);
+    var anchor = center.clone().addScaledVector(toPoint, 0.5);
+    var text = _outsideText(label, size, anchor, direction, side, normal, data, material);
+    return _createAnnotation(positions, text, material);
+}
+
+/**
+ * Creates a dimension of the angle between two lines from a center
+ *
+ * The angle is measured counterclockwise around the plane normal from the line through
+ * start to the line through end. When there is no planeNormal, the angle is the smaller
+ * one between the lines. The arc of the dimension has a radius of radius, or of the
+ * distance to the nearer point by default.
+ *
+ * @function angularDimension
+ *
+ * @return { THREE.Object3D } The dimension
+ *
+ * @throws FluxGeometryError if a point is at the center
+ *
+ * @param { Object }           data     Flux entity data
+ * @param { THREE.Material } material The material to give the lines
+ * @param { Object }           tolerance Settings for tessellating curves
+ */
+export function angularDimension ( data, material, tolerance ) {
+    var center = _vector(data, 'center');
+    var start = _vector(data, 'start');
+    var end = _vector(data, 'end');
+    var toStart = start.clone().sub(center);
+    var toEnd = end.clone().sub(center);
+    var normal;
+    if (data.planeNormal) {
+        normal = _planeNormal(data);
+    } else {
+        normal = new THREE.Vector3().crossVectors(toStart, toEnd);
+        normal = normal.lengthSq() < constants.TOLERANCE ? Z_AXIS.clone() : normal.normalize();
+    }
+    toStart.projectOnPlane(normal);
+    toEnd.projectOnPlane(normal);
+    if (toStart.lengthSq() < constants.TOLERANCE || toEnd.lengthSq() < constants.TOLERANCE) {
+        throw new FluxGeometryError('Angular dimension has a point at its center');
+    }
+    var from = toStart.clone().normalize();
+    var to = toEnd.clone().normalize();
+    var angle = Math.atan2(new THREE.Vector3().crossVectors(from, to).dot(normal), from.dot(to));
+    if (angle < 0) angle += 2 * Math.PI;
+    var radius = data.radius > 0 ? data.radius : Math.min(toStart.length(), toEnd.length());
+    var size = _textSize(data, radius);
+    var arrowSize = _arrowSize(data, size);
+
+    var positions = [];
+    var numSegments = curveTolerance.arcSegments(radius, angle, tolerance);
+    var previous = center.clone().addScaledVector(from, radius);
+    for (var i=1;i<=numSegments;i++) {
+        var point = from.clone().applyAxisAngle(normal, angle * i / numSegments);
+        point.multiplyScalar(radius).add(center);
+        _addSegment(positions, previous, point);
+        previous = point;
+    }
+    var arcStart = center.clone().addScaledVector(from, radius);
+    _addExtension(positions, center.clone().add(toStart), arcStart, size);
+    _addExtension(positions, center.clone().add(toEnd), previous, size);
+    _addArrow(positions, arcStart, new THREE.Vector3().crossVectors(from, normal), normal, arrowSize);
+    _addArrow(positions, previous, new THREE.Vector3().crossVectors(normal, to), normal, arrowSize);
+
+    var middle = from.clone().applyAxisAngle(normal, angle / 2);
+    var label = _label(data, units.formatAngle(angle, data.displayUnits, data.precision));
+    var tangent = new THREE.Vector3().crossVectors(normal, middle);
+    var anchor = center.clone().addScaledVector(middle, radius);
+    var text = _outsideText(label, size, anchor, tangent, middle, normal, data, material);
+    return _createAnnotation(positions, text, material);
+}
+
+/**
+ * Creates a leader, which is a line through points with an arrowhead at the first point,
+ * and text at the last point
+ *
+ * @function leader
+ *
+ * @return { THREE.Object3D } The leader
+ *
+ * @throws FluxGeometryError if there are less than two points
+ *
+ * @param { Object }           data     Flux entity data
+ * @param { THREE.Material } material The material to give the lines
+ */
+export function leader ( data, material ) {
+    if (!data.points || data.points.length < 2) {
+        throw new FluxGeometryError('Leader needs at least two points');
+    }
+    var normal = _planeNormal(data);
+    var points = data.points.map(function (point) {
+        return new THREE.Vector3(point[0], point[1], point[2] || 0);
+    });
+    var positions = [];
+    var length = 0;
+    for (var i=1;i<points.length;i++) {
+        _addSegment(positions, points[i-1], points[i]);
+        length += points[i].distanceTo(points[i-1]);
+    }
+    var size = _textSize(data, length);
+    var tip = points[0].clone().sub(points[1]).projectOnPlane(normal);
+    if (tip.lengthSq() > constants.TOLERANCE) {
+        _addArrow(positions, points[0], tip.normalize(), normal, _arrowSize(data, size));
+    }
+    if (data.text == null || data.text === '') {
+        return _createAnnotation(positions, null, material);
+    }
+    // The text continues on from the last segment
+    var last = points[points.length - 1];
+    var right = new THREE.Vector3().crossVectors(_planeUp(normal), normal);
+    var forward = last.clone().sub(points[points.length - 2]).dot(right) >= 0;
+    var position = last.clone().addScaledVector(right, (forward ? 1 : -1) * size * constants.ANNOTATION_DEFAULTS.TEXT_GAP);
+    var text = _createText(String(data.text), position, right, normal, {
+        size: size,
+        align: forward ? 'left' : 'right',
+        verticalAlign: 'middle'
+    }, data, material);
+    return _createAnnotation(positions, text, material);
+}
+
+/**
+ * Create a dimension of the distance between two points along a direction
+ * @param  {Object} data                The entity
+ * @param  {THREE.Vector3} direction    The direction to measure along, on the plane
+ * @param  {THREE.Vector3} normal       The normal of the plane
+ * @param  {THREE.Material} material    The material of the lines
+ * @return {THREE.Object3D}             The dimension
+ */
+function _lengthDimension(data, direction, normal, material) {
+    var start = _vector(data, 'start');
+    // The end is moved onto the plane through the start
+    var end = _vector(data, 'end');
+    end.addScaledVector(normal, -end.clone().sub(start).dot(normal));
+    var distance = end.clone().sub(start).dot(direction);
+    var size = _textSize(data, Math.abs(distance));
+    var side = new THREE.Vector3().crossVectors(normal, direction);
+    var offset = data.offset != null ? data.offset : size * constants.ANNOTATION_DEFAULTS.OFFSET;
+    var a = start.clone().addScaledVector(side, offset);
+    var b = a.clone().addScaledVector(direction, distance);
+
+    var positions = [];
+    _addExtension(positions, start, a, size);
+    _addExtension(positions, end, b, size);
+    _addDimensionLine(positions, a, b, normal, _arrowSize(data, size));
+
+    var label = _label(data, units.formatLength(Math.abs(distance), _lengthUnits(data, 'start'),
+        data.displayUnits, data.precision));
+    var outward = offset < 0 ? side.clone().negate() : side;
+    var anchor = a.clone().lerp(b, 0.5);
+    var text = _outsideText(label, size, anchor, direction, outward, normal, data, material);
+    return _createAnnotation(positions, text, material);
+}
+
+/**
+ * Put the lines and text of an annotation together in the annotation layer
+ * @param  {Array.<Number>} positions   The ends of the line segments
+ * @param  {TextHelper} text            The text, or null
+ * @param  {THREE.Material} material    The material of the lines
+ * @return {THREE.Object3D}             The annotation
+ */
+function _createAnnotation(positions, text, material) {
+    var geometry = new THREE.BufferGeometry();
+    geometry.addAttribute('position', new THREE.BufferAttribute(new Float32Array(positions), 3));
+    var annotation = new THREE.Object3D();
+    annotation.add(new THREE.LineSegments(geometry, material));
+    if (text) {
+        annotation.add(text);
+    }
+    annotation.traverse(function (child) {
+        child.layers.set(constants.ANNOTATION_LAYER);
+    });
+    return annotation;
+}
+
+/**
+ * Create text beside a line of an annotation, on the side away from what it measures
+ * @param  {String} label               The text
+ * @param  {Number} size                The height of the text
+ * @param  {THREE.Vector3} anchor       The point on the line that the text is beside
+ * @param  {THREE.Vector3} direction    The direction of the line
+ * @param  {THREE.Vector3} outward      The direction on the plane to move the text to
+ * @param  {THREE.Vector3} normal       The normal of the plane
+ * @param  {Object} data                The entity
+ * @param  {THREE.Material} material    The material of the lines
+ * @return {TextHelper}                 The text
+ */
+function _outsideText(label, size, anchor, direction, outward, normal, data, material) {
+    var xAxis = _readableAxis(direction, normal);
+    var yAxis = new THREE.Vector3().crossVectors(normal, xAxis);
+    var position = anchor.clone().addScaledVector(outward, size * constants.ANNOTATION_DEFAULTS.TEXT_GAP);
+    return _createText(label, position, xAxis, normal, {
+        size: size,
+        align: 'center',
+        verticalAlign: yAxis.dot(outward) >= 0 ? 'bottom' : 'top'
+    }, data, material);
+}
+
+/**
+ * Create the text of an annotation, lying on its plane
+ * @param  {String} label               The text
+ * @param  {THREE.Vector3} position     The origin of the text
+ * @param  {THREE.Vector3} xAxis        The direction the text reads in
+ * @param  {THREE.Vector3} normal       The normal of the plane
+ * @param  {Object} options             The size, align and verticalAlign of the text
+ * @param  {Object} data                The entity, which can make the text a billboard
+ * @param  {THREE.Material} material    The material of the lines, whose color the text has
+ * @return {TextHelper}                 The text
+ */
+function _createText(label, position, xAxis, normal, options, data, material) {
+    options.color = material.color.clone();
+    options.billboard = !!data.billboard;
+    var text = new TextHelper(label, options);
+    var yAxis = new THREE.Vector3().crossVectors(normal, xAxis);
+    text.quaternion.setFromRotationMatrix(new THREE.Matrix4().makeBasis(xAxis, yAxis, normal));
+    text.position.copy(position);
+    return text;
+}
+
+/**
+ * Choose the way along a line that text reads in, so it is not upside down
+ * @param  {THREE.Vector3} direction    The direction of the line
+ * @param  {THREE.Vector3} normal       The normal of the plane
+ * @return {THREE.Vector3}              The direction, or the opposite direction
+ */
+function _readableAxis(direction, normal) {
+    var up = _planeUp(normal);
+    var dot = new THREE.Vector3().crossVectors(normal, direction).dot(up);
+    // Text across the plane reads upward
+    if (Math.abs(dot) < constants.TOLERANCE) {
+        dot = direction.dot(new THREE.Vector3().crossVectors(up, normal));
+    }
+    return dot < 0 ? direction.clone().negate() : direction.clone();
+}
+
+/**
+ * Get the direction on a plane that is upward for text.
+ * This is the z axis on the plane, or the y axis for plans.
+ * @param  {THREE.Vector3} normal   The normal of the plane
+ * @return {THREE.Vector3}          The direction
+ */
+function _planeUp(normal) {
+    var up = Z_AXIS.clone().projectOnPlane(normal);
+    if (up.lengthSq() < constants.TOLERANCE) {
+        up = Y_AXIS.clone().projectOnPlane(normal);
+    }
+    return up.normalize();
+}
+
+/**
+ * Get the normal of the plane of an annotation
+ * @param  {Object} data        The entity
+ * @return {THREE.Vector3}      The normal
+ * @throws FluxGeometryError if the normal has length zero
+ */
+function _planeNormal(data) {
+    if (!data.planeNormal) return Z_AXIS.clone();
+    var normal = _vector(data, 'planeNormal');
+    if (normal.lengthSq() < constants.TOLERANCE) {
+        throw new FluxGeometryError('Annotation plane normal has length zero');
+    }
+    return normal.normalize();
+}
+
+/**
+ * Get a point or vector of an entity
+ * @param  {Object} data        The entity
+ * @param  {String} name        The property
+ * @return {THREE.Vector3}      The vector
+ * @throws FluxGeometryError if the entity does not have the property
+ */
+function _vector(data, name) {
+    var value = data[name];
+    if (!value) {
+        throw new FluxGeometryError('Annotation ' + data.primitive + ' is missing ' + name);
+    }
+    return new THREE.Vector3(value[0], value[1], value[2] || 0);
+}
+
+/**
+ * Get the units of a property of an entity from its units, which map properties to units,
+ * and / to the units of the whole entity
+ * @param  {Object} data    The entity
+ * @param  {String} name    The property
+ * @return {String}         The units
+ */
+function _lengthUnits(data, name) {
+    var entityUnits = data.units || {};
+    return entityUnits[name] || entityUnits['/' + name] || entityUnits['/'] || constants.DEFAULT_UNITS;
+}
+
+/**
+ * Get the text of a dimension
+ * @param  {Object} data            The entity
+ * @param  {String} measurement     The measurement as text
+ * @return {String}                 The text
+ */
+function _label(data, measurement) {
+    if (data.text == null) return measurement;
+    return String(data.text).split(MEASUREMENT).join(measurement);
+}
+
+/**
+ * Get the height of the text of an annotation
+ * @param  {Object} data    The entity
+ * @param  {Number} extent  The size of the annotation
+ * @return {Number}         The height, from textSize or relative to the extent
+ */
+function _textSize(data, extent) {
+    if (data.textSize > 0) return data.textSize;
+    var size = extent * constants.ANNOTATION_DEFAULTS.TEXT_SCALE;
+    return size > constants.TOLERANCE ? size : constants.TEXT_DEFAULTS.SIZE;
+}
+
+/**
+ * Get the length of the arrowheads of an annotation
+ * @param  {Object} data    The entity
+ * @param  {Number} size    The height of its text
+ * @return {Number}         The length, from arrowSize or relative to the text
+ */
+function _arrowSize(data, size) {
+    return data.arrowSize > 0 ? data.arrowSize : size * constants.ANNOTATION_DEFAULTS.ARROW_SCALE;
+}
+
+/**
+ * Add a line segment
+ * @param  {Array.<Number>} positions   The ends of the segments (modified)
+ * @param  {THREE.Vector3} a            The start of the segment
+ * @param  {THREE.Vector3} b            The end of the segment
+ */
+function _addSegment(positions, a, b) {
+    positions.push(a.x, a.y, a.z, b.x, b.y, b.z);
+}
+
+/**
+ * Add an open arrowhead, shaped like the head of a vector
+ * @param  {Array.<Number>} positions   The ends of the segments (modified)
+ * @param  {THREE.Vector3} tip          The point of the arrow
+ * @param  {THREE.Vector3} direction    The direction the arrow points in, on the plane
+ * @param  {THREE.Vector3} normal       The normal of the plane
+ * @param  {Number} length              The length of the arrowhead
+ */
+function _addArrow(positions, tip, direction, normal, length) {
+    var back = tip.clone().addScaledVector(direction, -length);
+    var side = new THREE.Vector3().crossVectors(normal, direction);
+    side.multiplyScalar(length * constants.ANNOTATION_DEFAULTS.ARROW_WIDTH);
+    _addSegment(positions, tip, back.clone().add(side));
+    _addSegment(positions, tip, back.clone().sub(side));
+}
+
+/**
+ * Add an extension line from a measured point to a dimension line.
+ * It starts a little away from the point and continues a little past the line.
+ * @param  {Array.<Number>} positions   The ends of the segments (modified)
+ * @param  {THREE.Vector3} point        The measured point
+ * @param  {THREE.Vector3} end          The end of the dimension line
+ * @param  {Number} size                The height of the text
+ */
+function _addExtension(positions, point, end, size) {
+    var direction = end.clone().sub(point);
+    var length = direction.length();
+    if (length < constants.TOLERANCE) return;
+    direction.divideScalar(length);
+    var gap = Math.min(size * constants.ANNOTATION_DEFAULTS.EXTENSION_GAP, length);
+    _addSegment(positions, point.clone().addScaledVector(direction, gap),
+        end.clone().addScaledVector(direction, size * constants.ANNOTATION_DEFAULTS.EXTENSION));
+}
+
+/**
+ * Add a dimension line with arrowheads at both ends.
+ * When the line is too short for the arrowheads, they are outside pointing in.
+ * @param  {Array.<Number>} positions   The ends of the segments (modified)
+ * @param  {THREE.Vector3} a            The start of the line
+ * @param  {THREE.Vector3} b            The end of the line
+ * @param  {THREE.Vector3} normal       The normal of the plane
+ * @param  {Number} arrowSize           The length of the arrowheads
+ */
+function _addDimensionLine(positions, a, b, normal, arrowSize) {
+    var direction = b.clone().sub(a);
+    var length = direction.length();
+    if (length < constants.TOLERANCE) return;
+    direction.divideScalar(length);
+    _addSegment(positions, a, b);
+    if (length >= 2 * arrowSize) {
+        _addArrow(positions, a, direction.clone().negate(), normal, arrowSize);
+        _addArrow(positions, b, direction, normal, arrowSize);
+    } else {
+        _addSegment(positions, a, a.clone().addScaledVector(direction, -2 * arrowSize));
+        _addSegment(positions, b, b.clone().addScaledVector(direction, 2 * arrowSize));
+        _addArrow(positions, a, direction, normal, arrowSize);
+        _addArrow(positions, b, direction.clone().negate(), normal, arrowSize);
+    }
+}
@@ -8,20 +8,27 @@ import * as materials from '../utils/materials.js';
 import TextHelper from '../helpers/TextHelper.js';
 
 /**
- * Creates a linear THREE.Mesh from parasolid data and a material
+ * Creates a text THREE.Mesh from parasolid data
+ * Text can have several lines, and is drawn from a font atlas shared by all text.
+ * It faces the camera when billboard is set, and otherwise lies on the plane given by
+ * its origin and direction.
+ *
+ * Text does not need a DOM. Characters that the bundled font does not have, such as
+ * accented letters and emoji, are drawn with a canvas when there is one. Without a canvas,
+ * in workers, in node and other headless conversion, they are drawn as a question mark.
  *
  * @function text
  *
- * @return { THREE.Mesh } The linear THREE.Mesh
+ * @return { THREE.Mesh } The text THREE.Mesh
  *
  * @param { Object } data     Parasolid data
  */
 export function text ( data ) {
-    var textHelper = new TextHelper( data.text, {
-        size:       materials._getEntityData(data, 'size', undefined),
-        resolution: materials._getEntityData(data, 'resolution', undefined),
-        align:      materials._getEntityData(data, 'align', undefined)
+    return new TextHelper( data.text, {
+        size:          materials._getEntityData(data, 'size', undefined),
+        color:         materials._convertColor(materials._getEntityData(data, 'color', 'black')),
+        align:         materials._getEntityData(data, 'align', undefined),
+        verticalAlign: materials._getEntityData(data, 'verticalAlign', undefined),
+        billboard:     materials._getEntityData(data, 'billboard', false)
     });
-    textHelper.material.color = materials._convertColor(materials._getEntityData(data, 'color', 'black'));
-    return textHelper;
 }
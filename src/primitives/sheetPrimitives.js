@@ -11,6 +11,7 @@ import * as THREE from 'three';
 import * as constants from '../constants.js';
 import FluxGeometryError from '../geometryError.js';
 import NURBSSurface from '../nurbs/NURBSSurface.js';
+import * as trimming from '../nurbs/trimming.js';
 import computeNormals from '../utils/normals.js';
 
 /**
@@ -113,9 +114,41 @@ function _linearControlPoints(cps) {
     return true;
 }
 
+/**
+ * Build surface geometry from triangles in the domain of the surface
+ * @param  {Function} getPoint  Function from t1, t2 to a point on the surface
+ * @param  {Array.<Array.<Array.<Number>>>} triangles Triangles of [t1, t2] points
+ * @return {THREE.Geometry}     The geometry, with the same texture coordinates as THREE.ParametricGeometry
+ */
+function _trimmedGeometry(getPoint, triangles) {
+    var geometry = new THREE.Geometry();
+    var uvs = geometry.faceVertexUvs[0];
+    // Map from domain point to vertex index, the trimming shares points between cells
+    var indices = {};
+    var index = function (point) {
+        var key = point[0] + ',' + point[1];
+        if (indices[key] === undefined) {
+            indices[key] = geometry.vertices.length;
+            geometry.vertices.push(getPoint(point[0], point[1]));
+        }
+        return indices[key];
+    };
+    for (var i=0;i<triangles.length;i++) {
+        var tri = triangles[i];
+        geometry.faces.push(new THREE.Face3(index(tri[0]), index(tri[1]), index(tri[2])));
+        uvs.push(tri.map(function (point) {
+            return new THREE.Vector2(point[0], point[1]);
+        }));
+    }
+    return geometry;
+}
+
 /**
  * Creates a surface THREE.Mesh from parasolid data and a material
  *
+ * The optional trims property has an outer loop and an array of inner loops in the
+ * parameter space of the surface, and only the region they enclose is built.
+ *
  * @function surface
  *
  * @return { THREE.Mesh } The THREE.Mesh
@@ -183,7 +216,13 @@ export function surface ( data, material ) {
         stacks = 1;
     }
 
-    if (slices !== minSlices || stacks !== minStacks) {
+    if (data.trims != null) {
+        // Only build the region inside the trim loops, cut from the same grid
+        geometry.dispose();
+        var loops = trimming.getTrimLoops(data.trims, nurbsSurface);
+        geometry = _trimmedGeometry(getPointFunction, trimming.triangulateTrimmed(loops, slices, stacks));
+        geometry = computeNormals(geometry, data);
+    } else if (slices !== minSlices || stacks !== minStacks) {
         // Build the final geometry using the dynamic resolution
         geometry.dispose();
         geometry = new THREE.ParametricGeometry(getPointFunction, slices, stacks);
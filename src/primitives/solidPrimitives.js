@@ -9,11 +9,19 @@
  */
 import * as THREE from 'three';
 import * as constants from '../constants.js';
+import * as compatibility from '../compatibility.js';
 import FluxGeometryError from '../geometryError.js';
 import OBJLoader from '../loaders/OBJLoader.js';
 import STLLoader from '../loaders/STLLoader.js';
 import computeNormals from '../utils/normals.js';
-import { scene as sceneUtils } from 'flux-modelingjs';
+import * as curveTolerance from '../utils/curveTolerance.js';
+import * as vertexTransform from '../utils/vertexTransform.js';
+import { triangulateFace } from '../utils/triangulate.js';
+import * as materials from '../utils/materials.js';
+import { parseMTL } from '../loaders/mtlParser.js';
+import { parsePLY, readFirstVertexPLY, bytesToText } from '../loaders/plyParser.js';
+import { parseOFF, readFirstVertexOFF } from '../loaders/offParser.js';
+import * as pointCloud from '../points/pointCloud.js';
 
 /**
  * Rotates a geometry by a vector
@@ -71,30 +79,247 @@ export function block ( data, material ) {
     return new THREE.Mesh( geometry, material );
 }
 
+/**
+ * Creates a cylinder THREE.Mesh from parasolid data and a material
+ * The base is centered on the origin and the cylinder extends along the axis by its height.
+ *
+ * @function cylinder
+ *
+ * @return { THREE.Mesh } The cylinder THREE.Mesh
+ *
+ * @throws FluxGeometryError if cylinder is missing radius or height
+ *
+ * @param { Object }           data     Parasolid data with radius, height, and optional angle and capped
+ * @param { THREE.Material } material The material to give the THREE.Mesh
+ * @param { Object }           tolerance Settings for tessellating curves
+ */
+export function cylinder ( data, material, tolerance ) {
+    if (!data.radius || !data.height) {
+        throw new FluxGeometryError('Cylinder is missing radius or height.');
+    }
+    return _coneMesh(data, data.radius, data.radius, material, tolerance);
+}
 
 /**
- * Add an attribute from the input as a buffer attribute for rendering
- * @param  {THREE.BufferGeometry} geometry  The renderable geometry.
- * @param  {Object} data                    Flux JSON mesh
- * @param  {String} attr                    Name of the attribute to add (must be the same in Flux and three.js)
- * @param  {Number} stride                  How many numbers make up a single element
+ * Creates a cone THREE.Mesh from parasolid data and a material
+ * The base is centered on the origin and the cone extends along the axis by its height,
+ * ending in a point, or in a smaller circle when topRadius is set.
+ *
+ * @function cone
+ *
+ * @return { THREE.Mesh } The cone THREE.Mesh
+ *
+ * @throws FluxGeometryError if cone is missing radius or height
+ *
+ * @param { Object }           data     Parasolid data with radius, height, and optional topRadius, angle and capped
+ * @param { THREE.Material } material The material to give the THREE.Mesh
+ * @param { Object }           tolerance Settings for tessellating curves
  */
-function _addMeshAttribute(geometry, data, attr, stride) {
-    // Flatten uvs if they are available per vertex
-    if (data[attr] && data[attr].length === data.vertices.length) {
-        // for each vertex
-        var attrs = sceneUtils.flattenArray(data[attr]);
-        geometry.addAttribute( attr, new THREE.BufferAttribute( new Float32Array(attrs), stride ) );
-    } else {
-        geometry.addAttribute( attr, new THREE.BufferAttribute( new Float32Array(data.vertices.length*stride), stride ) );        
+export function cone ( data, material, tolerance ) {
+    if (!data.radius || !data.height) {
+        throw new FluxGeometryError('Cone is missing radius or height.');
     }
+    if (data.topRadius != null && data.topRadius < 0) {
+        throw new FluxGeometryError('Cone topRadius must not be negative.');
+    }
+    return _coneMesh(data, data.radius, data.topRadius || 0, material, tolerance);
 }
 
+/**
+ * Creates a torus THREE.Mesh from parasolid data and a material
+ * The torus is centered on the origin and goes around the axis.
+ *
+ * @function torus
+ *
+ * @return { THREE.Mesh } The torus THREE.Mesh
+ *
+ * @throws FluxGeometryError if torus is missing a radius
+ *
+ * @param { Object }           data     Parasolid data with majorRadius, minorRadius, and optional angle and capped
+ * @param { THREE.Material } material The material to give the THREE.Mesh
+ * @param { Object }           tolerance Settings for tessellating curves
+ */
+export function torus ( data, material, tolerance ) {
+    if (!data.majorRadius || !data.minorRadius) {
+        throw new FluxGeometryError('Torus is missing majorRadius or minorRadius.');
+    }
+    var R = data.majorRadius;
+    var r = data.minorRadius;
+    var numSegments = curveTolerance.arcSegments(r, 2 * Math.PI, tolerance);
+    var profile = [];
+    // Counter clockwise circle around the tube center, closed by repeating the first point
+    for (var i=0;i<=numSegments;i++) {
+        var theta = 2 * Math.PI * (i % numSegments) / numSegments;
+        profile.push([R + r * Math.cos(theta), r * Math.sin(theta)]);
+    }
+    return _revolve(profile, data, material, tolerance);
+}
+
+/**
+ * Creates a capsule THREE.Mesh from parasolid data and a material
+ * The capsule is a cylinder with hemispherical ends. Its straight part starts at the
+ * origin and extends along the axis by its height, and the ends extend by the radius.
+ *
+ * @function capsule
+ *
+ * @return { THREE.Mesh } The capsule THREE.Mesh
+ *
+ * @throws FluxGeometryError if capsule is missing radius
+ *
+ * @param { Object }           data     Parasolid data with radius, height, and optional angle and capped
+ * @param { THREE.Material } material The material to give the THREE.Mesh
+ * @param { Object }           tolerance Settings for tessellating curves
+ */
+export function capsule ( data, material, tolerance ) {
+    if (!data.radius) {
+        throw new FluxGeometryError('Capsule is missing radius.');
+    }
+    var r = data.radius;
+    var h = data.height || 0;
+    var numSegments = curveTolerance.arcSegments(r, constants.HALF_PI, tolerance);
+    var profile = [];
+    var i, theta;
+    // Bottom pole to the equator of the lower hemisphere
+    for (i=0;i<=numSegments;i++) {
+        theta = constants.HALF_PI * i / numSegments - constants.HALF_PI;
+        profile.push([r * Math.cos(theta), r * Math.sin(theta)]);
+    }
+    // Equator of the upper hemisphere to the top pole
+    for (i=h > 0 ? 0 : 1;i<=numSegments;i++) {
+        theta = constants.HALF_PI * i / numSegments;
+        profile.push([r * Math.cos(theta), h + r * Math.sin(theta)]);
+    }
+    // Exactly on the axis, so no triangles are made around it
+    profile[0][0] = 0;
+    profile[profile.length-1][0] = 0;
+    return _revolve(profile, data, material, tolerance);
+}
+
+/**
+ * Make a cylinder or cone by revolving a profile with straight sides
+ * @param  {Object} data            The entity with height, and optional angle and capped
+ * @param  {Number} radius          Radius of the base
+ * @param  {Number} topRadius       Radius of the top
+ * @param  {THREE.Material} material The material
+ * @param  {Object} tolerance       Settings for tessellating curves
+ * @return {THREE.Mesh}             The mesh
+ */
+function _coneMesh(data, radius, topRadius, material, tolerance) {
+    var h = data.height;
+    var profile = [[radius, 0], [topRadius, h]];
+    if (data.capped !== false) {
+        profile.unshift([0, 0]);
+        if (topRadius > 0) {
+            profile.push([0, h]);
+        }
+    }
+    return _revolve(profile, data, material, tolerance);
+}
+
+/**
+ * Revolve a profile around the z axis, counter clockwise starting from the x axis.
+ *
+ * The profile is a list of [radius, z] points, oriented so the inside of the solid is on
+ * its left. Points with radius 0 are on the axis. When the angle of the entity is less than
+ * a full turn and it is not open, the region enclosed by the profile caps the ends.
+ *
+ * @param  {Array.<Array.<Number>>} profile The profile points
+ * @param  {Object} data                    The entity with optional angle in degrees and capped
+ * @param  {THREE.Material} material        The material
+ * @param  {Object} tolerance               Settings for tessellating curves
+ * @return {THREE.Mesh}                     The mesh
+ * @throws FluxGeometryError if the angle is not positive
+ */
+function _revolve(profile, data, material, tolerance) {
+    var sweep = data.angle != null ? Math.min(data.angle, 360) * constants.DEG_2_RAD : 2 * Math.PI;
+    if (!(sweep > 0)) {
+        throw new FluxGeometryError('Angle of a revolved solid must be positive.');
+    }
+    var maxRadius = 0;
+    var zMin = Infinity;
+    var zMax = -Infinity;
+    var lengths = [0];
+    var i, j;
+    for (i=0;i<profile.length;i++) {
+        maxRadius = Math.max(maxRadius, profile[i][0]);
+        zMin = Math.min(zMin, profile[i][1]);
+        zMax = Math.max(zMax, profile[i][1]);
+        if (i > 0) {
+            var dr = profile[i][0] - profile[i-1][0];
+            var dz = profile[i][1] - profile[i-1][1];
+            lengths.push(lengths[i-1] + Math.sqrt(dr * dr + dz * dz));
+        }
+    }
+    var totalLength = lengths[lengths.length-1];
+    var numSegments = curveTolerance.arcSegments(maxRadius, sweep, tolerance);
+    var positions = [];
+    var uvs = [];
+    var addVertex = function (r, z, theta, u, v) {
+        positions.push(r * Math.cos(theta), r * Math.sin(theta), z);
+        uvs.push(u, v);
+    };
+    // Sides
+    for (j=0;j<numSegments;j++) {
+        var t0 = sweep * j / numSegments;
+        var t1 = sweep * (j + 1) / numSegments;
+        for (i=0;i<profile.length-1;i++) {
+            var p = profile[i];
+            var q = profile[i+1];
+            var v0 = lengths[i] / totalLength;
+            var v1 = lengths[i+1] / totalLength;
+            // Triangles touching the axis collapse, so they are skipped
+            if (q[0] > 0) {
+                addVertex(p[0], p[1], t0, j / numSegments, v0);
+                addVertex(q[0], q[1], t1, (j + 1) / numSegments, v1);
+                addVertex(q[0], q[1], t0, j / numSegments, v1);
+            }
+            if (p[0] > 0) {
+                addVertex(p[0], p[1], t0, j / numSegments, v0);
+                addVertex(p[0], p[1], t1, (j + 1) / numSegments, v0);
+                addVertex(q[0], q[1], t1, (j + 1) / numSegments, v1);
+            }
+        }
+    }
+    // Ends of a partial revolution
+    if (sweep < 2 * Math.PI - constants.TOLERANCE && data.capped !== false) {
+        var contour = profile.map(function (point) {
+            return new THREE.Vector2(point[0], point[1]);
+        });
+        var triangles = THREE.ShapeUtils.triangulateShape(contour, []);
+        for (i=0;i<triangles.length;i++) {
+            var tri = triangles[i].map(function (index) {
+                return contour[index];
+            });
+            // Counter clockwise in the profile plane faces backwards at the start
+            if (THREE.ShapeUtils.area(tri) < 0) {
+                tri.reverse();
+            }
+            for (j=0;j<3;j++) {
+                addVertex(tri[j].x, tri[j].y, 0, tri[j].x / maxRadius, (tri[j].y - zMin) / (zMax - zMin));
+            }
+            for (j=2;j>=0;j--) {
+                addVertex(tri[j].x, tri[j].y, sweep, tri[j].x / maxRadius, (tri[j].y - zMin) / (zMax - zMin));
+            }
+        }
+    }
+    var geometry = new THREE.BufferGeometry();
+    geometry.addAttribute('position', new THREE.BufferAttribute(new Float32Array(positions), 3));
+    geometry.addAttribute('uv', new THREE.BufferAttribute(new Float32Array(uvs), 2));
+    geometry.computeBoundingSphere();
+    geometry = computeNormals(geometry, data);
+    return new THREE.Mesh(geometry, material);
+}
+
+// Number of values in each element of the mesh attributes
+var MESH_ATTRIBUTES = {color: 3, uv: 2, normal: 3};
+
 /**
  * Creates a THREE.Mesh from parasolid data and a material
  *
- * @precondition The faces in the mesh must be triangles or convex planar polygons.
- * Also this assumes the faces are wound counter clockwise.
+ * Faces can have any number of vertices, and can be concave or not quite planar.
+ * A face can also be a list of loops, where the first is the outline and the rest are holes.
+ * Faces are wound counter clockwise. Degenerate faces are skipped and reported as an error.
+ * Attributes can be given per vertex, or per face when there is one value for each face.
  *
  * @function THREE.Mesh
  *
@@ -105,53 +330,376 @@ function _addMeshAttribute(geometry, data, attr, stride) {
 
  */
 export function mesh (data, material) {
-    // Flatten the list of vertices
-    var positions = sceneUtils.flattenArray(data.vertices);
+    var attributes = [];
+    for (var attr in MESH_ATTRIBUTES) {
+        var values = data[attr];
+        var perFace = false;
+        if (values && values.length !== data.vertices.length) {
+            perFace = values.length === data.faces.length;
+            if (!perFace) values = null;
+        }
+        attributes.push({name: attr, size: MESH_ATTRIBUTES[attr], values: values, perFace: perFace});
+    }
+    return _createMesh(data.vertices, data.faces, attributes, data, material);
+}
 
-    // Flatten faces (and assume already triangulated)
-    var triangles = sceneUtils.flattenArray(data.faces);
+/**
+ * Create a mesh from faces with any number of vertices
+ * Attributes have a name, a size, values which can be missing for zeros, and whether
+ * there is a value per face instead of per vertex. Attributes of size 1 have number values.
+ * @param  {Array.<Array.<Number>>} vertices    The positions of the vertices
+ * @param  {Array} faces                        The faces, as accepted by the mesh primitive
+ * @param  {Array.<Object>} attributes          The other attributes of the vertices
+ * @param  {Object} normalData                  Data with normal set when the attributes include normals
+ * @param  {THREE.Material} material            The material to give the THREE.Mesh
+ * @return {THREE.Mesh}                         The mesh
+ */
+function _createMesh(vertices, faces, attributes, normalData, material) {
+    var a, k;
+    var positions = [];
+    var arrays = attributes.map(function () {
+        return [];
+    });
+    var skipped = 0;
+    for (var f=0;f<faces.length;f++) {
+        var triangles = triangulateFace(vertices, faces[f]);
+        if (triangles == null) {
+            skipped++;
+            continue;
+        }
+        for (var t=0;t<triangles.length;t++) {
+            for (var c=0;c<3;c++) {
+                var vertex = triangles[t][c];
+                var position = vertices[vertex];
+                positions.push(position[0], position[1], position[2]);
+                for (a=0;a<attributes.length;a++) {
+                    var attribute = attributes[a];
+                    var value = attribute.values ? attribute.values[attribute.perFace ? f : vertex] : null;
+                    if (attribute.size === 1) {
+                        arrays[a].push(value || 0);
+                        continue;
+                    }
+                    for (k=0;k<attribute.size;k++) {
+                        arrays[a].push(value ? value[k] : 0);
+                    }
+                }
+            }
+        }
+    }
 
     var geometry = new THREE.BufferGeometry();
-
-    _addMeshAttribute(geometry, data, 'color', 3);
-    _addMeshAttribute(geometry, data, 'uv', 2);
-    _addMeshAttribute(geometry, data, 'normal', 3);
     geometry.addAttribute( 'position', new THREE.BufferAttribute( new Float32Array(positions), 3 ) );
-    geometry.setIndex( new THREE.BufferAttribute( new Uint32Array( triangles ), 1 ) );
+    for (a=0;a<attributes.length;a++) {
+        geometry.addAttribute( attributes[a].name, new THREE.BufferAttribute( new Float32Array(arrays[a]), attributes[a].size ) );
+    }
 
     geometry.computeBoundingSphere();
-    geometry = computeNormals(geometry, data);
-    return new THREE.Mesh(geometry, material);
-  }
+    var smoothGeometry = computeNormals(geometry, normalData);
+    // The vertices keep their order, so attributes that were not copied can be added back
+    for (var name in geometry.attributes) {
+        if (!smoothGeometry.attributes[name]) {
+            smoothGeometry.addAttribute(name, geometry.attributes[name]);
+        }
+    }
+    var result = new THREE.Mesh(smoothGeometry, material);
+    if (skipped > 0) {
+        result.userData.error = 'Mesh has ' + skipped + ' degenerate faces that were skipped.';
+    }
+    return result;
+}
 
 // Singleton loader object
 var objLoader = new OBJLoader();
 /**
- * Convert stl data into geometry
- * @param {object} data The stl primitive
+ * Convert obj data into geometry
+ * There is a child mesh for each object, group and material in the file.
+ * Materials are read from the optional mtl property, which contains the text of an MTL
+ * file, and other parts use the material of the entity. Normals are computed for
+ * parts without normals in the file.
+ * @param {object} data The obj primitive
  * @param {THREE.material} material The material to use
- * @returns {THREE.Mesh} The mesh containing the geometry
+ * @returns {THREE.Object3D} The object containing the meshes
  */
-export function obj (data) {
-    return objLoader.parse(data.data);
+export function obj (data, material) {
+    var transform = vertexTransform.getVertexTransform(data);
+    var container = objLoader.parse(data.data, transform ? function (vertex) {
+        return vertexTransform.transformPoint(vertex, transform);
+    } : null);
+    var mtlMaterials = data.mtl ? parseMTL(data.mtl) : {};
+    for (var i=0;i<container.children.length;i++) {
+        var child = container.children[i];
+        var props = mtlMaterials[child.material.name];
+        if (props) {
+            props.side = material.side;
+            child.material = materials.create(constants.MATERIAL_TYPES.SURFACE, props);
+        } else {
+            child.material = material.clone();
+        }
+        if (!child.geometry.attributes.normal) {
+            child.geometry = computeNormals(child.geometry, data);
+        }
+        child.geometry.computeBoundingSphere();
+    }
+    return container;
 }
 
 // Singleton loader object
 var stlLoader = new STLLoader();
 /**
  * Convert stl data into geometry
+ * The data can be the text of an ASCII STL file, or a binary STL file as base64 text
+ * or an ArrayBuffer. Binary files with a color in their header have per face colors.
  * @param {object} data The stl primitive
  * @param {THREE.material} material The material to use
  * @returns {THREE.Mesh} The mesh containing the geometry
  */
 export function stl (data, material) {
-    var geometry = stlLoader.parseASCII(data.data);
+    var bufferGeometry;
+    var transform = vertexTransform.getVertexTransform(data);
+    if (typeof data.data === 'string' && !_isBase64(data.data)) {
+        var geometry = stlLoader.parseASCII(data.data);
+        if (transform) {
+            geometry.vertices.forEach(function (vertex) {
+                vertex.fromArray(vertexTransform.transformPoint(vertex.toArray(), transform));
+            });
+        }
+        geometry.computeBoundingSphere();
+        geometry = computeNormals(geometry, data);
+        bufferGeometry = new THREE.BufferGeometry().fromGeometry(geometry);
+        geometry.dispose();
+    } else {
+        var binary = typeof data.data === 'string' ?
+            compatibility.decodeBase64(data.data.replace(/\s/g, '')) : data.data;
+        if (ArrayBuffer.isView(binary)) {
+            binary = binary.buffer.slice(binary.byteOffset, binary.byteOffset + binary.byteLength);
+        }
+        try {
+            bufferGeometry = stlLoader.parse(binary);
+        } catch (err) {
+            if (err instanceof RangeError) {
+                throw new FluxGeometryError('Binary STL data is incomplete.');
+            }
+            throw err;
+        }
+        if (transform) {
+            // The file has 32 bit floats, so transforming them afterwards loses nothing
+            vertexTransform.transformArray(bufferGeometry.attributes.position.array, transform);
+        }
+        var hasColors = !!bufferGeometry.hasColors;
+        if (hasColors && bufferGeometry.alpha < 1) {
+            // The material can be shared with other entities
+            material = material.clone();
+            material.opacity = bufferGeometry.alpha;
+            material.transparent = true;
+        }
+        // Replace the face normals in the file with smooth normals
+        bufferGeometry = computeNormals(bufferGeometry, data);
+        bufferGeometry.computeBoundingSphere();
+        bufferGeometry.hasColors = hasColors;
+    }
+    return new THREE.Mesh( bufferGeometry, material );
+}
+
+/**
+ * Convert ply data into a mesh, or a point cloud when there are no faces
+ * The data can be the text of an ASCII PLY file, or a binary PLY file as base64 text
+ * or an ArrayBuffer. Vertex normals, colors and texture coordinates are used, as are
+ * face colors. Other scalar vertex properties become attributes of the geometry.
+ * @param {object} data The ply primitive
+ * @param {THREE.material} material The material to use
+ * @returns {THREE.Object3D} The mesh or point cloud
+ */
+export function ply (data, material) {
+    return _createFileObject(parsePLY(_fileBytes(data.data)), data, material);
+}
+
+/**
+ * Convert off data into a mesh, or a point cloud when there are no faces
+ * The data is the text of an ASCII OFF file. Vertex normals, colors and texture
+ * coordinates are used, as are face colors.
+ * @param {object} data The off primitive
+ * @param {THREE.material} material The material to use
+ * @returns {THREE.Object3D} The mesh or point cloud
+ */
+export function off (data, material) {
+    var text = typeof data.data === 'string' ? data.data : bytesToText(_fileBytes(data.data), 0);
+    return _createFileObject(parseOFF(text), data, material);
+}
+
+/**
+ * Find the first vertex in the file of an stl, obj, ply or off entity, to know roughly where
+ * its geometry is without parsing the whole file
+ * @param  {Object} data        The entity
+ * @return {Array.<Number>}     The vertex after the transform of the entity, or null when it is not found
+ */
+export function findFileVertex(data) {
+    var vertex;
+    try {
+        vertex = _readFirstVertex(data);
+    } catch (err) {
+        // The error is reported when the file is parsed
+        if (err instanceof FluxGeometryError) return null;
+        throw err;
+    }
+    if (!vertex || !vertex.every(isFinite)) return null;
+    var transform = vertexTransform.getVertexTransform(data);
+    return transform ? vertexTransform.transformPoint(vertex, transform) : vertex;
+}
+
+/**
+ * Read the first vertex in the file of an entity
+ * @param  {Object} data        The entity
+ * @return {Array.<Number>}     The vertex, or null when it is not found
+ */
+function _readFirstVertex(data) {
+    if (data.data == null) return null;
+    var match;
+    switch (data.primitive) {
+        case 'stl':
+            if (typeof data.data === 'string' && !_isBase64(data.data)) {
+                match = /vertex\s+(\S+)\s+(\S+)\s+(\S+)/.exec(data.data);
+                break;
+            }
+            var bytes = _fileBytes(data.data);
+            // Binary files have an 80 byte header, a count, and 50 bytes per face that start
+            // with the normal and then the vertices
+            if (bytes.length < 134) return null;
+            var view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+            if (bytes.length !== 84 + view.getUint32(80, true) * 50) return null;
+            return [view.getFloat32(96, true), view.getFloat32(100, true), view.getFloat32(104, true)];
+        case 'obj':
+            match = /^\s*v\s+(\S+)\s+(\S+)\s+(\S+)/m.exec(data.data);
+            break;
+        case 'ply':
+            return readFirstVertexPLY(_fileBytes(data.data));
+        case 'off':
+            return readFirstVertexOFF(typeof data.data === 'string' ? data.data :
+                bytesToText(_fileBytes(data.data), 0));
+    }
+    return match ? match.slice(1).map(parseFloat) : null;
+}
+
+/**
+ * Create the object for the contents of a mesh file
+ * @param  {Object} parsed              Vertices, faces and attributes from the file
+ * @param  {Object} data                The entity
+ * @param  {THREE.Material} material    The material to use for meshes
+ * @return {THREE.Object3D}             The mesh or point cloud
+ */
+function _createFileObject(parsed, data, material) {
+    var transform = vertexTransform.getVertexTransform(data);
+    if (transform) {
+        parsed.vertices = parsed.vertices.map(function (vertex) {
+            return vertexTransform.transformPoint(vertex, transform);
+        });
+    }
+    var attributes = [];
+    var hasColors = !!(parsed.faceColor || parsed.color);
+    if (parsed.faceColor) {
+        attributes.push({name: 'color', size: 3, values: parsed.faceColor, perFace: true});
+    } else if (parsed.color) {
+        attributes.push({name: 'color', size: 3, values: parsed.color});
+    }
+    if (parsed.normal) {
+        attributes.push({name: 'normal', size: 3, values: parsed.normal});
+    }
+    if (parsed.uv) {
+        attributes.push({name: 'uv', size: 2, values: parsed.uv});
+    }
+    for (var name in parsed.properties) {
+        attributes.push({name: name, size: 1, values: parsed.properties[name]});
+    }
+    var object;
+    if (parsed.faces.length > 0) {
+        object = _createMesh(parsed.vertices, parsed.faces, attributes, parsed, material);
+    } else {
+        if (!hasColors) {
+            var color = materials._convertColor(materials._getEntityData(data, 'color',
+                constants.DEFAULT_MATERIAL_PROPERTIES.point.color));
+            attributes.push({name: 'color', size: 3, values: [color.toArray()], perFace: true});
+            hasColors = true;
+        }
+        object = pointCloud.createPointCloud(_pointGeometry(parsed.vertices, attributes), {
+            size: pointCloud.getPointSize(data),
+            shape: pointCloud.getPointShape(data)
+        });
+    }
+    object.traverse(function (child) {
+        if (child.geometry) {
+            child.geometry.hasColors = hasColors;
+        }
+    });
+    return object;
+}
 
+/**
+ * Create geometry for a point cloud
+ * @param  {Array.<Array.<Number>>} vertices    The positions of the points
+ * @param  {Array.<Object>} attributes          Other attributes, as for _createMesh, where
+ *                                              an attribute per face has one value for all points
+ * @return {THREE.BufferGeometry}               The geometry
+ */
+function _pointGeometry(vertices, attributes) {
+    var geometry = new THREE.BufferGeometry();
+    var positions = new Float32Array(vertices.length * 3);
+    for (var i=0;i<vertices.length;i++) {
+        positions[i*3] = vertices[i][0];
+        positions[i*3+1] = vertices[i][1];
+        positions[i*3+2] = vertices[i][2];
+    }
+    geometry.addAttribute( 'position', new THREE.BufferAttribute( positions, 3 ) );
+    for (var a=0;a<attributes.length;a++) {
+        var attribute = attributes[a];
+        var array = new Float32Array(vertices.length * attribute.size);
+        for (i=0;i<vertices.length;i++) {
+            var value = attribute.values[attribute.perFace ? 0 : i];
+            if (attribute.size === 1) {
+                array[i] = value;
+            } else {
+                for (var k=0;k<attribute.size;k++) {
+                    array[i*attribute.size+k] = value[k];
+                }
+            }
+        }
+        geometry.addAttribute( attribute.name, new THREE.BufferAttribute( array, attribute.size ) );
+    }
     geometry.computeBoundingSphere();
-    geometry = computeNormals(geometry, data);
-    var bufferGeometry = new THREE.BufferGeometry().fromGeometry(geometry);
-    geometry.dispose();
-    return new THREE.Mesh( bufferGeometry, material );
+    return geometry;
+}
+
+/**
+ * Get the bytes of file data
+ * @param  {String|ArrayBuffer} fileData    Text, base64 text, an ArrayBuffer or a typed array
+ * @return {Uint8Array}                     The bytes
+ */
+function _fileBytes(fileData) {
+    if (typeof fileData === 'string') {
+        if (_isBase64(fileData)) {
+            return compatibility.decodeBase64(fileData.replace(/\s/g, ''));
+        }
+        var text = fileData;
+        var bytes = new Uint8Array(text.length);
+        for (var i=0;i<text.length;i++) {
+            bytes[i] = text.charCodeAt(i) & 0xff;
+        }
+        return bytes;
+    }
+    if (ArrayBuffer.isView(fileData)) {
+        return new Uint8Array(fileData.buffer, fileData.byteOffset, fileData.byteLength);
+    }
+    if (fileData instanceof ArrayBuffer) {
+        return new Uint8Array(fileData);
+    }
+    throw new FluxGeometryError('File data must be text or binary.');
+}
+
+/**
+ * Check whether file text is base64, since text files contain spaces
+ * @param  {String} text    The text
+ * @return {Boolean}        Whether it is base64
+ */
+function _isBase64(text) {
+    return /^[A-Za-z0-9+/]+={0,2}$/.test(text.replace(/[\r\n]/g, ''));
 }
 
 /**
@@ -12,6 +12,7 @@ import VectorManager from '../vectorManager.js';
 import * as constants from '../constants.js';
 import FluxGeometryError from '../geometryError.js';
 import NURBSCurve from '../nurbs/NURBSCurve.js';
+import * as curveTolerance from '../utils/curveTolerance.js';
 
 /*
  * helpers
@@ -73,14 +74,15 @@ export function polyline ( data, material ) {
  *
  * @param { Object }           data     Parasolid data
  * @param { THREE.Material } material The material to give the mesh
+ * @param { Object }           tolerance Settings for tessellating curves
  */
-export function circle ( data, material ) {
+export function circle ( data, material, tolerance ) {
     var r = data.radius;
-    var numPoints = constants.CIRCLE_RES;
-    var vertices = new Float32Array( ( numPoints  ) * 3 );
+    var numSegments = curveTolerance.arcSegments( r, 2 * Math.PI, tolerance );
+    var vertices = new Float32Array( ( numSegments + 1 ) * 3 );
     var i, x, y, t, dt;
     t = 0;
-    dt = 2 * Math.PI / (numPoints-1);
+    dt = 2 * Math.PI / numSegments;
     for (i = 0; i < vertices.length; i += 3, t += dt) {
         x = r * Math.cos(t);
         y = r * Math.sin(t);
@@ -106,8 +108,9 @@ export function circle ( data, material ) {
  *
  * @param { Object }           data     Parasolid data
  * @param { THREE.Material } material The material to give the mesh
+ * @param { Object }           tolerance Settings for tessellating curves
  */
-export function curve ( data, material ) {
+export function curve ( data, material, tolerance ) {
     if ( !data.knots || !data.controlPoints )
         throw new FluxGeometryError( 'Curve is missing knots or control points.');
 
@@ -117,11 +120,11 @@ export function curve ( data, material ) {
         throw new FluxGeometryError( 'Number of uKnots in a NURBS curve should equal degree + N + 1, where N is the number ' +
                          'of control points' );
 
-    var numPoints = Math.max(Math.floor(nurbsControlPoints.length * data.degree * constants.NURBS_CURVE_QUALITY),
-        nurbsControlPoints.length-1);
-    var vertices = data.degree > 1 ?
-        new NURBSCurve( data.degree, data.knots, nurbsControlPoints ).getPoints( numPoints ) :
-        nurbsControlPoints;
+    var vertices = nurbsControlPoints;
+    if ( data.degree > 1 ) {
+        var numSegments = curveTolerance.nurbsCurveSegments( data.degree, data.knots, nurbsControlPoints, tolerance );
+        vertices = new NURBSCurve( data.degree, data.knots, nurbsControlPoints ).getPoints( numSegments );
+    }
     var geometry = _bufferFromVertices(vertices);
     return new THREE.Line( geometry, material );
 
@@ -188,9 +191,10 @@ function _createControlPoints ( data ) {
  *
  * @param { Object }           data     Parasolid data
  * @param { THREE.Material } material The material to give the mesh
+ * @param { Object }           tolerance Settings for tessellating curves
 
  */
-export function arc ( data, material ) {
+export function arc ( data, material, tolerance ) {
     var geometry,
         vertices;
 
@@ -232,7 +236,7 @@ export function arc ( data, material ) {
         _intersectLines(abMid, bcMid, abPerp, bcPerp, center);
 
         // determine line segment points
-        vertices = _tessellateArc(a, c, ab, bc, center, up);
+        vertices = _tessellateArc(a, c, ab, bc, center, up, tolerance);
     }
 
     if (vertices.length <= 0) {
@@ -279,8 +283,9 @@ function _computeMidpoint ( a, b, midPoint ) {
  * @param { THREE.Vector3 } bc Segement from b to c
  * @param { THREE.Vector3 } center Center of arc
  * @param { THREE.Vector3 } up Normal to plane containing the arc
+ * @param { Object } tolerance Settings for tessellating curves
  */
-function _tessellateArc ( a, c, ab, bc, center, up ) {
+function _tessellateArc ( a, c, ab, bc, center, up, tolerance ) {
     // interpolate points on the curve and populate geometry
     var relA = vec.clone( a ).sub( center ),
         relC = vec.clone( c ).sub( center ),
@@ -291,7 +296,7 @@ function _tessellateArc ( a, c, ab, bc, center, up ) {
         angle = 2 * Math.PI - angle;
     }
 
-    var numSections = Math.ceil( angle * ( 42 / ( 2 * Math.PI ) ) ),
+    var numSections = curveTolerance.arcSegments( relA.length(), angle, tolerance ),
         dTheta = angle / numSections,
         vertices = new Float32Array( ( numSections + 1  ) * 3 );
 
@@ -406,22 +411,23 @@ export function rectangle ( data, material ) {
  *
  * @param { Object }           data     Parasolid entity data
  * @param { THREE.Material } material The material to give the mesh
+ * @param { Object }           tolerance Settings for tessellating curves
  */
-export function ellipse ( data, material ) {
+export function ellipse ( data, material, tolerance ) {
     // Origin and axis are ignored here and applied later in cleanupMesh
-    var curve = new THREE.EllipseCurve(
-        0,  0,                              // center x, center y
-        data.majorRadius, data.minorRadius, // xRadius, yRadius
-        0,  2 * Math.PI,                    // aStartAngle, aEndAngle
-        false,                              // aClockwise
-        0                                   // aRotation
-    );
-
-    var path = new THREE.Path( curve.getPoints( constants.CIRCLE_RES ) );
-    var geometry = path.createPointsGeometry( constants.CIRCLE_RES );
-    var bufferGeometry = _bufferFromVertices(geometry.vertices);
-    geometry.dispose();
-    return new THREE.Line( bufferGeometry, material );
+    var a = data.majorRadius;
+    var b = data.minorRadius;
+    var numSegments = curveTolerance.ellipseSegments( a, b, tolerance );
+    var vertices = [];
+    for ( var i = 0; i <= numSegments; i++ ) {
+        // Space the points evenly by the angle of the normal, so curved parts get more of them
+        var theta = 2 * Math.PI * i / numSegments;
+        var cos = Math.cos( theta );
+        var sin = Math.sin( theta );
+        var scale = 1 / Math.sqrt( a * a * cos * cos + b * b * sin * sin );
+        vertices.push( new THREE.Vector3( a * a * cos * scale, b * b * sin * scale, 0 ) );
+    }
+    return new THREE.Line( _bufferFromVertices(vertices), material );
 }
 
 /**
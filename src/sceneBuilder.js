@@ -10,7 +10,17 @@ import GeometryBuilder from './geometryBuilder.js';
 import {scene} from 'flux-modelingjs';
 import * as constants from './constants.js';
 import * as sceneEdit from './sceneEdit.js';
+import * as sceneDiff from './sceneDiff.js';
+import ConvertProgress from './convertProgress.js';
+import FluxCancelError from './cancelError.js';
+import * as cancel from './utils/cancel.js';
 import * as materials from './utils/materials.js';
+import * as units from './utils/units.js';
+import * as floatingOrigin from './utils/floatingOrigin.js';
+import * as nonSchemaPrep from './utils/nonSchemaPrep.js';
+import FluxGeometryError from './geometryError.js';
+import CoordinateFrame from './coordinateFrame.js';
+import * as instancedMesh from './instances/instancedMesh.js';
 
 /**
  * Class to convert a Flux JSON scene to a three.js object hierarchy
@@ -20,6 +30,10 @@ import * as materials from './utils/materials.js';
 export default function SceneBuilder(tessUrl, token) {
     this._geometryBuilder = new GeometryBuilder(tessUrl, token);
     this._allowMerge = true;
+    this._allowInstancing = false;
+    this._units = null;
+    this._frame = new CoordinateFrame();
+    this._relativeToCenter = false;
 }
 
 /**
@@ -29,7 +43,7 @@ export default function SceneBuilder(tessUrl, token) {
  * @return {Boolean}      True for valid
  */
 function _checkScene(data, primStatus) {
-    var sceneValidator = new scene.Validator();
+    var sceneValidator = new SceneValidator();
     var sceneValid = sceneValidator.validateJSON(data);
     if (!sceneValid.getResult()) {
         primStatus.appendError('scene', sceneValid.getMessage());
@@ -38,42 +52,265 @@ function _checkScene(data, primStatus) {
     return true;
 }
 
+/**
+ * Scene validator that also allows instances of the primitives that are not in the schema
+ */
+function SceneValidator() {
+    scene.Validator.call(this);
+}
+SceneValidator.prototype = Object.create(scene.Validator.prototype);
+SceneValidator.prototype.constructor = SceneValidator;
+
+/**
+ * Check if a parent references the right kind of child by id
+ * @param  {Object} parent                          Flux JSON entity
+ * @param  {String} prop                            Name of the property that is an id reference
+ * @param  {Array.<String>} allowedChildEntities    List of valid entity names for the given parent
+ * @return {ValidatorResults}                       Error message or undefined
+ */
+SceneValidator.prototype._validateReference = function (parent, prop, allowedChildEntities) {
+    var allowed = allowedChildEntities;
+    if (parent.primitive === scene.SCENE_PRIMITIVES.instance && prop === 'entity') {
+        allowed = allowed.concat(constants.NON_SCHEMA_PRIMITIVES);
+    }
+    return scene.Validator.prototype._validateReference.call(this, parent, prop, allowed);
+};
+
+// Properties that are hidden from prep for each primitive, with the value prep sees instead
+var HIDDEN_PROPERTIES = {
+    // Prep splits mesh faces into fans of triangles, which is wrong for concave faces
+    mesh: {faces: []},
+    // Prep copies the entities as JSON, which loses binary file data
+    stl: {data: ''},
+    obj: {data: ''}
+};
+
+// Property that holds the index of the hidden values of an entity while prep runs
+var HIDDEN_KEY = '_hiddenValues';
+
+/**
+ * Clean up data for rendering.
+ * Some properties are hidden from prep and put back on the cleaned entities. Prep removes
+ * the primitives that are not in the schema, so they are taken out and cleaned up on their own.
+ * @param  {Object} data        Flux JSON to clean
+ * @param  {StatusMap} primStatus Container for error messages
+ * @return {Array}              Flat list of cleaned entities
+ */
+function _prep(data, primStatus) {
+    var taken = nonSchemaPrep.takeEntities(data);
+    var hidden = [];
+    var result;
+    _swapHiddenValues(taken.data, hidden, true);
+    try {
+        result = scene.prep(taken.data, primStatus);
+    } finally {
+        _swapHiddenValues(taken.data, hidden, false);
+    }
+    _swapHiddenValues(result, hidden, false);
+    return nonSchemaPrep.addEntities(result, taken, primStatus);
+}
+
+/**
+ * Hide properties of entities anywhere in some data, or put them back.
+ * Entities are found anywhere in the data, including inside revit elements.
+ * @param  {Object} data            Flux JSON to modify
+ * @param  {Array.<Object>} hidden  The hidden values of each entity
+ * @param  {Boolean} hide           Whether to hide the values, otherwise they are put back
+ */
+function _swapHiddenValues(data, hidden, hide) {
+    if (data == null || typeof data !== 'object') return;
+    var key;
+    if (data.constructor === Array) {
+        // Skip lists of numbers such as positions
+        if (typeof data[0] === 'number') return;
+        for (var i=0;i<data.length;i++) {
+            _swapHiddenValues(data[i], hidden, hide);
+        }
+    } else if (HIDDEN_PROPERTIES.hasOwnProperty(data.primitive)) {
+        var properties = HIDDEN_PROPERTIES[data.primitive];
+        if (hide) {
+            var values = {};
+            for (key in properties) {
+                if (data[key] != null) {
+                    values[key] = data[key];
+                    data[key] = properties[key];
+                }
+            }
+            data[HIDDEN_KEY] = hidden.length;
+            hidden.push(values);
+        } else if (data[HIDDEN_KEY] != null) {
+            var original = hidden[data[HIDDEN_KEY]];
+            for (key in original) {
+                data[key] = original[key];
+            }
+            delete data[HIDDEN_KEY];
+        }
+    } else if (!ArrayBuffer.isView(data) && !(data instanceof ArrayBuffer)) {
+        for (key in data) {
+            _swapHiddenValues(data[key], hidden, hide);
+        }
+    }
+}
+
 /**
  * Set whether geometry with same material is allowed to merge.
  * This affects performance when rendering many surfaces.
  * Too many Sheet or Solid primitives, leads to many draw calls if allowMerge is false.
- * Alternatively selection logic does not work well with merging allowed. This is because
- * selection applies to the entire merged mesh, and not the original primitive.
+ * Merged meshes remember the vertices of each original primitive, so SceneResults
+ * getPickedPrimitiveId, setPrimitiveVisible and setPrimitiveColor can still select,
+ * hide and color a single primitive inside them.
  * @param  {Boolean} allowMerge Whether any merging can happen
  */
 SceneBuilder.prototype.setAllowMerge = function(allowMerge) {
     this._allowMerge = allowMerge;
 };
+
+/**
+ * Set whether instances that share geometry and material are drawn by instanced meshes.
+ * Instances of the same entity with the same material and parent are drawn in one draw
+ * call instead of one per copy. Each instance keeps its object in the object map, and
+ * SceneResults.setElementVisible, setElementColor and getPickedId work for each copy.
+ * Geometry that arrives after the scene is linked, such as tessellated breps, and lines,
+ * points and text are not instanced.
+ * @param  {Boolean} allowInstancing Whether instances can be drawn together, false by default
+ */
+SceneBuilder.prototype.setAllowInstancing = function(allowInstancing) {
+    this._allowInstancing = allowInstancing;
+};
+
+/**
+ * Set the units that lengths are converted to.
+ * Lengths are converted according to the units of each entity, and are in meters when
+ * an entity does not have units. This includes the translations of instance and group
+ * matrices, point sizes and text sizes. Entities with units that are not known keep
+ * their values and are reported as errors. By default lengths are not converted.
+ * @param  {String} targetUnits The units, such as meters, mm, feet or in, or null
+ * @throws FluxGeometryError if the units are not known
+ */
+SceneBuilder.prototype.setUnits = function(targetUnits) {
+    if (targetUnits && !units.findLengthUnit(targetUnits)) {
+        throw new FluxGeometryError('Unknown units "' + targetUnits + '"');
+    }
+    this._units = targetUnits || null;
+};
+
+/**
+ * Set the coordinate frame that scenes are converted to.
+ * Flux is Z up and right handed. In another frame the positions and normals of geometry,
+ * the matrices of instances and groups, cameras and lights are all converted, so the
+ * results can be used directly by tools with another convention, such as Y up for
+ * three.js and glTF.
+ * @param  {String} up          The axis that is up, such as 'y', 'z' or '-x', z by default
+ * @param  {String} handedness  Either 'right' or 'left', right by default
+ * @throws FluxGeometryError if the axis or handedness are not known
+ */
+SceneBuilder.prototype.setCoordinateFrame = function(up, handedness) {
+    this._frame = new CoordinateFrame(up, handedness);
+};
+
+/**
+ * Set whether positions are stored relative to a center.
+ * Vertex buffers are 32 bit, so models far from the origin, such as geo-referenced sites,
+ * lose precision. When enabled the geometry of each scene element is built relative to its
+ * own center and instances are placed relative to the center of the scene, all computed
+ * in double precision. SceneResults.getOffset returns the center, and
+ * SceneResults.toWorldPosition converts picked points back to world coordinates.
+ * The vertices of breps and embedded files are moved as they are read. Files are located
+ * by their first vertex, and breps by the geometry around them, so a scene that only has
+ * breps is built where it is.
+ * @param  {Boolean} relative Whether to use a center, false by default
+ */
+SceneBuilder.prototype.setRelativeToCenter = function(relative) {
+    this._relativeToCenter = !!relative;
+};
 /**
  * Convert JSON data to a tree of three.js geometry
  * Conversion is asynchronous, so results are returned in promises.
+ *
+ * Options can contain an onProgress function, which is called with a SceneResults and
+ * the fraction of the work that is complete. It is first called with the geometry that
+ * can be built right away, then each time tessellated breps or textures are added to the
+ * same root object, and finally with the complete results and a fraction of 1.
+ *
+ * Options can also contain an AbortSignal as signal. When it aborts, pending tessellation
+ * requests are aborted, texture images are ignored, the geometry built so far is disposed,
+ * and the promise rejects with a FluxCancelError.
+ *
+ * @param  {Object} data JSON data containing scene
+ * @param  {Object} options Optional settings for this conversion
+ * @return {Promise}      Promise to return a SceneResults object
+ */
+SceneBuilder.prototype.convert = function(data, options) {
+    return this._convert(data, null, options);
+};
+
+/**
+ * Convert JSON data to three.js geometry, reusing the results of a previous conversion.
+ * Elements are matched by id, and only those that were added or changed are rebuilt.
+ * Deleted elements are removed, and transforms and materials are patched in place.
+ * When both conversions are scenes the returned results contain the same root object
+ * as the previous results, which should not be used anymore once the update resolves.
+ * An update that is cancelled leaves the previous results unchanged.
+ * @param  {SceneResults} previousResults The results of the last call to convert or update
  * @param  {Object} data JSON data containing scene
+ * @param  {Object} options Optional settings for this conversion, see convert
  * @return {Promise}      Promise to return a SceneResults object
  */
-SceneBuilder.prototype.convert = function(data) {
+SceneBuilder.prototype.update = function(previousResults, data, options) {
+    var previous = previousResults ? previousResults._sceneBuilderData : null;
+    // Only scenes have ids to match, anything else is converted from scratch
+    if (previous && previous.getLayers().length === 0) {
+        previous = null;
+    }
+    return this._convert(data, previous, options);
+};
+
+/**
+ * Convert JSON data to a tree of three.js geometry
+ * @param  {Object} data JSON data containing scene
+ * @param  {SceneBuilderData} previous Results of a previous conversion to reuse or null
+ * @param  {Object} options Optional settings for this conversion
+ * @return {Promise}      Promise to return a SceneResults object
+ */
+SceneBuilder.prototype._convert = function(data, previous, options) {
     var sceneBuilderData = new SceneBuilderData();
     // Make sure data is JSON for an element of some sort
     if (!data || !(data.constructor === Array || data.primitive)) {
         return Promise.resolve(sceneBuilderData.getResults());
     }
-    var dataClean = scene.prep(data, sceneBuilderData.primStatus);
+    var signal = options ? options.signal : null;
+    if (cancel.isAborted(signal)) {
+        return Promise.reject(new FluxCancelError());
+    }
+    var progress = new ConvertProgress(options ? options.onProgress : null);
+    var onEntityProgress = function (results, newObjects, fraction) {
+        progress.setFraction('entities', fraction);
+        progress.report(results);
+    };
+    if (this._units) {
+        data = units.convertUnits(data, this._units, sceneBuilderData.primStatus);
+    }
+    var dataClean = _prep(data, sceneBuilderData.primStatus);
     var _this = this;
-    return materials.prepIBL(dataClean).then(function () {
+    var center = null;
+    return cancel.whenNotAborted(materials.prepIBL(dataClean), signal).then(function () {
         // Render as a scene if possible
         if (scene.isScene(dataClean)) {
             if (_checkScene(dataClean, sceneBuilderData.primStatus)) {
-                return _this._convertScene(dataClean, sceneBuilderData).then(function() {
+                if (_this._relativeToCenter) {
+                    _this._centerScene(dataClean, sceneBuilderData);
+                }
+                return _this._convertScene(dataClean, sceneBuilderData, previous, progress, signal).then(function() {
                     return sceneBuilderData.getResults();
                 });
             } else { // it is a scene but the scene is invalid
 
                 // Render the entities as if there is no scene
-                return _this._createEntity(dataClean).then(function (results) {
+                center = _this._relativeToCenter ? floatingOrigin.findCenter(dataClean) : null;
+                if (center) {
+                    dataClean = floatingOrigin.shiftData(dataClean, center);
+                }
+                return _this._createEntity(dataClean, onEntityProgress, signal, center).then(function (results) {
                     // Remove errors from entities, since the scene errors are more relevant
                     results.primStatus.clear();
                     results.primStatus.merge(sceneBuilderData.primStatus);
@@ -82,23 +319,62 @@ SceneBuilder.prototype.convert = function(data) {
             }
         }
         // Render the entities if there is no scene
-        return _this._createEntity(dataClean).then(function (results) {
+        center = _this._relativeToCenter ? floatingOrigin.findCenter(dataClean) : null;
+        if (center) {
+            dataClean = floatingOrigin.shiftData(dataClean, center);
+        }
+        return _this._createEntity(dataClean, onEntityProgress, signal, center).then(function (results) {
             results.primStatus.merge(sceneBuilderData.primStatus);
             return results.getResults();
         });
 
+    }).then(function (results) {
+        progress.finish(results);
+        return results;
     });
 };
 
+/**
+ * Move the geometry elements of a scene relative to their centers, and record those
+ * centers and the center of the scene that instances are placed relative to
+ * @param  {Array} entities                     The scene elements (modified)
+ * @param  {SceneBuilderData} sceneBuilderData  Container for result and per query storage
+ */
+SceneBuilder.prototype._centerScene = function(entities, sceneBuilderData) {
+    var centered = floatingOrigin.centerScene(entities);
+    for (var id in centered.centers) {
+        sceneBuilderData.setEntityCenter(id, centered.centers[id]);
+    }
+    sceneBuilderData.setCenter(centered.center, this._frame);
+};
+
 /**
  * Convert the scene data into a THREE.Object3D
  * @param  {Array} entities                        JSON Object with scene parameters
  * @param  {SceneBuilderData} sceneBuilderData  Container for result and per query storage
+ * @param  {SceneBuilderData} previous          Results of a previous conversion to reuse or null
+ * @param  {ConvertProgress} progress           Reports partial results
+ * @param  {AbortSignal} signal                 Optional signal to cancel the conversion
  * @return {Promise}                            Promise for SceneBuilderData
  */
-SceneBuilder.prototype._convertScene = function(entities, sceneBuilderData) {
+SceneBuilder.prototype._convertScene = function(entities, sceneBuilderData, previous, progress, signal) {
     var elementPromises = [];
+    var reusedElements = [];
     var i;
+    // Work that continues after the scene is linked, with its results streamed into the scene
+    var stream = {
+        linked: false,
+        pending: [],
+        progress: progress,
+        signal: signal
+    };
+    var diff = sceneDiff.compareScene(entities, previous);
+    // Containers of the previous conversion, which are emptied once it can't be cancelled
+    var reusedContainers = [];
+    if (previous) {
+        // Keep the same root, layers are added back to it when linking
+        sceneBuilderData.object = previous.object;
+    }
     // Create a promise for the Object3D result of creating each element in the scene
     for (i=0;i<entities.length;i++) {
         var element = entities[i];
@@ -108,35 +384,43 @@ SceneBuilder.prototype._convertScene = function(entities, sceneBuilderData) {
             sceneBuilderData.addLayer(element);
         }
         if (element.id) {
-            if (element.primitive === scene.SCENE_PRIMITIVES.material) {
+            var reused = previous ? _reuseElement(element, previous, sceneBuilderData, diff,
+                reusedContainers) : null;
+            reusedElements.push(!!reused);
+            if (reused) {
+                elementPromises.push(reused);
+            } else if (element.primitive === scene.SCENE_PRIMITIVES.material) {
                 // skip, create on demand (but put a placeholder)
                 elementPromises.push(Promise.resolve(null));
             } else if (element.primitive === scene.SCENE_PRIMITIVES.texture) {
-                elementPromises.push( new Promise(function(resolve, reject) {
-                    var textureLoader = new THREE.TextureLoader();
-                    textureLoader.load(element.image, function (texture){
-                        resolve(texture);
-                    }, undefined, function (err) {
-                        reject(err);
-                    });
-                }));
+                elementPromises.push(_loadTexture(element, entities, sceneBuilderData, stream));
             } else if (element.primitive === scene.SCENE_PRIMITIVES.geometry) {
-                elementPromises.push(this._createEntity(element.entities));
+                elementPromises.push(this._createSceneEntity(element.id, element.entities,
+                    entities, sceneBuilderData, stream));
             } else if (element.primitive === scene.SCENE_PRIMITIVES.camera) {
                 elementPromises.push(this._createCamera(element));
+            } else if (element.primitive === scene.SCENE_PRIMITIVES.light) {
+                elementPromises.push(this._createLight(element));
             } else if (element.primitive in scene.SCENE_PRIMITIVES) {
                 elementPromises.push(Promise.resolve(new SceneBuilderData()));
             } else {
-                elementPromises.push(this._createEntity(element));
+                elementPromises.push(this._createSceneEntity(element.id, element,
+                    entities, sceneBuilderData, stream));
             }
         }
     }
     var _this = this;
+    var builtResults = null;
     // Attach user data to correlate each object with it's data and then link up the scene graph
-    return Promise.all(elementPromises).then(function (results) {
+    var linked = cancel.whenNotAborted(Promise.all(elementPromises), signal).then(function (results) {
+        builtResults = results;
+        if (previous) {
+            _clearPrevious(sceneBuilderData.object, reusedContainers, diff);
+        }
         for (i=0;i<results.length;i++) {
             var result = results[i];
             if (!result) continue;
+            sceneBuilderData.cacheBuiltObject(entities[i].id, result);
             if (result.object) {
                 var object = result.object;
                 object.name = entities[i].primitive+':'+entities[i].id;
@@ -148,19 +432,264 @@ SceneBuilder.prototype._convertScene = function(entities, sceneBuilderData) {
                 sceneBuilderData.cacheObject(entities[i].id, result);
             }
         }
-        _this._linkElements(entities, sceneBuilderData);
-        return Promise.resolve(sceneBuilderData);
+        _this._linkElements(entities, sceneBuilderData, previous ? diff : null);
+        if (previous) {
+            _disposeStale(previous, sceneBuilderData);
+        }
+        stream.linked = true;
+        progress.report(sceneBuilderData);
+    });
+    // Wait for the pending work here as well, so its errors are always handled
+    var streamed = cancel.whenNotAborted(Promise.all(stream.pending), signal);
+    return Promise.all([linked, streamed]).then(function () {
+        return sceneBuilderData;
+    }).catch(function (err) {
+        if (err instanceof FluxCancelError && builtResults) {
+            _disposeResults(builtResults, reusedElements);
+        }
+        throw err;
+    });
+};
+
+/**
+ * Free the results that were built for a conversion that did not finish
+ * @param  {Array} results                  The result of creating each scene element
+ * @param  {Array.<Boolean>} reusedElements Whether each result came from a previous conversion
+ */
+function _disposeResults(results, reusedElements) {
+    for (var i=0;i<results.length;i++) {
+        var result = results[i];
+        if (!result || reusedElements[i]) continue;
+        if (result instanceof THREE.Texture) {
+            result.dispose();
+        } else if (result instanceof SceneBuilderData && result.object) {
+            sceneEdit.disposeObject(result.object);
+        }
+    }
+}
+
+/**
+ * Create the geometry for a scene element.
+ * The promise resolves as soon as the geometry that does not need a server is built,
+ * while the remaining geometry is added to the instances of the element as it arrives.
+ * @param  {String} id                          The id of the scene element
+ * @param  {Object} entityData                  The geometry to convert
+ * @param  {Array} entities                     The whole scene
+ * @param  {SceneBuilderData} sceneBuilderData  Container for result and per query storage
+ * @param  {Object} stream                      State of the work that continues after linking
+ * @return {Promise}                            Promise for SceneBuilderData
+ */
+SceneBuilder.prototype._createSceneEntity = function(id, entityData, entities, sceneBuilderData, stream) {
+    var started = false;
+    var resolveReady;
+    var ready = new Promise(function (resolve) {
+        resolveReady = resolve;
     });
+    var done = this._createEntity(entityData, function (results, newObjects, fraction) {
+        stream.progress.setFraction(id, fraction);
+        if (!started) {
+            // The first call has the geometry that did not need tessellation
+            started = true;
+            resolveReady(results);
+        } else if (stream.linked) {
+            _addToInstances(id, newObjects, entities, sceneBuilderData);
+            stream.progress.report(sceneBuilderData);
+        }
+    }, stream.signal);
+    stream.pending.push(done);
+    return Promise.race([ready, done]);
 };
 
+/**
+ * Start loading the image for a texture element.
+ * The texture is available right away, but is only used by materials once its image loads.
+ * @param  {Object} element                     Flux JSON texture element
+ * @param  {Array} entities                     The whole scene
+ * @param  {SceneBuilderData} sceneBuilderData  Container for result and per query storage
+ * @param  {Object} stream                      State of the work that continues after linking
+ * @return {Promise}                            Promise for the THREE.Texture
+ */
+function _loadTexture(element, entities, sceneBuilderData, stream) {
+    var textureLoader = new THREE.TextureLoader();
+    var texture;
+    stream.progress.setFraction(element.id, 0);
+    stream.pending.push(new Promise(function (resolve, reject) {
+        texture = textureLoader.load(element.image, function (loadedTexture) {
+            if (cancel.isAborted(stream.signal)) {
+                // The conversion was already rejected
+                loadedTexture.dispose();
+                return;
+            }
+            stream.progress.setFraction(element.id, 1);
+            if (stream.linked) {
+                _updateColorMaps(element.id, entities, sceneBuilderData);
+                stream.progress.report(sceneBuilderData);
+            }
+            resolve(loadedTexture);
+        }, undefined, function (err) {
+            reject(err);
+        });
+    }));
+    return Promise.resolve(texture);
+}
+
+/**
+ * Add geometry that arrived after linking to all the instances of a scene element
+ * @param  {String} entityId                    The id of the geometry element
+ * @param  {Array.<THREE.Object3D>} newObjects  The objects that were added to the element
+ * @param  {Array} entities                     The whole scene
+ * @param  {SceneBuilderData} sceneBuilderData  Container for result and per query storage
+ */
+function _addToInstances(entityId, newObjects, entities, sceneBuilderData) {
+    var objMap = sceneBuilderData.getObjectMap();
+    for (var i=0;i<entities.length;i++) {
+        var element = entities[i];
+        if (element == null || element.primitive !== scene.SCENE_PRIMITIVES.instance ||
+                element.entity !== entityId || objMap[element.id] == null) continue;
+        for (var j=0;j<newObjects.length;j++) {
+            var added = _addEntityChildren(newObjects[j], objMap[element.id], sceneBuilderData);
+            for (var k=0;k<added.length;k++) {
+                _applyInheritedStyles(added[k], sceneBuilderData.object, sceneBuilderData);
+            }
+        }
+    }
+}
+
+/**
+ * Use a texture that finished loading after linking in the materials that reference it
+ * @param  {String} textureId                   The id of the texture element
+ * @param  {Array} entities                     The whole scene
+ * @param  {SceneBuilderData} sceneBuilderData  Container for result and per query storage
+ */
+function _updateColorMaps(textureId, entities, sceneBuilderData) {
+    var objMap = sceneBuilderData.getObjectMap();
+    var changed = false;
+    for (var i=0;i<entities.length;i++) {
+        var element = entities[i];
+        if (element == null || element.primitive !== scene.SCENE_PRIMITIVES.material ||
+                objMap[element.id] == null) continue;
+        var colorMap = _getColorMap(element, sceneBuilderData);
+        if (colorMap && colorMap.texture.id === textureId) {
+            _applyColorMap(objMap[element.id], element, sceneBuilderData);
+            changed = true;
+        }
+    }
+    // Objects have copies of the materials, so they need to be assigned again
+    if (changed) {
+        _applyMaterials(sceneBuilderData.object, sceneBuilderData);
+    }
+}
+
+/**
+ * Find the result of a previous conversion that can stand in for a scene element
+ * @param  {Object} element                     Flux JSON scene element
+ * @param  {SceneBuilderData} previous          Results of the previous conversion
+ * @param  {SceneBuilderData} sceneBuilderData  Container for result and per query storage
+ * @param  {SceneDiff} diff                     The unchanged elements
+ * @param  {Array.<THREE.Object3D>} containers  The reused layers, groups and instances (return parameter)
+ * @return {Promise}                            Promise for the reused result or null to rebuild
+ */
+function _reuseElement(element, previous, sceneBuilderData, diff, containers) {
+    var previousElement = previous.getEntityData(element.id);
+    if (previousElement == null || previousElement.primitive !== element.primitive) {
+        return null;
+    }
+    var prims = scene.SCENE_PRIMITIVES;
+    if (element.primitive === prims.layer || element.primitive === prims.group ||
+            element.primitive === prims.instance) {
+        var container = previous.getObjectMap()[element.id];
+        if (container == null) {
+            return null;
+        }
+        // Containers always keep their identity, so the viewer can hold on to them
+        containers.push(container);
+        var containerData = new SceneBuilderData();
+        containerData.object = container;
+        return Promise.resolve(containerData);
+    }
+    if (!diff.clean[element.id]) {
+        return null;
+    }
+    if (element.primitive === prims.material) {
+        // Materials are created on demand, so just carry over the existing one
+        sceneBuilderData.cacheObject(element.id, previous.getObjectMap()[element.id]);
+        return Promise.resolve(null);
+    }
+    var built = previous.getBuiltObjectMap()[element.id];
+    return built ? Promise.resolve(built) : null;
+}
+
+/**
+ * Take apart the scene of a previous conversion, so that its reused containers can be linked again.
+ * This is only done once the conversion can no longer be cancelled, so a cancelled update
+ * leaves the previous results as they were.
+ * @param  {THREE.Object3D} root                The root of the previous results
+ * @param  {Array.<THREE.Object3D>} containers  The reused layers, groups and instances
+ * @param  {SceneDiff} diff                     The unchanged elements
+ */
+function _clearPrevious(root, containers, diff) {
+    // Instances are batched again after linking
+    instancedMesh.removeInstancedMeshes(root);
+    _removeChildren(root);
+    for (var i=0;i<containers.length;i++) {
+        var container = containers[i];
+        _resetTransform(container);
+        if (!diff.keepChildren[container.userData.id]) {
+            _removeChildren(container);
+        }
+    }
+}
+
+/**
+ * Detach all the children of an object
+ * @param  {THREE.Object3D} object The parent
+ */
+function _removeChildren(object) {
+    for (var i=object.children.length-1;i>=0;i--) {
+        object.remove(object.children[i]);
+    }
+}
+
+/**
+ * Put a reused container back into the state of a newly created one
+ * @param  {THREE.Object3D} object The container
+ */
+function _resetTransform(object) {
+    object.matrix.identity();
+    object.matrix.decompose(object.position, object.quaternion, object.scale);
+    object.matrixAutoUpdate = true;
+    object.visible = true;
+}
+
+/**
+ * Free the geometry and textures from a previous conversion that were not reused
+ * @param  {SceneBuilderData} previous          Results of the previous conversion
+ * @param  {SceneBuilderData} sceneBuilderData  Results of the current conversion
+ */
+function _disposeStale(previous, sceneBuilderData) {
+    var previousMap = previous.getBuiltObjectMap();
+    var currentMap = sceneBuilderData.getBuiltObjectMap();
+    for (var id in previousMap) {
+        var result = previousMap[id];
+        if (result === currentMap[id]) continue;
+        if (result instanceof THREE.Texture) {
+            result.dispose();
+        } else if (result instanceof SceneBuilderData && result.object) {
+            sceneEdit.disposeObject(result.object);
+        }
+    }
+}
+
 /**
  * Create the parenting relationships of the final scene render tree
  * @param  {Object} data             Flux JSON
  * @param  {SceneBuilderData} sceneBuilderData Result
+ * @param  {SceneDiff} diff           The unchanged elements when updating, otherwise null
  */
-SceneBuilder.prototype._linkElements = function(data, sceneBuilderData) {
+SceneBuilder.prototype._linkElements = function(data, sceneBuilderData, diff) {
     var objMap = sceneBuilderData.getObjectMap();
     var object = sceneBuilderData.object;
+    var rebuilt = [];
     for (var i=0;i<data.length;i++) {
         var entity = data[i];
         if (entity == null || typeof entity !== 'object' || entity.id == null) continue;
@@ -171,11 +700,25 @@ SceneBuilder.prototype._linkElements = function(data, sceneBuilderData) {
         } else if (entity.primitive === scene.SCENE_PRIMITIVES.group) {
             this._createGroup(entity, obj, sceneBuilderData);
         } else if (entity.primitive === scene.SCENE_PRIMITIVES.instance) {
-            this._createInstance(entity, obj, sceneBuilderData);
+            var keepChildren = diff != null && !!diff.keepChildren[entity.id] && obj.children.length > 0;
+            this._createInstance(entity, obj, sceneBuilderData, keepChildren);
+            if (!keepChildren) {
+                rebuilt.push(obj);
+            }
         }
     }
-    _applyLayerColors(object);
-    _applyMaterials(object, sceneBuilderData);
+    if (diff == null) {
+        _applyLayerColors(object);
+        _applyMaterials(object, sceneBuilderData);
+    } else {
+        // Only restyle the instances that were rebuilt, the rest keep their materials
+        for (i=0;i<rebuilt.length;i++) {
+            _applyInheritedStyles(rebuilt[i], object, sceneBuilderData);
+        }
+    }
+    if (this._allowInstancing) {
+        instancedMesh.instanceObjects(object, sceneBuilderData);
+    }
 };
 
 /**
@@ -199,13 +742,44 @@ function _applyLayerColors(object) {
 function _applyMaterials(object, sceneBuilderData) {
     object.traverse(function (child) {
         var data = child.userData.data;
-        if (data && data.material) {
-            _assignMaterial(data.material, child, sceneBuilderData);
+        // Instanced meshes have the material of the instances they draw
+        var materialId = data ? data.material : child.userData.instanceMaterial;
+        if (materialId) {
+            _assignMaterial(materialId, child, sceneBuilderData);
         }
     });
 }
 
 
+/**
+ * Apply the colors and materials of an object's ancestors and the object itself.
+ * This gives the same result for the object as running _applyLayerColors and
+ * _applyMaterials on the whole scene.
+ * @param  {THREE.Object3D} object           The object to style
+ * @param  {THREE.Object3D} root             Root object containing layers
+ * @param  {SceneBuilderData} sceneBuilderData The container
+ */
+function _applyInheritedStyles(object, root, sceneBuilderData) {
+    var ancestors = [];
+    var parent = object.parent;
+    while (parent != null && parent !== root) {
+        ancestors.unshift(parent);
+        parent = parent.parent;
+    }
+    if (parent !== root || ancestors.length === 0) return;
+    var layerData = ancestors[0].userData.data;
+    if (layerData && layerData.color) {
+        sceneEdit.setObjectColor(object, layerData.color);
+    }
+    for (var i=0;i<ancestors.length;i++) {
+        var data = ancestors[i].userData.data;
+        if (data && data.material) {
+            _assignMaterial(data.material, object, sceneBuilderData);
+        }
+    }
+    _applyMaterials(object, sceneBuilderData);
+}
+
 /**
  * Rebuild geometry container because Object3D can only be referenced by one object at a time
  * @param  {THREE.Object3D} child Object3D with type Mesh or Line
@@ -229,6 +803,7 @@ function _rebuildChild(child, sceneBuilderData) {
         obj.userData[p] = child.userData[p];
     }
     obj.name = child.name;
+    obj.layers.mask = child.layers.mask;
     sceneBuilderData.cacheObject(obj.userData.id, obj);
     return obj;
 }
@@ -268,10 +843,11 @@ function _getMatrix(matrix) {
  * Apply a transform matrix to a 3D Object
  * @param  {Array.<Number>} matrix Array of 16 values representing a 4x4 transform
  * @param  {THREE.Object3D} object The object to update
+ * @param  {CoordinateFrame} frame The coordinate frame the transform is converted to
  */
-function _applyTransform(matrix, object) {
+function _applyTransform(matrix, object, frame) {
     if (matrix) {
-        var mat = _getMatrix(matrix);
+        var mat = frame.convertMatrix(_getMatrix(matrix));
         // Can not use applyMatrix, because the matrix from the JSON might have shear
         // which would be removed by three.js converting to translate, rotate and scale
         object.matrixAutoUpdate = false;
@@ -297,33 +873,11 @@ function _assignMaterial(materialId, object, sceneBuilderData) {
     }
     // get the material json
     var materialData = sceneBuilderData.getEntityData(materialId);
-    var textureId;
-    var inst;
-    if (materialData.colorMap != null) {
-        var materialChildData = sceneBuilderData.getEntityData(materialData.colorMap);
-        var textureData;
-        if (materialChildData.primitive === scene.SCENE_PRIMITIVES.instance) {
-            inst = materialChildData;
-            textureData = sceneBuilderData.getEntityData(materialChildData.entity);
-        } else {
-            textureData = materialChildData;
-        }
-        textureId = textureData.id;
-    }
     // get the material object
     var material = sceneBuilderData.getObjectMap()[materialId];
     if (material == null) {
         material = materials.create(constants.MATERIAL_TYPES.ALL, materialData);
-        if (textureId != null) {
-            material.surface.map = sceneBuilderData.getObjectMap()[textureId];
-            material.surface.map.wrapS = THREE.RepeatWrapping;
-            material.surface.map.wrapT = THREE.RepeatWrapping;
-            if (inst) {
-                _getMatrix(inst.matrix).decompose ( position, quaternion, scale );
-                material.surface.map.offset.set(position.x, position.y);
-                material.surface.map.repeat.set(scale.x, scale.y);
-            }
-        }
+        _applyColorMap(material, materialData, sceneBuilderData);
         sceneBuilderData.cacheObject(materialId, material);
     }
     // Recursively override material
@@ -332,36 +886,106 @@ function _assignMaterial(materialId, object, sceneBuilderData) {
     sceneEdit.setObjectMaterial(object, material);
 }
 
+/**
+ * Find the texture used as the color map of a material
+ * @param  {Object} materialData     Flux JSON material element
+ * @param  {SceneBuilderData} sceneBuilderData Cache for json and objects
+ * @return {Object}                  The texture element and the instance placing it, or null
+ */
+function _getColorMap(materialData, sceneBuilderData) {
+    if (materialData.colorMap == null) {
+        return null;
+    }
+    var materialChildData = sceneBuilderData.getEntityData(materialData.colorMap);
+    if (materialChildData.primitive === scene.SCENE_PRIMITIVES.instance) {
+        return {
+            texture: sceneBuilderData.getEntityData(materialChildData.entity),
+            instance: materialChildData
+        };
+    }
+    return {
+        texture: materialChildData,
+        instance: null
+    };
+}
+
+/**
+ * Set the color map of a material, if its texture has loaded
+ * @param  {Object} material         The three.js materials created for a material element
+ * @param  {Object} materialData     Flux JSON material element
+ * @param  {SceneBuilderData} sceneBuilderData Cache for json and objects
+ */
+function _applyColorMap(material, materialData, sceneBuilderData) {
+    var colorMap = _getColorMap(materialData, sceneBuilderData);
+    if (colorMap == null) {
+        return;
+    }
+    var texture = sceneBuilderData.getObjectMap()[colorMap.texture.id];
+    if (texture == null || texture.image == null) {
+        return;
+    }
+    material.surface.map = texture;
+    material.surface.map.wrapS = THREE.RepeatWrapping;
+    material.surface.map.wrapT = THREE.RepeatWrapping;
+    if (colorMap.instance) {
+        _getMatrix(colorMap.instance.matrix).decompose ( position, quaternion, scale );
+        material.surface.map.offset.set(position.x, position.y);
+        material.surface.map.repeat.set(scale.x, scale.y);
+    }
+    material.surface.needsUpdate = true;
+}
+
 /**
  * Instances are special and reuse their entities
  * @param  {Object} data                     JSON data for group
  * @param  {THREE.Object3D} obj   The object with a material
  * @param  {SceneBuilderData} sceneBuilderData  Container for results and errors
+ * @param  {Boolean} keepChildren  Whether obj already has the right children and only needs its transform
  */
-SceneBuilder.prototype._createInstance = function(data, obj, sceneBuilderData) {
+SceneBuilder.prototype._createInstance = function(data, obj, sceneBuilderData, keepChildren) {
     var objMap = sceneBuilderData.getObjectMap();
-    _applyTransform(data.matrix, obj);
+    var matrix = floatingOrigin.relativeMatrix(data.matrix, sceneBuilderData.getEntityCenter(data.entity),
+        sceneBuilderData.center);
+    _applyTransform(matrix, obj, this._frame);
+    if (keepChildren) {
+        return;
+    }
     var childId = data.entity;
     var child = objMap[childId];
     var childData = sceneBuilderData.getEntityData(childId);
     if (childData == null || childData.primitive === scene.SCENE_PRIMITIVES.texture) {
         return;
     }
-    if (childData.primitive === scene.SCENE_PRIMITIVES.camera) {
+    if (childData.primitive === scene.SCENE_PRIMITIVES.camera ||
+            childData.primitive === scene.SCENE_PRIMITIVES.light) {
         obj.add(child);
     } else {
         // Extract the geometry from the previous result into the new instance
-        child.traverse(function (c) {
-            if (c.type === "Mesh" || c.type === "Line" || c.type === "Points"
-                    || c.type === constants.TEXT_PRIMITIVE) {
-                var newChild = _rebuildChild(c, sceneBuilderData);
-                obj.add(newChild);
-            }
-        });
+        _addEntityChildren(child, obj, sceneBuilderData);
         // material is applied after linking
     }
 };
 
+/**
+ * Copy the renderable objects in an entity's geometry into an instance
+ * @param  {THREE.Object3D} child                The geometry of the entity
+ * @param  {THREE.Object3D} obj                  The instance
+ * @param  {SceneBuilderData} sceneBuilderData   Container for results and errors
+ * @return {Array.<THREE.Object3D>}              The objects added to the instance
+ */
+function _addEntityChildren(child, obj, sceneBuilderData) {
+    var added = [];
+    child.traverse(function (c) {
+        if (c.type === "Mesh" || c.type === "Line" || c.type === "LineSegments" || c.type === "Points"
+                || c.type === constants.TEXT_PRIMITIVE) {
+            var newChild = _rebuildChild(c, sceneBuilderData);
+            obj.add(newChild);
+            added.push(newChild);
+        }
+    });
+    return added;
+}
+
 /**
  * Create an group collection of elements with a transform
  * @param  {Object} data                     JSON data for group
@@ -370,7 +994,9 @@ SceneBuilder.prototype._createInstance = function(data, obj, sceneBuilderData) {
  */
 SceneBuilder.prototype._createGroup = function(data, obj, sceneBuilderData) {
     var objMap = sceneBuilderData.getObjectMap();
-    _applyTransform(data.matrix, obj);
+    // Groups are relative to the scene center on both sides, so they can be nested
+    var center = sceneBuilderData.center;
+    _applyTransform(floatingOrigin.relativeMatrix(data.matrix, center, center), obj, this._frame);
     for (var c=0;c<data.children.length;c++) {
         var childId = data.children[c];
         obj.add(objMap[childId]);
@@ -428,7 +1054,7 @@ SceneBuilder.prototype._createCamera = function(entityData) {
         }
         var aspect = constants.CAMERA_DEFAULTS.PERSP.ASPECT;
         camera = new THREE.PerspectiveCamera(fov, aspect, near, far);
-        camera.up = new THREE.Vector3( 0, 0, 1 ); // Flux is Z up
+        camera.up = this._frame.up.clone();
     } else {
         near = constants.CAMERA_DEFAULTS.ORTHO.NEAR;
         if (entityData.nearClip) {
@@ -444,34 +1070,113 @@ SceneBuilder.prototype._createCamera = function(entityData) {
     camera.userData.id = entityData.id;
     camera.userData.primitive = entityData.primitive;
     camera.userData.data = entityData;
+    this._frame.placeObject(camera);
     return Promise.resolve(camera);
 };
 
+/**
+ * Create a light from its JSON description
+ * Lights are placed at the origin and aim down their local negative z axis like
+ * cameras, so the matrix of the instance referencing them sets position and direction.
+ * @param  {Object} entityData Flux JSON parameters
+ * @return {Promise}            Promise for a THREE.Light
+ */
+SceneBuilder.prototype._createLight = function(entityData) {
+    var light;
+    var color = materials._convertColor(entityData.color || constants.LIGHT_DEFAULTS.COLOR);
+    var intensity = constants.LIGHT_DEFAULTS.INTENSITY;
+    if (entityData.intensity != null) {
+        intensity = entityData.intensity;
+    }
+    if (entityData.type === 'spot') {
+        light = new THREE.SpotLight(color, intensity);
+        var coneAngle = constants.LIGHT_DEFAULTS.CONE_ANGLE;
+        if (entityData.coneAngle != null) {
+            coneAngle = entityData.coneAngle;
+        }
+        // Flux cone angle spans the whole cone, while three.js measures from the center
+        light.angle = Math.min(coneAngle * 0.5 * constants.DEG_2_RAD, constants.HALF_PI);
+    } else if (entityData.type === 'directional') {
+        light = new THREE.DirectionalLight(color, intensity);
+    } else if (entityData.type === 'point') {
+        light = new THREE.PointLight(color, intensity);
+    } else {
+        light = new THREE.AmbientLight(color, intensity);
+    }
+    light.position.set(0, 0, 0);
+    if (light.target) {
+        // The target is a child so that it moves with the light's transform
+        light.target.position.set(0, 0, -1);
+        light.add(light.target);
+    }
+    light.name = entityData.primitive+':'+entityData.id;
+    light.userData.id = entityData.id;
+    light.userData.primitive = entityData.primitive;
+    light.userData.data = entityData;
+    this._frame.placeObject(light);
+    return Promise.resolve(light);
+};
+
 /**
  * Create the geometry and convert the results to scene results
  * @param  {Object} entityData  The geometry to convert
+ * @param  {Function} onProgress Optional callback with the SceneBuilderData, the objects just
+ *                               added to it, and the fraction complete, see GeometryBuilder.convert
+ * @param  {AbortSignal} signal  Optional signal to cancel the conversion
+ * @param  {Array.<Number>} center Optional center that the positions of the data are relative to
  * @return {Promise}            Promise to return SceneBuilderData
  */
-SceneBuilder.prototype._createEntity = function(entityData) {
+SceneBuilder.prototype._createEntity = function(entityData, onProgress, signal, center) {
     var dataClean = _removeScene(entityData);
-    return this._geometryBuilder.convert(dataClean, this._allowMerge).then(function(geometryResults) {
-        var sceneBuilderData = new SceneBuilderData();
+    var sceneBuilderData = new SceneBuilderData();
+    var frame = this._frame;
+    if (center) {
+        sceneBuilderData.setCenter(center, frame);
+    }
+    var onGeometryProgress = function (geometryResults, newObjects, fraction) {
+        sceneBuilderData.object = geometryResults.object;
+        sceneBuilderData.primStatus = geometryResults.primStatus;
+        for (var i=0;i<newObjects.length;i++) {
+            // Each object is reported once, so it is converted once
+            frame.convertObject(newObjects[i]);
+            _cacheObjects(newObjects[i], sceneBuilderData);
+        }
+        if (onProgress) {
+            onProgress(sceneBuilderData, newObjects, fraction);
+        }
+    };
+    var options = {
+        onProgress: onGeometryProgress,
+        signal: signal
+    };
+    return this._geometryBuilder.convert(dataClean, this._allowMerge, options).then(function(geometryResults) {
         sceneBuilderData.object = geometryResults.object;
-        // Cache the constructed objects into the scene map
-        geometryResults.object.traverse(function (child) {
-            if (child.userData.id != null) {
-                sceneBuilderData.cacheObject(child.userData.id, child);
-            }
-        });
         sceneBuilderData.primStatus = geometryResults.primStatus;
+        _cacheObjects(geometryResults.object, sceneBuilderData);
         return sceneBuilderData;
     }).catch(function (err) {
+        if (err instanceof FluxCancelError) {
+            throw err;
+        }
         // Make sure syntax errors are available to the developer
         print.warn(err);
         return err;
     });
 };
 
+/**
+ * Cache the constructed objects into the scene map
+ * @param  {THREE.Object3D} object              The objects to cache, including descendants
+ * @param  {SceneBuilderData} sceneBuilderData  Container for results
+ */
+function _cacheObjects(object, sceneBuilderData) {
+    object.traverse(function (child) {
+        if (child.userData.id != null) {
+            sceneBuilderData.cacheObject(child.userData.id, child);
+        }
+    });
+}
+
 /**
  * Set the url of the tessellation service.
  * This is required for rendering of breps.
@@ -480,3 +1185,48 @@ SceneBuilder.prototype._createEntity = function(entityData) {
 SceneBuilder.prototype.setTessUrl = function(newUrl) {
     this._geometryBuilder.setTessUrl(newUrl);
 };
+
+/**
+ * Replace the backend used to tessellate breps.
+ * By default breps are sent to the Parasolid service at the tessellation url.
+ * @param {TessellationProvider} provider Object with a tessellate function
+ */
+SceneBuilder.prototype.setTessellationProvider = function(provider) {
+    this._geometryBuilder.setTessellationProvider(provider);
+};
+
+/**
+ * Replace the cache of tessellated breps.
+ * By default an in memory cache is used.
+ * @param {TessellationCache} cache The cache to use, or null to disable caching
+ */
+SceneBuilder.prototype.setTessellationCache = function(cache) {
+    this._geometryBuilder.setTessellationCache(cache);
+};
+
+/**
+ * Change how breps are split into tessellation requests.
+ * Each request is limited to maxBreps breps and about maxBytes of brep data,
+ * and at most concurrency requests are sent at once.
+ * @param {Object} options Object with maxBreps, maxBytes and concurrency
+ */
+SceneBuilder.prototype.setTessellationBatching = function(options) {
+    this._geometryBuilder.setTessellationBatching(options);
+};
+
+/**
+ * Create geometry in a worker instead of on the main thread.
+ * The worker script must load this library and call initGeometryWorker.
+ * @param {Object} worker A browser Worker or a node worker_threads Worker, or null to stop using it
+ */
+SceneBuilder.prototype.setGeometryWorker = function(worker) {
+    this._geometryBuilder.setGeometryWorker(worker);
+};
+
+/**
+ * Change how finely curves are tessellated, see GeometryBuilder.setCurveTolerance.
+ * @param {Object} options Object with chordDeviation, relativeChordDeviation, maxAngle and maxSegments
+ */
+SceneBuilder.prototype.setCurveTolerance = function(options) {
+    this._geometryBuilder.setCurveTolerance(options);
+};
@@ -31,6 +31,21 @@ export default function SceneBuilderData() {
 
     // Map from id to THREE.Object3D
     this._sceneObjectMap = {};
+
+    // Map from id to the result built for an element before it was linked into the scene
+    this._builtObjectMap = {};
+
+    // Center that positions are relative to in Flux coordinates, or null when they are not
+    this.center = null;
+
+    // Where the origin of the results is in world coordinates, in the frame of the results
+    this.offset = new THREE.Vector3();
+
+    // Map from id to the center that the geometry of a scene element is relative to
+    this._centerMap = {};
+
+    // Map from instance id to the instanced meshes and indices that draw it
+    this._instanceMap = {};
 }
 
 /**
@@ -103,6 +118,75 @@ SceneBuilderData.prototype.cacheObject = function(entityId, entity) {
     this._sceneObjectMap[entityId] = entity;
 };
 
+/**
+ * Store the result of building a scene element so it can be reused by later updates
+ * @param  {String} entityId    The unique identifier
+ * @param  {Object} result      The built object (SceneBuilderData, THREE.Object3D or THREE.Texture)
+ */
+SceneBuilderData.prototype.cacheBuiltObject = function(entityId, result) {
+    this._builtObjectMap[entityId] = result;
+};
+
+/**
+ * Get a map from id to the results of building each scene element
+ * @return {Object} JavaScript Object used as a key value map
+ */
+SceneBuilderData.prototype.getBuiltObjectMap = function() {
+    return this._builtObjectMap;
+};
+
+/**
+ * Set the center that positions are relative to
+ * @param {Array.<Number>} center   The center in Flux coordinates, or null
+ * @param {CoordinateFrame} frame   The coordinate frame of the results
+ */
+SceneBuilderData.prototype.setCenter = function(center, frame) {
+    this.center = center;
+    this.offset.fromArray(center || [0, 0, 0]);
+    if (!frame.isIdentity) {
+        this.offset.applyMatrix4(frame.matrix);
+    }
+};
+
+/**
+ * Store the center that the geometry of a scene element is relative to
+ * @param {String} id               The unique identifier
+ * @param {Array.<Number>} center   The center in Flux coordinates
+ */
+SceneBuilderData.prototype.setEntityCenter = function(id, center) {
+    this._centerMap[id] = center;
+};
+
+/**
+ * Find the center that the geometry of a scene element is relative to
+ * @param  {String} id      The unique identifier
+ * @return {Array.<Number>} The center, or null when the geometry is where it was
+ */
+SceneBuilderData.prototype.getEntityCenter = function(id) {
+    return typeof id === 'string' && this._centerMap.hasOwnProperty(id) ? this._centerMap[id] : null;
+};
+
+/**
+ * Store where an instance is drawn by an instanced mesh
+ * @param  {String} instanceId  The unique identifier of the instance
+ * @param  {THREE.Mesh} mesh    The instanced mesh
+ * @param  {Number} index       The index of the instance in the mesh
+ */
+SceneBuilderData.prototype.cacheInstance = function(instanceId, mesh, index) {
+    if (!this._instanceMap[instanceId]) {
+        this._instanceMap[instanceId] = [];
+    }
+    this._instanceMap[instanceId].push({mesh: mesh, index: index});
+};
+
+/**
+ * Get a map from instance id to where it is drawn by instanced meshes
+ * @return {Object} JavaScript Object used as a key value map
+ */
+SceneBuilderData.prototype.getInstanceMap = function() {
+    return this._instanceMap;
+};
+
 /**
  * Return an object containing just the user facing results of the geometry construction
  * @return {SceneResults} The user info
@@ -0,0 +1,256 @@
+/**
+ * Compare a scene with the data from a previous conversion,
+ * so that unchanged elements can be reused instead of rebuilt.
+ */
+'use strict';
+
+import {scene} from 'flux-modelingjs';
+
+// Properties of scene elements that reference other elements by id
+var REFERENCE_PROPERTIES = ['entity', 'material', 'colorMap', 'children', 'elements'];
+
+// Instance properties that can be patched without rebuilding the instance's children
+var TRANSFORM_PROPERTIES = ['matrix', 'label'];
+
+// Properties of layers and groups that change the appearance of all their descendants
+var STYLE_PROPERTIES = ['color', 'material'];
+
+/**
+ * Container for the result of comparing a scene to a previous conversion.
+ * clean - Map from id to true for elements that did not change, and do not reference
+ *         any elements that changed. Their previous results can be reused as is.
+ * keepChildren - Map from id to true for instances whose rendered children are still valid,
+ *                though their transform may have changed.
+ */
+function SceneDiff() {
+    this.clean = {};
+    this.keepChildren = {};
+}
+
+/**
+ * Compare the elements of a scene with the data used for a previous conversion
+ * @param  {Array} entities                 Flux JSON scene that has been through prep
+ * @param  {SceneBuilderData} previous      The data from the previous conversion
+ * @return {SceneDiff}                      The unchanged elements
+ */
+export function compareScene(entities, previous) {
+    var diff = new SceneDiff();
+    if (!previous) return diff;
+    var dataMap = {};
+    var i, element;
+    for (i=0;i<entities.length;i++) {
+        element = entities[i];
+        if (element != null && typeof element.id === 'string') {
+            dataMap[element.id] = element;
+        }
+    }
+    var visited = {};
+    for (var id in dataMap) {
+        _isClean(id, dataMap, previous, diff.clean, visited);
+    }
+    // Elements below a restyled layer or group need their colors and materials reapplied
+    var restyled = {};
+    var parents = _getParents(entities, function (childId) {
+        return dataMap[childId];
+    });
+    var previousParents = _getParents(previous.getLayers(), function (childId) {
+        return previous.getEntityData(childId);
+    });
+    for (id in dataMap) {
+        element = dataMap[id];
+        var isContainer = element.primitive === scene.SCENE_PRIMITIVES.layer ||
+            element.primitive === scene.SCENE_PRIMITIVES.group;
+        if (isContainer && _isRestyled(element, previous, diff.clean)) {
+            _markDescendants(element, dataMap, restyled);
+        } else if (_getInheritedStyle(id, parents) !== _getInheritedStyle(id, previousParents)) {
+            // Moved below containers that look different
+            restyled[id] = true;
+            if (isContainer) {
+                _markDescendants(element, dataMap, restyled);
+            }
+        }
+    }
+    for (id in dataMap) {
+        element = dataMap[id];
+        if (element.primitive === scene.SCENE_PRIMITIVES.instance && !restyled[id]) {
+            diff.keepChildren[id] = _canKeepChildren(element, previous, diff.clean);
+        }
+    }
+    return diff;
+}
+
+/**
+ * Get the ids of other scene elements that an element points to
+ * @param  {Object} element Flux JSON scene element
+ * @return {Array.<String>}         List of ids
+ */
+function _getReferences(element) {
+    var refs = [];
+    for (var i=0;i<REFERENCE_PROPERTIES.length;i++) {
+        var value = element[REFERENCE_PROPERTIES[i]];
+        if (typeof value === 'string') {
+            refs.push(value);
+        } else if (value != null && value.constructor === Array) {
+            for (var j=0;j<value.length;j++) {
+                if (typeof value[j] === 'string') {
+                    refs.push(value[j]);
+                }
+            }
+        }
+    }
+    return refs;
+}
+
+/**
+ * Determine whether an element and everything it references are unchanged
+ * @param  {String} id                      The element to check
+ * @param  {Object} dataMap                 Map from id to new element JSON
+ * @param  {SceneBuilderData} previous      The data from the previous conversion
+ * @param  {Object} clean                   Map from id to result (return parameter)
+ * @param  {Object} visited                 Map from id to true for elements already checked
+ * @return {Boolean}                        True when unchanged
+ */
+function _isClean(id, dataMap, previous, clean, visited) {
+    if (visited[id]) {
+        // Elements being visited are treated as changed, which ends cyclic references
+        return !!clean[id];
+    }
+    visited[id] = true;
+    var element = dataMap[id];
+    var previousElement = previous.getEntityData(id);
+    var result = element != null && previousElement != null &&
+        JSON.stringify(element) === JSON.stringify(previousElement);
+    var refs = result ? _getReferences(element) : [];
+    for (var i=0;i<refs.length && result;i++) {
+        result = _isClean(refs[i], dataMap, previous, clean, visited);
+    }
+    if (result) {
+        clean[id] = true;
+    }
+    return result;
+}
+
+/**
+ * Compare two elements while ignoring some of their properties
+ * @param  {Object} a               Flux JSON element
+ * @param  {Object} b               Flux JSON element
+ * @param  {Array.<String>} ignored The properties to skip
+ * @return {Boolean}                True when the remaining properties are equal
+ */
+function _equalExcept(a, b, ignored) {
+    var keys = Object.keys(a).concat(Object.keys(b));
+    for (var i=0;i<keys.length;i++) {
+        var key = keys[i];
+        if (ignored.indexOf(key) !== -1) continue;
+        if (JSON.stringify(a[key]) !== JSON.stringify(b[key])) {
+            return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * Determine if a layer or group changes how its descendants look compared to before
+ * @param  {Object} element                 Flux JSON for a layer or group
+ * @param  {SceneBuilderData} previous      The data from the previous conversion
+ * @param  {Object} clean                   Map from id to true for unchanged elements
+ * @return {Boolean}                        True when descendants must be restyled
+ */
+function _isRestyled(element, previous, clean) {
+    var previousElement = previous.getEntityData(element.id);
+    if (previousElement == null) return true;
+    for (var i=0;i<STYLE_PROPERTIES.length;i++) {
+        var key = STYLE_PROPERTIES[i];
+        if (JSON.stringify(element[key]) !== JSON.stringify(previousElement[key])) {
+            return true;
+        }
+    }
+    return typeof element.material === 'string' && !clean[element.material];
+}
+
+/**
+ * Find the layer or group that contains each element, starting from some elements
+ * and following the ids of their children
+ * @param  {Array} elements     Flux JSON elements to start from
+ * @param  {Function} getData   Gets the JSON of an element from its id
+ * @return {Object}             Map from element id to the JSON of its container
+ */
+function _getParents(elements, getData) {
+    var parents = {};
+    var stack = elements.slice();
+    while (stack.length > 0) {
+        var element = stack.pop();
+        if (element == null || (element.primitive !== scene.SCENE_PRIMITIVES.layer &&
+                element.primitive !== scene.SCENE_PRIMITIVES.group)) continue;
+        var childIds = element.elements || element.children || [];
+        for (var i=0;i<childIds.length;i++) {
+            var childId = childIds[i];
+            if (typeof childId !== 'string' || parents[childId]) continue;
+            parents[childId] = element;
+            stack.push(getData(childId));
+        }
+    }
+    return parents;
+}
+
+/**
+ * Get the style that an element inherits from the layers and groups containing it
+ * @param  {String} id                      The element
+ * @param  {Object} parents                 Map from element id to the JSON of its container
+ * @return {String}                         The colors and materials of the containers, as JSON
+ */
+function _getInheritedStyle(id, parents) {
+    var styles = [];
+    var visited = {};
+    var parent = parents[id];
+    while (parent != null && !visited[parent.id]) {
+        visited[parent.id] = true;
+        var style = {};
+        for (var i=0;i<STYLE_PROPERTIES.length;i++) {
+            style[STYLE_PROPERTIES[i]] = parent[STYLE_PROPERTIES[i]];
+        }
+        styles.push(style);
+        parent = parents[parent.id];
+    }
+    return JSON.stringify(styles);
+}
+
+/**
+ * Mark all the elements contained by a layer or group
+ * @param  {Object} element     Flux JSON for a layer or group
+ * @param  {Object} dataMap     Map from id to new element JSON
+ * @param  {Object} marked      Map from id to true (return parameter)
+ */
+function _markDescendants(element, dataMap, marked) {
+    var childIds = element.elements || element.children || [];
+    for (var i=0;i<childIds.length;i++) {
+        var childId = childIds[i];
+        if (marked[childId]) continue;
+        marked[childId] = true;
+        var child = dataMap[childId];
+        if (child != null && child.primitive === scene.SCENE_PRIMITIVES.group) {
+            _markDescendants(child, dataMap, marked);
+        }
+    }
+}
+
+/**
+ * Determine whether an instance still renders the same children as before
+ * @param  {Object} element                 Flux JSON for an instance
+ * @param  {SceneBuilderData} previous      The data from the previous conversion
+ * @param  {Object} clean                   Map from id to true for unchanged elements
+ * @return {Boolean}                        True when only the transform may have changed
+ */
+function _canKeepChildren(element, previous, clean) {
+    var previousElement = previous.getEntityData(element.id);
+    if (previousElement == null || !_equalExcept(element, previousElement, TRANSFORM_PROPERTIES)) {
+        return false;
+    }
+    var refs = _getReferences(element);
+    for (var i=0;i<refs.length;i++) {
+        if (!clean[refs[i]]) {
+            return false;
+        }
+    }
+    return true;
+}
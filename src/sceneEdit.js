@@ -2,6 +2,8 @@
 
 import * as materials from './utils/materials.js';
 import * as THREE from 'three';
+import { isInstancedMesh, setInstanceColor } from './instances/instancedMesh.js';
+import { createInstanceMaterial } from './instances/instanceMaterial.js';
 
 /**
  * Replace the color of an object and its children with the given color
@@ -14,11 +16,20 @@ export function setObjectColor(object, color) {
 
     object.traverse(function (child) {
         if (child.geometry && child.material) {
-            // Clear the old color
-            var colors = child.geometry.attributes.color.array;
-            for (var i=0;i<colors.length;i++) {
-                colors[i] = 1;
+            // Instanced meshes have a color per instance, which overrides their material
+            if (isInstancedMesh(child)) {
+                for (var i=0;i<child.userData.instanceIds.length;i++) {
+                    setInstanceColor(child, i, colorObj);
+                }
+                return;
+            }
+            // Point clouds and wide lines only have colors per vertex
+            if (!child.material.color) {
+                _fillColors(child.geometry, colorObj);
+                return;
             }
+            // Clear the old color
+            _fillColors(child.geometry, new THREE.Color(1, 1, 1));
             // Apply color to material (multiplies with per vertex color)
             child.material.color.set(colorObj);
         }
@@ -39,7 +50,12 @@ export function setObjectMaterial(object, material) {
         var notMesh = child.type !== 'Mesh';
         var canOverride = notMesh || child.material.vertexColors === THREE.VertexColors;
         if (child.geometry && canOverride) {
-            if (child.type === 'Mesh') {
+            if (child.userData.octree) {
+                // Point clouds keep their shader, which has the size and shape of each point
+                _fillColors(child.geometry, material.point.color);
+            } else if (isInstancedMesh(child)) {
+                child.material = createInstanceMaterial(material.surface);
+            } else if (child.type === 'Mesh') {
                 child.material = material.surface.clone();
             } else if (child.type === 'Line'){
                 child.material = material.line.clone();
@@ -49,3 +65,149 @@ export function setObjectMaterial(object, material) {
         }
     });
 }
+
+// Attributes of merged surfaces and wide lines that are collapsed to hide a primitive
+var HIDDEN_ATTRIBUTES = ['position', 'previous', 'next', 'side'];
+
+/**
+ * Find the primitive of a merged mesh that contains a vertex.
+ * The userData.mergedRanges of a merged mesh has the id, first vertex and number of
+ * vertices of each primitive that was merged into it, in order.
+ * @param  {THREE.Object3D} object  The merged mesh
+ * @param  {Number} vertex          The index of the vertex
+ * @return {Object}                 The range of the primitive, or null when it is not merged
+ */
+export function findMergedRange(object, vertex) {
+    var ranges = object.userData.mergedRanges;
+    if (!ranges) return null;
+    var low = 0;
+    var high = ranges.length - 1;
+    while (low <= high) {
+        var middle = (low + high) >> 1;
+        var range = ranges[middle];
+        if (vertex < range.start) {
+            high = middle - 1;
+        } else if (vertex >= range.start + range.count) {
+            low = middle + 1;
+        } else {
+            return range;
+        }
+    }
+    return null;
+}
+
+/**
+ * Show or hide one primitive inside a merged mesh.
+ * Hidden primitives have their vertices collapsed to a point, and their values are kept
+ * in the range so they can be put back. The range is shared by all the objects that
+ * share the geometry, so the primitive is hidden in all of them.
+ * @param  {THREE.Object3D} object  The merged mesh
+ * @param  {String} id              The id of the primitive
+ * @param  {Boolean} visible        Whether to render it
+ * @return {Boolean}                Whether the mesh contains the primitive
+ */
+export function setMergedVisible(object, id, visible) {
+    var range = _getMergedRange(object, id);
+    if (!range) return false;
+    if (visible === !range.hidden) return true;
+    var attributes = object.geometry.attributes;
+    var hidden = range.hidden || {};
+    for (var i=0;i<HIDDEN_ATTRIBUTES.length;i++) {
+        var attribute = attributes[HIDDEN_ATTRIBUTES[i]];
+        if (!attribute) continue;
+        var size = attribute.itemSize;
+        var start = range.start * size;
+        var end = (range.start + range.count) * size;
+        if (visible) {
+            attribute.array.set(hidden[HIDDEN_ATTRIBUTES[i]], start);
+        } else {
+            hidden[HIDDEN_ATTRIBUTES[i]] = attribute.array.slice(start, end);
+            for (var j=start;j<end;j++) {
+                // Every vertex moves onto the first one, and wide lines lose their width
+                attribute.array[j] = HIDDEN_ATTRIBUTES[i] === 'side' ? 0 : attribute.array[start + (j - start) % size];
+            }
+        }
+        attribute.needsUpdate = true;
+    }
+    range.hidden = visible ? undefined : hidden;
+    return true;
+}
+
+/**
+ * Replace the color of one primitive inside a merged mesh.
+ * The color of the material is moved to the vertices first, so the primitive gets
+ * exactly the given color while the others keep theirs. The vertices are shared by all
+ * the objects that share the geometry, such as the instances of an entity, so the color
+ * is only moved once, and the other objects just stop applying it.
+ * @param  {THREE.Object3D} object      The merged mesh
+ * @param  {String} id                  The id of the primitive
+ * @param  {String|THREE.Color} color   The new render color
+ * @return {Boolean}                    Whether the mesh contains the primitive
+ */
+export function setMergedColor(object, id, color) {
+    var range = _getMergedRange(object, id);
+    var colors = object.geometry.attributes.color;
+    if (!range || !colors || !color) return !!range;
+    var colorObj = materials._convertColor(color);
+    var materialColor = object.material.color;
+    var i;
+    if (materialColor && materialColor.getHex() !== 0xffffff) {
+        if (!object.geometry.materialColorMerged) {
+            for (i=0;i<colors.array.length;i+=3) {
+                colors.array[i] *= materialColor.r;
+                colors.array[i+1] *= materialColor.g;
+                colors.array[i+2] *= materialColor.b;
+            }
+        }
+        materialColor.setRGB(1, 1, 1);
+    }
+    object.geometry.materialColorMerged = true;
+    for (i=range.start*3;i<(range.start+range.count)*3;i+=3) {
+        colors.array[i] = colorObj.r;
+        colors.array[i+1] = colorObj.g;
+        colors.array[i+2] = colorObj.b;
+    }
+    colors.needsUpdate = true;
+    return true;
+}
+
+/**
+ * Find the range of a primitive in a merged mesh by its id
+ * @param  {THREE.Object3D} object  The merged mesh
+ * @param  {String} id              The id of the primitive
+ * @return {Object}                 The range, or null when the mesh does not contain it
+ */
+function _getMergedRange(object, id) {
+    var ranges = object.userData.mergedRanges || [];
+    for (var i=0;i<ranges.length;i++) {
+        if (ranges[i].id === id) return ranges[i];
+    }
+    return null;
+}
+
+/**
+ * Set the color of every vertex of a geometry
+ * @param {THREE.BufferGeometry} geometry The geometry
+ * @param {THREE.Color} color The color
+ */
+function _fillColors(geometry, color) {
+    var colors = geometry.attributes.color.array;
+    for (var i=0;i<colors.length;i+=3) {
+        colors[i] = color.r;
+        colors[i+1] = color.g;
+        colors[i+2] = color.b;
+    }
+    geometry.attributes.color.needsUpdate = true;
+}
+
+/**
+ * Free the GPU resources of the geometry in an object and its descendants
+ * @param  {THREE.Object3D} object The object to dispose
+ */
+export function disposeObject(object) {
+    object.traverse(function (child) {
+        if (child.geometry) {
+            child.geometry.dispose();
+        }
+    });
+}
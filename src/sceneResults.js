@@ -3,7 +3,10 @@
  */
 'use strict';
 
-import { setObjectColor } from './sceneEdit.js';
+import { setObjectColor, findMergedRange, setMergedVisible, setMergedColor } from './sceneEdit.js';
+import * as materials from './utils/materials.js';
+import { setInstanceVisible, setInstanceColor } from './instances/instancedMesh.js';
+import {scene} from 'flux-modelingjs';
 
 /**
  * Data model for each call to convertScene.
@@ -19,6 +22,15 @@ export default function SceneResults(sceneBuilderData) {
     this._status = sceneBuilderData.primStatus;
 
     this._sceneObjectMap = sceneBuilderData.getObjectMap();
+
+    // Map from instance id to the instanced meshes that draw it
+    this._instanceMap = sceneBuilderData.getInstanceMap();
+
+    // Where the origin of the geometry is in world coordinates
+    this._offset = sceneBuilderData.offset.clone();
+
+    // Kept so that SceneBuilder.update can compare new data against it
+    this._sceneBuilderData = sceneBuilderData;
 }
 
 /**
@@ -37,6 +49,36 @@ SceneResults.prototype.getObjectMap = function () {
     return this._sceneObjectMap;
 };
 
+/**
+ * Get where the origin of the geometry is in world coordinates.
+ * This is zero unless the scene builder stores positions relative to a center, in which
+ * case positions in the object are world positions minus the offset, so a camera at a
+ * world position should also be placed relative to it.
+ * @return {THREE.Vector3} The offset
+ */
+SceneResults.prototype.getOffset = function () {
+    return this._offset.clone();
+};
+
+/**
+ * Convert a position in the geometry, such as the point of a raycaster intersection,
+ * to world coordinates. The sum is computed in double precision.
+ * @param  {THREE.Vector3} position The position relative to the offset
+ * @return {THREE.Vector3}          The position in world coordinates
+ */
+SceneResults.prototype.toWorldPosition = function (position) {
+    return position.clone().add(this._offset);
+};
+
+/**
+ * Convert a position in world coordinates to the coordinates of the geometry
+ * @param  {THREE.Vector3} position The position in world coordinates
+ * @return {THREE.Vector3}          The position relative to the offset
+ */
+SceneResults.prototype.fromWorldPosition = function (position) {
+    return position.clone().sub(this._offset);
+};
+
 /**
  * Get a layer object that allows manipulating its properties
  * @param  {String} id The unique identifier for the scene element
@@ -60,6 +102,10 @@ SceneResults.prototype.setElementVisible = function (id, visible) {
     if (object) {
         object.visible = visible;
     }
+    var copies = this._instanceMap[id] || [];
+    for (var i=0;i<copies.length;i++) {
+        setInstanceVisible(copies[i].mesh, copies[i].index, visible);
+    }
 };
 
 /**
@@ -74,6 +120,97 @@ SceneResults.prototype.setElementColor = function (id, color) {
     if (object) {
         setObjectColor(object, color);
     }
+    var copies = this._instanceMap[id] || [];
+    for (var i=0;i<copies.length && color;i++) {
+        setInstanceColor(copies[i].mesh, copies[i].index, materials._convertColor(color));
+    }
+};
+
+/**
+ * Find the scene element that was hit by a raycaster.
+ * This is the instance containing the object that was hit, including the instances drawn
+ * by instanced meshes, or the id of the object itself when it is not in an instance.
+ * @param  {Object} intersection    An intersection from THREE.Raycaster
+ * @return {String}                 The id of the element, or null when it is not known
+ */
+SceneResults.prototype.getPickedId = function (intersection) {
+    var object = intersection.object;
+    if (object.userData.instanceIds && intersection.instanceIndex != null) {
+        return object.userData.instanceIds[intersection.instanceIndex];
+    }
+    for (var parent=object;parent!=null;parent=parent.parent) {
+        if (parent.userData.primitive === scene.SCENE_PRIMITIVES.instance) {
+            return parent.userData.id;
+        }
+    }
+    return object.userData.id != null ? object.userData.id : null;
+};
+
+/**
+ * Find the primitive that was hit by a raycaster.
+ * When the object that was hit merged several primitives, the primitive is found from the
+ * vertices of the face that was hit, otherwise it is the object itself.
+ * @param  {Object} intersection    An intersection from THREE.Raycaster
+ * @return {String}                 The id of the primitive, or null when it is not known
+ */
+SceneResults.prototype.getPickedPrimitiveId = function (intersection) {
+    var object = intersection.object;
+    if (intersection.face) {
+        var range = findMergedRange(object, intersection.face.a);
+        if (range) {
+            return range.id;
+        }
+    }
+    return object.userData.id != null ? object.userData.id : null;
+};
+
+/**
+ * Set whether a primitive renders, even when it was merged with others.
+ * Primitives inside merged meshes are hidden in every object that shares their geometry,
+ * such as all the instances of an entity. Other ids are handled by setElementVisible.
+ * @param  {String} id The id of the primitive
+ * @param  {Boolean} visible Whether to render
+ */
+SceneResults.prototype.setPrimitiveVisible = function (id, visible) {
+    var merged = this._forEachMerged(function (object) {
+        return setMergedVisible(object, id, visible);
+    });
+    if (!merged) {
+        this.setElementVisible(id, visible);
+    }
+};
+
+/**
+ * Set the override color of a primitive, even when it was merged with others.
+ * Like setElementColor this is destructive, the previous colors are not kept.
+ * Other ids are handled by setElementColor.
+ * @param  {String} id The id of the primitive
+ * @param  {String|THREE.Color} color The color to apply
+ */
+SceneResults.prototype.setPrimitiveColor = function (id, color) {
+    var merged = this._forEachMerged(function (object) {
+        return setMergedColor(object, id, color);
+    });
+    if (!merged) {
+        this.setElementColor(id, color);
+    }
+};
+
+/**
+ * Call a function for each merged mesh in the results
+ * @param  {Function} callback  Called with each merged mesh, returns whether it was changed
+ * @return {Boolean}            Whether any mesh was changed
+ */
+SceneResults.prototype._forEachMerged = function (callback) {
+    var changed = false;
+    if (this._object) {
+        this._object.traverse(function (child) {
+            if (child.userData.mergedRanges && child.geometry) {
+                changed = callback(child) || changed;
+            }
+        });
+    }
+    return changed;
 };
 
 /**
@@ -0,0 +1,119 @@
+/**
+ * Storage backend for the tessellation cache that persists values in IndexedDB.
+ */
+'use strict';
+
+import FluxGeometryError from '../geometryError.js';
+import * as compatibility from '../compatibility.js';
+
+// Name of the object store holding the values
+var STORE_NAME = 'meshes';
+
+/**
+ * Key value storage in an IndexedDB database, so values survive page reloads.
+ * @param {String} dbName Name of the database
+ * @constructor
+ */
+export default function IndexedDBStorage(dbName) {
+    this._dbName = dbName || 'flux-tessellation-cache';
+    this._dbPromise = null;
+}
+
+/**
+ * Open the database on first use
+ * @return {Promise} Promise for the IDBDatabase
+ */
+IndexedDBStorage.prototype._open = function () {
+    if (!this._dbPromise) {
+        var factory = compatibility.getIndexedDB();
+        if (!factory) {
+            return Promise.reject(new FluxGeometryError('IndexedDB is not available'));
+        }
+        var dbName = this._dbName;
+        this._dbPromise = new Promise(function (resolve, reject) {
+            var request = factory.open(dbName, 1);
+            request.onupgradeneeded = function () {
+                request.result.createObjectStore(STORE_NAME);
+            };
+            request.onsuccess = function () {
+                resolve(request.result);
+            };
+            request.onerror = function () {
+                reject(request.error);
+            };
+        });
+    }
+    return this._dbPromise;
+};
+
+/**
+ * Run a single request against the object store
+ * @param  {IDBDatabase} db     The open database
+ * @param  {String} mode        Transaction mode, readonly or readwrite
+ * @param  {Function} action    Function taking the IDBObjectStore and returning an IDBRequest
+ * @return {Promise}            Promise for the result of the request
+ */
+function _storeRequest(db, mode, action) {
+    return new Promise(function (resolve, reject) {
+        var store = db.transaction(STORE_NAME, mode).objectStore(STORE_NAME);
+        var request = action(store);
+        request.onsuccess = function () {
+            resolve(request.result);
+        };
+        request.onerror = function () {
+            reject(request.error);
+        };
+    });
+}
+
+/**
+ * Look up a value
+ * @param  {String} key The unique identifier
+ * @return {Promise}    Promise for the value, or undefined when missing
+ */
+IndexedDBStorage.prototype.get = function (key) {
+    return this._open().then(function (db) {
+        return _storeRequest(db, 'readonly', function (store) {
+            return store.get(key);
+        });
+    });
+};
+
+/**
+ * Store a value
+ * @param  {String} key The unique identifier
+ * @param  {Object} value JSON data to store
+ * @return {Promise}    Promise that resolves when stored
+ */
+IndexedDBStorage.prototype.set = function (key, value) {
+    return this._open().then(function (db) {
+        return _storeRequest(db, 'readwrite', function (store) {
+            return store.put(value, key);
+        });
+    });
+};
+
+/**
+ * Delete a value
+ * @param  {String} key The unique identifier
+ * @return {Promise}    Promise that resolves when deleted
+ */
+IndexedDBStorage.prototype.remove = function (key) {
+    return this._open().then(function (db) {
+        return _storeRequest(db, 'readwrite', function (store) {
+            return store.delete(key);
+        });
+    });
+};
+
+/**
+ * List the stored keys
+ * @return {Promise}    Promise for the array of keys
+ */
+IndexedDBStorage.prototype.keys = function () {
+    return this._open().then(function (db) {
+        return _storeRequest(db, 'readonly', function (store) {
+            return store.getAllKeys();
+        });
+    });
+};
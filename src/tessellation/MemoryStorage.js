@@ -0,0 +1,52 @@
+/**
+ * Storage backend for the tessellation cache that keeps values in memory.
+ */
+'use strict';
+
+/**
+ * Key value storage in a JavaScript object.
+ * All storage backends share this promise based interface, so that
+ * asynchronous stores like IndexedDB can be used interchangeably.
+ * @constructor
+ */
+export default function MemoryStorage() {
+    this._values = {};
+}
+
+/**
+ * Look up a value
+ * @param  {String} key The unique identifier
+ * @return {Promise}    Promise for the value, or undefined when missing
+ */
+MemoryStorage.prototype.get = function (key) {
+    return Promise.resolve(this._values[key]);
+};
+
+/**
+ * Store a value
+ * @param  {String} key The unique identifier
+ * @param  {Object} value JSON data to store
+ * @return {Promise}    Promise that resolves when stored
+ */
+MemoryStorage.prototype.set = function (key, value) {
+    this._values[key] = value;
+    return Promise.resolve();
+};
+
+/**
+ * Delete a value
+ * @param  {String} key The unique identifier
+ * @return {Promise}    Promise that resolves when deleted
+ */
+MemoryStorage.prototype.remove = function (key) {
+    delete this._values[key];
+    return Promise.resolve();
+};
+
+/**
+ * List the stored keys
+ * @return {Promise}    Promise for the array of keys
+ */
+MemoryStorage.prototype.keys = function () {
+    return Promise.resolve(Object.keys(this._values));
+};
@@ -0,0 +1,206 @@
+/**
+ * Tessellation backend that sends breps to the Flux Parasolid service.
+ */
+'use strict';
+
+import TessellationProvider from './TessellationProvider.js';
+import FluxGeometryError from '../geometryError.js';
+import * as compatibility from '../compatibility.js';
+import * as print from '../utils/debugPrint.js';
+import {Query, Operation} from 'flux-modelingjs';
+
+/**
+ * Tessellate breps with an HTTP request to the Parasolid worker
+ * @param {String} tessUrl   The url for the brep tessellation service
+ * @param {String} token     The current flux auth token
+ * @constructor
+ */
+export default function ParasolidProvider(tessUrl, token) {
+    TessellationProvider.call(this);
+
+    // String path to tessellation API endpoint
+    this._parasolidUrl = tessUrl;
+    this._fluxToken = token;
+}
+ParasolidProvider.prototype = Object.create(TessellationProvider.prototype);
+ParasolidProvider.prototype.constructor = ParasolidProvider;
+
+/**
+ * Set the url of the tessellation service.
+ * @param {String} newUrl The url of the tessellation server
+ */
+ParasolidProvider.prototype.setUrl = function (newUrl) {
+    this._parasolidUrl = newUrl;
+};
+
+/**
+ * Send a request to tessellate breps.
+ *
+ * This server currently aborts when there is an error in the tessellation operation, but in the
+ * future it could respond with status 200, but contain a mix of successful and failed
+ * tesselations. In both cases the errored brep gets an Error in the results.
+ *
+ * @param  {Array.<Object>} breps   Flux JSON brep entities
+ * @param  {Number} quality         Tessellation quality, ranges 0-4; the bigger, the better
+ * @param  {AbortSignal} signal     Optional signal to abort the request
+ * @return {Promise}                Promise for an array with one result per brep
+ */
+ParasolidProvider.prototype.tessellate = function (breps, quality, signal) {
+    if (!this._parasolidUrl) {
+        return Promise.reject(new FluxGeometryError('Tessellation url was not set'));
+    }
+    if (!this._fluxToken) {
+        return Promise.reject(new FluxGeometryError('Flux token was not set'));
+    }
+    // Keep track of the request id for each brep
+    var resultIds = [];
+    var sceneJSON = _constructScene(breps, quality, resultIds);
+
+    var fetchOptions = {
+        fluxToken: this._fluxToken,
+        method: 'POST',
+        body: sceneJSON
+    };
+    // Passed through to fetch, which aborts the request
+    if (signal) {
+        fetchOptions.signal = signal;
+    }
+
+    var xhrPromise = compatibility.fluxFetch(this._parasolidUrl, fetchOptions);
+
+    // unwrap the extra promise generated by fetch
+    return new Promise(function (resolve, reject) {
+        xhrPromise.then(function (tessHeaderResponse) {
+            if (tessHeaderResponse.status === 200) {
+                tessHeaderResponse.body.then(function(tessResult) {
+                    resolve(tessResult);
+                });
+            } else {
+                tessHeaderResponse.body.then(function(text) {
+                    reject(new FluxGeometryError(_interpretServerErrorCode(tessHeaderResponse.status, text)));
+                });
+            }
+        }).catch(function (err) {
+            if (err.status != null) {
+                reject(new FluxGeometryError(_interpretServerErrorCode(err.status, err.message)));
+            } else {
+                reject(new Error('Server error '+err ));
+            }
+        });
+    }).then(function (tessResult) {
+        return _parseResults(JSON.parse(tessResult), breps, resultIds);
+    });
+};
+
+/**
+ * Construct a scene object to format the request for brep tessellation
+ * @param  {Array}  breps List of primitives to tessellate
+ * @param  {Number} quality Tessellation quality
+ * @param  {Array.<String>} resultIds The id of each brep in the request (return parameter).
+ *                             In the case of a server error the brep can be looked up
+ *                             based on server message which contains its resultId string,
+ *                             which is a unique identifier
+ * @return {Object}     JSON object with parameters describing the operations to be sent to parasolid
+ */
+function _constructScene(breps, quality, resultIds) {
+    var scene = new Query();
+    for (var i=0; i<breps.length; i++) {
+        var value = breps[i];
+        resultIds.push(null);
+        if (!value || !value.primitive) continue;
+        var resultId = 'result'+i;
+        scene.add(resultId, value);
+        var tessOp = Operation.tessellateJson(resultId, quality, 1.0);
+        // The first argument must be a unique id. It is an integer
+        // so it can be used to look up the primitive later.
+        scene.add(resultId, tessOp);
+        resultIds[i] = resultId;
+    }
+    return {'Scene':scene.toJSON()};
+}
+
+/**
+ * Match the meshes and errors in a server response with the breps in the request
+ * @param  {Object} resultObj           Parsed server response
+ * @param  {Array} breps                List of primitives that were tessellated
+ * @param  {Array.<String>} resultIds   The id of each brep in the request
+ * @return {Array}                      One mesh, Error or null per brep
+ * @throws FluxGeometryError if an error can not be traced back to a brep
+ */
+function _parseResults(resultObj, breps, resultIds) {
+    var results = [];
+    for (var i=0;i<breps.length;i++) {
+        results.push(null);
+    }
+    var errors = resultObj.Errors;
+    // There were invalid breps or other server errors
+    if (errors && Object.keys(errors).length > 0) {
+        var fullErrorMessage = errors[Object.keys(errors)[0]].Message;
+        var error = new FluxGeometryError(_interpretServerError(fullErrorMessage));
+        var errorIndex = resultIds.indexOf(_findErroredPrim(fullErrorMessage));
+        if (errorIndex === -1) {
+            throw error;
+        }
+        results[errorIndex] = error;
+    }
+    // There were valid breps that tessellated
+    if (resultObj.Output && resultObj.Output.Results) {
+        var data = resultObj.Output.Results.value;
+        for (var key in data) {
+            var index = resultIds.indexOf(key);
+            if (index !== -1) {
+                results[index] = data[key];
+            }
+        }
+    }
+    return results;
+}
+
+/**
+ * Parse server error message and interpret to be human readable.
+ * Eventually the sever might have better messages:
+ * https://vannevar.atlassian.net/browse/GI-1933
+ * @param    {String} text The full error text
+ * @return {String}            The improved error message
+ */
+function _interpretServerError (text) {
+    var errorMessage = text.slice(0, text.indexOf('\n'));
+    // Add a more clear explanation for this specific error
+    if (errorMessage === 'PK_ERROR_wrong_transf') {
+        errorMessage = 'Flux is currently unable to model objects '+
+                'that are outside of a bounding box that is 1000 units '+
+                'wide centered at the origin. Please scale down your '+
+                'models or change units.';
+    } else if (errorMessage === 'Translator loader error') {
+        errorMessage = 'The brep translator could not be initialized. '+
+                'Perhaps the license has expired. Please contact Flux to get '+
+                'this resolved.';
+    }
+    return 'Server error: '+errorMessage;
+}
+
+/**
+ * Workaround for finding the prim associated with the error.
+ * The backend does not have a good API for this yet.
+ * https://vannevar.atlassian.net/browse/PLT-4228
+ * @param    {String} text The full error text
+ * @return {String}            The result id of the errored brep
+ */
+function _findErroredPrim(text) {
+    var match = text.match(/\/result.*\n/);
+    return match ? match[0].slice(1, match[0].length-1) : '';
+}
+
+/**
+ * Create a user error message based on status codes
+ * @param    {String} status The error html status code
+ * @param    {String} text The full error text
+ * @return {String}            The error message
+ */
+function _interpretServerErrorCode(status, text) {
+    if (status === 504) {
+        return "Server error: Your request exceeded the maximum time limit for execution.";
+    }
+    print.warn("Server error in tessellation. Status: "+status+": "+text);
+    return "Server error: The brep tessellation service is unavailable.";
+}
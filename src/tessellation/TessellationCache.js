@@ -0,0 +1,225 @@
+/**
+ * Least recently used cache of tessellated breps.
+ */
+'use strict';
+
+import MemoryStorage from './MemoryStorage.js';
+import * as constants from '../constants.js';
+import * as print from '../utils/debugPrint.js';
+
+// Key of the stored list of cache keys, ordered from least to most recently used.
+// Hashes from getKey are hexadecimal, so they never collide with it.
+var ORDER_KEY = 'access-order';
+
+/**
+ * Cache of tessellation results keyed by a hash of the brep content.
+ * Values are kept in a storage backend with get, set, remove and keys functions that
+ * return promises, such as MemoryStorage or IndexedDBStorage.
+ * The order in which results were used is kept in the storage as well, so results stored
+ * by earlier sessions count towards the limit and are evicted when the cache is opened.
+ * It is stored along with new results, and a while after hits so a batch of them is stored once.
+ * @param {Object} storage      The storage backend, defaults to MemoryStorage
+ * @param {Number} maxEntries   How many results to keep before evicting the oldest
+ * @constructor
+ */
+export default function TessellationCache(storage, maxEntries) {
+    this._storage = storage || new MemoryStorage();
+    this._maxEntries = maxEntries || constants.TESSELLATION_CACHE_SIZE;
+
+    // Keys ordered from least to most recently used
+    this._keys = [];
+
+    // Promise that resolves when the keys of earlier sessions are loaded
+    this._opened = null;
+
+    // Timer that stores the order after hits, or null when it is stored
+    this._saveTimer = null;
+}
+
+/**
+ * Compute the cache key for a brep
+ * @param  {Object} brep    Flux JSON brep entity
+ * @param  {Number} quality Tessellation quality
+ * @return {String}         Hash of the content and quality
+ */
+TessellationCache.prototype.getKey = function (brep, quality) {
+    return _hashString(JSON.stringify(brep) + '|' + quality);
+};
+
+/**
+ * Look up a tessellation result
+ * Failures of the storage backend are treated as a cache miss.
+ * @param  {String} key The cache key from getKey
+ * @return {Promise}    Promise for the result, or undefined when missing
+ */
+TessellationCache.prototype.get = function (key) {
+    var _this = this;
+    return this._open().then(function () {
+        return _this._storage.get(key);
+    }).then(function (value) {
+        if (value !== undefined) {
+            _this._touch(key);
+            _this._saveOrderLater();
+        }
+        return value;
+    }).catch(function (err) {
+        print.warn(err);
+        return undefined;
+    });
+};
+
+/**
+ * Store a tessellation result, evicting the least recently used results when full
+ * @param  {String} key The cache key from getKey
+ * @param  {Object} value Flux JSON returned by the tessellation provider
+ * @return {Promise}    Promise that resolves when stored
+ */
+TessellationCache.prototype.set = function (key, value) {
+    var _this = this;
+    return this._open().then(function () {
+        _this._touch(key);
+        return Promise.all([_this._storage.set(key, value), _this._evict()]);
+    }).catch(function (err) {
+        print.warn(err);
+    });
+};
+
+/**
+ * Remove all the results in the storage, including those stored by earlier sessions
+ * @return {Promise}    Promise that resolves when removed
+ */
+TessellationCache.prototype.clear = function () {
+    var _this = this;
+    return this._open().then(function () {
+        var keys = _this._keys.concat([ORDER_KEY]);
+        _this._keys = [];
+        _this._cancelSave();
+        return Promise.all(keys.map(function (key) {
+            return _this._storage.remove(key);
+        }));
+    }).catch(function (err) {
+        print.warn(err);
+    });
+};
+
+/**
+ * Load the keys stored by earlier sessions on first use, and evict the oldest
+ * results when there are more than the cache holds.
+ * @return {Promise}    Promise that resolves when loaded
+ */
+TessellationCache.prototype._open = function () {
+    if (!this._opened) {
+        var _this = this;
+        var storage = this._storage;
+        var storedKeys = typeof storage.keys === 'function' ? storage.keys() : Promise.resolve([]);
+        this._opened = Promise.all([storage.get(ORDER_KEY), storedKeys]).then(function (results) {
+            var order = results[0] || [];
+            var stored = {};
+            var keys = [];
+            var i;
+            for (i=0;i<results[1].length;i++) {
+                stored[results[1][i]] = true;
+            }
+            for (i=0;i<order.length;i++) {
+                delete stored[order[i]];
+            }
+            delete stored[ORDER_KEY];
+            // Results without a recorded use are older than all the others
+            for (var key in stored) {
+                keys.push(key);
+            }
+            _this._keys = keys.concat(order);
+            return _this._evict();
+        }).catch(function (err) {
+            print.warn(err);
+        });
+    }
+    return this._opened;
+};
+
+/**
+ * Remove the least recently used results until the cache is within its size,
+ * and store the order of the remaining keys
+ * @return {Promise}    Promise that resolves when removed
+ */
+TessellationCache.prototype._evict = function () {
+    var removals = [];
+    while (this._keys.length > this._maxEntries) {
+        removals.push(this._storage.remove(this._keys.shift()));
+    }
+    removals.push(this._saveOrder());
+    return Promise.all(removals);
+};
+
+/**
+ * Store the order in which the keys were used
+ * @return {Promise}    Promise that resolves when stored
+ */
+TessellationCache.prototype._saveOrder = function () {
+    this._cancelSave();
+    return this._storage.set(ORDER_KEY, this._keys.slice());
+};
+
+/**
+ * Store the order in which the keys were used after a delay, unless it is stored before
+ */
+TessellationCache.prototype._saveOrderLater = function () {
+    if (this._saveTimer) return;
+    var _this = this;
+    this._saveTimer = setTimeout(function () {
+        _this._saveTimer = null;
+        _this._saveOrder().catch(function (err) {
+            print.warn(err);
+        });
+    }, constants.TESSELLATION_CACHE_SAVE_DELAY);
+};
+
+/**
+ * Stop a delayed store of the order
+ */
+TessellationCache.prototype._cancelSave = function () {
+    if (this._saveTimer) {
+        clearTimeout(this._saveTimer);
+        this._saveTimer = null;
+    }
+};
+
+/**
+ * Mark a key as the most recently used
+ * @param  {String} key The cache key
+ */
+TessellationCache.prototype._touch = function (key) {
+    var index = this._keys.indexOf(key);
+    if (index !== -1) {
+        this._keys.splice(index, 1);
+    }
+    this._keys.push(key);
+};
+
+/**
+ * Compute a 64 bit hash of a string, combined with its length to further avoid collisions
+ * Based on the public domain cyrb53 hash.
+ * @param  {String} text The string to hash
+ * @return {String}      Hexadecimal hash
+ */
+function _hashString(text) {
+    var h1 = 0xdeadbeef;
+    var h2 = 0x41c6ce57;
+    for (var i=0;i<text.length;i++) {
+        var ch = text.charCodeAt(i);
+        h1 = Math.imul(h1 ^ ch, 2654435761);
+        h2 = Math.imul(h2 ^ ch, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    return _toHex(h2) + _toHex(h1) + text.length.toString(16);
+}
+
+/**
+ * Format a 32 bit integer as 8 hexadecimal digits
+ * @param  {Number} value The integer
+ * @return {String}       Zero padded hexadecimal
+ */
+function _toHex(value) {
+    return ('0000000' + (value >>> 0).toString(16)).slice(-8);
+}
@@ -0,0 +1,40 @@
+/**
+ * Interface for services that convert breps into renderable geometry.
+ */
+'use strict';
+
+import FluxGeometryError from '../geometryError.js';
+import FluxCancelError from '../cancelError.js';
+import * as cancel from '../utils/cancel.js';
+
+/**
+ * Base class for tessellation backends used by GeometryBuilder.
+ * Implementations only need a tessellate function, so they can be a server,
+ * a local worker, a different kernel or a mock for tests.
+ * @constructor
+ */
+export default function TessellationProvider() {
+}
+
+/**
+ * Convert brep entities to meshes.
+ *
+ * The promise resolves to an array with one item per brep in the same order.
+ * Each item is the Flux JSON for the tessellated brep (usually a mesh entity),
+ * an Error when that brep failed, or null when there is no result for it.
+ * The promise rejects when the whole request fails.
+ * When the optional signal aborts, the provider should stop the request if it can.
+ * This base implementation rejects, with a FluxCancelError once the signal is aborted.
+ *
+ * @param  {Array.<Object>} breps   Flux JSON brep entities
+ * @param  {Number} quality         Tessellation quality, ranges 0-4; the bigger, the better
+ * @param  {AbortSignal} signal     Optional signal that is aborted when the results are not needed
+ * @return {Promise}                Promise for the array of results
+ */
+TessellationProvider.prototype.tessellate = function (breps, quality, signal) {
+    if (cancel.isAborted(signal)) {
+        return Promise.reject(new FluxCancelError());
+    }
+    return Promise.reject(new FluxGeometryError('Tessellation of ' + breps.length +
+        ' breps at quality ' + quality + ' is not implemented'));
+};
@@ -0,0 +1,134 @@
+/**
+ * Split brep tessellation into several smaller requests,
+ * so that one bad brep does not prevent the others from rendering.
+ */
+'use strict';
+
+import * as constants from '../constants.js';
+import FluxCancelError from '../cancelError.js';
+import * as cancel from '../utils/cancel.js';
+
+/**
+ * Tessellate breps in batches, running a limited number of requests at once.
+ *
+ * When a batch contains a brep that fails, the breps in that batch that did not get
+ * a result (because the server aborted) are sent again in a new batch without it.
+ * When a whole batch fails, every brep in that batch receives the error.
+ * No more batches are started once the signal aborts, and the promise rejects.
+ *
+ * @param  {TessellationProvider} provider  Backend that tessellates breps
+ * @param  {Array.<Object>} breps           Flux JSON brep entities
+ * @param  {Number} quality                 Tessellation quality
+ * @param  {Object} options                 Batching limits with maxBreps, maxBytes and concurrency
+ * @param  {Function} onBatch               Optional callback with the brep indices and
+ *                                          results each time a batch is done
+ * @param  {AbortSignal} signal             Optional signal to cancel the requests
+ * @return {Promise}                        Promise for one mesh, Error or null per brep
+ */
+export function tessellateInBatches(provider, breps, quality, options, onBatch, signal) {
+    var opts = _getOptions(options);
+    var results = [];
+    for (var i=0;i<breps.length;i++) {
+        results.push(null);
+    }
+    var queue = _splitBatches(breps, opts.maxBreps, opts.maxBytes);
+
+    // Each worker takes batches off the queue until it is empty
+    function runNext() {
+        if (cancel.isAborted(signal)) {
+            return Promise.reject(new FluxCancelError());
+        }
+        if (queue.length === 0) {
+            return Promise.resolve();
+        }
+        var batch = queue.shift();
+        var batchBreps = batch.map(function (index) {
+            return breps[index];
+        });
+        return Promise.resolve().then(function () {
+            return provider.tessellate(batchBreps, quality, signal);
+        }).then(function (meshes) {
+            var aborted = [];
+            var failed = false;
+            var b;
+            for (b=0;b<batch.length;b++) {
+                var mesh = meshes ? meshes[b] : null;
+                if (mesh == null) {
+                    aborted.push(batch[b]);
+                } else {
+                    failed = failed || mesh instanceof Error;
+                    results[batch[b]] = mesh;
+                }
+            }
+            if (failed && aborted.length > 0) {
+                queue.push(aborted);
+            }
+            return failed ? batch.filter(function (index) {
+                return aborted.indexOf(index) === -1;
+            }) : batch;
+        }, function (err) {
+            for (var b=0;b<batch.length;b++) {
+                results[batch[b]] = err;
+            }
+            return batch;
+        }).then(function (done) {
+            if (onBatch && done.length > 0 && !cancel.isAborted(signal)) {
+                onBatch(done, done.map(function (index) {
+                    return results[index];
+                }));
+            }
+        }).then(runNext);
+    }
+
+    var workers = [];
+    var workerCount = Math.min(opts.concurrency, queue.length);
+    for (var w=0;w<workerCount;w++) {
+        workers.push(runNext());
+    }
+    return cancel.whenNotAborted(Promise.all(workers), signal).then(function () {
+        return results;
+    });
+}
+
+/**
+ * Fill in the batching options that were not specified with the defaults
+ * @param  {Object} options Batching limits, may be partial or null
+ * @return {Object}         Complete batching limits
+ */
+function _getOptions(options) {
+    var defaults = constants.TESSELLATION_BATCH_DEFAULTS;
+    var opts = options || {};
+    return {
+        maxBreps: Math.max(1, opts.maxBreps || defaults.MAX_BREPS),
+        maxBytes: opts.maxBytes || defaults.MAX_BYTES,
+        concurrency: Math.max(1, opts.concurrency || defaults.CONCURRENCY)
+    };
+}
+
+/**
+ * Group breps so that each group stays within the request limits.
+ * A brep that is larger than the payload limit on its own is sent by itself.
+ * @param  {Array.<Object>} breps   Flux JSON brep entities
+ * @param  {Number} maxBreps        Maximum number of breps per group
+ * @param  {Number} maxBytes        Maximum approximate size of the breps in a group
+ * @return {Array.<Array.<Number>>} Lists of brep indices
+ */
+function _splitBatches(breps, maxBreps, maxBytes) {
+    var batches = [];
+    var batch = [];
+    var batchBytes = 0;
+    for (var i=0;i<breps.length;i++) {
+        var bytes = JSON.stringify(breps[i] || null).length;
+        if (batch.length > 0 && (batch.length >= maxBreps || batchBytes + bytes > maxBytes)) {
+            batches.push(batch);
+            batch = [];
+            batchBytes = 0;
+        }
+        batch.push(i);
+        batchBytes += bytes;
+    }
+    if (batch.length > 0) {
+        batches.push(batch);
+    }
+    return batches;
+}
@@ -0,0 +1,80 @@
+/**
+ * Material that draws text from the signed distance field atlas of a font
+ */
+
+'use strict';
+
+import * as THREE from 'three';
+import { getFontAtlas } from './fontAtlas.js';
+
+var VERTEX_SHADER = [
+    'uniform float billboard;',
+    'varying vec2 vUv;',
+    'void main() {',
+    '    vUv = uv;',
+    '    if ( billboard > 0.5 ) {',
+    '        // Face the camera, keeping the position and scale of the object',
+    '        vec2 scale = vec2( length( modelMatrix[0].xyz ), length( modelMatrix[1].xyz ) );',
+    '        vec4 mvPosition = modelViewMatrix * vec4( 0.0, 0.0, 0.0, 1.0 );',
+    '        mvPosition.xy += position.xy * scale;',
+    '        gl_Position = projectionMatrix * mvPosition;',
+    '    } else {',
+    '        gl_Position = projectionMatrix * modelViewMatrix * vec4( position, 1.0 );',
+    '    }',
+    '}'
+].join('\n');
+
+var FRAGMENT_SHADER = [
+    'uniform sampler2D atlas;',
+    'uniform vec3 color;',
+    'uniform float opacity;',
+    'varying vec2 vUv;',
+    'void main() {',
+    '    float distance = texture2D( atlas, vUv ).r;',
+    '    // Blend across about a pixel for smooth edges at any size',
+    '    float width = max( fwidth( distance ) * 0.7, 0.001 );',
+    '    float alpha = smoothstep( 0.5 - width, 0.5 + width, distance ) * opacity;',
+    '    if ( alpha < 0.01 ) discard;',
+    '    gl_FragColor = vec4( color, alpha );',
+    '}'
+].join('\n');
+
+/**
+ * Create a material for text.
+ * All text materials share the texture of the font atlas. The color property is the
+ * color uniform, so it can be set like the color of other materials.
+ * @param {Object} [options] The color and whether the text faces the camera as billboard
+ */
+export default function TextMaterial ( options ) {
+    options = options || {};
+    THREE.ShaderMaterial.call( this, {
+        uniforms: {
+            atlas: {value: getFontAtlas().texture},
+            color: {value: new THREE.Color( options.color != null ? options.color : 'white' )},
+            opacity: {value: 1},
+            billboard: {value: options.billboard ? 1 : 0}
+        },
+        vertexShader: VERTEX_SHADER,
+        fragmentShader: FRAGMENT_SHADER,
+        transparent: true,
+        depthWrite: false,
+        side: THREE.DoubleSide
+    });
+    this.extensions.derivatives = true;
+    this.color = this.uniforms.color.value;
+}
+
+TextMaterial.prototype = Object.create( THREE.ShaderMaterial.prototype );
+TextMaterial.prototype.constructor = TextMaterial;
+
+/**
+ * Copy another text material, sharing its atlas instead of cloning the texture
+ * @param  {TextMaterial} source    The material to copy
+ * @return {TextMaterial}           This material
+ */
+TextMaterial.prototype.copy = function ( source ) {
+    THREE.ShaderMaterial.prototype.copy.call( this, source );
+    this.uniforms.atlas.value = source.uniforms.atlas.value;
+    this.color = this.uniforms.color.value;
+    return this;
+};
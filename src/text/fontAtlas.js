@@ -0,0 +1,344 @@
+/**
+ * Signed distance field atlas of the glyphs of the bundled font
+ */
+
+'use strict';
+
+import * as THREE from 'three';
+import * as constants from '../constants.js';
+import * as compatibility from '../compatibility.js';
+import font from './fonts/helvetiker_regular.typeface.json';
+
+// The atlas is made once and shared by all text
+var _atlas = null;
+
+/**
+ * Get the atlas of the bundled font, making it the first time.
+ *
+ * Each pixel of the texture has the distance to the outline of a glyph, where 0.5 is on
+ * the outline, values above are inside and values below are outside, up to
+ * TEXT_DEFAULTS.SPREAD pixels away. Drawing with a threshold of 0.5 keeps the edges
+ * sharp at any size.
+ *
+ * The glyphs map each character to its advance, and for characters that are drawn, its
+ * box in font units and texture coordinates. Font units are divided by the line height
+ * of the font, so a line of text is 1 unit tall. Characters that the font does not have
+ * are added by getGlyph.
+ *
+ * @return {Object} The texture, glyphs, and ascender and descender in font units
+ */
+export function getFontAtlas() {
+    if (!_atlas) {
+        _atlas = _createAtlas(font);
+    }
+    return _atlas;
+}
+
+/**
+ * Render the distance fields of the glyphs of a font into a texture
+ * @param  {Object} data    The font in typeface.js format
+ * @return {Object}         The atlas as described by getFontAtlas
+ */
+function _createAtlas(data) {
+    var options = constants.TEXT_DEFAULTS;
+    var lineHeight = data.ascender - data.descender;
+    var pixelsPerUnit = options.GLYPH_SIZE / lineHeight;
+    var cellHeight = options.GLYPH_SIZE + 2 * options.SPREAD;
+    var glyphs = {};
+    var cells = [];
+    var x = 0;
+    var y = 0;
+    var chars = Object.keys(data.glyphs);
+    for (var i=0;i<chars.length;i++) {
+        var glyph = data.glyphs[chars[i]];
+        var result = {advance: glyph.ha / lineHeight};
+        glyphs[chars[i]] = result;
+        var contours = _contours(glyph.o || '', options.CURVE_DIVISIONS);
+        if (contours.length === 0) continue;
+        var cellWidth = Math.ceil((glyph.x_max - glyph.x_min) * pixelsPerUnit) + 2 * options.SPREAD;
+        if (x + cellWidth > options.ATLAS_WIDTH) {
+            x = 0;
+            y += cellHeight;
+        }
+        var min = [glyph.x_min - options.SPREAD / pixelsPerUnit, data.descender - options.SPREAD / pixelsPerUnit];
+        result.box = [min[0] / lineHeight, min[1] / lineHeight,
+            (min[0] + cellWidth / pixelsPerUnit) / lineHeight, (min[1] + cellHeight / pixelsPerUnit) / lineHeight];
+        cells.push({glyph: result, contours: contours, x: x, y: y, width: cellWidth, min: min});
+        x += cellWidth;
+    }
+    var width = options.ATLAS_WIDTH;
+    // Leave room for glyphs that are added later
+    var height = THREE.Math.nextPowerOfTwo(y + cellHeight * (1 + options.ATLAS_SPARE_ROWS));
+    var pixels = new Uint8Array(width * height);
+    for (i=0;i<cells.length;i++) {
+        var cell = cells[i];
+        _renderCell(cell, pixels, width, cellHeight, pixelsPerUnit);
+        cell.glyph.uv = _cellUv(cell, width, height, cellHeight);
+    }
+    var texture = new THREE.DataTexture(pixels, width, height, THREE.LuminanceFormat);
+    texture.generateMipmaps = false;
+    texture.minFilter = THREE.LinearFilter;
+    texture.magFilter = THREE.LinearFilter;
+    texture.needsUpdate = true;
+    return {
+        texture: texture,
+        glyphs: glyphs,
+        ascender: data.ascender / lineHeight,
+        descender: data.descender / lineHeight,
+        // Where the next glyph goes and the scale of the font, for getGlyph
+        _layout: {x: x, y: y, cellHeight: cellHeight, pixelsPerUnit: pixelsPerUnit,
+            lineHeight: lineHeight, resolution: data.resolution}
+    };
+}
+
+/**
+ * Get the glyph of a character.
+ * Characters that the font does not have are drawn with a canvas and added to the atlas,
+ * when there is a document and the atlas has room. Otherwise, such as in headless
+ * conversion, they are drawn as a question mark.
+ * @param  {Object} atlas   The atlas from getFontAtlas (modified)
+ * @param  {String} char    The character
+ * @return {Object}         The glyph
+ */
+export function getGlyph(atlas, char) {
+    if (!atlas.glyphs[char]) {
+        var glyph = _drawGlyph(atlas, char);
+        if (!glyph) return atlas.glyphs['?'];
+        atlas.glyphs[char] = glyph;
+    }
+    return atlas.glyphs[char];
+}
+
+/**
+ * Draw a character with a canvas and add its distance field to the atlas
+ * @param  {Object} atlas   The atlas (modified)
+ * @param  {String} char    The character
+ * @return {Object}         The glyph, or null when it can not be drawn
+ */
+function _drawGlyph(atlas, char) {
+    var canvas = compatibility.createCanvas();
+    if (!canvas) return null;
+    var spread = constants.TEXT_DEFAULTS.SPREAD;
+    var layout = atlas._layout;
+    var context = canvas.getContext('2d');
+    // The size of a font is the height of its em square
+    var fontFace = (layout.pixelsPerUnit * layout.resolution) + 'px ' + constants.TEXT_DEFAULTS.FALLBACK_FONT;
+    context.font = fontFace;
+    var advance = context.measureText(char).width;
+    var cell = {
+        x: layout.x,
+        y: layout.y,
+        width: Math.ceil(advance) + 2 * spread
+    };
+    var image = atlas.texture.image;
+    if (cell.x + cell.width > image.width) {
+        cell.x = 0;
+        cell.y += layout.cellHeight;
+    }
+    if (cell.y + layout.cellHeight > image.height) return null;
+    canvas.width = cell.width;
+    canvas.height = layout.cellHeight;
+    // Resizing the canvas resets its state
+    context.font = fontFace;
+    context.textBaseline = 'alphabetic';
+    context.fillStyle = 'white';
+    context.fillText(char, spread, spread + atlas.ascender * layout.lineHeight * layout.pixelsPerUnit);
+    var alpha = context.getImageData(0, 0, cell.width, layout.cellHeight).data;
+    var glyph = {advance: advance / (layout.pixelsPerUnit * layout.lineHeight)};
+    if (!_renderMask(alpha, cell, image, layout.cellHeight)) return glyph;
+    var minX = -spread / layout.pixelsPerUnit / layout.lineHeight;
+    var minY = atlas.descender - spread / layout.pixelsPerUnit / layout.lineHeight;
+    glyph.box = [minX, minY, minX + cell.width / layout.pixelsPerUnit / layout.lineHeight,
+        minY + layout.cellHeight / layout.pixelsPerUnit / layout.lineHeight];
+    glyph.uv = _cellUv(cell, image.width, image.height, layout.cellHeight);
+    layout.x = cell.x + cell.width;
+    layout.y = cell.y;
+    atlas.texture.needsUpdate = true;
+    return glyph;
+}
+
+/**
+ * Write the distance field of a glyph drawn with a canvas into its cell of the atlas.
+ * The distance of each pixel is to the nearest pixel on the other side of the outline.
+ * @param  {Uint8ClampedArray} rgba The pixels of the canvas, top row first
+ * @param  {Object} cell            The position and width of the cell in pixels
+ * @param  {Object} image           The pixels and size of the atlas (modified)
+ * @param  {Number} cellHeight      The height of a cell in pixels
+ * @return {Boolean}                Whether the glyph has any pixels that are inside
+ */
+function _renderMask(rgba, cell, image, cellHeight) {
+    var spread = constants.TEXT_DEFAULTS.SPREAD;
+    var width = cell.width;
+    var inside = function (column, row) {
+        return rgba[(row * width + column) * 4 + 3] >= 128;
+    };
+    var any = false;
+    for (var row=0;row<cellHeight;row++) {
+        for (var column=0;column<width;column++) {
+            var isInside = inside(column, row);
+            any = any || isInside;
+            var best = spread;
+            for (var dy=-spread;dy<=spread;dy++) {
+                for (var dx=-spread;dx<=spread;dx++) {
+                    var c = column + dx;
+                    var r = row + dy;
+                    var other = c >= 0 && c < width && r >= 0 && r < cellHeight ? inside(c, r) : false;
+                    if (other !== isInside) {
+                        best = Math.min(best, Math.sqrt(dx * dx + dy * dy) - 0.5);
+                    }
+                }
+            }
+            var value = 0.5 + (isInside ? best : -best) / (2 * spread);
+            // Canvas rows go down and atlas rows go up
+            var atlasRow = cell.y + cellHeight - 1 - row;
+            image.data[atlasRow * image.width + cell.x + column] = Math.round(Math.max(0, Math.min(1, value)) * 255);
+        }
+    }
+    return any;
+}
+
+/**
+ * Get the texture coordinates of a cell of the atlas
+ * @param  {Object} cell            The position and width of the cell in pixels
+ * @param  {Number} width           The width of the atlas
+ * @param  {Number} height          The height of the atlas
+ * @param  {Number} cellHeight      The height of a cell in pixels
+ * @return {Array.<Number>}         The minimum and maximum u and v
+ */
+function _cellUv(cell, width, height, cellHeight) {
+    return [cell.x / width, cell.y / height, (cell.x + cell.width) / width, (cell.y + cellHeight) / height];
+}
+
+/**
+ * Write the distance field of a glyph into its cell of the atlas
+ * @param  {Object} cell            The glyph's contours, position in pixels and origin in
+ *                                  font units
+ * @param  {Uint8Array} pixels      The pixels of the atlas (modified)
+ * @param  {Number} width           The width of the atlas
+ * @param  {Number} cellHeight      The height of a cell in pixels
+ * @param  {Number} pixelsPerUnit   The scale from font units to pixels
+ */
+function _renderCell(cell, pixels, width, cellHeight, pixelsPerUnit) {
+    var spread = constants.TEXT_DEFAULTS.SPREAD;
+    for (var row=0;row<cellHeight;row++) {
+        var py = cell.min[1] + (row + 0.5) / pixelsPerUnit;
+        for (var column=0;column<cell.width;column++) {
+            var px = cell.min[0] + (column + 0.5) / pixelsPerUnit;
+            var distance = _distance(cell.contours, px, py) * pixelsPerUnit;
+            if (!_inside(cell.contours, px, py)) distance = -distance;
+            var value = 0.5 + distance / (2 * spread);
+            pixels[(cell.y + row) * width + cell.x + column] = Math.round(Math.max(0, Math.min(1, value)) * 255);
+        }
+    }
+}
+
+/**
+ * Convert a typeface.js glyph outline to closed polylines
+ * @param  {String} outline                 The outline commands
+ * @param  {Number} divisions               Segments per curve
+ * @return {Array.<Array.<Number>>}         The contours as lists of x and y
+ */
+function _contours(outline, divisions) {
+    var parts = outline.split(' ');
+    var contours = [];
+    var contour = null;
+    var i = 0;
+    while (i < parts.length) {
+        var action = parts[i++];
+        var x, y, k, t, s;
+        if (action === 'm') {
+            contour = [Number(parts[i++]), Number(parts[i++])];
+            contours.push(contour);
+        } else if (action === 'l') {
+            contour.push(Number(parts[i++]), Number(parts[i++]));
+        } else if (action === 'q') {
+            // The end point comes before the control point
+            x = Number(parts[i++]);
+            y = Number(parts[i++]);
+            var cx = Number(parts[i++]);
+            var cy = Number(parts[i++]);
+            var x0 = contour[contour.length - 2];
+            var y0 = contour[contour.length - 1];
+            for (k=1;k<=divisions;k++) {
+                t = k / divisions;
+                s = 1 - t;
+                contour.push(s * s * x0 + 2 * s * t * cx + t * t * x,
+                    s * s * y0 + 2 * s * t * cy + t * t * y);
+            }
+        } else if (action === 'b') {
+            x = Number(parts[i++]);
+            y = Number(parts[i++]);
+            var c1x = Number(parts[i++]);
+            var c1y = Number(parts[i++]);
+            var c2x = Number(parts[i++]);
+            var c2y = Number(parts[i++]);
+            var bx = contour[contour.length - 2];
+            var by = contour[contour.length - 1];
+            for (k=1;k<=divisions;k++) {
+                t = k / divisions;
+                s = 1 - t;
+                contour.push(s * s * s * bx + 3 * s * s * t * c1x + 3 * s * t * t * c2x + t * t * t * x,
+                    s * s * s * by + 3 * s * s * t * c1y + 3 * s * t * t * c2y + t * t * t * y);
+            }
+        }
+    }
+    return contours.filter(function (points) {
+        return points.length >= 6;
+    });
+}
+
+/**
+ * Get the distance from a point to the nearest edge of some contours
+ * @param  {Array.<Array.<Number>>} contours    The contours
+ * @param  {Number} px                          The x coordinate of the point
+ * @param  {Number} py                          The y coordinate of the point
+ * @return {Number}                             The distance
+ */
+function _distance(contours, px, py) {
+    var best = Infinity;
+    for (var c=0;c<contours.length;c++) {
+        var points = contours[c];
+        var n = points.length;
+        for (var i=0;i<n;i+=2) {
+            // Contours are closed, so the last point connects to the first
+            var ax = points[i];
+            var ay = points[i + 1];
+            var bx = points[(i + 2) % n];
+            var by = points[(i + 3) % n];
+            var dx = bx - ax;
+            var dy = by - ay;
+            var lengthSq = dx * dx + dy * dy;
+            var t = lengthSq > 0 ? ((px - ax) * dx + (py - ay) * dy) / lengthSq : 0;
+            t = Math.max(0, Math.min(1, t));
+            var ex = ax + t * dx - px;
+            var ey = ay + t * dy - py;
+            best = Math.min(best, ex * ex + ey * ey);
+        }
+    }
+    return Math.sqrt(best);
+}
+
+/**
+ * Determine whether a point is inside some contours by the even-odd rule
+ * @param  {Array.<Array.<Number>>} contours    The contours
+ * @param  {Number} px                          The x coordinate of the point
+ * @param  {Number} py                          The y coordinate of the point
+ * @return {Boolean}                            Whether it is inside
+ */
+function _inside(contours, px, py) {
+    var inside = false;
+    for (var c=0;c<contours.length;c++) {
+        var points = contours[c];
+        var n = points.length;
+        for (var i=0;i<n;i+=2) {
+            var ax = points[i];
+            var ay = points[i + 1];
+            var bx = points[(i + 2) % n];
+            var by = points[(i + 3) % n];
+            if ((ay > py) !== (by > py) && px < ax + (py - ay) * (bx - ax) / (by - ay)) {
+                inside = !inside;
+            }
+        }
+    }
+    return inside;
+}
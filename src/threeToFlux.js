@@ -0,0 +1,549 @@
+/**
+ * Convert three.js objects back into Flux JSON.
+ */
+'use strict';
+
+import * as THREE from 'three';
+import {scene} from 'flux-modelingjs';
+import * as constants from './constants.js';
+import { getPolylines } from './lines/wideLines.js';
+import { isLineMaterial } from './lines/lineMaterial.js';
+import { isInstancedMesh, getInstanceMeshes } from './instances/instancedMesh.js';
+
+var PRIMS = scene.SCENE_PRIMITIVES;
+
+/**
+ * Converter from three.js objects, such as those made by SceneBuilder, to Flux JSON.
+ *
+ * Objects that were created from Flux JSON keep that JSON in userData.data, and it is
+ * written out again as it was, so primitives like breps and spheres survive a round trip.
+ * Other renderable objects are written as mesh, polyline and point entities from their
+ * buffers. The transforms of renderable objects that have data are assumed to come from
+ * the data, so to move them, edit the transform of their parent instead.
+ * Copies drawn by instanced meshes are written as the instances they were made from.
+ *
+ * Options:
+ * bakeGeometry - When true, geometry is always written from the buffers, ignoring userData.
+ *
+ * @param {Object} options Optional settings
+ * @constructor
+ */
+export default function ThreeToFlux(options) {
+    var opts = options || {};
+    this._bakeGeometry = !!opts.bakeGeometry;
+}
+
+/**
+ * Convert an object to a Flux scene.
+ * Layers, groups and instances are recreated from the object hierarchy, and the
+ * materials of the renderable objects become material elements. Children of the
+ * root that are not layers are put in a new layer. Texture maps are not converted.
+ * @param  {THREE.Object3D} object  The root object, such as the object of a SceneResults
+ * @return {Array.<Object>}         Flux JSON scene elements
+ */
+ThreeToFlux.prototype.convert = function (object) {
+    object.updateMatrixWorld(true);
+    var writer = new FluxWriter(this._bakeGeometry, getInstanceMeshes(object));
+    var loose = [];
+    for (var i=0;i<object.children.length;i++) {
+        var child = object.children[i];
+        if (child.userData.primitive === PRIMS.layer) {
+            writer.addLayer(child, child.children);
+        } else {
+            loose.push(child);
+        }
+    }
+    if (loose.length > 0) {
+        writer.addLayer(null, loose);
+    }
+    return writer.elements;
+};
+
+/**
+ * Convert the renderable objects in an object to a flat list of Flux entities.
+ * Geometry written from buffers is placed relative to the given object.
+ * @param  {THREE.Object3D} object  The root object, such as the object of a GeometryResults
+ * @return {Array.<Object>}         Flux JSON entities
+ */
+ThreeToFlux.prototype.convertEntities = function (object) {
+    object.updateMatrixWorld(true);
+    var instanceMeshes = getInstanceMeshes(object);
+    var writer = new FluxWriter(this._bakeGeometry, instanceMeshes);
+    var inverse = new THREE.Matrix4().getInverse(object.matrixWorld);
+    var entities = [];
+    var addEntities = function (child, matrixWorld) {
+        var matrix = new THREE.Matrix4().multiplyMatrices(inverse, matrixWorld);
+        // The data only describes the object when its ancestors were not moved
+        var useData = writer.canUseData(child) && _matrixEquals(matrix, child.matrix);
+        entities.push.apply(entities, writer.getEntities(child, matrix, useData));
+    };
+    object.traverse(function (child) {
+        var copies = instanceMeshes[child.userData.id];
+        if (child.userData.primitive === PRIMS.instance && copies) {
+            for (var i=0;i<copies.length;i++) {
+                addEntities(copies[i], new THREE.Matrix4().multiplyMatrices(child.matrixWorld, copies[i].matrix));
+            }
+        }
+        if (!_isRenderable(child) || isInstancedMesh(child)) return;
+        addEntities(child, child.matrixWorld);
+    });
+    return entities;
+};
+
+/**
+ * State of a single conversion
+ * @param {Boolean} bakeGeometry Whether to ignore the data of renderable objects
+ * @param {Object} instanceMeshes Map from instance id to the meshes of the copies that
+ *                                instanced meshes draw, see getInstanceMeshes
+ * @constructor
+ */
+function FluxWriter(bakeGeometry, instanceMeshes) {
+    this.elements = [];
+    this._bakeGeometry = bakeGeometry;
+    this._instanceMeshes = instanceMeshes;
+
+    // Maps from entity id or content to the id of the element that was written
+    this._entityIds = {};
+    this._materialIds = {};
+}
+
+/**
+ * Whether the geometry of a renderable object can be written from its userData
+ * @param  {THREE.Object3D} object The renderable object
+ * @return {Boolean}               True when the object has data
+ */
+FluxWriter.prototype.canUseData = function (object) {
+    return !this._bakeGeometry && object.userData.data != null;
+};
+
+/**
+ * Add a layer element
+ * @param  {THREE.Object3D} object          The layer, or null to create a new one
+ * @param  {Array.<THREE.Object3D>} children The objects in the layer
+ * @return {String}                         The id of the layer
+ */
+FluxWriter.prototype.addLayer = function (object, children) {
+    var element = object ? _copyData(object, PRIMS.layer) : {};
+    element.id = element.id || THREE.Math.generateUUID();
+    element.primitive = PRIMS.layer;
+    element.elements = this._addChildren(children);
+    element.visible = object ? object.visible : true;
+    this.elements.push(element);
+    return element.id;
+};
+
+/**
+ * Add the elements for a list of objects
+ * @param  {Array.<THREE.Object3D>} children The objects
+ * @return {Array.<String>}                  The ids of the elements that were added
+ */
+FluxWriter.prototype._addChildren = function (children) {
+    var ids = [];
+    for (var i=0;i<children.length;i++) {
+        var id = this._addNode(children[i]);
+        if (id != null) {
+            ids.push(id);
+        }
+    }
+    return ids;
+};
+
+/**
+ * Add the element for an object inside a layer or group
+ * @param  {THREE.Object3D} object The object
+ * @return {String}                The id of the element, or null when there is nothing to write
+ */
+FluxWriter.prototype._addNode = function (object) {
+    var primitive = object.userData.primitive;
+    if (isInstancedMesh(object)) {
+        // The copies are written with their instances
+        return null;
+    }
+    if (_isRenderable(object) || _isCameraOrLight(object)) {
+        // Standalone objects need an instance to place them
+        return this._addInstance(object, [object], true);
+    }
+    if (primitive === PRIMS.instance) {
+        var children = object.children.concat(this._instanceMeshes[object.userData.id] || []);
+        return this._addInstance(object, children, false);
+    }
+    if (object.children.length === 0) {
+        return null;
+    }
+    if (primitive !== PRIMS.group && object.children.every(_isRenderable)) {
+        return this._addInstance(object, object.children, false);
+    }
+    return this._addGroup(object);
+};
+
+/**
+ * Add a group element and its children
+ * @param  {THREE.Object3D} object The group
+ * @return {String}                The id of the group
+ */
+FluxWriter.prototype._addGroup = function (object) {
+    var element = _copyData(object, PRIMS.group);
+    element.id = element.id || THREE.Math.generateUUID();
+    element.primitive = PRIMS.group;
+    element.matrix = _toFluxMatrix(object.matrix);
+    element.children = this._addChildren(object.children);
+    if (element.material != null) {
+        element.material = this._addMaterial(_findMaterial(object), element.material);
+    }
+    this.elements.push(element);
+    return element.id;
+};
+
+/**
+ * Add an instance element and the entity it references
+ * @param  {THREE.Object3D} object          The instance, or a standalone renderable object
+ * @param  {Array.<THREE.Object3D>} children The objects that make up the entity
+ * @param  {Boolean} standalone             Whether the object is its own entity
+ * @return {String}                         The id of the instance, or null when there is nothing to write
+ */
+FluxWriter.prototype._addInstance = function (object, children, standalone) {
+    var element = _copyData(object, PRIMS.instance);
+    var entity;
+    var matrix = object.matrix;
+    if (children.length > 0 && _isCameraOrLight(children[0])) {
+        entity = this._addDataEntity(children[0]);
+    } else {
+        var renderables = children.filter(_isRenderable);
+        var useData = renderables.length > 0 && renderables.every(this.canUseData, this);
+        if (standalone && useData) {
+            // The data of the object already includes its transform
+            matrix = new THREE.Matrix4();
+        }
+        entity = this._addGeometryEntity(renderables, standalone, useData, element.entity);
+        var material = _findMaterial(object);
+        if (material && (element.material != null || !useData)) {
+            element.material = this._addMaterial(material, element.material);
+        }
+    }
+    if (entity == null) {
+        return null;
+    }
+    element.id = element.id || THREE.Math.generateUUID();
+    element.primitive = PRIMS.instance;
+    element.entity = entity;
+    element.matrix = _toFluxMatrix(matrix);
+    this.elements.push(element);
+    return element.id;
+};
+
+/**
+ * Add a camera or light element from its data
+ * @param  {THREE.Object3D} object The camera or light
+ * @return {String}                The id of the element, or null when it has no data
+ */
+FluxWriter.prototype._addDataEntity = function (object) {
+    var data = object.userData.data;
+    if (data == null) {
+        return null;
+    }
+    if (!this._entityIds[data.id]) {
+        this._entityIds[data.id] = data.id;
+        this.elements.push(_copyData(object, data.primitive));
+    }
+    return data.id;
+};
+
+/**
+ * Add the entity for the renderable objects of an instance
+ * Instances that share geometry also share the entity.
+ * @param  {Array.<THREE.Object3D>} renderables The renderable objects
+ * @param  {Boolean} standalone                 Whether the objects have no parent instance
+ * @param  {Boolean} useData                    Whether to write the objects' data
+ * @param  {String} entityId                    The id of the original entity, if known
+ * @return {String}                             The id of the entity, or null when there is nothing to write
+ */
+FluxWriter.prototype._addGeometryEntity = function (renderables, standalone, useData, entityId) {
+    if (renderables.length === 0) {
+        return null;
+    }
+    var key = useData && entityId != null ? entityId : renderables.map(function (object) {
+        var matrix = standalone ? '' : object.matrix.elements.join(',');
+        return object.geometry.uuid + ':' + matrix;
+    }).join(';');
+    if (this._entityIds[key] != null) {
+        return this._entityIds[key];
+    }
+    var entities = [];
+    for (var i=0;i<renderables.length;i++) {
+        // The transforms of objects inside an instance are relative to it
+        var matrix = standalone ? new THREE.Matrix4() : renderables[i].matrix;
+        entities.push.apply(entities, this.getEntities(renderables[i], matrix, useData));
+    }
+    var id = useData && entityId != null ? entityId : THREE.Math.generateUUID();
+    var element;
+    if (entities.length === 1) {
+        element = entities[0];
+    } else {
+        element = {
+            primitive: PRIMS.geometry,
+            entities: entities
+        };
+    }
+    element.id = id;
+    this.elements.push(element);
+    this._entityIds[key] = id;
+    return id;
+};
+
+/**
+ * Get the Flux entities that a renderable object was made from
+ * @param  {THREE.Object3D} object The renderable object
+ * @param  {THREE.Matrix4} matrix  Transform to apply to geometry written from buffers
+ * @param  {Boolean} useData       Whether to write the object's data
+ * @return {Array.<Object>}        Flux JSON entities
+ */
+FluxWriter.prototype.getEntities = function (object, matrix, useData) {
+    if (useData) {
+        // Merged meshes keep the data of each of the meshes they were made from
+        var data = object.userData.mergedData || [object.userData.data];
+        return data.map(function (entity) {
+            return JSON.parse(JSON.stringify(entity));
+        });
+    }
+    var geometry = object.geometry;
+    if (geometry instanceof THREE.BufferGeometry) {
+        geometry = geometry.clone();
+    } else {
+        geometry = new THREE.BufferGeometry().setFromObject(object);
+    }
+    geometry.applyMatrix(matrix);
+    var entities;
+    if (object instanceof THREE.Points) {
+        entities = _getPoints(geometry);
+    } else if (object instanceof THREE.Line) {
+        entities = _getPolylines(geometry, object instanceof THREE.LineSegments);
+    } else if (object.material && isLineMaterial(object.material)) {
+        entities = _getWidePolylines(geometry);
+    } else {
+        entities = [_getMesh(geometry, object.material)];
+    }
+    geometry.dispose();
+    return entities;
+};
+
+/**
+ * Add a material element
+ * Materials with the same id, or the same properties when there is no id, are written once.
+ * @param  {THREE.Material} material The material
+ * @param  {String} id              The id of the original material element, if known
+ * @return {String}                 The id of the material element
+ */
+FluxWriter.prototype._addMaterial = function (material, id) {
+    if (id != null && this._materialIds[id] != null) {
+        return id;
+    }
+    var element = _getMaterial(material);
+    var key = id != null ? id : JSON.stringify(element);
+    if (this._materialIds[key] != null) {
+        return this._materialIds[key];
+    }
+    element.id = id != null ? id : THREE.Math.generateUUID();
+    this.elements.push(element);
+    this._materialIds[key] = element.id;
+    return element.id;
+};
+
+/**
+ * Convert a three.js material to a Flux material element
+ * @param  {THREE.Material} material The material
+ * @return {Object}                  Flux JSON material without an id
+ */
+function _getMaterial(material) {
+    var element = {
+        primitive: PRIMS.material
+    };
+    var props = constants.FLUX_MATERIAL_TO_THREE;
+    for (var p in props) {
+        var value = material[props[p]];
+        if (value == null) continue;
+        if (value instanceof THREE.Color) {
+            element[p] = value.toArray();
+        } else if (props[p] in constants.THREE_INVERSE_PROPERTIES) {
+            element[p] = 1 - value;
+        } else {
+            element[p] = value;
+        }
+    }
+    return element;
+}
+
+/**
+ * Write a mesh entity from buffers
+ * @param  {THREE.BufferGeometry} geometry The geometry
+ * @param  {THREE.Material} material      The material, which decides whether vertex colors are used
+ * @return {Object}                       Flux JSON mesh
+ */
+function _getMesh(geometry, material) {
+    var attributes = geometry.attributes;
+    var entity = {
+        primitive: 'mesh',
+        vertices: _getVectors(attributes.position),
+        faces: []
+    };
+    var count = geometry.index ? geometry.index.count : attributes.position.count;
+    for (var i=0;i+2<count;i+=3) {
+        entity.faces.push(geometry.index ?
+            [geometry.index.array[i], geometry.index.array[i+1], geometry.index.array[i+2]] :
+            [i, i+1, i+2]);
+    }
+    if (attributes.normal) {
+        entity.normal = _getVectors(attributes.normal);
+    }
+    if (attributes.uv && !_isZero(attributes.uv)) {
+        entity.uv = _getVectors(attributes.uv);
+    }
+    if (attributes.color && material && material.vertexColors !== THREE.NoColors) {
+        entity.color = _getVectors(attributes.color);
+    }
+    return entity;
+}
+
+/**
+ * Write polyline entities from buffers
+ * @param  {THREE.BufferGeometry} geometry The geometry
+ * @param  {Boolean} segments             Whether each pair of vertices is a separate line
+ * @return {Array.<Object>}               Flux JSON polylines
+ */
+function _getPolylines(geometry, segments) {
+    var points = _getVectors(geometry.attributes.position);
+    if (geometry.index) {
+        points = Array.prototype.map.call(geometry.index.array, function (index) {
+            return points[index];
+        });
+    }
+    if (!segments) {
+        return [{primitive: 'polyline', points: points}];
+    }
+    var polylines = [];
+    for (var i=0;i+1<points.length;i+=2) {
+        polylines.push({primitive: 'polyline', points: [points[i], points[i+1]]});
+    }
+    return polylines;
+}
+
+/**
+ * Write the polylines that wide lines were made from
+ * @param  {THREE.BufferGeometry} geometry The geometry of the wide lines
+ * @return {Array.<Object>}               Flux JSON polylines
+ */
+function _getWidePolylines(geometry) {
+    var points = _getVectors(geometry.attributes.position);
+    return getPolylines(geometry).map(function (line) {
+        return {primitive: 'polyline', points: line.map(function (index) {
+            return points[index];
+        })};
+    });
+}
+
+/**
+ * Write point entities from buffers
+ * @param  {THREE.BufferGeometry} geometry The geometry
+ * @return {Array.<Object>}               Flux JSON points, one per vertex
+ */
+function _getPoints(geometry) {
+    return _getVectors(geometry.attributes.position).map(function (point) {
+        return {primitive: 'point', point: point};
+    });
+}
+
+/**
+ * Read a buffer attribute as a list of vectors
+ * @param  {THREE.BufferAttribute} attribute The attribute
+ * @return {Array.<Array.<Number>>}          One array per item
+ */
+function _getVectors(attribute) {
+    var vectors = [];
+    for (var i=0;i<attribute.count;i++) {
+        var start = i * attribute.itemSize;
+        vectors.push(Array.prototype.slice.call(attribute.array, start, start + attribute.itemSize));
+    }
+    return vectors;
+}
+
+/**
+ * Whether all the values of an attribute are zero, as for meshes without texture coordinates
+ * @param  {THREE.BufferAttribute} attribute The attribute
+ * @return {Boolean}                         True when there are no values
+ */
+function _isZero(attribute) {
+    for (var i=0;i<attribute.array.length;i++) {
+        if (attribute.array[i] !== 0) return false;
+    }
+    return true;
+}
+
+/**
+ * Copy the data of an object if it was created from a scene element of the given type
+ * @param  {THREE.Object3D} object The object
+ * @param  {String} primitive      The expected scene primitive
+ * @return {Object}                Copy of the Flux JSON, or an empty object
+ */
+function _copyData(object, primitive) {
+    var data = object.userData.data;
+    if (data == null || object.userData.primitive !== primitive) {
+        return {};
+    }
+    return JSON.parse(JSON.stringify(data));
+}
+
+/**
+ * Find the material of the first renderable object in a hierarchy
+ * @param  {THREE.Object3D} object The root of the hierarchy
+ * @return {THREE.Material}        The material or null
+ */
+function _findMaterial(object) {
+    var material = null;
+    object.traverse(function (child) {
+        if (material == null && _isRenderable(child)) {
+            material = child.material;
+        }
+    });
+    return material;
+}
+
+/**
+ * Convert a three.js matrix to the row major array used by Flux
+ * @param  {THREE.Matrix4} matrix The matrix
+ * @return {Array.<Number>}       Array of 16 values
+ */
+function _toFluxMatrix(matrix) {
+    var transposed = matrix.clone().transpose();
+    return Array.prototype.slice.call(transposed.elements);
+}
+
+/**
+ * Whether two matrices are the same
+ * @param  {THREE.Matrix4} a The first matrix
+ * @param  {THREE.Matrix4} b The second matrix
+ * @return {Boolean}         True when all elements match within rounding
+ */
+function _matrixEquals(a, b) {
+    for (var i=0;i<16;i++) {
+        if (Math.abs(a.elements[i] - b.elements[i]) > constants.TOLERANCE) return false;
+    }
+    return true;
+}
+
+/**
+ * Whether an object draws geometry
+ * @param  {THREE.Object3D} object The object
+ * @return {Boolean}               True for meshes, lines and points
+ */
+function _isRenderable(object) {
+    return (object instanceof THREE.Mesh || object instanceof THREE.Line ||
+        object instanceof THREE.Points) && object.geometry != null;
+}
+
+/**
+ * Whether an object is a camera or light scene element
+ * @param  {THREE.Object3D} object The object
+ * @return {Boolean}               True for cameras and lights
+ */
+function _isCameraOrLight(object) {
+    return object instanceof THREE.Camera || object instanceof THREE.Light;
+}
@@ -8,6 +8,9 @@ import * as THREE from 'three';
 import FluxGeometryError from '../geometryError.js';
 import computeNormals from './normals.js';
 
+// Attributes of surfaces and wide lines that are kept when merging
+var MERGED_ATTRIBUTES = ['color', 'position', 'normal', 'uv', 'previous', 'next', 'side', 'lineDistance'];
+
 /**
  * Merge a list of buffer geometries into a new one.
  * The old two will be disposed, so they can be garbage collected.
@@ -27,7 +30,8 @@ export function mergeBufferGeom(meshes) {
             meshes[m].geometry = geom2.toNonIndexed();
         }
         geom2 = meshes[m].geometry;
-        if (!geom2.attributes.normal) {
+        // Only lit materials need normals
+        if (!geom2.attributes.normal && meshes[m].material.lights) {
             meshes[m].geometry = computeNormals(geom2);
         }
     }
@@ -35,7 +39,7 @@ export function mergeBufferGeom(meshes) {
     // for each attribute
     for ( var key in geom1.attributes ) {
         // Don't care about other stuff
-        if (key !== 'color' && key !== 'position' && key !== 'normal' && key !== 'uv') continue;
+        if (MERGED_ATTRIBUTES.indexOf(key) === -1) continue;
 
         var data = [];
         // for each geometry
@@ -0,0 +1,48 @@
+/**
+ * Helpers for cancelling asynchronous work with an AbortSignal.
+ * Any object with an aborted property and addEventListener / removeEventListener
+ * for the 'abort' event can be used as the signal.
+ */
+'use strict';
+
+import FluxCancelError from '../cancelError.js';
+
+/**
+ * Determine whether a signal was aborted
+ * @param  {AbortSignal} signal The signal or null
+ * @return {Boolean}            True when aborted
+ */
+export function isAborted(signal) {
+    return !!(signal && signal.aborted);
+}
+
+/**
+ * Wrap a promise so that it rejects with a FluxCancelError as soon as the signal aborts.
+ * The work behind the original promise is not stopped by this.
+ * @param  {Promise} promise    The work to wait for
+ * @param  {AbortSignal} signal The signal or null
+ * @return {Promise}            Promise for the same result
+ */
+export function whenNotAborted(promise, signal) {
+    if (!signal) {
+        return promise;
+    }
+    return new Promise(function (resolve, reject) {
+        var onAbort = function () {
+            reject(new FluxCancelError());
+        };
+        // Always handle the original promise, so its rejection is not reported as unhandled
+        promise.then(function (result) {
+            signal.removeEventListener('abort', onAbort);
+            resolve(result);
+        }, function (err) {
+            signal.removeEventListener('abort', onAbort);
+            reject(err);
+        });
+        if (signal.aborted) {
+            onAbort();
+        } else {
+            signal.addEventListener('abort', onAbort);
+        }
+    });
+}
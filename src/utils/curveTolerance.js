@@ -0,0 +1,230 @@
+/**
+ * Settings and helpers that decide how finely curves are tessellated.
+ *
+ * Curves are split into segments so that no segment deviates from the true curve by
+ * more than a chord deviation, and no segment turns by more than a maximum angle.
+ * The deviation can be absolute, in the units of the entities, or relative to the size
+ * of the whole model, so that small curves next to large ones are not refined needlessly.
+ *
+ * The settings are resolved for each conversion by resolveTolerance, and passed to the
+ * functions that count segments, so that builders and worker jobs do not share them.
+ */
+
+'use strict';
+
+import * as THREE from 'three';
+import * as NURBSUtils from '../nurbs/NURBSUtils.js';
+import * as constants from '../constants.js';
+
+// Default settings, which make a circle out of about as many segments as before
+var DEFAULT_TOLERANCE = {
+    // Maximum distance between a segment and the curve, or null to only use the relative value
+    chordDeviation: null,
+    // Maximum distance as a fraction of the size of the bounding box of the model
+    relativeChordDeviation: 0.0025,
+    // Maximum angle in radians between the tangents at the ends of a segment
+    maxAngle: Math.PI / 16,
+    // Limit on the number of segments for a whole curve
+    maxSegments: 2048
+};
+
+// Number of points sampled along each knot span of a NURBS curve to find its curvature
+var SPAN_SAMPLES = 4;
+
+/**
+ * Resolve the settings for tessellating the curves of some entities.
+ * Options can contain chordDeviation, relativeChordDeviation, maxAngle and maxSegments.
+ * When both deviations are set, the smaller one is used. Missing options use the defaults.
+ * @param  {Object} options     The settings, or null for the defaults
+ * @param  {Object} entities    Flux JSON entities, whose size the relative deviation applies to
+ * @return {Object}             Settings with an absolute chordDeviation, maxAngle and maxSegments
+ */
+export function resolveTolerance(options, entities) {
+    var settings = {};
+    for (var key in DEFAULT_TOLERANCE) {
+        settings[key] = options && options[key] !== undefined ? options[key] : DEFAULT_TOLERANCE[key];
+    }
+    var deviation = settings.chordDeviation > 0 ? settings.chordDeviation : Infinity;
+    if (settings.relativeChordDeviation > 0) {
+        var box = new THREE.Box3();
+        _addModelBounds(entities, box);
+        var size = box.isEmpty() ? 0 : box.getSize().length();
+        if (size > 0) {
+            deviation = Math.min(deviation, settings.relativeChordDeviation * size);
+        }
+    }
+    return {
+        chordDeviation: deviation,
+        maxAngle: settings.maxAngle,
+        maxSegments: settings.maxSegments
+    };
+}
+
+/**
+ * Get the maximum chord deviation of a segment
+ * @param  {Object} tolerance   Settings from resolveTolerance
+ * @return {Number}             The deviation, or Infinity when there is no limit
+ */
+export function getChordDeviation(tolerance) {
+    return tolerance.chordDeviation > 0 ? tolerance.chordDeviation : Infinity;
+}
+
+/**
+ * Get the number of segments for a circular arc
+ * @param  {Number} radius      The radius
+ * @param  {Number} angle       The angle spanned by the arc in radians
+ * @param  {Object} tolerance   Settings from resolveTolerance
+ * @return {Number}             The number of segments
+ */
+export function arcSegments(radius, angle, tolerance) {
+    return _turningSegments(radius, angle, tolerance);
+}
+
+/**
+ * Get the number of segments for a full ellipse whose points are spaced evenly in the
+ * direction of their normal, so that each segment turns by the same angle.
+ * @param  {Number} majorRadius The larger radius
+ * @param  {Number} minorRadius The smaller radius
+ * @param  {Object} tolerance   Settings from resolveTolerance
+ * @return {Number}             The number of segments
+ */
+export function ellipseSegments(majorRadius, minorRadius, tolerance) {
+    var a = Math.max(majorRadius, minorRadius);
+    var b = Math.min(majorRadius, minorRadius);
+    if (!(b > 0)) return 1;
+    // The flattest part of the ellipse has radius of curvature a^2/b and deviates the most
+    return _turningSegments(a * a / b, 2 * Math.PI, tolerance);
+}
+
+/**
+ * Get the number of segments to tessellate a NURBS curve evenly over its parameter.
+ * The step comes from the derivatives sampled along each knot span, so that the
+ * span with the most curvature stays within the tolerance.
+ * @param  {Number} degree                      The degree of the curve
+ * @param  {Array.<Number>} knots               The knot vector
+ * @param  {Array.<THREE.Vector4>} controlPoints Control points with weights
+ * @param  {Object} tolerance                   Settings from resolveTolerance
+ * @return {Number}                             The number of segments
+ */
+export function nurbsCurveSegments(degree, knots, controlPoints, tolerance) {
+    var deviation = getChordDeviation(tolerance);
+    var cross = new THREE.Vector3();
+    var step = Infinity;
+    for (var i=degree;i<knots.length-1-degree;i++) {
+        var start = knots[i];
+        var length = knots[i+1] - start;
+        if (length <= 0) continue;
+        for (var s=0;s<=SPAN_SAMPLES;s++) {
+            // Stay inside the span, where the derivatives are continuous
+            var u = start + length * Math.min(Math.max(s / SPAN_SAMPLES, 1e-6), 1 - 1e-6);
+            var ders = NURBSUtils.calcNURBSDerivatives(degree, knots, controlPoints, u, 2);
+            var speed = ders[1].length();
+            step = Math.min(step, _derivativeStep(deviation, ders[2].length()));
+            // Rate of turning of the tangent per unit of parameter is |C' x C''| / |C'|^2
+            var turning = cross.crossVectors(ders[1], ders[2]).length();
+            if (turning > 0) {
+                step = Math.min(step, _maxAngle(tolerance) * speed * speed / turning);
+            }
+        }
+    }
+    return _segmentCount(knots[knots.length-1-degree] - knots[degree], step, tolerance);
+}
+
+/**
+ * Get the number of segments for a curve split into equal turning angles
+ * @param  {Number} radius      The largest radius of curvature
+ * @param  {Number} angle       The total angle the tangent turns by in radians
+ * @param  {Object} tolerance   Settings from resolveTolerance
+ * @return {Number}             The number of segments
+ */
+function _turningSegments(radius, angle, tolerance) {
+    var deviation = getChordDeviation(tolerance);
+    // The chord of an arc of angle a deviates from it by r * (1 - cos(a/2))
+    var maxStep = deviation < radius ? 2 * Math.acos(1 - deviation / radius) : Math.PI;
+    return _segmentCount(angle, Math.min(maxStep, _maxAngle(tolerance)), tolerance);
+}
+
+/**
+ * Get the parameter step that keeps the chord deviation below a limit
+ * @param  {Number} deviation       The maximum deviation
+ * @param  {Number} acceleration    The magnitude of the second derivative
+ * @return {Number}                 The step, or Infinity when there is no limit
+ */
+function _derivativeStep(deviation, acceleration) {
+    // A chord of parameter length h deviates by about h^2 |C''| / 8
+    if (!(acceleration > 0) || !isFinite(deviation)) return Infinity;
+    return Math.sqrt(8 * deviation / acceleration);
+}
+
+/**
+ * Get the number of segments to cover a range with a maximum step
+ * @param  {Number} range       The length of the range
+ * @param  {Number} step        The maximum step
+ * @param  {Object} tolerance   Settings from resolveTolerance
+ * @return {Number}             The number of segments, from 1 to maxSegments
+ */
+function _segmentCount(range, step, tolerance) {
+    var count = isFinite(step) && step > 0 ? Math.ceil(range / step) : 1;
+    return Math.min(Math.max(count, 1), tolerance.maxSegments);
+}
+
+/**
+ * Get the maximum turning angle of a segment
+ * @param  {Object} tolerance   Settings from resolveTolerance
+ * @return {Number}             The angle in radians, or Infinity when there is no limit
+ */
+function _maxAngle(tolerance) {
+    return tolerance.maxAngle > 0 ? tolerance.maxAngle : Infinity;
+}
+
+/**
+ * Grow a bounding box to contain some entities. Each primitive is the box of its positions,
+ * grown by its largest length, such as a radius, so that curves around an origin are covered.
+ * @param  {Object} data        Flux JSON entities
+ * @param  {THREE.Box3} box     The bounds (modified)
+ */
+function _addModelBounds(data, box) {
+    if (data == null || typeof data !== 'object') return;
+    var i;
+    if (data.constructor === Array) {
+        for (i=0;i<data.length;i++) {
+            _addModelBounds(data[i], box);
+        }
+        return;
+    }
+    if (!data.primitive) return;
+    var primitiveBox = new THREE.Box3();
+    var positions = constants.POSITION_PROPERTIES[data.primitive] || [];
+    for (i=0;i<positions.length;i++) {
+        _addPositions(data[positions[i]], primitiveBox);
+    }
+    var lengths = constants.LENGTH_PROPERTIES[data.primitive] || [];
+    var extent = 0;
+    for (i=0;i<lengths.length;i++) {
+        if (typeof data[lengths[i]] === 'number') {
+            extent = Math.max(extent, Math.abs(data[lengths[i]]));
+        }
+    }
+    if (!primitiveBox.isEmpty()) {
+        box.union(primitiveBox.expandByScalar(extent));
+    }
+    for (i=0;i<constants.CHILD_ENTITY_PROPERTIES.length;i++) {
+        _addModelBounds(data[constants.CHILD_ENTITY_PROPERTIES[i]], box);
+    }
+}
+
+/**
+ * Grow a bounding box to contain a position or nested lists of positions
+ * @param  {Array} value        The position, where a missing z is 0
+ * @param  {THREE.Box3} box     The bounds (modified)
+ */
+function _addPositions(value, box) {
+    if (value == null || value.constructor !== Array) return;
+    if (typeof value[0] === 'number') {
+        box.expandByPoint(new THREE.Vector3(value[0], value[1] || 0, value[2] || 0));
+        return;
+    }
+    for (var i=0;i<value.length;i++) {
+        _addPositions(value[i], box);
+    }
+}
@@ -0,0 +1,364 @@
+/**
+ * Helpers to store geometry relative to a center, so that models far from the origin
+ * keep their precision in 32 bit vertex buffers.
+ *
+ * Centers are found and subtracted in the double precision Flux JSON, before any
+ * geometry is built. Positions are the values listed in POSITION_PROPERTIES. Breps and
+ * embedded files are moved by the offset of their vertex transform, and files are located
+ * by their first vertex. Breps have no vertices until they are tessellated, so they use
+ * the center of the geometry around them.
+ */
+
+'use strict';
+
+import * as THREE from 'three';
+import * as constants from '../constants.js';
+import {scene} from 'flux-modelingjs';
+import { shiftVertices } from './vertexTransform.js';
+import { findFileVertex } from '../primitives/solidPrimitives.js';
+
+/**
+ * Find the center of the positions in some Flux JSON.
+ * Data that contains primitives whose positions can not be moved has no center, so it is
+ * built where it is, and so is data that only has breps.
+ * @param  {Object} data    Flux JSON entities
+ * @return {Array.<Number>} The center of the bounding box of the positions, or null
+ */
+export function findCenter(data) {
+    var bounds = _emptyBounds();
+    if (!_addBounds(data, bounds)) return null;
+    return _boundsCenter(bounds);
+}
+
+/**
+ * Move the positions in some Flux JSON so they are relative to a center
+ * @param  {Object} data            Flux JSON entities, which are not modified
+ * @param  {Array.<Number>} center  The center
+ * @return {Object}                 The moved copy of the entities
+ */
+export function shiftData(data, center) {
+    if (data == null || typeof data !== 'object') return data;
+    if (data.constructor === Array) {
+        return data.map(function (item) {
+            return shiftData(item, center);
+        });
+    }
+    if (!data.primitive) return data;
+    var result = {};
+    for (var key in data) {
+        result[key] = data[key];
+    }
+    if (_isEmbedded(data)) {
+        shiftVertices(result, center);
+    }
+    _forEachProperty(data, constants.POSITION_PROPERTIES[data.primitive] || [], function (name) {
+        result[name] = _shift(data[name], center);
+    });
+    _forEachProperty(data, constants.CHILD_ENTITY_PROPERTIES, function (name) {
+        result[name] = shiftData(data[name], center);
+    });
+    return result;
+}
+
+/**
+ * Find the centers of the geometry elements of a scene and move them relative to their
+ * own centers, and find the center of the whole scene from where its instances place them.
+ * Elements that only have breps are moved to where their first instance puts the center
+ * of the scene.
+ * @param  {Array} entities The scene elements (modified, moved elements are replaced by copies)
+ * @return {Object}         The center of the scene and a map from element id to its center
+ */
+export function centerScene(entities) {
+    var prims = scene.SCENE_PRIMITIVES;
+    var centers = {};
+    var parents = {};
+    // Index of each element that can be moved but has no positions
+    var unplaced = {};
+    var i, element;
+    for (i=0;i<entities.length;i++) {
+        element = entities[i];
+        if (element == null || element.id == null) continue;
+        if (element.primitive === prims.group || element.primitive === prims.layer) {
+            var children = element.children || element.elements || [];
+            for (var c=0;c<children.length;c++) {
+                parents[children[c]] = element;
+            }
+        }
+        if (element.primitive in prims && element.primitive !== prims.geometry) continue;
+        var elementBounds = _emptyBounds();
+        if (!_addBounds(element, elementBounds)) continue;
+        var center = _boundsCenter(elementBounds);
+        if (center) {
+            centers[element.id] = center;
+            entities[i] = shiftData(element, center);
+        } else if (_hasEmbedded(element)) {
+            unplaced[element.id] = i;
+        }
+    }
+    var bounds = _emptyBounds();
+    for (i=0;i<entities.length;i++) {
+        element = entities[i];
+        if (element == null || element.primitive !== prims.instance || !centers[element.entity]) continue;
+        _addPoint(_placePoint(centers[element.entity], element, parents), bounds);
+    }
+    var sceneCenter = _boundsCenter(bounds) || [0, 0, 0];
+    for (i=0;i<entities.length;i++) {
+        element = entities[i];
+        if (element == null || element.primitive !== prims.instance ||
+            !unplaced.hasOwnProperty(element.entity)) continue;
+        var index = unplaced[element.entity];
+        delete unplaced[element.entity];
+        var local = _unplacePoint(sceneCenter, element, parents);
+        if (local) {
+            centers[element.entity] = local;
+            entities[index] = shiftData(entities[index], local);
+        }
+    }
+    return {
+        center: sceneCenter,
+        centers: centers
+    };
+}
+
+/**
+ * Get the transform of a scene element relative to the center of the scene.
+ * The transform places geometry that is relative to its own center, so that
+ * T(-sceneCenter) * matrix * T(entityCenter) is computed in double precision.
+ * @param  {Array.<Number>} matrix          Row major matrix of 16 values, or null for identity
+ * @param  {Array.<Number>} entityCenter    The center of the transformed geometry, or null
+ * @param  {Array.<Number>} sceneCenter     The center of the scene, or null when it is not used
+ * @return {Array.<Number>}                 The relative matrix, or the matrix when there is no scene center
+ */
+export function relativeMatrix(matrix, entityCenter, sceneCenter) {
+    if (sceneCenter == null) return matrix;
+    var result = matrix && matrix.length === 16 ? matrix.slice() : [1,0,0,0, 0,1,0,0, 0,0,1,0, 0,0,0,1];
+    var a = entityCenter || [0, 0, 0];
+    var row, k;
+    // Right multiply by the translation to the entity center
+    for (row=0;row<4;row++) {
+        for (k=0;k<3;k++) {
+            result[row * 4 + 3] += result[row * 4 + k] * a[k];
+        }
+    }
+    // Left multiply by the translation from the scene center
+    for (row=0;row<3;row++) {
+        for (k=0;k<4;k++) {
+            result[row * 4 + k] -= sceneCenter[row] * result[12 + k];
+        }
+    }
+    return result;
+}
+
+/**
+ * Get where an instance places a point in the scene
+ * @param  {Array.<Number>} point   The point in the coordinates of the instanced entity
+ * @param  {Object} instance        Flux JSON instance element
+ * @param  {Object} parents         Map from element id to the group or layer containing it
+ * @return {Array.<Number>}         The point in the scene
+ */
+function _placePoint(point, instance, parents) {
+    var visited = [];
+    var element = instance;
+    while (element != null && visited.indexOf(element) === -1) {
+        visited.push(element);
+        point = _transformPoint(element.matrix, point);
+        element = parents[element.id];
+    }
+    return point;
+}
+
+/**
+ * Get the point that an instance places at a point in the scene
+ * @param  {Array.<Number>} point   The point in the scene
+ * @param  {Object} instance        Flux JSON instance element
+ * @param  {Object} parents         Map from element id to the group or layer containing it
+ * @return {Array.<Number>}         The point in the coordinates of the instanced entity,
+ *                                  or null when the placement can not be inverted
+ */
+function _unplacePoint(point, instance, parents) {
+    var placement = new THREE.Matrix4();
+    var matrix = new THREE.Matrix4();
+    var visited = [];
+    var element = instance;
+    while (element != null && visited.indexOf(element) === -1) {
+        visited.push(element);
+        if (element.matrix && element.matrix.length === 16) {
+            matrix.set.apply(matrix, element.matrix);
+            placement.premultiply(matrix);
+        }
+        element = parents[element.id];
+    }
+    if (placement.determinant() === 0) return null;
+    // The result is only where the vertices are moved to, so it does not need to be exact
+    var local = new THREE.Vector3().fromArray(point).applyMatrix4(matrix.getInverse(placement));
+    return local.toArray();
+}
+
+/**
+ * Transform a point by a row major matrix
+ * @param  {Array.<Number>} matrix  Matrix of 16 values, or null for identity
+ * @param  {Array.<Number>} point   The point
+ * @return {Array.<Number>}         The transformed point
+ */
+function _transformPoint(matrix, point) {
+    if (!matrix || matrix.length !== 16) return point;
+    var w = matrix[12] * point[0] + matrix[13] * point[1] + matrix[14] * point[2] + matrix[15];
+    return [0, 1, 2].map(function (row) {
+        var value = matrix[row * 4 + 3];
+        for (var k=0;k<3;k++) {
+            value += matrix[row * 4 + k] * point[k];
+        }
+        return w ? value / w : value;
+    });
+}
+
+/**
+ * Grow a bounding box to contain the positions in some Flux JSON
+ * @param  {Object} data    Flux JSON entities
+ * @param  {Object} bounds  The min and max corners (modified)
+ * @return {Boolean}        False when some positions can not be moved
+ */
+function _addBounds(data, bounds) {
+    if (data == null || typeof data !== 'object') return true;
+    var i;
+    if (data.constructor === Array) {
+        for (i=0;i<data.length;i++) {
+            if (!_addBounds(data[i], bounds)) return false;
+        }
+        return true;
+    }
+    if (!data.primitive) return true;
+    if (_isEmbedded(data)) {
+        var vertex = findFileVertex(data);
+        if (vertex) {
+            _addPoint(vertex, bounds);
+        }
+        return true;
+    }
+    var names = constants.POSITION_PROPERTIES[data.primitive];
+    if (names == null) {
+        // Scene elements other than geometry lists have no positions of their own
+        return data.primitive in scene.SCENE_PRIMITIVES;
+    }
+    _forEachProperty(data, names, function (name) {
+        _addPositions(data[name], bounds);
+    });
+    var movable = true;
+    _forEachProperty(data, constants.CHILD_ENTITY_PROPERTIES, function (name) {
+        movable = movable && _addBounds(data[name], bounds);
+    });
+    return movable;
+}
+
+/**
+ * Determine whether some Flux JSON contains breps or embedded files
+ * @param  {Object} data    Flux JSON entities
+ * @return {Boolean}        Whether it does
+ */
+function _hasEmbedded(data) {
+    if (data == null || typeof data !== 'object') return false;
+    if (data.constructor === Array) {
+        return data.some(_hasEmbedded);
+    }
+    if (_isEmbedded(data)) return true;
+    var found = false;
+    _forEachProperty(data, constants.CHILD_ENTITY_PROPERTIES, function (name) {
+        found = found || _hasEmbedded(data[name]);
+    });
+    return found;
+}
+
+/**
+ * Determine whether an entity is a brep or an embedded file, whose vertices are in its data
+ * @param  {Object} entity  Flux JSON entity
+ * @return {Boolean}        Whether it is
+ */
+function _isEmbedded(entity) {
+    return constants.EMBEDDED_GEOMETRY_PRIMITIVES.indexOf(entity.primitive) !== -1;
+}
+
+/**
+ * Call a function for each of some properties that an entity has
+ * @param  {Object} entity              Flux JSON entity
+ * @param  {Array.<String>} names       The properties
+ * @param  {Function} callback          Called with the name of each property that is set
+ */
+function _forEachProperty(entity, names, callback) {
+    for (var i=0;i<names.length;i++) {
+        if (entity[names[i]] != null && typeof entity[names[i]] === 'object') {
+            callback(names[i]);
+        }
+    }
+}
+
+/**
+ * Grow a bounding box to contain a position or a list of positions
+ * @param  {Array} value    The position, or nested lists of positions
+ * @param  {Object} bounds  The min and max corners (modified)
+ */
+function _addPositions(value, bounds) {
+    if (value == null || value.constructor !== Array) return;
+    if (typeof value[0] === 'number') {
+        _addPoint(value, bounds);
+        return;
+    }
+    for (var i=0;i<value.length;i++) {
+        _addPositions(value[i], bounds);
+    }
+}
+
+/**
+ * Create a bounding box that contains nothing
+ * @return {Object}     The min and max corners
+ */
+function _emptyBounds() {
+    return {
+        min: [Infinity, Infinity, Infinity],
+        max: [-Infinity, -Infinity, -Infinity]
+    };
+}
+
+/**
+ * Get the center of a bounding box
+ * @param  {Object} bounds  The min and max corners
+ * @return {Array.<Number>} The center, or null when the box is empty
+ */
+function _boundsCenter(bounds) {
+    if (bounds.min[0] > bounds.max[0]) return null;
+    return [0, 1, 2].map(function (i) {
+        return (bounds.min[i] + bounds.max[i]) * 0.5;
+    });
+}
+
+/**
+ * Grow a bounding box to contain a point
+ * @param  {Array.<Number>} point   The point, where a missing z is 0
+ * @param  {Object} bounds          The min and max corners (modified)
+ */
+function _addPoint(point, bounds) {
+    for (var i=0;i<3;i++) {
+        var value = point[i] || 0;
+        bounds.min[i] = Math.min(bounds.min[i], value);
+        bounds.max[i] = Math.max(bounds.max[i], value);
+    }
+}
+
+/**
+ * Subtract a center from a position or a list of positions
+ * @param  {Array} value            The position, or nested lists of positions
+ * @param  {Array.<Number>} center  The center
+ * @return {Array}                  The moved copy of the positions
+ */
+function _shift(value, center) {
+    if (value == null || value.constructor !== Array) return value;
+    if (typeof value[0] !== 'number') {
+        return value.map(function (item) {
+            return _shift(item, center);
+        });
+    }
+    var result = value.slice();
+    for (var i=0;i<3;i++) {
+        result[i] = (value[i] || 0) - center[i];
+    }
+    return result;
+}
@@ -57,6 +57,17 @@ export function prepIBL(entities) {
     return imagesLoadingPromise || Promise.resolve();
 }
 
+/**
+ * Give a surface material the environment map, as create does once it has loaded.
+ * Used for materials that were created without it, such as in a worker.
+ * @param  {THREE.Material} material The material
+ */
+export function applyIBL(material) {
+    if (iblCube != null && material instanceof THREE.MeshPhysicalMaterial) {
+        material.envMap = iblCube;
+    }
+}
+
 
 /**
  * Helper function to run a callback on each entity in scene for finding attributes
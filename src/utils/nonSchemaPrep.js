@@ -0,0 +1,285 @@
+/**
+ * Clean up the entities of primitives that are created here but are not in the Flux entity
+ * schema, which scene.prep would remove as unknown.
+ *
+ * They are taken out of the data before prep runs, and cleaned up here in the same steps:
+ * nulls are removed, colors become arrays, materials are checked, properties are checked
+ * and the lengths with units of their own are converted to meters. Entities that fail the
+ * checks are removed and reported like those that fail the schema.
+ */
+
+'use strict';
+
+import Ajv from 'ajv/dist/ajv.min.js';
+import {scene, schema} from 'flux-modelingjs';
+import * as constants from '../constants.js';
+import * as units from './units.js';
+
+// Validator of material properties, compiled when first needed
+var materialValidator = null;
+
+/**
+ * Take the entities that are not in the schema out of some data.
+ * They are taken from the data and from the geometry lists in it. The data is not modified,
+ * the lists that had such entities are copies.
+ * @param  {Object} data    Flux JSON
+ * @return {Object}         The data without those entities as data, the entities outside
+ *                          geometry lists as entities, and the others by list id as lists
+ */
+export function takeEntities(data) {
+    var taken = {data: null, entities: [], lists: {}};
+    taken.data = _take(data, taken.entities, taken);
+    return taken;
+}
+
+/**
+ * Clean up the entities that were taken out of some data, and add them to the prepped data.
+ * Entities outside geometry lists are added to the end of the data, and the others to the
+ * end of the lists with the same id.
+ * @param  {Array} prepped          The data after prep (modified)
+ * @param  {Object} taken           The result of takeEntities
+ * @param  {StatusMap} primStatus   Container for errors
+ * @return {Array}                  The data with the cleaned entities
+ */
+export function addEntities(prepped, taken, primStatus) {
+    var i;
+    for (i=0;i<prepped.length;i++) {
+        _addToList(prepped[i], taken, primStatus);
+    }
+    var entities = prepEntities(taken.entities, primStatus);
+    for (i=0;i<entities.length;i++) {
+        prepped.push(entities[i]);
+    }
+    return prepped;
+}
+
+/**
+ * Clean up entities of primitives that are not in the schema.
+ * @param  {Array} entities         Flux JSON entities, which are not modified
+ * @param  {StatusMap} primStatus   Container for errors
+ * @return {Array}                  Cleaned copies of the valid entities
+ */
+export function prepEntities(entities, primStatus) {
+    var result = [];
+    for (var i=0;i<entities.length;i++) {
+        var entity = _removeNulls(entities[i]);
+        _convertColors(entity);
+        _checkMaterials(entity, primStatus);
+        var error = _checkProperties(entity);
+        if (error) {
+            primStatus.appendError(_getDescriptor(entity), error);
+            continue;
+        }
+        units.convertOwnUnits(entity, primStatus);
+        result.push(entity);
+    }
+    return result;
+}
+
+/**
+ * Determine whether an entity is of a primitive that is not in the schema
+ * @param  {Object} entity  Flux JSON
+ * @return {Boolean}        True for entities not in the schema
+ */
+export function isNonSchemaEntity(entity) {
+    return entity != null && constants.NON_SCHEMA_PRIMITIVES.indexOf(entity.primitive) !== -1;
+}
+
+/**
+ * Take the entities that are not in the schema out of some data
+ * @param  {Object} data            Flux JSON
+ * @param  {Array} entities         The taken entities (modified)
+ * @param  {Object} taken           The taken entities of geometry lists (modified)
+ * @return {Object}                 The data without them
+ */
+function _take(data, entities, taken) {
+    if (data == null || typeof data !== 'object') return data;
+    if (data.constructor === Array) {
+        var result = [];
+        for (var i=0;i<data.length;i++) {
+            if (isNonSchemaEntity(data[i])) {
+                entities.push(data[i]);
+            } else {
+                result.push(_take(data[i], entities, taken));
+            }
+        }
+        return result;
+    }
+    if (isNonSchemaEntity(data)) {
+        entities.push(data);
+        return [];
+    }
+    if (data.primitive !== scene.SCENE_PRIMITIVES.geometry || !data.entities) return data;
+    var listEntities = [];
+    var listData = _take(data.entities, listEntities, taken);
+    if (listEntities.length === 0) return data;
+    var list = {};
+    for (var key in data) {
+        list[key] = data[key];
+    }
+    list.entities = listData;
+    // Lists always have ids, and a repeated id keeps its lists in order
+    if (!taken.lists[data.id]) {
+        taken.lists[data.id] = [];
+    }
+    taken.lists[data.id].push(listEntities);
+    return list;
+}
+
+/**
+ * Add the cleaned entities that were taken from a geometry list back to it
+ * @param  {Object} list            Flux JSON, which is modified if it is a list
+ * @param  {Object} taken           The result of takeEntities
+ * @param  {StatusMap} primStatus   Container for errors
+ */
+function _addToList(list, taken, primStatus) {
+    if (list == null || list.primitive !== scene.SCENE_PRIMITIVES.geometry || !list.entities) return;
+    for (var i=0;i<list.entities.length;i++) {
+        _addToList(list.entities[i], taken, primStatus);
+    }
+    var lists = taken.lists[list.id];
+    if (!lists || lists.length === 0) return;
+    var entities = prepEntities(lists.shift(), primStatus);
+    for (i=0;i<entities.length;i++) {
+        // Entities in lists can not be part of the scene, as in prep
+        delete entities[i].id;
+        list.entities.push(entities[i]);
+    }
+}
+
+/**
+ * Copy JSON without its null values.
+ * Binary data such as the contents of files is shared.
+ * @param  {Object} value   The JSON
+ * @return {Object}         The copy
+ */
+function _removeNulls(value) {
+    if (value == null || typeof value !== 'object') return value;
+    if (ArrayBuffer.isView(value) || value instanceof ArrayBuffer) return value;
+    var i;
+    if (value.constructor === Array) {
+        var list = [];
+        for (i=0;i<value.length;i++) {
+            if (value[i] != null) list.push(_removeNulls(value[i]));
+        }
+        return list;
+    }
+    var result = {};
+    for (var key in value) {
+        if (value[key] != null) result[key] = _removeNulls(value[key]);
+    }
+    return result;
+}
+
+/**
+ * Convert color strings to arrays
+ * @param  {Object} obj Flux JSON data to be modified
+ */
+function _convertColors(obj) {
+    if (obj == null || typeof obj !== 'object' || ArrayBuffer.isView(obj)) return;
+    for (var key in obj) {
+        if (key === 'color' && typeof obj[key] === 'string') {
+            obj[key] = scene.colorToArray(obj[key]);
+        } else {
+            _convertColors(obj[key]);
+        }
+    }
+}
+
+/**
+ * Check the material properties of an entity and its attributes.
+ * The legacy properties that are the complement of Flux properties are converted, and
+ * material properties that are not valid are replaced with empty ones.
+ * @param  {Object} entity          Flux JSON entity to modify
+ * @param  {StatusMap} primStatus   Container for errors
+ */
+function _checkMaterials(entity, primStatus) {
+    var containers = [entity, entity.attributes];
+    for (var i=0;i<containers.length;i++) {
+        var container = containers[i];
+        if (!container || !container.materialProperties) continue;
+        var props = container.materialProperties;
+        for (var name in constants.THREE_INVERSE_PROPERTIES) {
+            if (name in props) {
+                props[constants.THREE_INVERSE_PROPERTIES[name]] = 1.0 - props[name];
+                delete props[name];
+            }
+        }
+        var validate = _materialValidator();
+        if (!validate(props)) {
+            primStatus.appendError('materialProperties', validate.errors.map(function (error) {
+                return error.dataPath + ' ' + error.message;
+            }).join(', '));
+            container.materialProperties = {};
+        }
+    }
+}
+
+/**
+ * Get the validator of material properties
+ * @return {Function}   The validator
+ */
+function _materialValidator() {
+    if (!materialValidator) {
+        var ajv = Ajv({allErrors: true});
+        // Materials refer to the types of entities, such as colors
+        ajv.addSchema(schema.entity, 'fluxEntity');
+        ajv.addSchema(schema.material, 'fluxMaterial');
+        materialValidator = ajv.compile({$ref: 'fluxMaterial#/materialProperties'});
+    }
+    return materialValidator;
+}
+
+/**
+ * Check the types of the properties of an entity.
+ * Missing properties are reported when the entity is created.
+ * @param  {Object} entity  Flux JSON entity
+ * @return {String}         Description of the first invalid property, or null
+ */
+function _checkProperties(entity) {
+    var positions = constants.POSITION_PROPERTIES[entity.primitive] || [];
+    var lengths = constants.LENGTH_PROPERTIES[entity.primitive] || [];
+    for (var i=0;i<lengths.length;i++) {
+        var name = lengths[i];
+        if (entity[name] == null) continue;
+        if (positions.indexOf(name) === -1 && typeof entity[name] !== 'number') {
+            return 'Property ' + name + ' should be a number.';
+        }
+        if (positions.indexOf(name) !== -1 && !_isPositions(entity[name])) {
+            return 'Property ' + name + ' should be a position or a list of positions.';
+        }
+    }
+    var data = entity.data;
+    if (constants.EMBEDDED_GEOMETRY_PRIMITIVES.indexOf(entity.primitive) !== -1 && data != null &&
+            typeof data !== 'string' && !ArrayBuffer.isView(data) && !(data instanceof ArrayBuffer)) {
+        return 'Property data should be text or binary.';
+    }
+    return null;
+}
+
+/**
+ * Determine whether a value is a position or a list of positions
+ * @param  {Object} value   The value
+ * @return {Boolean}        True for a list of numbers or of lists of numbers
+ */
+function _isPositions(value) {
+    if (!value || value.constructor !== Array || value.length === 0) return false;
+    var items = typeof value[0] === 'number' ? [value] : value;
+    for (var i=0;i<items.length;i++) {
+        var item = items[i];
+        if (!item || item.constructor !== Array) return false;
+        for (var j=0;j<item.length;j++) {
+            if (typeof item[j] !== 'number') return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * Descriptive label for primitive when reporting name in errors
+ * @param  {Object} entity Flux JSON object
+ * @return {String}        Description (primitive:id)
+ */
+function _getDescriptor(entity) {
+    return entity.id ? entity.primitive + ':' + entity.id : entity.primitive;
+}
@@ -0,0 +1,197 @@
+/**
+ * Helpers to split mesh faces into triangles
+ */
+
+'use strict';
+
+import * as THREE from 'three';
+
+// Faces with less area than this fraction of their squared size are degenerate
+var AREA_TOLERANCE = 1e-10;
+
+/**
+ * Triangulate a mesh face with any number of vertices.
+ *
+ * A face is a list of vertex indices, or a list of loops of vertex indices where the
+ * first loop is the outline and the rest are holes. The face can be concave and does
+ * not need to be exactly planar, since it is triangulated by ear clipping after being
+ * projected onto its best fit plane. The triangles are wound the same way as the outline.
+ *
+ * @param  {Array.<Array.<Number>>} vertices    The positions of the mesh vertices
+ * @param  {Array} face                         The vertex indices or loops of the face
+ * @return {Array.<Array.<Number>>}             Triangles as vertex indices, or null when the face is degenerate
+ */
+export function triangulateFace(vertices, face) {
+    if (!face || face.length === 0) return null;
+    var loops = face[0] != null && face[0].constructor === Array ? face : [face];
+    var outline = _cleanLoop(vertices, loops[0]);
+    if (outline == null || outline.length < 3) return null;
+    var normal = _newellNormal(vertices, outline);
+    var size = _loopSize(vertices, outline);
+    if (normal.length() <= AREA_TOLERANCE * size * size) return null;
+    if (outline.length === 3 && loops.length === 1) {
+        return [outline];
+    }
+
+    // Project onto the plane, where the outline is counter clockwise
+    normal.normalize();
+    var xAxis = _perpendicular(normal);
+    var yAxis = normal.clone().cross(xAxis);
+    var contour = _projectLoop(vertices, outline, xAxis, yAxis);
+    if (loops.length === 1 && _isConvex(contour)) {
+        return _fan(outline);
+    }
+    var holes = [];
+    for (var i=1;i<loops.length;i++) {
+        var hole = _cleanLoop(vertices, loops[i]);
+        if (hole == null) return null;
+        if (hole.length < 3) continue;
+        var holePoints = _projectLoop(vertices, hole, xAxis, yAxis);
+        if (THREE.ShapeUtils.area(holePoints) < 0) {
+            holePoints.reverse();
+        }
+        holes.push(holePoints);
+    }
+
+    // ShapeUtils expects clockwise outlines with counter clockwise holes
+    contour.reverse();
+    var all = contour.concat.apply(contour, holes);
+    var faces = THREE.ShapeUtils.triangulateShape(contour, holes);
+    var triangles = [];
+    for (i=0;i<faces.length;i++) {
+        var p0 = all[faces[i][0]];
+        var p1 = all[faces[i][1]];
+        var p2 = all[faces[i][2]];
+        var area = (p1.x - p0.x) * (p2.y - p0.y) - (p2.x - p0.x) * (p1.y - p0.y);
+        if (area > 0) {
+            triangles.push([p0.index, p1.index, p2.index]);
+        } else if (area < 0) {
+            triangles.push([p0.index, p2.index, p1.index]);
+        }
+    }
+    return triangles.length > 0 ? triangles : null;
+}
+
+/**
+ * Check whether a counter clockwise polygon is convex
+ * @param  {Array.<THREE.Vector2>} points   The polygon
+ * @return {Boolean}                        Whether it never turns clockwise
+ */
+function _isConvex(points) {
+    for (var i=0;i<points.length;i++) {
+        var a = points[i];
+        var b = points[(i+1)%points.length];
+        var c = points[(i+2)%points.length];
+        if ((b.x - a.x) * (c.y - b.y) - (b.y - a.y) * (c.x - b.x) < 0) return false;
+    }
+    return true;
+}
+
+/**
+ * Split a convex polygon into a fan of triangles around its first vertex
+ * @param  {Array.<Number>} loop        The vertex indices
+ * @return {Array.<Array.<Number>>}     The triangles
+ */
+function _fan(loop) {
+    var triangles = [];
+    for (var i=1;i+1<loop.length;i++) {
+        triangles.push([loop[0], loop[i], loop[i+1]]);
+    }
+    return triangles;
+}
+
+/**
+ * Remove repeated vertices from a loop
+ * @param  {Array.<Array.<Number>>} vertices    The positions of the mesh vertices
+ * @param  {Array.<Number>} loop                The vertex indices
+ * @return {Array.<Number>}                     The remaining indices, or null when an index is invalid
+ */
+function _cleanLoop(vertices, loop) {
+    if (!loop || loop.constructor !== Array) return null;
+    var result = [];
+    for (var i=0;i<loop.length;i++) {
+        var index = loop[i];
+        if (vertices[index] == null) return null;
+        var last = result[result.length-1];
+        if (last == null || !_samePosition(vertices[last], vertices[index])) {
+            result.push(index);
+        }
+    }
+    while (result.length > 1 && _samePosition(vertices[result[0]], vertices[result[result.length-1]])) {
+        result.pop();
+    }
+    return result;
+}
+
+/**
+ * Check whether two vertices have the same position
+ * @param  {Array.<Number>} a   The first position
+ * @param  {Array.<Number>} b   The second position
+ * @return {Boolean}            Whether they are the same
+ */
+function _samePosition(a, b) {
+    return a[0] === b[0] && a[1] === b[1] && a[2] === b[2];
+}
+
+/**
+ * Compute the normal of a loop with Newell's method, which works for non planar loops.
+ * Its length is twice the area of the loop projected onto its plane.
+ * @param  {Array.<Array.<Number>>} vertices    The positions of the mesh vertices
+ * @param  {Array.<Number>} loop                The vertex indices
+ * @return {THREE.Vector3}                      The normal
+ */
+function _newellNormal(vertices, loop) {
+    var normal = new THREE.Vector3();
+    for (var i=0;i<loop.length;i++) {
+        var a = vertices[loop[i]];
+        var b = vertices[loop[(i+1)%loop.length]];
+        normal.x += (a[1] - b[1]) * (a[2] + b[2]);
+        normal.y += (a[2] - b[2]) * (a[0] + b[0]);
+        normal.z += (a[0] - b[0]) * (a[1] + b[1]);
+    }
+    return normal;
+}
+
+/**
+ * Get the size of the bounding box of a loop
+ * @param  {Array.<Array.<Number>>} vertices    The positions of the mesh vertices
+ * @param  {Array.<Number>} loop                The vertex indices
+ * @return {Number}                             The length of the diagonal
+ */
+function _loopSize(vertices, loop) {
+    var box = new THREE.Box3();
+    var point = new THREE.Vector3();
+    for (var i=0;i<loop.length;i++) {
+        box.expandByPoint(point.fromArray(vertices[loop[i]]));
+    }
+    return box.getSize().length();
+}
+
+/**
+ * Get a unit vector perpendicular to another vector
+ * @param  {THREE.Vector3} vector   The vector
+ * @return {THREE.Vector3}          The perpendicular vector
+ */
+function _perpendicular(vector) {
+    var axis = Math.abs(vector.x) < Math.abs(vector.z) ?
+        new THREE.Vector3(1, 0, 0) : new THREE.Vector3(0, 0, 1);
+    return axis.cross(vector).normalize();
+}
+
+/**
+ * Project a loop onto a plane
+ * @param  {Array.<Array.<Number>>} vertices    The positions of the mesh vertices
+ * @param  {Array.<Number>} loop                The vertex indices
+ * @param  {THREE.Vector3} xAxis                The x direction in the plane
+ * @param  {THREE.Vector3} yAxis                The y direction in the plane
+ * @return {Array.<THREE.Vector2>}              The projected points, with their vertex index attached
+ */
+function _projectLoop(vertices, loop, xAxis, yAxis) {
+    var point = new THREE.Vector3();
+    return loop.map(function (index) {
+        point.fromArray(vertices[index]);
+        var vector = new THREE.Vector2(point.dot(xAxis), point.dot(yAxis));
+        vector.index = index;
+        return vector;
+    });
+}
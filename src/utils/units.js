@@ -0,0 +1,330 @@
+/**
+ * Helpers to convert and show measurements in the units of Flux.
+ *
+ * Units are referred to by their Flux name, such as meters or feet, by a singular name
+ * or by their symbol. Lengths are in meters unless their units are given.
+ */
+
+'use strict';
+
+import * as constants from '../constants.js';
+import { scaleVertices } from './vertexTransform.js';
+import pointer from 'json-pointer';
+
+/**
+ * Find the description of a unit of lengths
+ * @param  {String} name    The name or symbol of the unit
+ * @return {Object}         The scale in meters and symbol, or null when it is not known
+ */
+export function findLengthUnit(name) {
+    return _findUnit(constants.LENGTH_UNITS, name || constants.DEFAULT_UNITS);
+}
+
+/**
+ * Find the description of a unit of angles
+ * @param  {String} name    The name or symbol of the unit
+ * @return {Object}         The scale in radians and symbol, or null when it is not known
+ */
+export function findAngleUnit(name) {
+    return _findUnit(constants.ANGLE_UNITS, name || 'degrees');
+}
+
+/**
+ * Look up a unit in a table of units
+ * @param  {Object} table   The units by name
+ * @param  {String} name    The name, an alias or the symbol of the unit
+ * @return {Object}         The unit, or null when it is not in the table
+ */
+function _findUnit(table, name) {
+    if (table.hasOwnProperty(name)) return table[name];
+    for (var key in table) {
+        var unit = table[key];
+        if (unit.symbol === name || unit.aliases.indexOf(name) !== -1) return unit;
+    }
+    return null;
+}
+
+/**
+ * Convert a length from one unit to another
+ * @param  {Number} value   The length
+ * @param  {String} from    The unit of the length
+ * @param  {String} to      The unit to convert to
+ * @return {Number}         The converted length, or NaN when either unit is not known
+ */
+export function convertLength(value, from, to) {
+    var fromUnit = findLengthUnit(from);
+    var toUnit = findLengthUnit(to);
+    if (!fromUnit || !toUnit) return NaN;
+    return value * fromUnit.scale / toUnit.scale;
+}
+
+/**
+ * Write a length as text, such as '1.50 m'.
+ * The length is shown in its own units when displayUnits are not given or not known.
+ * @param  {Number} value           The length
+ * @param  {String} units           The units of the length
+ * @param  {String} displayUnits    The units to show the length in
+ * @param  {Number} precision       The number of decimals
+ * @return {String}                 The text
+ */
+export function formatLength(value, units, displayUnits, precision) {
+    var unit = findLengthUnit(units);
+    var display = findLengthUnit(displayUnits) || unit;
+    if (unit && display !== unit) {
+        value = value * unit.scale / display.scale;
+    }
+    var text = _fixed(value, precision);
+    return display ? text + ' ' + display.symbol : text;
+}
+
+/**
+ * Write an angle as text, such as '45.00°'
+ * @param  {Number} radians         The angle in radians
+ * @param  {String} displayUnits    The units to show the angle in, degrees by default
+ * @param  {Number} precision       The number of decimals
+ * @return {String}                 The text
+ */
+export function formatAngle(radians, displayUnits, precision) {
+    var display = findAngleUnit(displayUnits) || constants.ANGLE_UNITS.degrees;
+    var text = _fixed(radians / display.scale, precision);
+    return display === constants.ANGLE_UNITS.degrees ? text + display.symbol : text + ' ' + display.symbol;
+}
+
+/**
+ * Write a number with a fixed number of decimals
+ * @param  {Number} value       The number
+ * @param  {Number} precision   The number of decimals, or null for the default
+ * @return {String}             The text
+ */
+function _fixed(value, precision) {
+    if (precision == null) precision = constants.ANNOTATION_DEFAULTS.PRECISION;
+    return value.toFixed(Math.max(0, Math.min(20, precision)));
+}
+
+/**
+ * Convert the lengths in Flux JSON to some units.
+ *
+ * The units property of an entity maps JSON pointers to the units of the values they
+ * point to, and / to the units of the entity as a whole. Lengths without units have the
+ * units of the entity, which are those of its container or meters by default. The
+ * lengths of each primitive are listed in LENGTH_PROPERTIES. Units that are not known are
+ * reported as errors and the values they apply to are not changed. Angle units are
+ * ignored. The vertices of embedded files and breps are in the units of their entity,
+ * and are scaled when they are read.
+ *
+ * Converted entities are copies, and those that had units get the target units for /.
+ *
+ * @param  {Object} data            Flux JSON entities, which are not modified
+ * @param  {String} units           The units to convert to
+ * @param  {StatusMap} primStatus   Container for errors
+ * @return {Object}                 The converted entities
+ */
+export function convertUnits(data, units, primStatus) {
+    return _convertData(data, units, constants.DEFAULT_UNITS, primStatus);
+}
+
+/**
+ * Convert the lengths of an entity that have units of their own to meters.
+ * This is what prep does for the entities in the schema, and the units of the entity as
+ * a whole are left for convertUnits. Angle units are ignored.
+ * @param  {Object} entity          Flux JSON entity (modified)
+ * @param  {StatusMap} primStatus   Container for errors
+ */
+export function convertOwnUnits(entity, primStatus) {
+    var entityUnits = entity.units;
+    if (!entityUnits) return;
+    for (var key in entityUnits) {
+        if (key === '/' || key === '') continue;
+        var path = key[0] === '/' ? key : '/' + key;
+        var scale = _unitScale(entityUnits[key], constants.DEFAULT_UNITS, entity.primitive, primStatus);
+        if (scale != null && pointer.has(entity, path)) {
+            _scaleAt(entity, path, scale);
+            entityUnits[key] = constants.DEFAULT_UNITS;
+        }
+    }
+}
+
+/**
+ * Convert the entities in some data
+ * @param  {Object} data            Entities or lists of entities
+ * @param  {String} units           The units to convert to
+ * @param  {String} parentUnits     The units of the container of the entities
+ * @param  {StatusMap} primStatus   Container for errors
+ * @return {Object}                 The converted data
+ */
+function _convertData(data, units, parentUnits, primStatus) {
+    if (data == null || typeof data !== 'object') return data;
+    if (data.constructor === Array) {
+        return data.map(function (item) {
+            return _convertData(item, units, parentUnits, primStatus);
+        });
+    }
+    return data.primitive ? _convertEntity(data, units, parentUnits, primStatus) : data;
+}
+
+/**
+ * Convert the lengths of an entity and the entities it contains
+ * @param  {Object} entity          The entity
+ * @param  {String} units           The units to convert to
+ * @param  {String} parentUnits     The units of the container of the entity
+ * @param  {StatusMap} primStatus   Container for errors
+ * @return {Object}                 The converted copy of the entity
+ */
+function _convertEntity(entity, units, parentUnits, primStatus) {
+    var result = _copy(entity);
+    var entityUnits = entity.units || {};
+    var ownUnits = entityUnits['/'] || entityUnits[''] || parentUnits;
+    // Values with units of their own
+    var converted = [];
+    for (var key in entityUnits) {
+        if (key === '/' || key === '') continue;
+        var path = key[0] === '/' ? key : '/' + key;
+        var scale = _unitScale(entityUnits[key], units, entity.primitive, primStatus);
+        if (scale != null) {
+            _scaleAt(result, path, scale);
+            converted.push(path);
+        }
+    }
+    // Other lengths have the units of the entity
+    var entityScale = _unitScale(ownUnits, units, entity.primitive, primStatus);
+    if (entityScale != null) {
+        var paths = _lengthPaths(result);
+        for (var i=0;i<paths.length;i++) {
+            if (!_isConverted(paths[i], converted)) {
+                _scaleAt(result, paths[i], entityScale);
+            }
+        }
+        if (entityScale !== 1 && constants.EMBEDDED_GEOMETRY_PRIMITIVES.indexOf(entity.primitive) !== -1) {
+            scaleVertices(result, entityScale);
+        }
+    }
+    for (i=0;i<constants.CHILD_ENTITY_PROPERTIES.length;i++) {
+        var name = constants.CHILD_ENTITY_PROPERTIES[i];
+        if (result[name] && result[name].constructor === Array) {
+            result[name] = _convertData(entity[name], units, ownUnits, primStatus);
+        }
+    }
+    // Annotations show their units, so they always need to know them
+    if (entity.units || constants.ANNOTATION_PRIMITIVES.indexOf(entity.primitive) !== -1) {
+        result.units = {'/': units};
+    }
+    return result;
+}
+
+/**
+ * Get the factor that converts lengths to the target units
+ * @param  {String} from            The units of the lengths
+ * @param  {String} to              The target units
+ * @param  {String} primitive       The primitive, for errors
+ * @param  {StatusMap} primStatus   Container for errors
+ * @return {Number}                 The factor, or null when lengths are not converted
+ */
+function _unitScale(from, to, primitive, primStatus) {
+    var fromUnit = findLengthUnit(from);
+    if (!fromUnit) {
+        if (!findAngleUnit(from)) {
+            primStatus.appendError(primitive, 'Unknown units "' + from + '"');
+        }
+        return null;
+    }
+    return fromUnit.scale / findLengthUnit(to).scale;
+}
+
+/**
+ * List the JSON pointers of the lengths of an entity
+ * @param  {Object} entity          The entity
+ * @return {Array.<String>}         The pointers
+ */
+function _lengthPaths(entity) {
+    var names = constants.LENGTH_PROPERTIES[entity.primitive] || [];
+    var paths = names.map(function (name) {
+        return '/' + name;
+    });
+    // Materials have their properties at the top
+    var containers = entity.primitive === 'material' ? [''] : ['/materialProperties', '/attributes/materialProperties'];
+    for (var i=0;i<containers.length;i++) {
+        var properties = pointer.has(entity, containers[i]) ? pointer.get(entity, containers[i]) : null;
+        if (properties == null || typeof properties !== 'object') continue;
+        for (var j=0;j<constants.LENGTH_MATERIAL_PROPERTIES.length;j++) {
+            paths.push(containers[i] + '/' + constants.LENGTH_MATERIAL_PROPERTIES[j]);
+        }
+        if (properties.lineWidthUnits === constants.LINE_WIDTH_UNITS[1]) {
+            paths.push(containers[i] + '/linewidth');
+        }
+    }
+    return paths;
+}
+
+/**
+ * Determine whether a value was converted with units of its own
+ * @param  {String} path                The pointer to the value
+ * @param  {Array.<String>} converted   The pointers of values with their own units
+ * @return {Boolean}                    Whether the value or part of it was converted
+ */
+function _isConverted(path, converted) {
+    for (var i=0;i<converted.length;i++) {
+        var other = converted[i];
+        if (path === other || path.indexOf(other + '/') === 0 || other.indexOf(path + '/') === 0) {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Scale the lengths at a pointer in an entity
+ * @param  {Object} entity  The entity (modified)
+ * @param  {String} path    The pointer
+ * @param  {Number} scale   The factor
+ */
+function _scaleAt(entity, path, scale) {
+    if (scale === 1 || !pointer.has(entity, path)) return;
+    var value = pointer.get(entity, path);
+    if (path === '/matrix' && value && value.length === 16) {
+        value = value.slice();
+        value[3] *= scale;
+        value[7] *= scale;
+        value[11] *= scale;
+    } else {
+        value = _scale(value, scale);
+    }
+    pointer.set(entity, path, value);
+}
+
+/**
+ * Scale all the numbers in a value
+ * @param  {Object} value   A number, or a list or object containing numbers
+ * @param  {Number} scale   The factor
+ * @return {Object}         The scaled value
+ */
+function _scale(value, scale) {
+    if (typeof value === 'number') return value * scale;
+    if (value == null || typeof value !== 'object') return value;
+    if (value.constructor === Array) {
+        return value.map(function (item) {
+            return _scale(item, scale);
+        });
+    }
+    var result = {};
+    for (var key in value) {
+        result[key] = _scale(value[key], scale);
+    }
+    return result;
+}
+
+/**
+ * Copy the plain objects and lists in some JSON.
+ * Other objects such as binary data are shared.
+ * @param  {Object} value   The JSON
+ * @return {Object}         The copy
+ */
+function _copy(value) {
+    if (value == null || typeof value !== 'object') return value;
+    if (value.constructor === Array) return value.map(_copy);
+    if (value.constructor !== Object) return value;
+    var result = {};
+    for (var key in value) {
+        result[key] = _copy(value[key]);
+    }
+    return result;
+}
@@ -0,0 +1,112 @@
+/**
+ * Transforms of the vertices of breps and embedded files.
+ *
+ * The lengths and positions of most entities are in their JSON, so they are converted to
+ * other units or moved relative to a center by editing it. The vertices of breps and files
+ * are only known once they are tessellated or parsed, so the entity records a scale and an
+ * offset instead, and the vertices are transformed as they are read, while they are still
+ * doubles. A vertex v becomes v * scale - offset.
+ */
+
+'use strict';
+
+import * as constants from '../constants.js';
+
+// Transform that leaves vertices where they are
+var IDENTITY = {scale: 1, offset: [0, 0, 0]};
+
+/**
+ * Get the transform of the vertices of an entity
+ * @param  {Object} entity  Flux JSON entity
+ * @return {Object}         The scale and offset of the vertices, or null when they are not transformed
+ */
+export function getVertexTransform(entity) {
+    return entity ? entity[constants.VERTEX_TRANSFORM_PROPERTY] || null : null;
+}
+
+/**
+ * Scale the vertices of an entity, after any transform it already has
+ * @param  {Object} entity  Flux JSON entity of one of EMBEDDED_GEOMETRY_PRIMITIVES (modified)
+ * @param  {Number} scale   The factor
+ */
+export function scaleVertices(entity, scale) {
+    var transform = getVertexTransform(entity) || IDENTITY;
+    entity[constants.VERTEX_TRANSFORM_PROPERTY] = {
+        scale: transform.scale * scale,
+        offset: transform.offset.map(function (value) {
+            return value * scale;
+        })
+    };
+}
+
+/**
+ * Move the vertices of an entity relative to a center, after any transform it already has
+ * @param  {Object} entity          Flux JSON entity of one of EMBEDDED_GEOMETRY_PRIMITIVES (modified)
+ * @param  {Array.<Number>} center  The center
+ */
+export function shiftVertices(entity, center) {
+    var transform = getVertexTransform(entity) || IDENTITY;
+    entity[constants.VERTEX_TRANSFORM_PROPERTY] = {
+        scale: transform.scale,
+        offset: transform.offset.map(function (value, i) {
+            return value + center[i];
+        })
+    };
+}
+
+/**
+ * Copy an entity without the transform of its vertices, such as to tessellate it
+ * @param  {Object} entity  Flux JSON entity
+ * @return {Object}         The entity, or a copy without the transform
+ */
+export function withoutVertexTransform(entity) {
+    if (!getVertexTransform(entity)) return entity;
+    var result = {};
+    for (var key in entity) {
+        if (key !== constants.VERTEX_TRANSFORM_PROPERTY) {
+            result[key] = entity[key];
+        }
+    }
+    return result;
+}
+
+/**
+ * Transform a point
+ * @param  {Array.<Number>} point   The point
+ * @param  {Object} transform       The transform from getVertexTransform
+ * @return {Array.<Number>}         The transformed copy of the point
+ */
+export function transformPoint(point, transform) {
+    return point.map(function (value, i) {
+        return value * transform.scale - (transform.offset[i] || 0);
+    });
+}
+
+/**
+ * Transform a list of x, y and z values
+ * @param  {Array.<Number>} values  The values, such as the array of a position attribute (modified)
+ * @param  {Object} transform       The transform from getVertexTransform
+ */
+export function transformArray(values, transform) {
+    for (var i=0;i<values.length;i++) {
+        values[i] = values[i] * transform.scale - transform.offset[i % 3];
+    }
+}
+
+/**
+ * Transform the vertices of a mesh, such as the tessellation of a brep
+ * @param  {Object} mesh        Flux JSON mesh, which is not modified
+ * @param  {Object} transform   The transform from getVertexTransform, or null
+ * @return {Object}             The mesh, or a transformed copy
+ */
+export function transformMesh(mesh, transform) {
+    if (!transform || !mesh.vertices) return mesh;
+    var result = {};
+    for (var key in mesh) {
+        result[key] = mesh[key];
+    }
+    result.vertices = mesh.vertices.map(function (vertex) {
+        return transformPoint(vertex, transform);
+    });
+    return result;
+}
@@ -0,0 +1,126 @@
+/**
+ * Main thread side of creating geometry off the main thread.
+ */
+'use strict';
+
+import * as Create from '../createObject.js';
+import GeometryResults from '../geometryResults.js';
+import FluxGeometryError from '../geometryError.js';
+import * as constants from '../constants.js';
+import * as cancel from '../utils/cancel.js';
+import * as transfer from './transfer.js';
+import {scene} from 'flux-modelingjs';
+var StatusMap = scene.StatusMap;
+
+/**
+ * Send entities to a worker running initGeometryWorker and assemble the objects it returns.
+ * @param {Object} worker   A browser Worker or a node worker_threads Worker
+ * @constructor
+ */
+export default function WorkerClient(worker) {
+    this._worker = worker;
+
+    // Map from request id to the functions that settle its promise
+    this._pending = {};
+    this._nextId = 0;
+
+    var _this = this;
+    transfer.listen(worker, 'message', function (message) {
+        _this._onMessage(message);
+    });
+    transfer.listen(worker, 'error', function (err) {
+        _this._onError(err);
+    });
+}
+
+/**
+ * Create the objects for some entities.
+ * Primitives that need the DOM are created on the main thread while the worker runs.
+ * @param  {Object} entities        Array of entities or arrays
+ * @param  {Boolean} allowMerge     Whether to allow merging meshes
+ * @param  {AbortSignal} signal     Optional signal to stop waiting for the worker
+ * @param  {Object} tolerance       Settings for tessellating curves, resolved for all the entities
+ * @return {Promise}                Promise for GeometryResults
+ */
+WorkerClient.prototype.createObject = function (entities, allowMerge, signal, tolerance) {
+    var local = [];
+    var remote = [];
+    _splitEntities(entities, local, remote);
+    var geomResult = new GeometryResults();
+    if (remote.length === 0) {
+        Create.createObject(local, geomResult, allowMerge, tolerance);
+        return Promise.resolve(geomResult);
+    }
+    var _this = this;
+    var id = this._nextId++;
+    var reply = new Promise(function (resolve, reject) {
+        _this._pending[id] = {resolve: resolve, reject: reject};
+    });
+    this._worker.postMessage({
+        id: id,
+        entities: remote,
+        allowMerge: allowMerge,
+        curveTolerance: tolerance
+    });
+    Create.createObject(local, geomResult, allowMerge, tolerance);
+    return cancel.whenNotAborted(reply, signal).then(function (message) {
+        var object = transfer.deserializeObject(message.object);
+        while (object.children.length > 0) {
+            geomResult.object.add(object.children[0]);
+        }
+        var status = new StatusMap();
+        status.errors = message.errors;
+        geomResult.primStatus.merge(status);
+        geomResult.asyncPrims = message.asyncPrims;
+        return geomResult;
+    });
+};
+
+/**
+ * Settle the request that a worker message replies to
+ * @param  {Object} message The reply from the worker
+ */
+WorkerClient.prototype._onMessage = function (message) {
+    var pending = this._pending[message.id];
+    if (pending == null) return;
+    delete this._pending[message.id];
+    if (message.error) {
+        var err = message.error.name === 'FluxGeometryError' ?
+            new FluxGeometryError(message.error.message) : new Error(message.error.message);
+        err.name = message.error.name;
+        pending.reject(err);
+    } else {
+        pending.resolve(message);
+    }
+};
+
+/**
+ * Reject all the requests when the worker fails
+ * @param  {Error} err The error event or error
+ */
+WorkerClient.prototype._onError = function (err) {
+    var pending = this._pending;
+    this._pending = {};
+    for (var id in pending) {
+        pending[id].reject(new Error('Geometry worker error: ' + err.message));
+    }
+};
+
+/**
+ * Separate the primitives that must be created on the main thread from the rest
+ * @param  {Object} data                Array of entities or arrays
+ * @param  {Array.<Object>} local       Entities for the main thread (return parameter)
+ * @param  {Array.<Object>} remote      Entities for the worker (return parameter)
+ */
+function _splitEntities(data, local, remote) {
+    if (!data) return;
+    if (data.constructor === Array) {
+        for (var i=0;i<data.length;i++) {
+            _splitEntities(data[i], local, remote);
+        }
+    } else if (constants.MAIN_THREAD_PRIMITIVES.indexOf(data.primitive) !== -1) {
+        local.push(data);
+    } else {
+        remote.push(data);
+    }
+}
@@ -0,0 +1,48 @@
+/**
+ * Worker side of creating geometry off the main thread.
+ */
+'use strict';
+
+import * as Create from '../createObject.js';
+import GeometryResults from '../geometryResults.js';
+import * as transfer from './transfer.js';
+
+/**
+ * Create geometry for the messages posted by GeometryBuilder.setGeometryWorker.
+ *
+ * Call this in the worker script, after loading three.js and this library, for example
+ * initGeometryWorker(self) in a browser Worker, or
+ * initGeometryWorker(require('worker_threads').parentPort) in node.
+ *
+ * Each message has an id, the entities, whether to merge meshes and the settings for
+ * tessellating curves. The reply has the same id and the created objects with their
+ * buffers transferred, the status of each primitive and the breps that still need
+ * tessellation, or an error.
+ *
+ * @param  {Object} port The worker scope or message port to listen to
+ */
+export function initGeometryWorker(port) {
+    transfer.listen(port, 'message', function (message) {
+        var geomResult = new GeometryResults();
+        var buffers = [];
+        var reply;
+        try {
+            Create.createObject(message.entities, geomResult, message.allowMerge, message.curveTolerance);
+            reply = {
+                id: message.id,
+                object: transfer.serializeObject(geomResult.object, buffers),
+                errors: geomResult.primStatus.errors,
+                asyncPrims: geomResult.asyncPrims
+            };
+        } catch (err) {
+            reply = {
+                id: message.id,
+                error: {
+                    name: err.name,
+                    message: err.message
+                }
+            };
+        }
+        port.postMessage(reply, buffers);
+    });
+}
@@ -0,0 +1,155 @@
+/**
+ * Move three.js objects between a worker and the main thread.
+ */
+'use strict';
+
+import * as THREE from 'three';
+import * as materials from '../utils/materials.js';
+
+// Singleton loader used to rebuild materials
+var materialLoader = new THREE.MaterialLoader();
+
+/**
+ * Listen to messages or errors from a browser Worker or a node worker_threads port
+ * @param  {Object} target      The Worker, worker scope or message port
+ * @param  {String} name        The event name, 'message' or 'error'
+ * @param  {Function} callback  Called with the message data or error
+ */
+export function listen(target, name, callback) {
+    if (typeof target.on === 'function') {
+        // Node passes the data directly
+        target.on(name, callback);
+    } else {
+        target.addEventListener(name, function (event) {
+            callback(name === 'message' ? event.data : event);
+        });
+    }
+}
+
+/**
+ * Convert an object and its descendants to data that can be posted to another thread.
+ * Legacy geometry is converted to buffer geometry, and the typed arrays of the
+ * buffers are added to the transfer list so they are moved instead of copied.
+ * @param  {THREE.Object3D} object          The object
+ * @param  {Array.<ArrayBuffer>} transfer   The transfer list (return parameter)
+ * @return {Object}                         Data to post
+ */
+export function serializeObject(object, transfer) {
+    var data = {
+        type: object.type,
+        name: object.name,
+        matrix: object.matrix.toArray(),
+        visible: object.visible,
+        userData: object.userData,
+        children: []
+    };
+    if (object.geometry) {
+        data.geometry = _serializeGeometry(object, transfer);
+        data.material = object.material.toJSON();
+        // Not written by three.js
+        if (object.material.linewidth !== undefined) {
+            data.material.linewidth = object.material.linewidth;
+        }
+    }
+    for (var i=0;i<object.children.length;i++) {
+        data.children.push(serializeObject(object.children[i], transfer));
+    }
+    return data;
+}
+
+/**
+ * Rebuild an object that was serialized in another thread
+ * @param  {Object} data    Data from serializeObject
+ * @return {THREE.Object3D} The object
+ */
+export function deserializeObject(data) {
+    var object;
+    if (data.geometry) {
+        var material = materialLoader.parse(data.material);
+        if (data.material.linewidth !== undefined) {
+            material.linewidth = data.material.linewidth;
+        }
+        materials.applyIBL(material);
+        object = new THREE[data.type](_deserializeGeometry(data.geometry), material);
+    } else if (data.type === 'Group') {
+        object = new THREE.Group();
+    } else {
+        object = new THREE.Object3D();
+    }
+    object.name = data.name;
+    object.visible = data.visible;
+    object.userData = data.userData;
+    object.matrix.fromArray(data.matrix);
+    object.matrix.decompose(object.position, object.quaternion, object.scale);
+    for (var i=0;i<data.children.length;i++) {
+        object.add(deserializeObject(data.children[i]));
+    }
+    return object;
+}
+
+/**
+ * Get the buffers of an object's geometry
+ * @param  {THREE.Object3D} object          The renderable object
+ * @param  {Array.<ArrayBuffer>} transfer   The transfer list (return parameter)
+ * @return {Object}                         The attributes, index and groups
+ */
+function _serializeGeometry(object, transfer) {
+    var geometry = object.geometry;
+    if (!(geometry instanceof THREE.BufferGeometry)) {
+        geometry = new THREE.BufferGeometry().setFromObject(object);
+    }
+    var data = {
+        attributes: {},
+        index: null,
+        groups: geometry.groups
+    };
+    // Custom attributes such as the sizes of points are kept too
+    for (var name in geometry.attributes) {
+        data.attributes[name] = _serializeAttribute(geometry.attributes[name], transfer);
+    }
+    if (geometry.index) {
+        data.index = _serializeAttribute(geometry.index, transfer);
+    }
+    return data;
+}
+
+/**
+ * Get the data of a buffer attribute
+ * @param  {THREE.BufferAttribute} attribute The attribute
+ * @param  {Array.<ArrayBuffer>} transfer   The transfer list (return parameter)
+ * @return {Object}                         The typed array and item size
+ */
+function _serializeAttribute(attribute, transfer) {
+    // A buffer can only be in the list once
+    if (transfer.indexOf(attribute.array.buffer) === -1) {
+        transfer.push(attribute.array.buffer);
+    }
+    return {
+        array: attribute.array,
+        itemSize: attribute.itemSize,
+        normalized: attribute.normalized
+    };
+}
+
+/**
+ * Rebuild buffer geometry
+ * @param  {Object} data            Data from _serializeGeometry
+ * @return {THREE.BufferGeometry}   The geometry
+ */
+function _deserializeGeometry(data) {
+    var geometry = new THREE.BufferGeometry();
+    for (var name in data.attributes) {
+        var attribute = data.attributes[name];
+        geometry.addAttribute(name, new THREE.BufferAttribute(attribute.array, attribute.itemSize,
+            attribute.normalized));
+    }
+    if (data.index) {
+        geometry.setIndex(new THREE.BufferAttribute(data.index.array, 1));
+    }
+    for (var i=0;i<data.groups.length;i++) {
+        var group = data.groups[i];
+        geometry.addGroup(group.start, group.count, group.materialIndex);
+    }
+    geometry.computeBoundingSphere();
+    return geometry;
+}
@@ -4,6 +4,8 @@ var test = require('tape-catch');
 var GeometryBuilder = require('../build/index-test.common.js').GeometryBuilder;
 
 var builder = new GeometryBuilder('parasolid','ibl','token');
+// These tests check the requests, so every brep must reach the server
+builder.setTessellationCache(null);
 
 var printError = require('./printError.js').init('brep');
 
@@ -118,3 +120,313 @@ test('render breps with materials', function (t) {
         fakeXhr.respond(200, body);
     });
 });
+
+test('custom tessellation provider', function (t) {
+    var index = require('../build/index-test.common.js');
+    var providerBuilder = new GeometryBuilder();
+    var provider = new index.TessellationProvider();
+    var calls = [];
+    provider.tessellate = function (breps, quality) {
+        calls.push({breps: breps, quality: quality});
+        return Promise.resolve([
+            stlResponse.Output.Results.value.result0,
+            new index.FluxGeometryError('Bad brep')
+        ]);
+    };
+    providerBuilder.setTessellationProvider(provider);
+    var otherQuery = JSON.parse(JSON.stringify(stlQuery));
+    otherQuery.content = 'some other base64 encoded stuff';
+    requests = [];
+    providerBuilder.convert([stlQuery, otherQuery]).then(function(result) {
+        t.equal(requests.length, 0, 'Should not call the server');
+        t.equal(calls.length, 1, 'Should call the provider');
+        t.equal(calls[0].breps.length, 2, 'Should pass all breps');
+        t.equal(calls[0].quality, providerBuilder.tessellateQuality, 'Should pass quality');
+        t.equal(result.object.children[0].type, 'Mesh', 'Should create mesh');
+        t.ok(result.primStatus.invalidKeySummary().indexOf('Bad brep') !== -1, 'Should report failed brep');
+        t.end();
+    }).catch(printError(t));
+});
+
+test('missing tessellation url', function (t) {
+    var noUrlBuilder = new GeometryBuilder(null, 'token');
+    noUrlBuilder.convert(stlQuery).then(function(result) {
+        t.ok(result.primStatus.invalidKeySummary().indexOf('url') !== -1, 'Should report missing url');
+        t.end();
+    }).catch(printError(t));
+});
+
+test('cached tessellation results', function (t) {
+    var index = require('../build/index-test.common.js');
+    var cachedBuilder = new GeometryBuilder('parasolid', 'token');
+    var cache = new index.TessellationCache(new index.MemoryStorage(), 1);
+    cachedBuilder.setTessellationCache(cache);
+    requests = [];
+    // Identical breps are only requested once
+    cachedBuilder.convert([stlQuery, stlQuery]).then(function(result) {
+        t.equal(requests.length, 1, 'Should make one request');
+        t.equal(JSON.stringify(requests[0].requestBody).split('"brep"').length-1, 1, 'Should request one brep');
+        t.equal(result.object.children.length, 2, 'Should create a mesh per brep');
+        return cachedBuilder.convert(stlQuery);
+    }).then(function(result) {
+        t.equal(requests.length, 1, 'Should not make another request');
+        t.equal(result.object.children[0].type, 'Mesh', 'Should create mesh from cache');
+        cachedBuilder.tessellateQuality = 3;
+        var promise = cachedBuilder.convert(stlQuery);
+        setTimeout(function() {
+            t.equal(requests.length, 2, 'Should request again for different quality');
+            requests[1].respond(200, JSON.stringify(stlResponse));
+        });
+        return promise;
+    }).then(function() {
+        t.equal(cache._keys.length, 1, 'Should evict least recently used');
+        t.equal(cache._keys[0], cache.getKey(stlQuery, 3), 'Should keep most recent');
+        t.end();
+    }).catch(printError(t));
+    setTimeout(function() {
+        requests[0].respond(200, JSON.stringify(stlResponse));
+    });
+});
+
+test('cached tessellation results from earlier sessions', function (t) {
+    var index = require('../build/index-test.common.js');
+    var storage = new index.MemoryStorage();
+    var cache = new index.TessellationCache(storage, 3);
+    // Stored before the order of use was recorded
+    storage.set('old', {});
+    cache.set('a', {}).then(function () {
+        return cache.set('b', {});
+    }).then(function () {
+        return cache.get('a');
+    }).then(function () {
+        return storage.get('access-order');
+    }).then(function (order) {
+        t.deepEqual(order, ['old', 'a', 'b'], 'Should not store the order on each hit');
+        // The order is stored a while after the hits
+        return new Promise(function (resolve) {
+            setTimeout(resolve, 200);
+        });
+    }).then(function () {
+        var reopened = new index.TessellationCache(storage, 2);
+        return reopened.get('missing').then(function () {
+            t.deepEqual(reopened._keys, ['b', 'a'], 'Should evict results of earlier sessions on open');
+            return storage.get('old');
+        }).then(function (value) {
+            t.equal(value, undefined, 'Should evict results without a recorded use first');
+            return reopened.clear();
+        });
+    }).then(function () {
+        return storage.keys();
+    }).then(function (keys) {
+        t.deepEqual(keys, [], 'Should clear all stored results');
+        t.end();
+    }).catch(printError(t));
+});
+
+test('batched tessellation requests', function (t) {
+    var index = require('../build/index-test.common.js');
+    var batchBuilder = new GeometryBuilder();
+    batchBuilder.setTessellationCache(null);
+    batchBuilder.setTessellationBatching({maxBreps: 1, concurrency: 2});
+    var badQuery = JSON.parse(JSON.stringify(stlQuery));
+    badQuery.content = 'bad brep';
+    var provider = new index.TessellationProvider();
+    var calls = 0;
+    var active = 0;
+    var maxActive = 0;
+    provider.tessellate = function (breps) {
+        calls++;
+        active++;
+        maxActive = Math.max(active, maxActive);
+        return new Promise(function (resolve, reject) {
+            setTimeout(function () {
+                active--;
+                if (breps[0].content === 'bad brep') {
+                    reject(new index.FluxGeometryError('Bad brep'));
+                } else {
+                    resolve([stlResponse.Output.Results.value.result0]);
+                }
+            });
+        });
+    };
+    batchBuilder.setTessellationProvider(provider);
+    batchBuilder.convert([stlQuery, badQuery, stlQuery]).then(function(result) {
+        t.equal(calls, 3, 'Should make a request per brep');
+        t.equal(maxActive, 2, 'Should limit concurrent requests');
+        t.equal(result.object.children.length, 2, 'Should render the valid breps');
+        t.ok(result.primStatus.invalidKeySummary().indexOf('Bad brep') !== -1, 'Should report failed brep');
+        t.end();
+    }).catch(printError(t));
+});
+
+test('retry breps aborted by a failed brep', function (t) {
+    var index = require('../build/index-test.common.js');
+    var batchBuilder = new GeometryBuilder();
+    batchBuilder.setTessellationCache(null);
+    var badQuery = JSON.parse(JSON.stringify(stlQuery));
+    badQuery.content = 'bad brep';
+    var provider = new index.TessellationProvider();
+    var calls = [];
+    // Like the server, abort the other breps when one of them fails
+    provider.tessellate = function (breps) {
+        calls.push(breps.length);
+        var failed = breps.some(function (brep) {
+            return brep.content === 'bad brep';
+        });
+        return Promise.resolve(breps.map(function (brep) {
+            if (brep.content === 'bad brep') return new index.FluxGeometryError('Bad brep');
+            return failed ? null : stlResponse.Output.Results.value.result0;
+        }));
+    };
+    batchBuilder.setTessellationProvider(provider);
+    batchBuilder.convert([stlQuery, badQuery, stlQuery]).then(function(result) {
+        t.deepEqual(calls, [3, 2], 'Should request the aborted breps again');
+        t.equal(result.object.children.length, 2, 'Should render the valid breps');
+        t.ok(result.primStatus.invalidKeySummary().indexOf('Bad brep') !== -1, 'Should report failed brep');
+        t.end();
+    }).catch(printError(t));
+});
+
+/**
+ * Create a scene builder with a provider that waits to tessellate until finish is called
+ * @return {Object} The builder and a function to finish tessellating
+ */
+function _createDelayedBuilder() {
+    var index = require('../build/index-test.common.js');
+    var sceneBuilder = new index.SceneBuilder('parasolid', 'token');
+    sceneBuilder.setTessellationCache(null);
+    var provider = new index.TessellationProvider();
+    var finish;
+    provider.tessellate = function (breps) {
+        return new Promise(function (resolve) {
+            finish = function () {
+                resolve(breps.map(function () {
+                    return stlResponse.Output.Results.value.result0;
+                }));
+            };
+        });
+    };
+    sceneBuilder.setTessellationProvider(provider);
+    return {
+        builder: sceneBuilder,
+        finish: function () {
+            finish();
+        }
+    };
+}
+
+var sphereQuery = {"primitive":"sphere","origin":[0,0,0],"radius":10};
+
+test('progressive entity results', function (t) {
+    var delayed = _createDelayedBuilder();
+    var events = [];
+    delayed.builder.convert([sphereQuery, stlQuery], {
+        onProgress: function (results, fraction) {
+            events.push({object: results.getObject(), count: results.getObject().children.length, fraction: fraction});
+            if (events.length === 1) {
+                setTimeout(delayed.finish);
+            }
+        }
+    }).then(function (result) {
+        t.equal(events.length, 2, 'Should report partial and final results');
+        t.equal(events[0].fraction, 0, 'Should start with no breps done');
+        t.equal(events[0].count, 1, 'Should deliver the sphere first');
+        t.equal(events[1].fraction, 1, 'Should finish');
+        t.equal(events[1].count, 2, 'Should add the brep');
+        t.equal(events[0].object, result.getObject(), 'Should add to the same root');
+        t.end();
+    }).catch(printError(t));
+});
+
+test('progressive scene results', function (t) {
+    var delayed = _createDelayedBuilder();
+    var solid = JSON.parse(JSON.stringify(stlQuery));
+    solid.id = 'solid';
+    var ball = JSON.parse(JSON.stringify(sphereQuery));
+    ball.id = 'ball';
+    var identity = [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1];
+    var data = [ball, solid,
+        {"id": "ballInstance", "primitive": "instance", "entity": "ball", "matrix": identity},
+        {"id": "solidInstance", "primitive": "instance", "entity": "solid", "matrix": identity},
+        {"id": "layer", "primitive": "layer", "color": "green", "elements": ["ballInstance", "solidInstance"]}
+    ];
+    var partialCount = -1;
+    delayed.builder.convert(data, {
+        onProgress: function (results, fraction) {
+            if (fraction < 1) {
+                partialCount = results.getObjectMap().solidInstance.children.length;
+                t.equal(results.getObjectMap().ballInstance.children.length, 1, 'Should deliver the sphere first');
+                setTimeout(delayed.finish);
+            }
+        }
+    }).then(function (result) {
+        t.equal(partialCount, 0, 'Should link the scene before breps arrive');
+        var ballMesh = result.getObjectMap().ballInstance.children[0];
+        var solidMesh = result.getObjectMap().solidInstance.children[0];
+        t.equal(solidMesh.type, 'Mesh', 'Should stream the brep into its instance');
+        t.deepEqual(solidMesh.material.color, ballMesh.material.color, 'Should apply the layer color');
+        t.end();
+    }).catch(printError(t));
+});
+
+test('cancel geometry conversion', function (t) {
+    var index = require('../build/index-test.common.js');
+    var cancelBuilder = new GeometryBuilder();
+    cancelBuilder.setTessellationCache(null);
+    var provider = new index.TessellationProvider();
+    var providerSignal = null;
+    provider.tessellate = function (breps, quality, signal) {
+        providerSignal = signal;
+        return new Promise(function () {});
+    };
+    cancelBuilder.setTessellationProvider(provider);
+    var controller = new AbortController();
+    var disposed = 0;
+    cancelBuilder.convert([sphereQuery, stlQuery], false, {
+        signal: controller.signal,
+        onProgress: function (results, newObjects) {
+            newObjects.forEach(function (object) {
+                object.geometry.addEventListener('dispose', function () {
+                    disposed++;
+                });
+            });
+        }
+    }).then(function () {
+        t.fail('Should not resolve');
+        t.end();
+    }).catch(function (err) {
+        t.equal(err.name, 'FluxCancelError', 'Should reject with a cancel error');
+        t.ok(err instanceof index.FluxCancelError, 'Should be a FluxCancelError');
+        t.equal(providerSignal, controller.signal, 'Should pass the signal to the provider');
+        t.equal(disposed, 1, 'Should dispose the geometry built so far');
+        t.end();
+    });
+    setTimeout(function () {
+        controller.abort();
+    });
+});
+
+test('cancel scene conversion', function (t) {
+    var index = require('../build/index-test.common.js');
+    var delayed = _createDelayedBuilder();
+    var controller = new AbortController();
+    var reports = 0;
+    delayed.builder.convert([sphereQuery, stlQuery], {
+        signal: controller.signal,
+        onProgress: function () {
+            reports++;
+            controller.abort();
+        }
+    }).then(function () {
+        t.fail('Should not resolve');
+    }).catch(function (err) {
+        t.ok(err instanceof index.FluxCancelError, 'Should reject with a cancel error');
+        t.equal(reports, 1, 'Should not report results after cancelling');
+        return delayed.builder.convert(sphereQuery, {signal: controller.signal});
+    }).then(function () {
+        t.fail('Should not resolve');
+    }).catch(function (err) {
+        t.ok(err instanceof index.FluxCancelError, 'Should reject when already cancelled');
+        t.end();
+    });
+});
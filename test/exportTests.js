@@ -0,0 +1,162 @@
+'use strict';
+
+var test = require('tape-catch');
+var THREE = require('three');
+var index = require('../build/index-test.common.js');
+var SceneBuilder = index.SceneBuilder;
+var builder = new SceneBuilder();
+var printError = require('./printError.js').init('export');
+
+/**
+ * Get a copy of a scene that can be modified without affecting other tests
+ *
+ * @param  {String} name The file name without extension
+ * @return {Object}      Flux JSON scene
+ */
+function _getScene(name) {
+    return JSON.parse(JSON.stringify(require('./data/scene/'+name+'.json')));
+}
+
+/**
+ * Find the nodes that correspond to a scene element primitive
+ * @param  {Object} json      glTF JSON
+ * @param  {String} primitive The primitive name
+ * @return {Array}            List of nodes
+ */
+function _findNodes(json, primitive) {
+    return json.nodes.filter(function (node) {
+        return node.extras && node.extras.primitive === primitive;
+    });
+}
+
+test('export scene to glTF', function (t) {
+    builder.convert(_getScene('basicScene')).then(function (result) {
+        var gltf = index.toGLTF(result);
+        var json = gltf.json;
+        t.equal(json.asset.version, '2.0', 'Should be glTF 2.0');
+        t.equal(json.scenes[0].nodes.length, 1, 'Should have one root node');
+        var instances = _findNodes(json, 'instance');
+        t.equal(instances.length, 3, 'Should keep the instances');
+        t.ok(instances.every(function (node) {
+            return node.extras.id.indexOf('bush') === 0;
+        }), 'Should store the element ids');
+        t.equal(instances[0].matrix[12], -20, 'Should keep the instance matrix');
+        t.equal(_findNodes(json, 'layer')[0].children.length, 3, 'Should keep the hierarchy');
+        var primitive = json.meshes[0].primitives[0];
+        t.ok(json.meshes.every(function (mesh) {
+            return mesh.primitives[0].attributes.POSITION === primitive.attributes.POSITION;
+        }), 'Should share the geometry between instances');
+        var position = json.accessors[primitive.attributes.POSITION];
+        t.equal(position.type, 'VEC3', 'Should write positions');
+        t.ok(position.min && position.max, 'Should write position bounds');
+        t.ok(primitive.attributes.COLOR_0 != null, 'Should write vertex colors');
+        var material = json.materials[primitive.material];
+        t.ok(material.pbrMetallicRoughness.roughnessFactor != null, 'Should write roughness');
+        t.equal(json.buffers[0].uri, 'scene.bin', 'Should reference the binary buffer');
+        t.equal(json.buffers[0].byteLength, gltf.buffer.byteLength, 'Should have the buffer length');
+        var lastView = json.bufferViews[json.bufferViews.length-1];
+        t.ok(lastView.byteOffset + lastView.byteLength <= gltf.buffer.byteLength, 'Should fit views in the buffer');
+        t.end();
+    }).catch(printError(t));
+});
+
+test('export instanced meshes to glTF', function (t) {
+    var instanceBuilder = new SceneBuilder();
+    instanceBuilder.setAllowInstancing(true);
+    instanceBuilder.convert(_getScene('basicScene')).then(function (result) {
+        result.setElementVisible('bush3', false);
+        var json = index.toGLTF(result).json;
+        var instances = _findNodes(json, 'instance');
+        t.equal(instances.length, 3, 'Should keep the instances');
+        t.ok(instances.every(function (node) {
+            return node.children.length === 1 && json.nodes[node.children[0]].mesh != null;
+        }), 'Should write a mesh for each copy');
+        t.deepEqual(json.nodes[instances[0].children[0]].matrix.slice(12, 15), [0, 0, 10],
+            'Should place copies relative to their instances');
+        t.equal(instances[0].matrix[12], -20, 'Should keep the instance matrix');
+        t.equal(json.nodes[instances[2].children[0]].extras.visible, false, 'Should keep hidden copies hidden');
+        t.equal(_findNodes(json, 'layer')[0].children.length, 3, 'Should not write the instanced mesh');
+        t.equal(json.meshes.length, 1, 'Should share the geometry between copies');
+        t.end();
+    }).catch(printError(t));
+});
+
+test('export non rigid instance matrix', function (t) {
+    builder.convert(_getScene('nonRigidBox')).then(function (result) {
+        var json = index.toGLTF(result).json;
+        var instance = _findNodes(json, 'instance')[0];
+        t.ok(json.nodes.every(function (node) {
+            return !node.matrix || node.matrix.every(function (value, i) {
+                return i >= 12 || value === (i % 5 === 0 ? 1 : 0);
+            });
+        }), 'Should only write the translation of sheared matrices');
+        var meshNode = json.nodes[instance.children[0]];
+        var accessor = json.accessors[json.meshes[meshNode.mesh].primitives[0].attributes.POSITION];
+        var offset = new THREE.Vector3().fromArray(instance.matrix, 12);
+        if (meshNode.matrix) {
+            offset.add(new THREE.Vector3().fromArray(meshNode.matrix, 12));
+        }
+        result.getObject().updateMatrixWorld(true);
+        var box = new THREE.Box3().setFromObject(result.getObject().getObjectByName(instance.name));
+        t.ok(new THREE.Vector3().fromArray(accessor.min).add(offset).distanceTo(box.min) < 0.001 &&
+            new THREE.Vector3().fromArray(accessor.max).add(offset).distanceTo(box.max) < 0.001,
+            'Should bake the shear into the geometry');
+        t.end();
+    }).catch(printError(t));
+});
+
+test('export wide lines to glTF as lines', function (t) {
+    var props = {"linewidth":4,"dashSize":1,"color":"red"};
+    var scene = [
+        {"id":"lines","primitive":"geometryList","entities":[
+            {"attributes":{"materialProperties":props},"points":[[0,0,0],[3,0,0],[3,4,0]],"primitive":"polyline"},
+            {"attributes":{"materialProperties":props},"start":[0,0,1],"end":[0,2,1],"primitive":"line"}]},
+        {"id":"lines1","primitive":"instance","entity":"lines"},
+        {"id":"layer","primitive":"layer","elements":["lines1"]}];
+    builder.convert(scene).then(function (result) {
+        var json = index.toGLTF(result).json;
+        t.equal(json.meshes.length, 1, 'Should write the merged lines once');
+        var primitive = json.meshes[0].primitives[0];
+        t.equal(primitive.mode, 1, 'Should write line segments');
+        var position = json.accessors[primitive.attributes.POSITION];
+        t.equal(position.count, 6, 'Should write the ends of each segment');
+        t.deepEqual([position.min, position.max], [[0,0,0], [3,4,1]], 'Should write the line points');
+        t.ok(primitive.attributes.COLOR_0 != null, 'Should write the line colors');
+        t.end();
+    }).catch(printError(t));
+});
+
+test('export textures, cameras and lights to glTF', function (t) {
+    builder.convert(_getScene('textureMeshScene')).then(function (result) {
+        var json = index.toGLTF(result, {embedBuffer: true}).json;
+        t.equal(json.images.length, 1, 'Should write the image');
+        var textureInfo = json.materials[0].pbrMetallicRoughness.baseColorTexture;
+        t.equal(textureInfo.index, 0, 'Should reference the texture');
+        t.deepEqual(textureInfo.extensions.KHR_texture_transform.scale, [2, 2], 'Should write the texture scale');
+        t.equal(json.samplers[0].wrapS, 10497, 'Should repeat');
+        t.ok(json.buffers[0].uri.indexOf('data:application/octet-stream;base64,') === 0, 'Should embed the buffer');
+        return builder.convert(_getScene('cameraLightBox'));
+    }).then(function (result) {
+        var json = index.toGLTF(result).json;
+        t.equal(json.cameras[0].type, 'perspective', 'Should write the camera');
+        t.equal(json.extensions.KHR_lights_punctual.lights[0].type, 'spot', 'Should write the light');
+        t.ok(json.extensionsUsed.indexOf('KHR_lights_punctual') !== -1, 'Should declare the light extension');
+        t.end();
+    }).catch(printError(t));
+});
+
+test('export scene to GLB', function (t) {
+    builder.convert(_getScene('basicScene')).then(function (result) {
+        var glb = index.toGLTF(result, {binary: true});
+        var view = new DataView(glb);
+        t.equal(view.getUint32(0, true), 0x46546C67, 'Should have the magic number');
+        t.equal(view.getUint32(4, true), 2, 'Should be version 2');
+        t.equal(view.getUint32(8, true), glb.byteLength, 'Should have the total length');
+        var jsonLength = view.getUint32(12, true);
+        var jsonText = Buffer.from(glb, 20, jsonLength).toString('utf8');
+        var json = JSON.parse(jsonText);
+        t.equal(json.buffers[0].uri, undefined, 'Should use the embedded buffer');
+        t.equal(view.getUint32(20 + jsonLength, true), json.buffers[0].byteLength, 'Should have the binary chunk');
+        t.end();
+    }).catch(printError(t));
+});
@@ -350,3 +350,456 @@ test('Mesh and surface', function (t) {
         t.end();
     }).catch(printError(t));
 });
+
+/**
+ * Get the largest distance from the middle of a line segment to a circle at the origin
+ * @param  {THREE.Line} line    The line
+ * @param  {Number} radius      The radius of the circle
+ * @return {Number}             The distance
+ */
+function maxChordDeviation(line, radius) {
+    var pAttr = line.geometry.attributes.position.array;
+    var a = new THREE.Vector3();
+    var b = new THREE.Vector3();
+    var max = 0;
+    for (var i=0; i<pAttr.length-3; i+=3) {
+        a.fromArray(pAttr, i);
+        b.fromArray(pAttr, i+3);
+        max = Math.max(max, radius - a.add(b).multiplyScalar(0.5).length());
+    }
+    return max;
+}
+
+test('should tessellate curves to a chord deviation', function (t) {
+    var toleranceBuilder = new SceneBuilder();
+    var big = {"origin":[0,0,0],"primitive":"circle","radius":1000};
+    var small = {"origin":[0,0,0],"primitive":"circle","radius":0.001};
+    var counts = [];
+    toleranceBuilder.convert(big).then(function (result) {
+        counts.push(result.getObject().children[0].geometry.attributes.position.count);
+        return toleranceBuilder.convert(small);
+    }).then(function (result) {
+        counts.push(result.getObject().children[0].geometry.attributes.position.count);
+        t.equal(counts[0], counts[1], 'Relative deviation does not depend on size');
+        toleranceBuilder.setCurveTolerance({chordDeviation: 0.01});
+        return toleranceBuilder.convert(big);
+    }).then(function (result) {
+        var line = result.getObject().children[0];
+        t.ok(line.geometry.attributes.position.count > counts[0], 'Large circle gets more points');
+        // Allow for the precision of the float positions
+        t.ok(maxChordDeviation(line, 1000) < 0.0101, 'Segments are within the deviation');
+        return toleranceBuilder.convert(small);
+    }).then(function (result) {
+        t.equal(result.getObject().children[0].geometry.attributes.position.count, counts[1],
+            'Small circle keeps the relative deviation');
+        t.end();
+    }).catch(printError(t));
+});
+
+test('should tessellate curves relative to the model', function (t) {
+    var toleranceBuilder = new SceneBuilder();
+    var defaultBuilder = new SceneBuilder();
+    var big = {"origin":[0,0,0],"primitive":"circle","radius":1000};
+    var small = {"origin":[0,0,0],"primitive":"circle","radius":1};
+    var count;
+    toleranceBuilder.setCurveTolerance({maxAngle: null});
+    toleranceBuilder.convert(small).then(function (result) {
+        count = result.getObject().children[0].geometry.attributes.position.count;
+        return toleranceBuilder.convert([big, small]);
+    }).then(function (result) {
+        var counts = result.getObject().children.map(function (line) {
+            return line.geometry.attributes.position.count;
+        });
+        t.equal(counts[0], count, 'Large circle gets the points of a circle its size');
+        t.ok(counts[1] < count, 'Small circle gets the deviation of the whole model');
+        return defaultBuilder.convert(small);
+    }).then(function (result) {
+        t.ok(result.getObject().children[0].geometry.attributes.position.count > count,
+            'Settings of other builders are not used');
+        t.end();
+    }).catch(printError(t));
+});
+
+test('should tessellate curves to a maximum angle', function (t) {
+    var toleranceBuilder = new SceneBuilder();
+    var data = [{"controlPoints":[[0,0,0],[20,0,0],[20,20,0],[0,20,0]],"degree":3,"knots":[0,0,0,1,2,3,3,3],"primitive":"curve"},
+        {"origin":[0,0,0],"primitive":"ellipse","majorRadius":10,"minorRadius":2}];
+    var counts;
+    toleranceBuilder.setCurveTolerance({relativeChordDeviation: null, maxAngle: Math.PI / 8});
+    toleranceBuilder.convert(data).then(function (result) {
+        counts = result.getObject().children.map(function (line) {
+            return line.geometry.attributes.position.count;
+        });
+        toleranceBuilder.setCurveTolerance({relativeChordDeviation: null, maxAngle: Math.PI / 32});
+        return toleranceBuilder.convert(data);
+    }).then(function (result) {
+        var lines = result.getObject().children;
+        t.ok(lines[0].geometry.attributes.position.count > counts[0], 'Curve gets more points');
+        t.equal(lines[1].geometry.attributes.position.count, 65, 'Ellipse turns evenly');
+        toleranceBuilder.setCurveTolerance({maxSegments: 10});
+        return toleranceBuilder.convert(data);
+    }).then(function (result) {
+        result.getObject().children.forEach(function (line) {
+            t.ok(line.geometry.attributes.position.count <= 11, 'Limits the number of segments');
+        });
+        t.end();
+    }).catch(printError(t));
+});
+
+/**
+ * Compute the volume enclosed by non indexed triangles
+ * @param  {THREE.BufferGeometry} geom The geometry
+ * @return {Number}                    The signed volume, positive when the triangles face out
+ */
+function enclosedVolume(geom) {
+    var pAttr = geom.attributes.position.array;
+    var a = new THREE.Vector3();
+    var b = new THREE.Vector3();
+    var c = new THREE.Vector3();
+    var volume = 0;
+    for (var i=0; i<pAttr.length; i+=9) {
+        a.fromArray(pAttr, i);
+        b.fromArray(pAttr, i+3);
+        c.fromArray(pAttr, i+6);
+        volume += a.dot(b.cross(c)) / 6;
+    }
+    return volume;
+}
+
+var analyticSolids = [
+    {"entity": {"primitive":"cylinder","origin":[0,0,0],"radius":1,"height":2},
+        "volume": 2*Math.PI, "max": [1,1,2]},
+    {"entity": {"primitive":"cylinder","origin":[0,0,0],"radius":1,"height":2,"angle":90},
+        "volume": Math.PI/2, "max": [1,1,2]},
+    {"entity": {"primitive":"cone","origin":[0,0,0],"radius":2,"topRadius":1,"height":3},
+        "volume": 7*Math.PI, "max": [2,2,3]},
+    {"entity": {"primitive":"torus","origin":[0,0,0],"majorRadius":3,"minorRadius":1,"angle":180},
+        "volume": 3*Math.PI*Math.PI, "max": [4,4,1]},
+    {"entity": {"primitive":"capsule","origin":[0,0,0],"radius":1,"height":2},
+        "volume": 10*Math.PI/3, "max": [1,1,3]},
+    {"entity": {"primitive":"cylinder","origin":[1,2,3],"axis":[1,0,0],"radius":1,"height":2},
+        "volume": 2*Math.PI, "max": [3,3,4]}
+];
+analyticSolids.forEach(function (elem) {
+    test('should create a '+elem.entity.primitive+' as a closed solid', function (t) {
+        builder2.convert(elem.entity).then(function (result) {
+            t.equal(result.getErrorSummary(), '', 'No errors');
+            var mesh = result.getObject().children[0];
+            t.ok(Math.abs(enclosedVolume(mesh.geometry) - elem.volume) < elem.volume*0.02, 'Encloses the volume');
+            mesh.updateMatrixWorld();
+            var box = new THREE.Box3().setFromObject(mesh);
+            t.ok(box.max.distanceTo(new THREE.Vector3().fromArray(elem.max)) < 0.001, 'Placed along the axis');
+            t.end();
+        }).catch(printError(t));
+    });
+});
+
+test('should create open cylinders and report invalid cones', function (t) {
+    builder2.convert({"primitive":"cylinder","origin":[0,0,0],"radius":1,"height":2,"capped":false}).then(function (result) {
+        var pAttr = result.getObject().children[0].geometry.attributes.position.array;
+        var onSide = true;
+        for (var i=0; i<pAttr.length; i+=3) {
+            onSide = onSide && Math.abs(Math.sqrt(pAttr[i]*pAttr[i] + pAttr[i+1]*pAttr[i+1]) - 1) < 0.0001;
+        }
+        t.ok(onSide, 'Has no caps');
+        return builder2.convert({"primitive":"cone","origin":[0,0,0],"radius":1});
+    }).then(function (result) {
+        t.ok(result.getErrorSummary().indexOf('Cone is missing') !== -1, 'Reports the missing height');
+        t.end();
+    }).catch(printError(t));
+});
+
+test('should prep solids that are not in the schema', function (t) {
+    var tube = {"id":"tube","primitive":"cylinder","origin":[0,0,0],"radius":1,"height":2,"angle":null,
+        "units":{"radius":"inches"},"materialProperties":{"roughness":"very"}};
+    var sceneBuilder = new SceneBuilder();
+    sceneBuilder.convert([[tube]]).then(function (result) {
+        t.ok(result.getErrorSummary().indexOf('materialProperties') !== -1, 'Checks material properties');
+        var geometry = result.getObject().children[0].geometry;
+        geometry.computeBoundingBox();
+        t.ok(Math.abs(geometry.boundingBox.max.x - 0.0254) < TOLERANCE, 'Converts units to meters');
+        return sceneBuilder.convert([tube,
+            {"id":"list","primitive":"geometryList","entities":[{"primitive":"torus","origin":[0,0,0],"majorRadius":3,"minorRadius":1}]},
+            {"id":"a","primitive":"instance","entity":"tube"},
+            {"id":"b","primitive":"instance","entity":"list"},
+            {"id":"layer","primitive":"layer","elements":["a","b"]}]);
+    }).then(function (result) {
+        t.equal(result.getErrorSummary().indexOf('scene'), -1, 'Scene is valid');
+        var map = result.getObjectMap();
+        t.equal(map.a.children.length, 1, 'Instances solids');
+        t.equal(map.b.children.length, 1, 'Keeps solids in geometry lists');
+        t.end();
+    }).catch(printError(t));
+});
+
+test('should check solids that are not in the schema on their own', function (t) {
+    var sceneBuilder = new SceneBuilder();
+    sceneBuilder.convert([
+        {"id":"list","primitive":"geometryList","entities":[
+            {"primitive":"torus","origin":[0,0,0],"majorRadius":300,"minorRadius":100,
+                "units":{"majorRadius":"cm","minorRadius":"cm"},"materialProperties":{"color":"red"}},
+            {"primitive":"cone","origin":[0,0,0],"radius":"wide","height":2}]},
+        {"id":"a","primitive":"instance","entity":"list"},
+        {"id":"layer","primitive":"layer","elements":["a"]}]).then(function (result) {
+        t.ok(result.getErrorSummary().indexOf('radius should be a number') !== -1, 'Reports invalid properties');
+        var instance = result.getObjectMap().a;
+        t.equal(instance.children.length, 1, 'Removes invalid solids');
+        var mesh = instance.children[0];
+        mesh.geometry.computeBoundingBox();
+        t.ok(Math.abs(mesh.geometry.boundingBox.max.x - 4) < TOLERANCE, 'Converts units to meters');
+        t.deepEqual(mesh.userData.data.materialProperties.color, [1, 0, 0], 'Converts colors');
+        t.end();
+    }).catch(printError(t));
+});
+
+test('should triangulate concave mesh faces and faces with holes', function (t) {
+    var concave = {"primitive":"mesh",
+        "vertices":[[2,1,0],[1,1,0],[1,2,0],[0,2,0],[0,0,0],[2,0,0]],
+        "faces":[[0,1,2,3,4,5]]};
+    var holed = {"primitive":"mesh",
+        "vertices":[[0,0,0],[3,0,0],[3,3,0.01],[0,3,0],[1,1,0],[2,1,0],[2,2,0],[1,2,0]],
+        "faces":[[[0,1,2,3],[4,5,6,7]],[0,1,1],[0,1,9]],
+        "color":[[1,0,0],[0,1,0],[0,0,1]]};
+    builder2.convert([concave, holed]).then(function (result) {
+        t.ok(result.getErrorSummary().indexOf('2 degenerate faces') !== -1, 'Reports degenerate faces');
+        var children = result.getObject().children;
+        t.equal(children.length, 2, 'Creates both meshes');
+        var areas = children.map(function (child) {
+            var pAttr = child.geometry.attributes.position.array;
+            var a = new THREE.Vector3();
+            var b = new THREE.Vector3();
+            var c = new THREE.Vector3();
+            var area = 0;
+            var facesUp = true;
+            for (var i=0; i<pAttr.length; i+=9) {
+                a.fromArray(pAttr, i);
+                b.fromArray(pAttr, i+3).sub(a);
+                c.fromArray(pAttr, i+6).sub(a);
+                var normal = b.cross(c);
+                facesUp = facesUp && normal.z > 0;
+                area += normal.length() / 2;
+            }
+            t.ok(facesUp, 'Keeps the winding of the face');
+            return area;
+        });
+        t.ok(Math.abs(areas[0] - 3) < 0.001, 'Fills the concave face');
+        t.ok(Math.abs(areas[1] - 8) < 0.01, 'Leaves out the hole');
+        var colors = children[1].geometry.attributes.color.array;
+        t.deepEqual([colors[0], colors[1], colors[2]], [1, 0, 0], 'Applies the color of the face');
+        t.deepEqual(concave.faces, [[0,1,2,3,4,5]], 'Does not change the input');
+        t.end();
+    }).catch(printError(t));
+});
+
+/**
+ * Make a binary STL file with a default color in the header
+ * @param  {Array} triangles    Triangles as lists of three points
+ * @param  {Array} faceColors   Color of each face as 5 bit channels, or null for the default
+ * @return {ArrayBuffer}        The file
+ */
+function binaryStl(triangles, faceColors) {
+    var buffer = new ArrayBuffer(84 + triangles.length * 50);
+    var view = new DataView(buffer);
+    var header = 'COLOR=';
+    for (var i=0;i<header.length;i++) {
+        view.setUint8(i, header.charCodeAt(i));
+    }
+    view.setUint32(6, 0xFF0000FF); // red, opaque
+    view.setUint32(80, triangles.length, true);
+    triangles.forEach(function (triangle, f) {
+        var start = 84 + f * 50;
+        triangle.forEach(function (point, p) {
+            point.forEach(function (value, c) {
+                view.setFloat32(start + 12 + p * 12 + c * 4, value, true);
+            });
+        });
+        var color = faceColors[f];
+        view.setUint16(start + 48, color ? color[0] | color[1] << 5 | color[2] << 10 : 0x8000, true);
+    });
+    return buffer;
+}
+
+test('should create binary stl with colors', function (t) {
+    var stl = binaryStl([[[0,0,0],[1,0,0],[0,1,0]], [[1,0,0],[1,1,0],[0,1,0]]], [null, [0,31,0]]);
+    var base64 = Buffer.from(stl).toString('base64');
+    builder2.convert([{"primitive":"stl","data":base64}, {"primitive":"stl","data":stl}]).then(function (result) {
+        t.equal(result.getErrorSummary(), '', 'No errors');
+        var children = result.getObject().children;
+        t.equal(children.length, 2, 'Reads base64 and array buffers');
+        var geom = children[0].geometry;
+        t.equal(geom.attributes.position.count, 6, 'Has the triangles');
+        var colors = Array.from(geom.attributes.color.array);
+        t.deepEqual(colors.slice(0, 3), [1, 0, 0], 'Uses the header color');
+        t.deepEqual(colors.slice(-3), [0, 1, 0], 'Uses the face color');
+        t.deepEqual(Array.from(children[1].geometry.attributes.color.array), colors, 'Same for both inputs');
+        t.end();
+    }).catch(printError(t));
+});
+
+test('should create translucent binary stl from base64', function (t) {
+    var stl = binaryStl([[[0,0,0],[1,0,0],[0,1,0]]], [null]);
+    new DataView(stl).setUint32(6, 0xFF000080); // red, half opaque
+    builder2.convert({"primitive":"stl","data":Buffer.from(stl).toString('base64')}).then(function (result) {
+        t.equal(result.getErrorSummary(), '', 'No errors');
+        var mesh = result.getObject().children[0];
+        t.equal(mesh.geometry.attributes.position.count, 3, 'Decodes the file');
+        t.ok(Math.abs(mesh.material.opacity - 128 / 255) < 0.001 && mesh.material.transparent,
+            'Uses the header alpha');
+        t.end();
+    }).catch(printError(t));
+});
+
+test('should create obj parts with mtl materials', function (t) {
+    var obj = 'mtllib parts.mtl\no part\nv 0 0 0\nv 1 0 0\nv 1 1 0\nv 0 1 0\n' +
+        'usemtl red\nf 1 2 3\nusemtl glass\nf 1 3 4\ng plain\nusemtl other\nf 1 2 4\n';
+    var mtl = 'newmtl red\nKd 1 0 0\nnewmtl glass\nKd 0 0 1\nd 0.25\n';
+    builder2.convert({"primitive":"obj","data":obj,"mtl":mtl,"materialProperties":{"color":[0,1,0]}}).then(function (result) {
+        t.equal(result.getErrorSummary(), '', 'No errors');
+        var parts = result.getObject().children[0].children;
+        t.deepEqual(parts.map(function (part) { return part.name; }), ['part', 'part', 'plain'], 'Has a part per material and group');
+        var colors = parts.map(function (part) {
+            return Array.from(part.geometry.attributes.color.array.slice(0, 3));
+        });
+        t.deepEqual(colors, [[1,0,0], [0,0,1], [0,1,0]], 'Uses the mtl colors and falls back to the entity color');
+        t.ok(Math.abs(parts[1].material.opacity - 0.25) < 0.001 && parts[1].material.transparent, 'Uses the mtl transparency');
+        t.ok(parts[2].geometry.attributes.normal, 'Computes normals');
+        t.end();
+    }).catch(printError(t));
+});
+
+test('should create ply meshes and point clouds', function (t) {
+    var asciiPly = 'ply\nformat ascii 1.0\nelement vertex 4\n' +
+        'property float x\nproperty float y\nproperty float z\n' +
+        'property uchar red\nproperty uchar green\nproperty uchar blue\nproperty float intensity\n' +
+        'element face 1\nproperty list uchar int vertex_indices\nend_header\n' +
+        '0 0 0 255 0 0 0.5\n2 0 0 0 255 0 0.5\n2 1 0 0 0 255 0.5\n0 1 0 255 255 255 0.5\n4 0 1 2 3\n';
+    var header = 'ply\nformat binary_big_endian 1.0\nelement vertex 2\n' +
+        'property float x\nproperty float y\nproperty float z\nproperty ushort label\nend_header\n';
+    var binaryPly = Buffer.alloc(header.length + 2 * 14);
+    binaryPly.write(header, 0, 'latin1');
+    [[1,2,3,7], [4,5,6,9]].forEach(function (point, i) {
+        var start = header.length + i * 14;
+        binaryPly.writeFloatBE(point[0], start);
+        binaryPly.writeFloatBE(point[1], start + 4);
+        binaryPly.writeFloatBE(point[2], start + 8);
+        binaryPly.writeUInt16BE(point[3], start + 12);
+    });
+    builder2.convert([{"primitive":"ply","data":asciiPly},
+        {"primitive":"ply","data":binaryPly.toString('base64'),"materialProperties":{"pointSize":0.5}}]).then(function (result) {
+        t.equal(result.getErrorSummary(), '', 'No errors');
+        var children = result.getObject().children;
+        var geom = children[0].geometry;
+        t.equal(geom.attributes.position.count, 6, 'Triangulates the faces');
+        t.deepEqual(Array.from(geom.attributes.color.array.slice(0, 6)), [1,0,0, 0,1,0], 'Has vertex colors');
+        t.deepEqual(Array.from(geom.attributes.intensity.array), [0.5,0.5,0.5,0.5,0.5,0.5], 'Has custom properties');
+        var points = children[1].children[0];
+        t.equal(points.type, 'Points', 'Creates a point cloud without faces');
+        t.deepEqual(Array.from(points.geometry.attributes.size.array), [0.5, 0.5], 'Uses the point size');
+        t.deepEqual(Array.from(points.geometry.attributes.position.array), [1,2,3, 4,5,6], 'Reads big endian data');
+        t.deepEqual(Array.from(points.geometry.attributes.label.array), [7, 9], 'Reads integer properties');
+        t.end();
+    }).catch(printError(t));
+});
+
+test('should draw points with their own size, shape and id', function (t) {
+    builder2.convert([{"primitive":"point","point":[0,0,0],"id":"a","materialProperties":{"pointSize":2}},
+        {"primitive":"point","point":[1,0,0],"id":"b","materialProperties":{"pointShape":"circle"}},
+        {"primitive":"point","point":[2,0,0],"id":"c","materialProperties":{"pointSize":3}}]).then(function (result) {
+        var clouds = result.getObject().children;
+        t.equal(clouds.length, 2, 'Has a cloud for each shape');
+        var square = clouds[0].children[0];
+        var circle = clouds[1].children[0];
+        t.deepEqual(Array.from(square.geometry.attributes.size.array), [2, 3], 'Has a size per point');
+        t.equal(square.material.uniforms.shape.value, 0, 'Draws squares');
+        t.equal(circle.material.uniforms.shape.value, 1, 'Draws circles');
+        t.deepEqual(index.getPickedPoint({object: square, index: 1}), {index: 1, id: 'c'}, 'Picks points by id');
+        t.end();
+    }).catch(printError(t));
+});
+
+test('should reject ply data without a header', function (t) {
+    var data = Buffer.alloc(1000000, '\n').toString('base64');
+    var start = Date.now();
+    builder2.convert([{"primitive":"ply","data":data}, {"primitive":"ply","data":'ply\nformat ascii 1.0\n1 2 3\n'}]).then(function (result) {
+        t.ok(Date.now() - start < 1000, 'Stops reading at the first line');
+        t.ok(result.getErrorSummary().indexOf('PLY data is missing its header.') !== -1, 'Reports the missing header');
+        t.equal(result.getObject(), null, 'Builds nothing');
+        t.end();
+    }).catch(printError(t));
+});
+
+test('should limit the points drawn for a camera', function (t) {
+    var count = 40000;
+    var header = 'ply\nformat binary_little_endian 1.0\nelement vertex ' + count + '\n' +
+        'property float x\nproperty float y\nproperty float z\nend_header\n';
+    var ply = Buffer.alloc(header.length + count * 12);
+    ply.write(header, 0, 'latin1');
+    for (var i=0;i<count;i++) {
+        // Points evenly spread through a cube
+        ply.writeFloatLE(i % 20, header.length + i * 12);
+        ply.writeFloatLE(Math.floor(i / 20) % 40, header.length + i * 12 + 4);
+        ply.writeFloatLE(Math.floor(i / 800), header.length + i * 12 + 8);
+    }
+    builder2.convert({"primitive":"ply","data":ply.buffer}).then(function (result) {
+        var cloud = result.getObject().children[0];
+        t.ok(cloud.children.length > 1, 'Splits the points into nodes');
+        var camera = new THREE.PerspectiveCamera(45, 1, 0.1, 1000);
+        camera.position.set(10, 20, 200);
+        camera.lookAt(new THREE.Vector3(10, 20, 25));
+        t.equal(index.updatePointClouds(cloud, camera, 500), count, 'Draws all the points within the budget');
+        var shown = index.updatePointClouds(cloud, camera, 500, 20000);
+        var drawn = cloud.children.filter(function (node) {
+            return node.visible;
+        });
+        t.ok(shown > 0 && shown <= 20000, 'Draws fewer points than the budget');
+        t.equal(drawn.reduce(function (sum, node) {
+            return sum + node.geometry.attributes.position.count;
+        }, 0), shown, 'Returns the number of points drawn');
+        t.ok(drawn.every(function (node) {
+            return node.userData.octree.parent === -1 || cloud.children[node.userData.octree.parent].visible;
+        }), 'Draws the parents of drawn nodes');
+        t.equal(drawn[0].material.uniforms.scale.value, 250, 'Scales points to the viewport');
+        camera.lookAt(new THREE.Vector3(10, 20, 400));
+        t.equal(index.updatePointClouds(cloud, camera, 500), 0, 'Skips points out of view');
+        t.end();
+    }).catch(printError(t));
+});
+
+test('should create off meshes with face colors', function (t) {
+    var off = 'OFF\n# square\n4 2 0\n0 0 0\n1 0 0\n1 1 0\n0 1 0\n3 0 1 2 255 0 0\n3 0 2 3 0 0 255\n';
+    builder2.convert({"primitive":"off","data":off}).then(function (result) {
+        t.equal(result.getErrorSummary(), '', 'No errors');
+        var colors = Array.from(result.getObject().children[0].geometry.attributes.color.array);
+        t.deepEqual([colors.slice(0, 3), colors.slice(-3)], [[1,0,0], [0,0,1]], 'Has face colors');
+        return builder2.convert({"primitive":"off","data":"OFF\n3 1 0\n0 0 0\n"});
+    }).then(function (result) {
+        t.ok(result.getErrorSummary().indexOf('missing vertices') !== -1, 'Reports incomplete files');
+        t.end();
+    }).catch(printError(t));
+});
+
+test('should create dimensions with measured text in the annotation layer', function (t) {
+    builder2.convert([
+        {"primitive":"linearDimension","start":[0,0,0],"end":[3,4,0],"units":{"start":"feet","end":"feet"},"displayUnits":"in","precision":1},
+        {"primitive":"angularDimension","center":[0,0,0],"start":[1,0,0],"end":[0,1,0],"text":"<> max","precision":0},
+        {"primitive":"leader","points":[[0,0,0],[1,1,0]],"text":"Note"},
+        {"primitive":"radialDimension","center":[0,0,0],"point":[0,0,0]}
+    ]).then(function (result) {
+        t.ok(result.getErrorSummary().indexOf('radius zero') !== -1, 'Reports invalid dimensions');
+        var dimensions = result.getObject().children;
+        t.equal(dimensions.length, 3, 'Has the valid annotations');
+        // Two extension lines, the dimension line and two arrowheads
+        t.equal(dimensions[0].children[0].geometry.attributes.position.count, 14, 'Has lines and arrowheads');
+        var labels = dimensions.map(function (dimension) {
+            return dimension.children[1].geometry.attributes.position.count / 4;
+        });
+        // Spaces have no glyph, so the text is '36.0 in', '90° max' and 'Note'
+        t.deepEqual(labels, [6, 6, 4], 'Has a glyph for each character of the measured text');
+        var layers = [];
+        result.getObject().traverse(function (child) {
+            if (child.geometry) layers.push(child.layers.test({mask: 1 << index.ANNOTATION_LAYER}));
+        });
+        t.deepEqual(layers, [true, true, true, true, true, true], 'Is in the annotation layer');
+        t.end();
+    }).catch(printError(t));
+});
@@ -109,14 +109,43 @@ test('should pass through line properties', function (t) {
     }).catch(printError(t));
 });
 
+test('should merge wide and dashed lines', function (t) {
+    var props = {"linewidth":4,"dashSize":1,"gapSize":0.5};
+    var lines = [
+        {"attributes":{"materialProperties":Object.assign({"color":"red"}, props)},"points":[[0,0,0],[3,0,0],[3,4,0]],"primitive":"polyline"},
+        {"attributes":{"materialProperties":Object.assign({"color":"blue"}, props)},"start":[0,0,1],"end":[0,2,1],"primitive":"line"},
+        {"attributes":{"materialProperties":{"linewidth":0.5,"lineWidthUnits":"world"}},"start":[0,0,0],"end":[1,0,0],"primitive":"line"}];
+    builder.convert(lines).then(function (result) {
+        var children = result.getObject().children;
+        t.equal(children.length, 2, 'Merges lines with the same properties');
+        var merged = children[0];
+        var geom = merged.geometry;
+        t.equal(merged.type, 'Mesh', 'Draws triangles');
+        t.equal(geom.attributes.position.count, 18, 'Has two triangles per segment');
+        t.deepEqual(Array.from(geom.attributes.lineDistance.array.slice(6, 12)), [3,3,7,7,3,7], 'Measures the distance along the line');
+        t.deepEqual(Array.from(geom.attributes.lineDistance.array.slice(12)), [0,0,2,2,0,2], 'Starts each line at zero');
+        t.deepEqual(Array.from(geom.attributes.color.array.slice(0, 3)), [1,0,0], 'Has the color of the first line');
+        t.deepEqual(Array.from(geom.attributes.color.array.slice(-3)), [0,0,1], 'Has the color of the second line');
+        t.deepEqual(Array.from(geom.attributes.next.array.slice(0, 3)), [3,0,0], 'Has the next point');
+        t.deepEqual(Array.from(geom.attributes.previous.array.slice(18, 21)), [0,0,0], 'Has the previous point at a joint');
+        t.equal(merged.material.uniforms.dashSize.value, 1, 'Has dashes');
+        t.equal(merged.material.linewidth, 4, 'Has the line width');
+        t.equal(children[1].material.uniforms.worldUnits.value, 1, 'Has widths in world units');
+        index.updateWideLines(result.getObject(), 800, 600);
+        var resolution = merged.material.uniforms.resolution.value;
+        t.deepEqual([resolution.x, resolution.y], [800, 600], 'Sets the viewport size');
+        t.end();
+    }).catch(printError(t));
+});
+
 test('should pass through point color', function (t) {
     var point = {"attributes":{"materialProperties":{"color":[0.25,1,0.639],"size":4}},"point":[0,0,8.35],"primitive":"point"};
     // When value is set it should be parsed, and model will be updated
     builder.convert(point).then(function (result) {
         t.ok(result.getObject(),'Object exists');
         var mesh = result.getObject().children[0].children[0];
-        // Material is white
-        t.equal(mesh.material.color.r,1,'Red is 1');
+        // Material does not tint the points
+        t.notOk(mesh.material.color,'No material color');
         // Point color is not white
         t.equal(mesh.geometry.attributes.color.array[0],0.25,'Red value');
         t.end();
@@ -190,6 +219,65 @@ test('should allow color as an array', function (t) {
     }).catch(printError(t));
 });
 
+test('should lay out text from the font atlas', function (t) {
+    var texts = [{"attributes":{"materialProperties":{"align":"left","verticalAlign":"top"}},
+        "primitive":"text","size":2,"text":"Hi\nthere","origin":[0,0,0]},
+        {"attributes":{"materialProperties":{"billboard":true}},"primitive":"text","size":2,"text":"A","origin":[0,0,0]}];
+    builder.convert(texts).then(function (result) {
+        var children = result.getObject().children;
+        var text = children[0];
+        t.equal(text.geometry.attributes.position.count, 7 * 4, 'Has a quad for each character');
+        text.geometry.computeBoundingBox();
+        var box = text.geometry.boundingBox;
+        var atlas = text.material.uniforms.atlas.value;
+        t.ok(Math.abs(box.min.x) < 0.5 && Math.abs(box.max.y) < 0.5, 'Aligns the top left corner to the origin');
+        t.ok(box.min.y < -3.5, 'Has two lines');
+        t.ok(Array.prototype.some.call(atlas.image.data, function (value) {
+            return value > 128;
+        }), 'Draws the glyphs without a canvas');
+        t.equal(children[1].material.uniforms.atlas.value, atlas, 'Shares the atlas');
+        t.equal(children[1].clone().material.uniforms.atlas.value, atlas, 'Shares the atlas with copies');
+        t.equal(children[1].material.uniforms.billboard.value, 1, 'Faces the camera');
+        t.end();
+    }).catch(printError(t));
+});
+
+test('should draw characters that are not in the font', function (t) {
+    var text = {"primitive":"text","size":2,"text":"é中😀","origin":[0,0,0]};
+    var atlas, fallbackUv;
+    // Without a document there is no canvas, as in workers and headless conversion
+    var document = global.document;
+    delete global.document;
+    builder.convert(text).then(function (result) {
+        global.document = document;
+        var geometry = result.getObject().children[0].geometry;
+        atlas = result.getObject().children[0].material.uniforms.atlas.value;
+        fallbackUv = Array.from(geometry.attributes.uv.array.slice(0, 8));
+        t.equal(geometry.attributes.position.count, 3 * 4, 'Has a quad for each character without a canvas');
+        t.deepEqual(Array.from(geometry.attributes.uv.array.slice(16, 24)), fallbackUv, 'Draws a question mark');
+        return builder.convert(text);
+    }).then(function (result) {
+        var text = result.getObject().children[0];
+        var uvs = text.geometry.attributes.uv.array;
+        var glyphUvs = [0, 1, 2].map(function (c) {
+            return Array.from(uvs.slice(c * 8, c * 8 + 8)).join();
+        });
+        t.equal(glyphUvs.filter(function (glyphUv, c) {
+            return glyphUvs.indexOf(glyphUv) === c;
+        }).length, 3, 'Draws each character with a canvas');
+        t.equal(text.material.uniforms.atlas.value, atlas, 'Adds the glyphs to the shared atlas');
+        t.notDeepEqual(Array.from(uvs.slice(0, 8)), fallbackUv, 'Does not draw a question mark');
+        var u = (uvs[0] + uvs[2]) / 2;
+        var v = (uvs[1] + uvs[5]) / 2;
+        var pixel = atlas.image.data[Math.floor(v * atlas.image.height) * atlas.image.width + Math.floor(u * atlas.image.width)];
+        t.ok(pixel > 128, 'Writes the distance field of the glyph');
+        t.end();
+    }).catch(function (err) {
+        global.document = document;
+        printError(t)(err);
+    });
+});
+
 test('should not allow color as a number', function (t) {
     var circle = {"materialProperties":{"color":0.25},"origin":[0,0,0],"primitive":"sphere","radius":10};
     // When value is set it should be parsed, and model will be updated
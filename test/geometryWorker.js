@@ -0,0 +1,7 @@
+'use strict';
+
+// Worker script for the geometry worker tests
+require('./globals.js');
+var index = require('../build/index-test.common.js');
+
+index.initGeometryWorker(require('worker_threads').parentPort);
@@ -4,8 +4,41 @@
 // so we have to stub that out.
 global.document = global;
 
-// Stub createElement for THREE.ImageLoader
-global.createElement = function () {
+// Stub canvas, which draws every character as a filled box
+function createCanvas() {
+    var canvas = {
+        width: 0,
+        height: 0,
+        toDataURL: function () {
+            return 'data:image/png;base64,';
+        }
+    };
+    canvas.getContext = function () {
+        return {
+            measureText: function () {
+                return {width: 12};
+            },
+            fillText: function () {},
+            drawImage: function () {},
+            getImageData: function (x, y, width, height) {
+                var data = new Uint8ClampedArray(width * height * 4);
+                for (var row=10;row<height-10;row++) {
+                    for (var column=6;column<width-6;column++) {
+                        data[(row * width + column) * 4 + 3] = 255;
+                    }
+                }
+                return {data: data};
+            }
+        };
+    };
+    return canvas;
+}
+
+// Stub createElement for THREE.ImageLoader and for canvases
+global.createElement = function (tagName) {
+    if (tagName === 'canvas') {
+        return createCanvas();
+    }
     var el = {
         addEventListener: function (name, cb) {
             cb();
@@ -15,9 +48,13 @@ global.createElement = function () {
             this.loadFn = loadFn;
         },
         set src (x) {
+            this.url = x;
             if (this.loadFn) {
                 this.loadFn();
             }
+        },
+        get src () {
+            return this.url;
         }
     };
     return el;
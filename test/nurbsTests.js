@@ -33,6 +33,36 @@ function floatEquals(a, b, tol) {
     return Math.abs(a-b) < tol;
 }
 
+/**
+ * Sum the area of the triangles in non indexed geometry
+ * @param  {THREE.BufferGeometry} geom The geometry
+ * @return {Number}                    The area
+ */
+function surfaceArea(geom) {
+    var pAttr = geom.attributes.position.array;
+    var triangle = new THREE.Triangle();
+    var area = 0;
+    for (var i=0; i<pAttr.length; i+=9) {
+        triangle.a.fromArray(pAttr, i);
+        triangle.b.fromArray(pAttr, i+3);
+        triangle.c.fromArray(pAttr, i+6);
+        area += triangle.area();
+    }
+    return area;
+}
+
+/**
+ * Copy a surface and add trims to it
+ * @param  {Object} surface The surface entity
+ * @param  {Object} trims   The outer and inner trim loops
+ * @return {Object}         The trimmed surface
+ */
+function trimSurface(surface, trims) {
+    var result = JSON.parse(JSON.stringify(surface));
+    result.trims = trims;
+    return result;
+}
+
 var printError = require('./printError.js').init('nurbs test');
 
 // Module for converting parameter objects to geometry
@@ -193,3 +223,64 @@ test('Flat surface should be optimized as a single quad', function (t) {
         t.end();
     }).catch(printError(t));
 });
+
+test('Trimmed surface should have holes', function (t) {
+    var u = flatSurface.uKnots[flatSurface.uKnots.length-1];
+    var v = flatSurface.vKnots[flatSurface.vKnots.length-1];
+    var trimmed = trimSurface(flatSurface, {
+        inner: [{primitive: 'polyline', points: [[u/4, v/4], [u*3/4, v/4], [u*3/4, v*3/4], [u/4, v*3/4]]}]
+    });
+    var fullArea;
+    builder.convert(flatSurface).then(function (result) {
+        fullArea = surfaceArea(result.getObject().children[0].geometry);
+        return builder.convert(trimmed);
+    }).then(function (result) {
+        t.equal(result.getErrorSummary(), '', 'No errors');
+        var area = surfaceArea(result.getObject().children[0].geometry);
+        t.ok(floatEquals(area/fullArea, 0.75, TOLERANCE), 'Hole is cut out of the surface');
+        t.end();
+    }).catch(printError(t));
+});
+
+test('Trimmed surface should follow the outer loop', function (t) {
+    var uKnots = sphereRound.uKnots;
+    var vKnots = sphereRound.vKnots;
+    var uMin = uKnots[0];
+    var uMax = uKnots[uKnots.length-1];
+    var vMin = vKnots[0];
+    var vMax = vKnots[vKnots.length-1];
+    // A degree 1 curve along half of the parameter space
+    var trimmed = trimSurface(sphereRound, {
+        outer: {primitive: 'curve', degree: 1, knots: [0, 0, 1, 2, 3, 3],
+            controlPoints: [[uMin, vMin, 0], [uMax, vMin, 0], [uMax, (vMin+vMax)/2, 0], [uMin, (vMin+vMax)/2, 0]]}
+    });
+    var full;
+    builder.convert(sphereRound).then(function (result) {
+        full = result.getObject().children[0].geometry;
+        return builder.convert(trimmed);
+    }).then(function (result) {
+        t.equal(result.getErrorSummary(), '', 'No errors');
+        var geom = result.getObject().children[0].geometry;
+        t.ok(floatEquals(surfaceArea(geom)/surfaceArea(full), 0.5, 0.01), 'Half of the sphere is kept');
+        t.ok(geom.attributes.position.count < full.attributes.position.count, 'Fewer triangles');
+        var pAttr = geom.attributes.position.array;
+        var isRound = true;
+        for (var i=0; i<pAttr.length; i+=3) {
+            if (Math.abs(arrayToVec([pAttr[i], pAttr[i+1], pAttr[i+2]]).length()-1) >= TOLERANCE) {
+                isRound = false;
+            }
+        }
+        t.ok(isRound, 'Points are on the surface');
+        t.end();
+    }).catch(printError(t));
+});
+
+test('Surface trims with unknown curves should report errors', function (t) {
+    var trimmed = trimSurface(flatSurface, {
+        outer: {primitive: 'circle', origin: [0, 0, 0], radius: 1}
+    });
+    builder.convert(trimmed).then(function (result) {
+        t.ok(result.getErrorSummary().indexOf('trim') !== -1, 'Reports the trim error');
+        t.end();
+    }).catch(printError(t));
+});
@@ -408,6 +408,32 @@ test('scene with camera', function (t) {
     }).catch(printError(t));
 });
 
+test('scene with light', function (t) {
+    builder.convert(_getScene('cameraLightBox')).then(function (result) {
+        var scene = result.getObject();
+        var errors = result.getErrorSummary();
+        t.ok(scene,'Object exist');
+        t.equal('',errors, 'No errors');
+        var light;
+        scene.traverse(function (child) {
+            if (child.userData.primitive === 'light') {
+                light = child;
+            }
+        });
+        t.ok(light != null, 'Scene has light');
+        t.equal(light.type, 'SpotLight', 'Light is a spot light');
+        t.ok(Math.abs(light.angle - 21.5 * Math.PI / 180) < TOLERANCE, 'Cone angle is converted');
+        scene.updateMatrixWorld(true);
+        var position = new THREE.Vector3().setFromMatrixPosition(light.matrixWorld);
+        t.ok(position.sub(new THREE.Vector3(-21.0812587738037, 54.2160606384277, 0)).length() < TOLERANCE,
+            'Light is placed by its instance');
+        t.equal(light.target.parent, light, 'Target moves with the light');
+        result.setElementVisible(light.userData.id, false);
+        t.equal(light.visible, false, 'Light visibility can be toggled');
+        t.end();
+    }).catch(printError(t));
+});
+
 test('geometryList with texture', function (t) {
     builder.convert(_getScene('tree')).then(function (result) {
         var scene = result.getObject();
@@ -426,3 +452,453 @@ test('geometryList with texture', function (t) {
         t.end();
     }).catch(printError(t));
 });
+
+/**
+ * Get a copy of a scene that can be modified without affecting other tests
+ *
+ * @param  {String} name The file name without extension
+ * @return {Object}      Flux JSON scene
+ */
+function _cloneScene(name) {
+    return JSON.parse(JSON.stringify(_getScene(name)));
+}
+
+test('update with changed transform', function (t) {
+    builder.convert(_getScene('basicScene')).then(function (result1) {
+        var root = result1.getObject();
+        var bush1 = result1.getObjectMap().bush1;
+        var mesh1 = bush1.children[0];
+        var data = _cloneScene('basicScene');
+        data[1].matrix[3] = -30;
+        return builder.update(result1, data).then(function (result2) {
+            t.equal(result2.getObject(), root, 'Same root object');
+            t.equal(result2.getErrorSummary(), '', 'No errors');
+            var layer = root.children[0];
+            t.equal(root.children.length, 1, 'One layer');
+            t.equal(layer.children.length, 3, 'Three instances');
+            t.equal(result2.getObjectMap().bush1, bush1, 'Same instance object');
+            t.equal(bush1.children[0], mesh1, 'Instance geometry is not rebuilt');
+            t.equal(bush1.matrix.elements[12], -30, 'Transform is patched');
+            t.deepEqual(mesh1.material.color.toArray(), new THREE.Color('green').toArray(),
+                'Layer color is kept');
+            t.end();
+        });
+    }).catch(printError(t));
+});
+
+test('update with changed entity and removed instance', function (t) {
+    builder.convert(_getScene('basicScene')).then(function (result1) {
+        var root = result1.getObject();
+        var oldGeometry = result1.getObjectMap().bush2.children[0].geometry;
+        var data = _cloneScene('basicScene');
+        data[0].radius = 5;
+        data[4].elements = ['bush1', 'bush2'];
+        return builder.update(result1, data).then(function (result2) {
+            t.equal(result2.getObject(), root, 'Same root object');
+            var layer = root.children[0];
+            t.equal(layer.children.length, 2, 'Instance was removed');
+            var newMesh = result2.getObjectMap().bush2.children[0];
+            t.notEqual(newMesh.geometry, oldGeometry, 'Changed entity is rebuilt');
+            newMesh.geometry.computeBoundingSphere();
+            t.ok(Math.abs(newMesh.geometry.boundingSphere.radius - 5) < TOLERANCE, 'New radius is used');
+            t.deepEqual(newMesh.material.color.toArray(), new THREE.Color('green').toArray(),
+                'Layer color is applied to rebuilt instance');
+            t.end();
+        });
+    }).catch(printError(t));
+});
+
+test('update with changed layer color', function (t) {
+    builder.convert(_getScene('basicScene')).then(function (result1) {
+        var data = _cloneScene('basicScene');
+        data[4].color = 'red';
+        return builder.update(result1, data).then(function (result2) {
+            result2.getObject().traverse(function (child) {
+                if (child.type === 'Mesh') {
+                    t.deepEqual(child.material.color.toArray(), [1,0,0], 'Instance is recolored');
+                }
+            });
+            t.end();
+        });
+    }).catch(printError(t));
+});
+
+test('update with an instance moved to another layer', function (t) {
+    var data1 = _cloneScene('basicScene');
+    data1.push({"id":"rocks","primitive":"layer","color":"red","elements":[]});
+    builder.convert(data1).then(function (result1) {
+        var data2 = _cloneScene('basicScene');
+        data2[4].elements = ['bush1', 'bush2'];
+        data2.push({"id":"rocks","primitive":"layer","color":"red","elements":["bush3"]});
+        return builder.update(result1, data2).then(function (result2) {
+            var map = result2.getObjectMap();
+            t.equal(map.bush3.parent, map.rocks, 'Instance is moved');
+            t.deepEqual(map.bush3.children[0].material.color.toArray(), [1,0,0],
+                'Instance has the color of its new layer');
+            t.deepEqual(map.bush1.children[0].material.color.toArray(), new THREE.Color('green').toArray(),
+                'Other instances keep their color');
+            t.end();
+        });
+    }).catch(printError(t));
+});
+
+test('cancelled update keeps the previous results', function (t) {
+    var controller = new AbortController();
+    var cancelBuilder = new SceneBuilder();
+    // A worker that never replies, and the update is cancelled while waiting for it
+    cancelBuilder.setGeometryWorker({
+        on: function () {},
+        postMessage: function () {
+            setTimeout(function () {
+                controller.abort();
+            });
+        }
+    });
+    builder.convert(_getScene('basicScene')).then(function (result1) {
+        var root = result1.getObject();
+        var layer = root.children[0];
+        var meshes = layer.children.map(function (instance) {
+            return instance.children[0];
+        });
+        var data = _cloneScene('basicScene');
+        data[0].radius = 5;
+        data[1].matrix[3] = -30;
+        return cancelBuilder.update(result1, data, {signal: controller.signal}).then(function () {
+            t.fail('Should not resolve');
+            t.end();
+        }).catch(function (err) {
+            t.equal(err.name, 'FluxCancelError', 'Rejects with a cancel error');
+            t.equal(root.children[0], layer, 'Layer is kept');
+            t.equal(layer.children.length, 3, 'Instances are kept');
+            t.deepEqual(layer.children.map(function (instance) {
+                return instance.children[0];
+            }), meshes, 'Instance geometry is kept');
+            t.equal(layer.children[0].matrix.elements[12], -20, 'Transform is kept');
+            t.end();
+        });
+    }).catch(printError(t));
+});
+
+test('update without previous results', function (t) {
+    builder.update(null, _getScene('basicScene')).then(function (result) {
+        var obj = result.getObject();
+        t.ok(obj,'Object exists '+result.getErrorSummary());
+        t.equal(obj.children[0].children.length,3,'Three instances');
+        t.end();
+    }).catch(printError(t));
+});
+
+test('should convert lengths to the target units', function (t) {
+    var unitBuilder = new SceneBuilder(new GeometryBuilder());
+    t.throws(function () { unitBuilder.setUnits('cubits'); }, /Unknown units/, 'Rejects unknown target units');
+    unitBuilder.setUnits('mm');
+    var entities = [
+        {"primitive":"sphere","origin":[1,0,0],"radius":2,"units":{"/":"feet","origin":"inches"}},
+        {"primitive":"point","point":[1,2,3],"materialProperties":{"size":0.5}},
+        {"primitive":"line","start":[0,0,0],"end":[1,0,0],"units":{"/":"parsnips"}}
+    ];
+    unitBuilder.convert(entities).then(function (result) {
+        t.equal(result.getErrorSummary(), 'line (Unknown units "parsnips")', 'Reports unknown units');
+        var objects = {};
+        result.getObject().traverse(function (child) {
+            if (child.geometry) objects[child.type] = child;
+        });
+        objects.Mesh.geometry.computeBoundingSphere();
+        t.equal(objects.Mesh.position.x, 25.4, 'Converts lengths with their own units');
+        t.ok(Math.abs(objects.Mesh.geometry.boundingSphere.radius - 609.6) < 0.001,
+            'Converts lengths with the units of the entity');
+        t.deepEqual(Array.from(objects.Points.geometry.attributes.size.array), [500], 'Converts point sizes');
+        t.equal(entities[0].radius, 2, 'Does not change the data');
+        return unitBuilder.convert(_getScene('sphereMatrixScene'));
+    }).then(function (result) {
+        var instance = result.getObject().children[0].children[0];
+        t.deepEqual(Array.from(instance.matrix.elements.slice(12, 15)), [Math.fround(-50489.76135253906),
+            Math.fround(19157.16552734375), 0], 'Converts matrix translations from meters');
+        t.end();
+    }).catch(printError(t));
+});
+
+test('should convert the vertices of breps and files to the target units', function (t) {
+    var unitBuilder = new SceneBuilder(new GeometryBuilder());
+    unitBuilder.setUnits('mm');
+    var requests = [];
+    var provider = new index.TessellationProvider();
+    provider.tessellate = function (breps) {
+        requests.push.apply(requests, breps);
+        return Promise.resolve(breps.map(function () {
+            return {"primitive":"mesh","vertices":[[0,0,0],[1,0,0],[0,2,0]],"faces":[[0,1,2]]};
+        }));
+    };
+    unitBuilder.setTessellationProvider(provider);
+    var stl = 'solid s\nfacet normal 0 0 1\nouter loop\nvertex 0 0 0\nvertex 1 0 0\nvertex 0 2 0\n' +
+        'endloop\nendfacet\nendsolid s\n';
+    var entities = [
+        {"primitive":"brep","content":"brep content","format":"x_b","units":{"/":"inches"}},
+        {"primitive":"stl","data":stl},
+        {"primitive":"obj","data":"v 0 0 0\nv 1 0 0\nv 0 2 0\nf 1 2 3\n","units":{"/":"feet"}},
+        {"primitive":"off","data":"OFF\n3 1 0\n0 0 0\n1 0 0\n0 2 0\n3 0 1 2\n","units":{"/":"cm"}}
+    ];
+    unitBuilder.convert(entities).then(function (result) {
+        t.equal(result.getErrorSummary(), '', 'No errors');
+        var maxY = {};
+        result.getObject().children.forEach(function (child) {
+            maxY[child.userData.data.primitive] = new THREE.Box3().setFromObject(child).max.y;
+            // The stl and off meshes are merged
+            (child.userData.mergedRanges || []).forEach(function (range, i) {
+                var positions = child.geometry.attributes.position.array;
+                var ys = Array.from(positions.slice(range.start * 3, (range.start + range.count) * 3)).filter(function (value, k) {
+                    return k % 3 === 1;
+                });
+                maxY[child.userData.mergedData[i].primitive] = Math.max.apply(null, ys);
+            });
+        });
+        t.ok(Math.abs(maxY.mesh - 50.8) < 0.001, 'Scales the tessellated brep');
+        t.ok(Math.abs(maxY.stl - 2000) < 0.001, 'Scales files from meters by default');
+        t.ok(Math.abs(maxY.obj - 609.6) < 0.001, 'Scales obj files');
+        t.ok(Math.abs(maxY.off - 20) < 0.001, 'Scales off files');
+        t.equal(requests[0]._vertexTransform, undefined, 'Tessellates the brep as it is');
+        t.end();
+    }).catch(printError(t));
+});
+
+test('should convert scenes to another coordinate frame', function (t) {
+    var yUpBuilder = new SceneBuilder(new GeometryBuilder());
+    t.throws(function () { yUpBuilder.setCoordinateFrame('w'); }, /Unknown up axis/, 'Rejects unknown axes');
+    t.throws(function () { yUpBuilder.setCoordinateFrame('y', 'both'); }, /Unknown handedness/,
+        'Rejects unknown handedness');
+    yUpBuilder.setCoordinateFrame('y');
+    yUpBuilder.convert(_getScene('sphereMatrixScene')).then(function (result) {
+        var scene = result.getObject();
+        var mesh = scene.children[0].children[0].children[0];
+        mesh.geometry.computeBoundingSphere();
+        scene.updateMatrixWorld(true);
+        var center = mesh.geometry.boundingSphere.center.clone().applyMatrix4(mesh.matrixWorld);
+        t.ok(center.sub(new THREE.Vector3(-50.48976135253906, 0, -19.15716552734375)).length() < TOLERANCE,
+            'Converts geometry and instance matrices');
+        return yUpBuilder.convert(_getScene('cameraLightBox'));
+    }).then(function (result) {
+        var scene = result.getObject();
+        var camera, light;
+        scene.traverse(function (child) {
+            if (child.userData.primitive === 'camera') camera = child;
+            if (child.userData.primitive === 'light') light = child;
+        });
+        t.deepEqual(camera.up.toArray(), [0, 1, 0], 'Cameras are Y up');
+        scene.updateMatrixWorld(true);
+        var position = new THREE.Vector3().setFromMatrixPosition(light.matrixWorld);
+        t.ok(position.sub(new THREE.Vector3(-21.0812587738037, 0, -54.2160606384277)).length() < TOLERANCE,
+            'Converts light positions');
+        yUpBuilder.setCoordinateFrame('y', 'left');
+        return yUpBuilder.convert([{"primitive":"sphere","origin":[0,0,0],"radius":1}]);
+    }).then(function (result) {
+        var mesh;
+        result.getObject().traverse(function (child) {
+            if (child.type === 'Mesh') mesh = child;
+        });
+        var geometry = mesh.geometry.index ? mesh.geometry.toNonIndexed() : mesh.geometry;
+        var pos = geometry.attributes.position.array;
+        var a = new THREE.Vector3(), b = new THREE.Vector3(), c = new THREE.Vector3();
+        var outward = 0;
+        for (var i=0;i<pos.length;i+=9) {
+            a.fromArray(pos, i);
+            b.fromArray(pos, i + 3).sub(a);
+            c.fromArray(pos, i + 6).sub(a);
+            if (b.cross(c).dot(a) >= 0) outward++;
+        }
+        t.equal(outward, pos.length / 9, 'Keeps triangles facing out in a mirrored frame');
+        t.end();
+    }).catch(printError(t));
+});
+
+test('should store positions relative to a center', function (t) {
+    var centerBuilder = new SceneBuilder(new GeometryBuilder());
+    centerBuilder.setRelativeToCenter(true);
+    var far = 6000000;
+    var entities = [
+        {"primitive":"line","start":[far,far,0],"end":[far+0.001,far,0]},
+        {"primitive":"point","point":[far+2,far+2,10]}
+    ];
+    centerBuilder.convert(entities).then(function (result) {
+        t.deepEqual(result.getOffset().toArray(), [far+1,far+1,5], 'Offset is the center of the positions');
+        var line;
+        result.getObject().traverse(function (child) {
+            if (child.type === 'Line') line = child;
+        });
+        var pos = line.geometry.attributes.position.array;
+        t.ok(Math.abs(pos[3] - pos[0] - 0.001) < 0.00001, 'Keeps millimeter precision far from the origin');
+        line.updateMatrixWorld(true);
+        var start = result.toWorldPosition(new THREE.Vector3().fromArray(pos).applyMatrix4(line.matrixWorld));
+        t.ok(start.distanceTo(new THREE.Vector3(far, far, 0)) < 0.00001, 'Converts positions back to world');
+        t.equal(entities[0].start[0], far, 'Does not change the data');
+        return Promise.all([builder.convert(_getScene('sphereMatrixScene')),
+            centerBuilder.convert(_getScene('sphereMatrixScene'))]);
+    }).then(function (results) {
+        var centers = results.map(function (result) {
+            var scene = result.getObject();
+            var mesh = scene.children[0].children[0].children[0];
+            mesh.geometry.computeBoundingSphere();
+            scene.updateMatrixWorld(true);
+            return mesh.geometry.boundingSphere.center.clone().applyMatrix4(mesh.matrixWorld);
+        });
+        t.ok(centers[1].length() < TOLERANCE, 'Places instances relative to the scene center');
+        t.ok(results[1].toWorldPosition(centers[1]).distanceTo(centers[0]) < TOLERANCE,
+            'Instances keep their world positions');
+        t.end();
+    }).catch(printError(t));
+});
+
+test('should store breps and files relative to a center', function (t) {
+    var centerBuilder = new SceneBuilder(new GeometryBuilder());
+    centerBuilder.setRelativeToCenter(true);
+    var far = 6000000;
+    var provider = new index.TessellationProvider();
+    provider.tessellate = function (breps) {
+        return Promise.resolve(breps.map(function () {
+            return {"primitive":"mesh","vertices":[[far-10,far,0],[far-9.999,far,0],[far-10,far+0.001,0]],
+                "faces":[[0,1,2]]};
+        }));
+    };
+    centerBuilder.setTessellationProvider(provider);
+    var obj = 'v '+far+' '+far+' 0\nv '+(far+0.001)+' '+far+' 0\nv '+far+' '+(far+0.001)+' 0\nf 1 2 3\n';
+    var stl = 'solid s\nfacet normal 0 0 1\nouter loop\nvertex '+far+' '+far+' 0\nvertex '+(far+1)+' '+far+
+        ' 0\nvertex '+far+' '+(far+1)+' 0\nendloop\nendfacet\nendsolid s\n';
+    var off = 'OFF\n1 0 0\n'+(far+2)+' '+(far+2)+' 0\n';
+    var ply = 'ply\nformat ascii 1.0\nelement vertex 1\nproperty float x\nproperty float y\n' +
+        'property float z\nend_header\n'+(far+4)+' '+(far+4)+' 0\n';
+    centerBuilder.convert([{"primitive":"obj","data":obj}, {"primitive":"off","data":off},
+        {"primitive":"ply","data":ply}]).then(function (result) {
+        t.deepEqual(result.getOffset().toArray(), [far+2,far+2,0], 'Offset is between the first vertices of the files');
+        var mesh = result.getObject().getObjectByProperty('type', 'Mesh');
+        var pos = mesh.geometry.attributes.position.array;
+        t.ok(Math.abs(pos[3] - pos[0] - 0.001) < 0.00001, 'Keeps millimeter precision in files');
+        var scene = [
+            {"id":"file","primitive":"geometryList","entities":[{"primitive":"stl","data":stl}]},
+            {"id":"solid","primitive":"geometryList",
+                "entities":[{"primitive":"brep","content":"brep content","format":"x_b"}]},
+            {"id":"fileInstance","primitive":"instance","entity":"file"},
+            {"id":"solidInstance","primitive":"instance","entity":"solid",
+                "matrix":[1,0,0,10, 0,1,0,0, 0,0,1,0, 0,0,0,1]},
+            {"id":"layer","primitive":"layer","elements":["fileInstance","solidInstance"]}
+        ];
+        return centerBuilder.convert(scene);
+    }).then(function (result) {
+        t.equal(result.getErrorSummary(), '', 'No errors');
+        t.deepEqual(result.getOffset().toArray(), [far,far,0], 'Scene is centered on the file');
+        var root = result.getObject();
+        root.updateMatrixWorld(true);
+        var instance = root.getObjectByName('instance:solidInstance');
+        var mesh = instance.children[0];
+        var pos = mesh.geometry.attributes.position.array;
+        t.ok(Math.abs(pos[0]) < 1 && Math.abs(pos[3] - pos[0] - 0.001) < 0.00001,
+            'Keeps millimeter precision in breps');
+        var start = result.toWorldPosition(new THREE.Vector3().fromArray(pos).applyMatrix4(mesh.matrixWorld));
+        t.ok(start.distanceTo(new THREE.Vector3(far, far, 0)) < 0.00001, 'Breps keep their world positions');
+        t.end();
+    }).catch(printError(t));
+});
+
+test('should draw instances with the same entity and material together', function (t) {
+    var instanceBuilder = new SceneBuilder(new GeometryBuilder());
+    instanceBuilder.setAllowInstancing(true);
+    var data = _getScene('basicScene');
+    instanceBuilder.convert(data).then(function (result) {
+        var layer = result.getObject().children[0];
+        t.equal(layer.children.length, 4, 'Keeps the instances and adds an instanced mesh');
+        var mesh = layer.children[3];
+        t.equal(mesh.geometry.type, 'InstancedBufferGeometry', 'Draws the instances in one mesh');
+        t.deepEqual(mesh.userData.instanceIds, ['bush1', 'bush2', 'bush3'], 'Has the id of each instance');
+        t.equal(layer.children[0].children.length, 0, 'Instances do not have their own meshes');
+        t.deepEqual(Array.from(mesh.geometry.attributes.instanceRow0.array.slice(0, 4)), [1, 0, 0, -20],
+            'Has the transform of each instance');
+        var raycaster = new THREE.Raycaster(new THREE.Vector3(20, -100, 10), new THREE.Vector3(0, 1, 0));
+        result.getObject().updateMatrixWorld(true);
+        var hits = raycaster.intersectObject(result.getObject(), true);
+        t.equal(result.getPickedId(hits[0]), 'bush3', 'Picks an instance');
+        result.setElementVisible('bush3', false);
+        t.equal(raycaster.intersectObject(result.getObject(), true).length, 0, 'Hides an instance');
+        t.deepEqual(Array.from(mesh.geometry.attributes.instanceVisible.array), [1, 1, 0], 'Hides one copy');
+        result.setElementColor('bush2', 'red');
+        t.deepEqual(Array.from(mesh.geometry.attributes.instanceColor.array.slice(4, 8)), [1, 0, 0, 1],
+            'Colors one copy');
+        var changed = JSON.parse(JSON.stringify(data));
+        changed[1].matrix[3] = -40;
+        return instanceBuilder.update(result, changed);
+    }).then(function (result) {
+        var layer = result.getObject().children[0];
+        var meshes = layer.children.filter(function (child) {
+            return child.userData.instanceIds;
+        });
+        t.equal(meshes.length, 1, 'Replaces the instanced mesh when updating');
+        t.equal(meshes[0].geometry.attributes.instanceRow0.array[3], -40, 'Updates the transforms');
+        t.end();
+    }).catch(printError(t));
+});
+
+test('should select primitives inside merged meshes', function (t) {
+    var entities = [
+        {"id":"left","primitive":"sphere","origin":[-20,0,0],"radius":5},
+        {"id":"right","primitive":"sphere","origin":[20,0,0],"radius":5}
+    ];
+    builder.convert(entities).then(function (result) {
+        var meshes = [];
+        result.getObject().traverse(function (child) {
+            if (child.type === 'Mesh') meshes.push(child);
+        });
+        t.equal(meshes.length, 1, 'Merges the spheres');
+        var ranges = meshes[0].userData.mergedRanges;
+        t.deepEqual(ranges.map(function (range) { return range.id; }), ['left', 'right'], 'Records each primitive');
+        t.equal(ranges[1].start, ranges[0].count, 'Records the vertices of each primitive');
+        var raycaster = new THREE.Raycaster(new THREE.Vector3(20, -100, 0), new THREE.Vector3(0, 1, 0));
+        result.getObject().updateMatrixWorld(true);
+        var hits = raycaster.intersectObject(result.getObject(), true);
+        t.equal(result.getPickedPrimitiveId(hits[0]), 'right', 'Picks a merged primitive');
+        result.setPrimitiveVisible('right', false);
+        t.equal(raycaster.intersectObject(result.getObject(), true).length, 0, 'Hides a merged primitive');
+        raycaster.set(new THREE.Vector3(-20, -100, 0), new THREE.Vector3(0, 1, 0));
+        t.ok(raycaster.intersectObject(result.getObject(), true).length > 0, 'Keeps the other primitives');
+        result.setPrimitiveVisible('right', true);
+        raycaster.set(new THREE.Vector3(20, -100, 0), new THREE.Vector3(0, 1, 0));
+        hits = raycaster.intersectObject(result.getObject(), true);
+        t.equal(result.getPickedPrimitiveId(hits[0]), 'right', 'Shows a merged primitive again');
+        result.setPrimitiveColor('left', 'red');
+        var colors = meshes[0].geometry.attributes.color.array;
+        t.deepEqual(Array.from(colors.slice(0, 3)), [1, 0, 0], 'Colors a merged primitive');
+        t.notDeepEqual(Array.from(colors.slice(ranges[1].start * 3, ranges[1].start * 3 + 3)), [1, 0, 0],
+            'Keeps the color of the other primitives');
+        t.end();
+    }).catch(printError(t));
+});
+
+test('should color merged primitives once in every instance', function (t) {
+    var entities = [
+        {"id":"pair","primitive":"geometryList","entities":[
+            {"primitive":"sphere","origin":[-20,0,0],"radius":5},
+            {"primitive":"sphere","origin":[20,0,0],"radius":5}
+        ]},
+        {"id":"pair1","primitive":"instance","entity":"pair","material":"gray"},
+        {"id":"pair2","primitive":"instance","entity":"pair","material":"gray",
+            "matrix":[1,0,0,0, 0,1,0,50, 0,0,1,0, 0,0,0,1]},
+        {"id":"pairs","primitive":"layer","elements":["pair1","pair2"]},
+        {"id":"gray","primitive":"material","color":[0.5,0.5,0.5]}
+    ];
+    builder.convert(entities).then(function (result) {
+        var meshes = [];
+        result.getObject().traverse(function (child) {
+            if (child.type === 'Mesh') meshes.push(child);
+        });
+        t.equal(meshes.length, 2, 'Has a merged mesh per instance');
+        t.equal(meshes[0].geometry, meshes[1].geometry, 'Instances share the geometry');
+        var ranges = meshes[0].userData.mergedRanges;
+        result.setPrimitiveColor(ranges[0].id, 'red');
+        var colors = meshes[0].geometry.attributes.color.array;
+        var start = ranges[1].start * 3;
+        t.deepEqual(Array.from(colors.slice(0, 3)), [1, 0, 0], 'Colors a merged primitive');
+        t.ok(Math.abs(colors[start] - 0.5) < TOLERANCE, 'Keeps the color of the other primitives');
+        t.ok(meshes.every(function (mesh) {
+            return mesh.material.color.getHex() === 0xffffff;
+        }), 'Moves the material color to the vertices in every instance');
+        result.setPrimitiveColor(ranges[0].id, 'blue');
+        t.ok(Math.abs(colors[start] - 0.5) < TOLERANCE, 'Keeps the color when coloring again');
+        t.end();
+    }).catch(printError(t));
+});
@@ -10,3 +10,6 @@ require('./geometryMaterialTests.js');
 require('./nurbsTests.js');
 require('./brepTests.js');
 require('./sceneTests.js');
+require('./exportTests.js');
+require('./threeToFluxTests.js');
+require('./workerTests.js');
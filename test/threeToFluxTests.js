@@ -0,0 +1,166 @@
+'use strict';
+
+var test = require('tape-catch');
+var THREE = require('three');
+var index = require('../build/index-test.common.js');
+var SceneBuilder = index.SceneBuilder;
+var ThreeToFlux = index.ThreeToFlux;
+var builder = new SceneBuilder();
+var printError = require('./printError.js').init('threeToFlux');
+
+/**
+ * Get a copy of a scene that can be modified without affecting other tests
+ *
+ * @param  {String} name The file name without extension
+ * @return {Object}      Flux JSON scene
+ */
+function _getScene(name) {
+    return JSON.parse(JSON.stringify(require('./data/scene/'+name+'.json')));
+}
+
+/**
+ * Find the elements of a scene with the given primitive
+ * @param  {Array} elements  Flux JSON scene
+ * @param  {String} primitive The primitive name
+ * @return {Array}            List of elements
+ */
+function _findElements(elements, primitive) {
+    return elements.filter(function (element) {
+        return element.primitive === primitive;
+    });
+}
+
+test('convert a scene back to Flux', function (t) {
+    builder.convert(_getScene('basicScene')).then(function (result) {
+        var elements = new ThreeToFlux().convert(result.getObject());
+        var layers = _findElements(elements, 'layer');
+        t.equal(layers.length, 1, 'Should write the layer');
+        t.equal(layers[0].id, 'plants', 'Should keep the layer id');
+        t.ok(layers[0].color != null, 'Should keep the layer data');
+        var instances = _findElements(elements, 'instance');
+        t.deepEqual(layers[0].elements, ['bush1', 'bush2', 'bush3'], 'Should keep the layer elements');
+        t.equal(instances[0].matrix[3], -20, 'Should write the instance matrix');
+        t.ok(instances.every(function (instance) {
+            return instance.entity === 'ball';
+        }), 'Should keep the entity id');
+        var spheres = _findElements(elements, 'sphere');
+        t.equal(spheres.length, 1, 'Should write the shared entity once');
+        t.equal(spheres[0].radius, 10, 'Should write the entity data');
+        return builder.convert(elements);
+    }).then(function (result) {
+        t.equal(result.getErrorSummary(), '', 'Should convert again without errors');
+        var layer = result.getObject().children[0];
+        t.equal(layer.children.length, 3, 'Should have the instances');
+        t.ok(layer.children[0].children[0] instanceof THREE.Mesh, 'Should have the geometry');
+        t.end();
+    }).catch(printError(t));
+});
+
+test('convert instanced meshes back to Flux', function (t) {
+    var instanceBuilder = new SceneBuilder();
+    instanceBuilder.setAllowInstancing(true);
+    instanceBuilder.convert(_getScene('basicScene')).then(function (result) {
+        var elements = new ThreeToFlux().convert(result.getObject());
+        var instances = _findElements(elements, 'instance');
+        t.deepEqual(instances.map(function (instance) {
+            return [instance.id, instance.entity, instance.matrix[3]];
+        }), [['bush1', 'ball', -20], ['bush2', 'ball', 0], ['bush3', 'ball', 20]], 'Should write each instance');
+        t.equal(_findElements(elements, 'sphere').length, 1, 'Should write the shared entity once');
+        t.equal(_findElements(elements, 'layer')[0].elements.length, 3, 'Should not write the instanced mesh');
+        var entities = new ThreeToFlux({bakeGeometry: true}).convertEntities(result.getObject());
+        t.equal(entities.length, 3, 'Should write a mesh for each copy');
+        var xs = entities.map(function (mesh) {
+            return Math.round(mesh.vertices.reduce(function (sum, vertex) {
+                return sum + vertex[0];
+            }, 0) / mesh.vertices.length) || 0;
+        });
+        t.deepEqual(xs, [-20, 0, 20], 'Should place each copy');
+        t.end();
+    }).catch(printError(t));
+});
+
+test('convert scene materials back to Flux', function (t) {
+    var sceneJson = _getScene('materialScene');
+    var materialData = _findElements(sceneJson, 'material')[0];
+    builder.convert(sceneJson).then(function (result) {
+        var elements = new ThreeToFlux().convert(result.getObject());
+        var materials = _findElements(elements, 'material');
+        t.equal(materials.length, 1, 'Should write the material');
+        t.equal(materials[0].id, materialData.id, 'Should keep the material id');
+        t.deepEqual(materials[0].color, [1, 0, 0], 'Should write the color');
+        t.ok(Math.abs(materials[0].glossiness - 0.5) < 0.0001, 'Should write the glossiness');
+        t.equal(materials[0].transparency, 0, 'Should write the transparency');
+        t.equal(_findElements(elements, 'instance')[0].material, materialData.id,
+            'Should reference the material');
+        t.end();
+    }).catch(printError(t));
+});
+
+test('convert baked geometry back to Flux', function (t) {
+    var vertexCount;
+    builder.convert(_getScene('basicScene')).then(function (result) {
+        var mesh = result.getObject().children[0].children[0].children[0];
+        vertexCount = mesh.geometry.attributes.position.count;
+        var elements = new ThreeToFlux({bakeGeometry: true}).convert(result.getObject());
+        var meshes = _findElements(elements, 'mesh');
+        t.equal(meshes.length, 1, 'Should write the shared geometry once');
+        t.equal(meshes[0].vertices.length, vertexCount, 'Should write the vertices');
+        t.equal(meshes[0].normal.length, vertexCount, 'Should write the normals');
+        t.ok(meshes[0].faces.length > 0, 'Should write the faces');
+        var zs = meshes[0].vertices.map(function (vertex) {
+            return vertex[2];
+        });
+        t.ok(Math.abs(Math.max.apply(null, zs) - 20) < 0.001, 'Should apply the sphere origin');
+        t.equal(_findElements(elements, 'material').length, 1, 'Should write the material');
+        return builder.convert(elements);
+    }).then(function (result) {
+        t.equal(result.getErrorSummary(), '', 'Should convert again without errors');
+        var mesh = result.getObject().children[0].children[0].children[0];
+        t.equal(mesh.geometry.attributes.position.count, vertexCount, 'Should keep the geometry');
+        t.end();
+    }).catch(printError(t));
+});
+
+test('convert baked wide lines back to Flux', function (t) {
+    var props = {"linewidth":4,"dashSize":1};
+    var lines = [
+        {"attributes":{"materialProperties":props},"points":[[0,0,0],[3,0,0],[3,4,0]],"primitive":"polyline"},
+        {"attributes":{"materialProperties":props},"start":[0,0,1],"end":[0,2,1],"primitive":"line"}];
+    builder.convert(lines).then(function (result) {
+        var entities = new ThreeToFlux({bakeGeometry: true}).convertEntities(result.getObject());
+        t.equal(_findElements(entities, 'mesh').length, 0, 'Should not write triangles');
+        t.deepEqual(_findElements(entities, 'polyline').map(function (polyline) {
+            return polyline.points;
+        }), [[[0,0,0], [3,0,0], [3,4,0]], [[0,0,1], [0,2,1]]], 'Should write the lines the wide lines were made from');
+        t.end();
+    }).catch(printError(t));
+});
+
+test('convert three.js objects to Flux entities', function (t) {
+    var root = new THREE.Object3D();
+    var box = new THREE.Mesh(new THREE.BoxBufferGeometry(1, 1, 1),
+        new THREE.MeshStandardMaterial({vertexColors: THREE.NoColors}));
+    box.position.set(10, 0, 0);
+    root.add(box);
+    var lineGeometry = new THREE.Geometry();
+    lineGeometry.vertices.push(new THREE.Vector3(0, 0, 0), new THREE.Vector3(1, 0, 0), new THREE.Vector3(1, 1, 0));
+    root.add(new THREE.Line(lineGeometry, new THREE.LineBasicMaterial()));
+    var pointsGeometry = new THREE.BufferGeometry();
+    pointsGeometry.addAttribute('position', new THREE.BufferAttribute(new Float32Array([0, 0, 1, 0, 0, 2]), 3));
+    root.add(new THREE.Points(pointsGeometry, new THREE.PointsMaterial()));
+
+    var entities = new ThreeToFlux().convertEntities(root);
+    var mesh = _findElements(entities, 'mesh')[0];
+    t.equal(mesh.vertices.length, 24, 'Should write the mesh vertices');
+    t.equal(mesh.faces.length, 12, 'Should write the triangles');
+    t.equal(mesh.vertices[0][0], 10.5, 'Should apply the object transform');
+    t.equal(mesh.uv.length, 24, 'Should write the texture coordinates');
+    t.equal(mesh.color, undefined, 'Should skip unused vertex colors');
+    var polyline = _findElements(entities, 'polyline')[0];
+    t.deepEqual(polyline.points, [[0, 0, 0], [1, 0, 0], [1, 1, 0]], 'Should write the line points');
+    var points = _findElements(entities, 'point');
+    t.deepEqual(points.map(function (point) {
+        return point.point;
+    }), [[0, 0, 1], [0, 0, 2]], 'Should write a point per vertex');
+    t.end();
+});
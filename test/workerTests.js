@@ -0,0 +1,122 @@
+'use strict';
+
+var test = require('tape-catch');
+var path = require('path');
+var Worker = require('worker_threads').Worker;
+var index = require('../build/index-test.common.js');
+var GeometryBuilder = index.GeometryBuilder;
+var SceneBuilder = index.SceneBuilder;
+var printError = require('./printError.js').init('worker');
+
+var entities = [
+    {"origin":[0,0,0],"primitive":"sphere","radius":1},
+    {"origin":[3,0,0],"primitive":"sphere","radius":1},
+    {"primitive":"polyline","points":[[0,0,0],[1,0,0],[1,1,0]]},
+    {"primitive":"point","point":[0,0,5]},
+    {"primitive":"text","text":"label","position":[0,0,0]}
+];
+
+/**
+ * Start a worker running the geometry worker script
+ * @return {Worker} The node worker
+ */
+function _startWorker() {
+    return new Worker(path.join(__dirname, 'geometryWorker.js'));
+}
+
+/**
+ * Count the vertices of the renderable objects in a hierarchy
+ * @param  {THREE.Object3D} object The root
+ * @return {Object}                Map from object type to the number of vertices
+ */
+function _countVertices(object) {
+    var counts = {};
+    object.traverse(function (child) {
+        if (!child.geometry) return;
+        var count = child.geometry.attributes.position.count;
+        counts[child.type] = (counts[child.type] || 0) + count;
+    });
+    return counts;
+}
+
+test('create geometry in a worker', function (t) {
+    var worker = _startWorker();
+    var workerBuilder = new GeometryBuilder();
+    workerBuilder.setGeometryWorker(worker);
+    var expected;
+    new GeometryBuilder().convert(entities, true).then(function (result) {
+        expected = result;
+        return workerBuilder.convert(entities, true);
+    }).then(function (result) {
+        var children = result.object.children;
+        t.equal(children.length, expected.object.children.length, 'Should create the same objects');
+        t.deepEqual(_countVertices(result.object), _countVertices(expected.object), 'Should create the same geometry');
+        var mesh = children.filter(function (child) {
+            return child.type === 'Mesh';
+        })[0];
+        t.ok(mesh.geometry.attributes.position.array instanceof Float32Array, 'Should use typed arrays');
+        t.equal(mesh.material.type, 'MeshPhysicalMaterial', 'Should rebuild the material');
+        t.equal(mesh.userData.mergedData.length, 2, 'Should keep the user data');
+        t.ok(children.some(function (child) {
+            return child.type === 'TextHelper';
+        }), 'Should create text on the main thread');
+        t.equal(result.primStatus.invalidKeySummary(), '', 'Should not have errors');
+        return worker.terminate();
+    }).then(function () {
+        t.end();
+    }).catch(printError(t));
+});
+
+test('report errors from a worker', function (t) {
+    var worker = _startWorker();
+    var workerBuilder = new GeometryBuilder();
+    workerBuilder.setGeometryWorker(worker);
+    workerBuilder.convert([{"primitive":"notAPrimitive"}]).then(function (result) {
+        t.ok(result.primStatus.invalidKeySummary().indexOf('notAPrimitive') !== -1, 'Should report the error');
+        return worker.terminate();
+    }).then(function () {
+        t.end();
+    }).catch(printError(t));
+});
+
+test('create tessellated breps in a worker', function (t) {
+    var worker = _startWorker();
+    var workerBuilder = new GeometryBuilder();
+    workerBuilder.setGeometryWorker(worker);
+    var provider = new index.TessellationProvider();
+    provider.tessellate = function () {
+        return Promise.resolve([{
+            "primitive":"mesh",
+            "faces":[[0,1,2]],
+            "vertices":[[0,0,0],[1,0,0],[0,1,0]]
+        }]);
+    };
+    workerBuilder.setTessellationProvider(provider);
+    var fractions = [];
+    workerBuilder.convert([{"content":"brep","format":"x_b","primitive":"brep"}], false, {
+        onProgress: function (results, newObjects, fraction) {
+            fractions.push(fraction);
+        }
+    }).then(function (result) {
+        t.equal(result.object.children.length, 1, 'Should add the mesh');
+        t.equal(result.object.children[0].geometry.attributes.position.count, 3, 'Should create the geometry');
+        t.deepEqual(fractions, [0, 1], 'Should report progress');
+        return worker.terminate();
+    }).then(function () {
+        t.end();
+    }).catch(printError(t));
+});
+
+test('create a scene in a worker', function (t) {
+    var worker = _startWorker();
+    var builder = new SceneBuilder();
+    builder.setGeometryWorker(worker);
+    builder.convert(require('./data/scene/basicScene.json')).then(function (result) {
+        var layer = result.getObject().children[0];
+        t.equal(layer.children.length, 3, 'Should have the instances');
+        t.equal(layer.children[0].children[0].type, 'Mesh', 'Should have the geometry');
+        return worker.terminate();
+    }).then(function () {
+        t.end();
+    }).catch(printError(t));
+});